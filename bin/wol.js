@@ -0,0 +1,13 @@
+#!/usr/bin/env node
+'use strict';
+
+// wol: command-line client (see lib/cli.js, `wol --help`)
+
+const { main } = require('../lib/cli');
+
+main(process.argv.slice(2)).then(code => {
+  process.exitCode = code;
+}, e => {
+  console.error(e.stack || e.message);
+  process.exitCode = 1;
+});
@@ -0,0 +1,111 @@
+'use strict';
+
+/**
+ * Reverse (outbound) connection, agent side
+ * - first start: enroll with a one-time join code -> { agentId, secret }, saved to credentialPath
+ * - then long-poll the controller for commands, run them, post results back
+ * All requests after enrollment are signed with the agent secret (lib/signing.js).
+ * `fetch` can be replaced (client certificate, lib/tls.js).
+ */
+
+const fs = require('fs');
+
+const signing = require('./signing');
+const { HEADER_AGENT_ID } = require('./agent-link');
+
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+
+function createLinkClient({ controllerUrl, joinCode, name, credentialPath, runCommand, fetch = globalThis.fetch }) {
+  const base = controllerUrl.replace(/\/+$/, '');
+  let credential = null;
+
+  async function post(pathname, body, { signed = true, timeoutMs = 15 * 1000 } = {}) {
+    const url = base + pathname;
+    const raw = JSON.stringify(body);
+    const headers = { 'Content-Type': 'application/json' };
+    if (signed) {
+      Object.assign(headers, signing.signHeaders(credential.secret, 'POST', pathname, raw));
+      headers[HEADER_AGENT_ID] = credential.agentId;
+    }
+    const res = await fetch(url, { method: 'POST', headers, body: raw, signal: AbortSignal.timeout(timeoutMs) });
+    const data = await res.json().catch(() => ({}));
+    if (!res.ok) {
+      const err = new Error(data.error || `HTTP ${res.status}`);
+      err.status = res.status;
+      throw err;
+    }
+    return data;
+  }
+
+  function loadCredential() {
+    try {
+      const c = JSON.parse(fs.readFileSync(credentialPath, 'utf8'));
+      if (c.controllerUrl === base && c.agentId && c.secret) return c;
+    } catch {
+      // not enrolled yet
+    }
+    return null;
+  }
+
+  async function enroll() {
+    if (!joinCode) throw new Error(`not enrolled and JOIN_CODE is not set (credential: ${credentialPath})`);
+    const r = await post('/agent-link/enroll', { code: joinCode, name }, { signed: false });
+    const c = { controllerUrl: base, agentId: r.agentId, secret: r.secret, enrolledAt: new Date().toISOString() };
+    fs.writeFileSync(credentialPath, JSON.stringify(c, null, 2), { mode: 0o600 });
+    console.log(`enrolled as ${c.agentId}; credential saved to ${credentialPath}`);
+    return c;
+  }
+
+  async function handle(cmd) {
+    let msg;
+    try {
+      msg = { id: cmd.id, ok: true, result: await runCommand(cmd.path, cmd.body || {}) };
+    } catch (e) {
+      msg = { id: cmd.id, ok: false, error: e.message, status: e.status || 500 };
+    }
+    try {
+      await post('/agent-link/result', msg);
+    } catch (e) {
+      console.error(`agent-link: result ${cmd.id} not delivered: ${e.message}`);
+    }
+  }
+
+  async function loop() {
+    let failures = 0;
+    for (;;) {
+      try {
+        const r = await post('/agent-link/poll', {}, { timeoutMs: 60 * 1000 });
+        if (failures > 0) console.log('agent-link: connected');
+        failures = 0;
+        (r.commands || []).forEach(cmd => handle(cmd));
+      } catch (e) {
+        failures++;
+        const wait = e.status === 401 ? 60 * 1000 : Math.min(1000 * 2 ** failures, 60 * 1000);
+        console.error(`agent-link: ${e.message}` + (e.status === 401 ? ' (credential rejected; re-enroll with a new JOIN_CODE)' : '') + `, retry in ${wait / 1000}s`);
+        await sleep(wait);
+      }
+    }
+  }
+
+  return {
+    async start() {
+      credential = loadCredential();
+      while (!credential) {
+        try {
+          credential = await enroll();
+        } catch (e) {
+          if (e.status === 400 || e.status === 401 || !joinCode) throw e; // bad/expired code: don't retry
+          console.error(`agent-link: enroll failed: ${e.message}, retry in 10s`);
+          await sleep(10 * 1000);
+        }
+      }
+      console.log(`agent-link: connecting to ${base} as ${credential.agentId}`);
+      loop();
+    },
+    secret: () => credential?.secret || '',
+  };
+}
+
+module.exports = {
+  createLinkClient,
+};
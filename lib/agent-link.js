@@ -0,0 +1,135 @@
+'use strict';
+
+/**
+ * Reverse (outbound) agent connections, controller side
+ *
+ * An enrolled agent long-polls the controller (POST /agent-link/poll). Commands for it
+ * are queued here and handed out on the next poll; the agent posts each result back
+ * (POST /agent-link/result) which resolves the waiting send() promise.
+ */
+
+const crypto = require('crypto');
+
+const HEADER_AGENT_ID = 'X-WoL-Agent-Id';
+const POLL_HOLD_MS = 25 * 1000;
+const CONNECTED_WITHIN_MS = POLL_HOLD_MS + 15 * 1000;
+
+const links = new Map(); // agentId -> { waiting, queue, pending, lastSeenAt }
+
+function linkFor(agentId) {
+  let link = links.get(agentId);
+  if (!link) {
+    link = { waiting: null, queue: [], pending: new Map(), lastSeenAt: 0 };
+    links.set(agentId, link);
+  }
+  return link;
+}
+
+function flush(link) {
+  if (!link.waiting || link.queue.length === 0) return;
+  const { res, timer } = link.waiting;
+  clearTimeout(timer);
+  link.waiting = null;
+  res.json({ commands: link.queue.splice(0) });
+}
+
+// hold an agent's poll request until a command is queued or POLL_HOLD_MS passes
+function poll(agentId, res) {
+  const link = linkFor(agentId);
+  link.lastSeenAt = Date.now();
+
+  // a newer poll replaces a stale one (agent reconnected)
+  if (link.waiting) {
+    clearTimeout(link.waiting.timer);
+    link.waiting.res.json({ commands: [] });
+  }
+
+  const timer = setTimeout(() => {
+    if (link.waiting?.res === res) link.waiting = null;
+    res.json({ commands: [] });
+  }, POLL_HOLD_MS);
+  link.waiting = { res, timer };
+  // res 'close' = connection dropped before we answered (req 'close' fires once the body is read)
+  res.on('close', () => {
+    if (link.waiting?.res === res) {
+      clearTimeout(timer);
+      link.waiting = null;
+    }
+  });
+
+  flush(link);
+}
+
+function isConnected(agentId) {
+  const link = links.get(agentId);
+  return !!link && (link.waiting !== null || Date.now() - link.lastSeenAt < CONNECTED_WITHIN_MS);
+}
+
+function status(agentId) {
+  const link = links.get(agentId);
+  return {
+    connected: isConnected(agentId),
+    lastSeenAt: link?.lastSeenAt ? new Date(link.lastSeenAt).toISOString() : null,
+  };
+}
+
+/**
+ * queue a command (same path/body as the agent's HTTP API) and wait for its result
+ */
+function send(agentId, path, body, { timeoutMs = 30 * 1000 } = {}) {
+  if (!isConnected(agentId)) return Promise.reject(new Error('agent not connected'));
+
+  const link = linkFor(agentId);
+  const id = crypto.randomBytes(8).toString('hex');
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      link.pending.delete(id);
+      link.queue = link.queue.filter(c => c.id !== id);
+      reject(new Error('agent command timed out'));
+    }, timeoutMs);
+    link.pending.set(id, { resolve, reject, timer });
+    link.queue.push({ id, path, body });
+    flush(link);
+  });
+}
+
+// result posted back by the agent: { id, ok, result } or { id, ok: false, error, status }
+function complete(agentId, msg) {
+  const link = links.get(agentId);
+  const p = link?.pending.get(msg?.id);
+  if (!p) return false;
+  link.pending.delete(msg.id);
+  clearTimeout(p.timer);
+  if (msg.ok) {
+    p.resolve(msg.result);
+  } else {
+    const err = new Error(msg.error || 'agent command failed');
+    err.status = msg.status;
+    p.reject(err);
+  }
+  return true;
+}
+
+// agent deleted: fail everything in flight and close its poll
+function drop(agentId) {
+  const link = links.get(agentId);
+  if (!link) return;
+  links.delete(agentId);
+  if (link.waiting) {
+    clearTimeout(link.waiting.timer);
+    link.waiting.res.status(401).json({ error: 'agent removed' });
+  }
+  for (const p of link.pending.values()) {
+    clearTimeout(p.timer);
+    p.reject(new Error('agent removed'));
+  }
+}
+
+module.exports = {
+  HEADER_AGENT_ID,
+  poll,
+  send,
+  complete,
+  status,
+  drop,
+};
@@ -0,0 +1,120 @@
+'use strict';
+
+/**
+ * Background agent health monitor (controller)
+ * - checks every agent each intervalMs with check(agent) (GET /health, or over the reverse link)
+ * - keeps the current status and the last `historySize` checks per agent, in memory
+ * - normal traffic through an agent (wake, probe) is reported too, so a failure is noticed
+ *   before the next check; it changes the status but isn't added to the history
+ * - onChange(agent, up, error) on up <-> down (a first result only counts when it's down)
+ * - onUpdate(agent, summary) after every check and every status change (live UI updates)
+ */
+
+const RECENT = 20; // history entries included in summary()
+
+function createAgentMonitor({ listAgents, check, onChange, onUpdate, intervalMs = 30 * 1000, historySize = 60 }) {
+  const states = new Map(); // agentId -> { status, since, lastCheckAt, latencyMs, error, info, history }
+  let running = false;
+  let timer = null;
+
+  function stateFor(id) {
+    let s = states.get(id);
+    if (!s) {
+      s = { status: 'unknown', since: null, lastCheckAt: null, latencyMs: null, error: null, info: {}, history: [] };
+      states.set(id, s);
+    }
+    return s;
+  }
+
+  // result: { up, latencyMs?, error?, info? }; passive = seen in normal traffic
+  function report(agent, result, { passive = false } = {}) {
+    const s = stateFor(agent.id);
+    const at = new Date().toISOString();
+    const status = result.up ? 'up' : 'down';
+    const prev = s.status;
+
+    s.error = result.up ? null : result.error || 'unreachable';
+    if (!passive) {
+      s.lastCheckAt = at;
+      s.latencyMs = result.up ? result.latencyMs ?? null : null;
+      if (result.info) s.info = result.info;
+      s.history.push({ at, up: result.up, latencyMs: s.latencyMs, error: s.error });
+      if (s.history.length > historySize) s.history.splice(0, s.history.length - historySize);
+    }
+    if (prev !== status) {
+      s.status = status;
+      s.since = at;
+      if (prev !== 'unknown' || !result.up) notify(onChange, agent, result.up, s.error);
+    }
+    if (!passive || prev !== status) notify(onUpdate, agent, summary(agent.id));
+  }
+
+  function notify(fn, ...args) {
+    try {
+      fn?.(...args);
+    } catch (e) {
+      console.error('agent monitor: ' + e.message);
+    }
+  }
+
+  // check(agent) -> { latencyMs, info } / throws when unreachable / null to skip this round
+  async function checkOne(agent) {
+    try {
+      const r = await check(agent);
+      if (r) report(agent, { up: true, latencyMs: r.latencyMs, info: r.info });
+    } catch (e) {
+      report(agent, { up: false, error: e.message });
+    }
+  }
+
+  async function tick() {
+    if (running) return;
+    running = true;
+    try {
+      const agents = listAgents();
+      for (const id of states.keys()) {
+        if (!agents.some(a => a.id === id)) states.delete(id);
+      }
+      await Promise.all(agents.map(checkOne));
+    } catch (e) {
+      console.error('agent monitor: ' + e.message);
+    } finally {
+      running = false;
+    }
+  }
+
+  function status(id) {
+    return states.get(id)?.status || 'unknown';
+  }
+
+  // for /api/state: current status + the latest few checks
+  function summary(id) {
+    const { history, ...s } = stateFor(id);
+    return { ...s, recent: history.slice(-RECENT).map(h => ({ at: h.at, up: h.up, latencyMs: h.latencyMs })) };
+  }
+
+  function get(id) {
+    const s = stateFor(id);
+    return { ...s, history: [...s.history] };
+  }
+
+  return {
+    start() {
+      if (timer || !intervalMs) return;
+      timer = setInterval(tick, intervalMs);
+      timer.unref();
+      tick();
+    },
+    tick,
+    checkOne,
+    report,
+    status,
+    summary,
+    get,
+    forget: (id) => states.delete(id),
+  };
+}
+
+module.exports = {
+  createAgentMonitor,
+};
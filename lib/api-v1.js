@@ -0,0 +1,479 @@
+'use strict';
+
+/**
+ * Public REST API (/api/v1) for automation (Ansible, CI, chat bots)
+ * - every route is declared once ({ method, path, scope, docs, handler }); the express router
+ *   and the OpenAPI document are both built from that list, so the spec can't drift from the routes
+ *   (test/openapi.test.js checks both directions)
+ * - errors are always { error: { code, message, details? } } with a stable code from ERROR_CODES
+ * - who the caller is (API key or UI session) is decided by the `authenticate` callback
+ */
+
+const express = require('express');
+
+const { ConflictError } = require('./storage');
+const { hasScope } = require('./auth');
+
+// code -> HTTP status
+const ERROR_CODES = {
+  validation_error: 400,
+  invalid_json: 400,
+  unauthorized: 401,
+  invalid_api_key: 401,
+  forbidden: 403,
+  invalid_csrf_token: 403,
+  host_not_allowed: 403,
+  not_found: 404,
+  conflict: 409,
+  payload_too_large: 413,
+  rate_limited: 429,
+  internal_error: 500,
+  wake_failed: 502,
+  power_failed: 502,
+};
+
+const STATUS_TEXT = {
+  400: 'Invalid request',
+  401: 'Missing or invalid credentials',
+  403: 'Not allowed for this key / user',
+  404: 'Not found',
+  409: 'Conflict (duplicate or concurrent change)',
+  429: 'Rate limited',
+  502: 'Could not reach the host (every wake route failed, or its endpoint)',
+};
+
+class ApiError extends Error {
+  constructor(code, message, details) {
+    super(message);
+    this.name = 'ApiError';
+    this.code = code;
+    this.status = ERROR_CODES[code];
+    this.details = details;
+  }
+}
+
+// any error -> { status, body }; store conflicts become 409 conflict, unknown errors 500
+function errorBody(e) {
+  let err = e;
+  if (!(err instanceof ApiError)) {
+    if (e instanceof ConflictError) err = new ApiError('conflict', e.message);
+    else if (e.type === 'entity.parse.failed') err = new ApiError('invalid_json', 'request body is not valid JSON');
+    else if (e.type === 'entity.too.large') err = new ApiError('payload_too_large', 'request body too large');
+    else err = new ApiError('internal_error', e.message);
+  }
+  const body = { error: { code: err.code, message: err.message } };
+  if (err.details !== undefined) body.error.details = err.details;
+  return { status: err.status, body };
+}
+
+function sendApiError(res, e) {
+  const { status, body } = errorBody(e);
+  res.status(status).json(body);
+}
+
+// ----- OpenAPI components -----
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+// OpenAPI 3.0 ignores siblings of $ref, so a nullable reference goes through allOf
+const nullable = (schema) => (schema.$ref ? { allOf: [schema], nullable: true } : { ...schema, nullable: true });
+
+const WAKE_OPTION_PROPS = {
+  transport: { type: 'string', enum: ['udp4', 'udp6', 'ethernet'] },
+  address: nullable({ type: 'string', description: 'broadcast / multicast address' }),
+  port: { type: 'integer', minimum: 1, maximum: 65535 },
+  interface: nullable({ type: 'string' }),
+  repeat: { type: 'integer', minimum: 1, maximum: 10 },
+  intervalMs: { type: 'integer', minimum: 0, maximum: 1000 },
+};
+
+const SCHEMAS = {
+  Error: {
+    type: 'object',
+    required: ['error'],
+    properties: {
+      error: {
+        type: 'object',
+        required: ['code', 'message'],
+        properties: {
+          code: { type: 'string', enum: Object.keys(ERROR_CODES) },
+          message: { type: 'string' },
+          details: { description: 'extra data for some codes (e.g. wake attempts; reason: the specific error code)' },
+        },
+      },
+    },
+  },
+  Route: {
+    type: 'object',
+    required: ['type'],
+    properties: {
+      type: { type: 'string', enum: ['local', 'agent'] },
+      agentId: { type: 'string' },
+    },
+  },
+  WakeOptions: {
+    type: 'object',
+    properties: {
+      ...WAKE_OPTION_PROPS,
+      password: nullable({ type: 'string', description: 'SecureOn password (00:11:22:33:44:55)', writeOnly: true }),
+    },
+  },
+  WakeRequest: {
+    type: 'object',
+    properties: {
+      wakeOptions: ref('WakeOptions'),
+      force: { type: 'boolean', description: 'also try routes whose agent the health monitor reports down' },
+    },
+  },
+  PublicWakeOptions: {
+    type: 'object',
+    properties: { ...WAKE_OPTION_PROPS, secureOn: { type: 'boolean' } },
+  },
+  WakeJob: {
+    type: 'object',
+    properties: {
+      id: { type: 'string' },
+      hostId: { type: 'string' },
+      state: { type: 'string', enum: ['sent', 'waiting', 'online', 'timeout', 'cancelled'] },
+      via: { type: 'string', enum: ['local', 'agent'] },
+      agentId: nullable({ type: 'string' }),
+      sentAt: { type: 'string', format: 'date-time' },
+    },
+  },
+  Host: {
+    type: 'object',
+    properties: {
+      id: { type: 'string' },
+      name: { type: 'string' },
+      mac: { type: 'string' },
+      routes: { type: 'array', items: ref('Route') },
+      ip: nullable({ type: 'string' }),
+      probe: nullable({ type: 'string', enum: ['icmp', 'tcp'] }),
+      probePort: nullable({ type: 'integer' }),
+      wakeOptions: ref('PublicWakeOptions'),
+      wake: nullable(ref('WakeJob')),
+      endpoint: nullable({ type: 'object', properties: { url: { type: 'string' } }, description: 'MODE=endpoint on the host (power actions)' }),
+      power: nullable(ref('PowerState')),
+    },
+  },
+  PowerState: {
+    type: 'object',
+    description: 'last known power state',
+    properties: {
+      state: { type: 'string', enum: ['on', 'off', 'suspended'] },
+      by: { type: 'string', enum: ['wake', 'shutdown', 'suspend', 'reboot'] },
+      at: { type: 'string', format: 'date-time' },
+    },
+  },
+  EndpointInput: {
+    type: 'object',
+    required: ['url'],
+    properties: {
+      url: { type: 'string', example: 'http://192.168.10.50:3002' },
+      token: { type: 'string', description: 'ENDPOINT_TOKEN of the host (kept when omitted)', writeOnly: true },
+    },
+  },
+  PowerRequest: {
+    type: 'object',
+    required: ['action'],
+    properties: {
+      action: { type: 'string', enum: ['shutdown', 'suspend', 'reboot'] },
+      dryRun: { type: 'boolean', description: 'the endpoint checks and logs the command but does not run it' },
+    },
+  },
+  PowerResult: {
+    type: 'object',
+    properties: {
+      ok: { type: 'boolean' },
+      hostId: { type: 'string' },
+      action: { type: 'string' },
+      dryRun: { type: 'boolean' },
+      command: { type: 'string', description: 'what the endpoint runs' },
+    },
+  },
+  GroupPowerResult: {
+    type: 'object',
+    properties: {
+      ok: { type: 'boolean' },
+      groupId: { type: 'string' },
+      action: { type: 'string' },
+      dryRun: { type: 'boolean' },
+      total: { type: 'integer' },
+      failed: { type: 'integer' },
+      results: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            hostId: { type: 'string' },
+            ok: { type: 'boolean' },
+            error: { type: 'string' },
+            code: { type: 'string', description: 'specific error code (e.g. host_no_endpoint)' },
+          },
+        },
+      },
+    },
+  },
+  HostInput: {
+    type: 'object',
+    properties: {
+      name: { type: 'string' },
+      mac: { type: 'string', example: '00:11:22:33:44:55' },
+      routes: {
+        type: 'array',
+        description: "tried in order; 'local', an agent id or a Route object",
+        items: { oneOf: [{ type: 'string' }, ref('Route')] },
+      },
+      ip: nullable({ type: 'string' }),
+      probe: nullable({ type: 'string', enum: ['icmp', 'tcp'] }),
+      probePort: nullable({ type: 'integer' }),
+      wakeOptions: nullable(ref('WakeOptions')),
+      endpoint: nullable(ref('EndpointInput')),
+    },
+  },
+  Agent: {
+    type: 'object',
+    properties: {
+      id: { type: 'string' },
+      name: { type: 'string' },
+      mode: { type: 'string', enum: ['inbound', 'reverse'] },
+      url: nullable({ type: 'string' }),
+      link: nullable({ type: 'object', description: 'reverse agents: connection status' }),
+      health: ref('AgentHealth'),
+    },
+  },
+  AgentInput: {
+    type: 'object',
+    properties: {
+      name: { type: 'string' },
+      url: { type: 'string', example: 'http://10.0.10.5:3001' },
+      token: { type: 'string', writeOnly: true },
+    },
+  },
+  AgentCheck: {
+    type: 'object',
+    properties: {
+      reachable: { type: 'boolean' },
+      latencyMs: { type: 'integer' },
+      response: { type: 'object', description: "the agent's /health answer" },
+      error: { type: 'string' },
+    },
+  },
+  AgentDeleted: {
+    type: 'object',
+    properties: {
+      affectedHosts: { type: 'array', items: { type: 'string' } },
+      unroutableHosts: { type: 'array', items: { type: 'string' }, description: 'hosts left without any route' },
+    },
+  },
+  AgentHealth: {
+    type: 'object',
+    properties: {
+      status: { type: 'string', enum: ['unknown', 'up', 'down'] },
+      since: nullable({ type: 'string', format: 'date-time' }),
+      lastCheckAt: nullable({ type: 'string', format: 'date-time' }),
+      latencyMs: nullable({ type: 'integer' }),
+      error: nullable({ type: 'string' }),
+      info: {
+        type: 'object',
+        properties: {
+          version: nullable({ type: 'string' }),
+          uptimeSec: nullable({ type: 'integer' }),
+          interfaces: nullable({ type: 'array', items: { type: 'object' } }),
+        },
+      },
+      recent: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: { at: { type: 'string', format: 'date-time' }, up: { type: 'boolean' }, latencyMs: nullable({ type: 'integer' }) },
+        },
+      },
+    },
+  },
+  Group: {
+    type: 'object',
+    properties: {
+      id: { type: 'string' },
+      name: { type: 'string' },
+      hostIds: { type: 'array', items: { type: 'string' } },
+      delayMs: { type: 'integer' },
+    },
+  },
+  WakeAttempt: {
+    type: 'object',
+    properties: {
+      route: { type: 'string' },
+      attempt: { type: 'integer', description: '0 when skipped' },
+      ok: { type: 'boolean' },
+      skipped: { type: 'boolean', description: 'agent known to be down' },
+      error: { type: 'string' },
+      ms: { type: 'integer' },
+    },
+  },
+  WakeResult: {
+    type: 'object',
+    properties: {
+      ok: { type: 'boolean' },
+      hostId: { type: 'string' },
+      route: { type: 'string', description: "'local' or the agent id that sent the packet" },
+      attempts: { type: 'array', items: ref('WakeAttempt') },
+      job: nullable(ref('WakeJob')),
+    },
+  },
+  GroupWakeResult: {
+    type: 'object',
+    properties: {
+      ok: { type: 'boolean' },
+      groupId: { type: 'string' },
+      delayMs: { type: 'integer' },
+      total: { type: 'integer' },
+      failed: { type: 'integer' },
+      results: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            hostId: { type: 'string' },
+            ok: { type: 'boolean' },
+            route: { type: 'string' },
+            error: { type: 'string' },
+            job: nullable(ref('WakeJob')),
+          },
+        },
+      },
+    },
+  },
+  ApiKey: {
+    type: 'object',
+    properties: {
+      id: { type: 'string' },
+      name: { type: 'string' },
+      scopes: { type: 'array', items: { type: 'string', enum: ['read', 'wake', 'power', 'admin'] } },
+      hostIds: nullable({ type: 'array', items: { type: 'string' }, description: 'null: every host' }),
+      createdAt: { type: 'string', format: 'date-time' },
+      createdBy: { type: 'string' },
+    },
+  },
+  ApiKeyInput: {
+    type: 'object',
+    required: ['name', 'scopes'],
+    properties: {
+      name: { type: 'string' },
+      scopes: { type: 'array', items: { type: 'string', enum: ['read', 'wake', 'power', 'admin'] } },
+      hostIds: nullable({ type: 'array', items: { type: 'string' }, description: 'restrict read / wake to these hosts' }),
+    },
+  },
+  ApiKeyCreated: {
+    allOf: [ref('ApiKey'), {
+      type: 'object',
+      properties: { token: { type: 'string', description: 'shown only once' } },
+    }],
+  },
+};
+
+const objectOf = (key, schema) => ({ type: 'object', properties: { [key]: schema } });
+const listOf = (key, name) => objectOf(key, { type: 'array', items: ref(name) });
+
+// '/hosts/{hostId}' -> '/hosts/:hostId'
+function expressPath(p) {
+  return p.replace(/\{(\w+)\}/g, ':$1');
+}
+
+function operation(def) {
+  const scopes = [].concat(def.scope || []);
+  const op = {
+    operationId: def.operationId,
+    summary: def.summary,
+    tags: [def.tag],
+    security: scopes.length ? [{ apiKey: [] }, { session: [] }] : [],
+    parameters: [
+      ...[...def.path.matchAll(/\{(\w+)\}/g)].map(m => ({ name: m[1], in: 'path', required: true, schema: { type: 'string' } })),
+      ...(def.query || []),
+    ],
+    responses: {},
+  };
+  if (scopes.length) op['x-scopes'] = scopes;
+  if (def.body) op.requestBody = { required: !!def.bodyRequired, content: { 'application/json': { schema: def.body } } };
+
+  const status = def.status || 200;
+  op.responses[status] = def.response
+    ? { description: def.responseText || 'OK', content: { 'application/json': { schema: def.response } } }
+    : { description: def.responseText || 'OK' };
+  const errors = [...(def.body ? [400] : []), ...(scopes.length ? [401, 403] : []), ...(def.errors || []), 429];
+  for (const code of [...new Set(errors)].sort()) {
+    op.responses[code] = { description: STATUS_TEXT[code], content: { 'application/json': { schema: ref('Error') } } };
+  }
+  return op;
+}
+
+/**
+ * authenticate(req) -> { scopes: [...], hostIds: [...] | null }, or throws ApiError
+ * -> { route(def), router, spec(), notFound, errorHandler }
+ */
+function createApi({ title, version, authenticate }) {
+  const router = express.Router();
+  const routes = [];
+
+  // scope: required scope, or a list (any of them); none = public
+  const authorize = (scope) => (req, res, next) => {
+    const scopes = [].concat(scope || []);
+    if (!scopes.length) return next();
+    try {
+      req.api = authenticate(req);
+      if (!scopes.some(s => hasScope(req.api.scopes, s))) {
+        throw new ApiError('forbidden', `requires scope: ${scopes.join(' or ')}`);
+      }
+      next();
+    } catch (e) {
+      sendApiError(res, e);
+    }
+  };
+
+  function route(def) {
+    routes.push(def);
+    router[def.method](expressPath(def.path), authorize(def.scope), async (req, res) => {
+      try {
+        await def.handler(req, res);
+      } catch (e) {
+        sendApiError(res, e);
+      }
+    });
+  }
+
+  function spec() {
+    const paths = {};
+    for (const def of routes) {
+      paths[def.path] ||= {};
+      paths[def.path][def.method] = operation(def);
+    }
+    return {
+      openapi: '3.0.3',
+      info: { title, version },
+      servers: [{ url: '/api/v1' }],
+      components: {
+        securitySchemes: {
+          apiKey: { type: 'http', scheme: 'bearer', description: 'API key: Authorization: Bearer wol_key_...' },
+          session: { type: 'apiKey', in: 'cookie', name: 'wol_sid', description: 'UI session (state-changing requests also need X-CSRF-Token)' },
+        },
+        schemas: SCHEMAS,
+      },
+      paths,
+    };
+  }
+
+  // mounted after the router: unknown /api/v1 routes, and errors raised before it (body parsing)
+  const notFound = (req, res) => sendApiError(res, new ApiError('not_found', `no route ${req.method} ${req.originalUrl.split('?')[0]}`));
+  const errorHandler = (err, req, res, next) => sendApiError(res, err);
+
+  return { route, router, spec, notFound, errorHandler };
+}
+
+module.exports = {
+  ERROR_CODES,
+  ApiError,
+  errorBody,
+  sendApiError,
+  ref,
+  objectOf,
+  listOf,
+  createApi,
+};
@@ -0,0 +1,119 @@
+'use strict';
+
+/**
+ * Append-only audit log (JSON lines)
+ * - one entry per line: { ts, action, actor, ip, target, route, outcome, error, detail }
+ * - size-based rotation: audit.log -> audit.log.1 -> ... -> audit.log.<maxFiles>
+ * - query() reads the current file and rotated ones backwards (newest first), a chunk at a time,
+ *   and stops once the requested page is complete, so it doesn't block the event loop on a big log
+ */
+
+const fs = require('fs');
+
+const READ_CHUNK_BYTES = 64 * 1024;
+const NEWLINE = 0x0a;
+
+// lines of a file, last line first (a missing file has none); splitting on the newline byte is
+// safe for UTF-8 since it never appears inside a multi-byte character
+async function* linesNewestFirst(file) {
+  let handle;
+  try {
+    handle = await fs.promises.open(file, 'r');
+  } catch {
+    return;
+  }
+  try {
+    let pos = (await handle.stat()).size;
+    let rest = Buffer.alloc(0); // start of a line whose beginning is in the next chunk back
+    while (pos > 0) {
+      const size = Math.min(READ_CHUNK_BYTES, pos);
+      pos -= size;
+      const chunk = Buffer.alloc(size);
+      await handle.read(chunk, 0, size, pos);
+      let buf = Buffer.concat([chunk, rest]);
+      let nl;
+      while ((nl = buf.lastIndexOf(NEWLINE)) >= 0) {
+        const line = buf.subarray(nl + 1);
+        if (line.length) yield line.toString('utf8');
+        buf = buf.subarray(0, nl);
+      }
+      rest = buf;
+    }
+    if (rest.length) yield rest.toString('utf8');
+  } finally {
+    await handle.close();
+  }
+}
+
+function createAuditLog({ filePath, maxBytes = 5 * 1024 * 1024, maxFiles = 5 }) {
+  function rotateIfNeeded() {
+    let size = 0;
+    try {
+      size = fs.statSync(filePath).size;
+    } catch {
+      return;
+    }
+    if (size < maxBytes) return;
+
+    for (let i = maxFiles; i >= 1; i--) {
+      const src = i === 1 ? filePath : `${filePath}.${i - 1}`;
+      const dst = `${filePath}.${i}`;
+      if (fs.existsSync(src)) fs.renameSync(src, dst);
+    }
+  }
+
+  // never throws: a broken log must not break a wake
+  function record(entry) {
+    const line = JSON.stringify({ ts: new Date().toISOString(), ...entry }) + '\n';
+    try {
+      rotateIfNeeded();
+      fs.appendFileSync(filePath, line);
+    } catch (e) {
+      console.error('audit: ' + e.message);
+    }
+  }
+
+  function matches(e, f) {
+    if (f.action && e.action !== f.action && !e.action.startsWith(f.action + '.')) return false;
+    if (f.outcome && e.outcome !== f.outcome) return false;
+    if (f.targetId && e.target?.id !== f.targetId) return false;
+    if (f.actor && e.actor?.name !== f.actor && e.actor?.id !== f.actor) return false;
+    if (f.route && e.route !== f.route) return false;
+    if (f.from && e.ts < f.from) return false;
+    if (f.to && e.ts > f.to) return false;
+    if (f.q) {
+      const hay = `${e.target?.name || ''} ${e.target?.id || ''} ${e.actor?.name || ''} ${e.ip || ''}`.toLowerCase();
+      if (!hay.includes(f.q.toLowerCase())) return false;
+    }
+    return true;
+  }
+
+  /**
+   * filters: action (prefix match on dotted names), outcome, targetId, actor, route, from/to (ISO), q
+   * -> { entries, more } newest first; `more` when there are matching entries after this page
+   */
+  async function query(filters = {}, { limit = 50, offset = 0 } = {}) {
+    const files = [filePath];
+    for (let i = 1; i <= maxFiles; i++) files.push(`${filePath}.${i}`);
+
+    const want = offset + limit + 1; // one past the page tells whether there is more
+    const found = [];
+    for (const file of files) {
+      for await (const line of linesNewestFirst(file)) {
+        let e;
+        try { e = JSON.parse(line); } catch { continue; } // torn line
+        if (!matches(e, filters)) continue;
+        found.push(e);
+        if (found.length >= want) break;
+      }
+      if (found.length >= want) break;
+    }
+    return { entries: found.slice(offset, offset + limit), more: found.length > offset + limit };
+  }
+
+  return { record, query };
+}
+
+module.exports = {
+  createAuditLog,
+};
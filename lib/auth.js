@@ -0,0 +1,234 @@
+'use strict';
+
+/**
+ * Controller authentication
+ * - password hashing (scrypt)
+ * - in-memory cookie sessions with per-session CSRF token
+ * - role check middleware (viewer < operator < admin)
+ * - API keys for the public API: scoped (read / wake / power / admin), only a hash of the secret is stored
+ */
+
+const crypto = require('crypto');
+
+const { fail } = require('./errors');
+
+const ROLES = ['viewer', 'operator', 'admin'];
+const SESSION_COOKIE = 'wol_sid';
+const DEFAULT_SESSION_TTL_MS = 12 * 60 * 60 * 1000;
+
+function isRole(role) {
+  return ROLES.includes(role);
+}
+
+function roleAtLeast(role, required) {
+  return ROLES.indexOf(role) >= ROLES.indexOf(required);
+}
+
+// ----- passwords -----
+// format: scrypt$<salt hex>$<hash hex>
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = crypto.scryptSync(String(password), salt, 64);
+  return `scrypt$${salt.toString('hex')}$${hash.toString('hex')}`;
+}
+
+function verifyPassword(password, stored) {
+  const [algo, saltHex, hashHex] = String(stored || '').split('$');
+  if (algo !== 'scrypt' || !saltHex || !hashHex) return false;
+  const expected = Buffer.from(hashHex, 'hex');
+  const actual = crypto.scryptSync(String(password), Buffer.from(saltHex, 'hex'), expected.length);
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+// ----- sessions -----
+// read when used: the config file's `env` is applied after this module is loaded
+function sessionTtlMs() {
+  return Number(process.env.SESSION_TTL_MS || DEFAULT_SESSION_TTL_MS);
+}
+
+const sessions = new Map(); // sid -> { userId, csrfToken, expiresAt }
+
+function createSession(userId) {
+  const sid = crypto.randomBytes(32).toString('hex');
+  const session = {
+    userId,
+    csrfToken: crypto.randomBytes(32).toString('hex'),
+    expiresAt: Date.now() + sessionTtlMs(),
+  };
+  sessions.set(sid, session);
+  return { sid, session };
+}
+
+function destroySession(sid) {
+  sessions.delete(sid);
+}
+
+// drop every session of a user (deleted user / password changed)
+function destroyUserSessions(userId) {
+  for (const [sid, s] of sessions) {
+    if (s.userId === userId) sessions.delete(sid);
+  }
+}
+
+function getSession(sid) {
+  const s = sid ? sessions.get(sid) : null;
+  if (!s) return null;
+  if (s.expiresAt < Date.now()) {
+    sessions.delete(sid);
+    return null;
+  }
+  return s;
+}
+
+// still logged in (long-lived requests re-check this)
+function sessionActive(sid) {
+  return !!getSession(sid);
+}
+
+setInterval(() => {
+  const now = Date.now();
+  for (const [sid, s] of sessions) {
+    if (s.expiresAt < now) sessions.delete(sid);
+  }
+}, 10 * 60 * 1000).unref();
+
+function parseCookies(header) {
+  const out = {};
+  String(header || '').split(';').forEach(part => {
+    const i = part.indexOf('=');
+    if (i < 0) return;
+    const k = part.slice(0, i).trim();
+    if (!k) return;
+    // another app on the same host may set a cookie that isn't valid percent-encoding: keep it raw
+    const v = part.slice(i + 1).trim();
+    try {
+      out[k] = decodeURIComponent(v);
+    } catch {
+      out[k] = v;
+    }
+  });
+  return out;
+}
+
+function setSessionCookie(req, res, sid) {
+  const attrs = [`${SESSION_COOKIE}=${sid}`, 'Path=/', 'HttpOnly', 'SameSite=Strict', `Max-Age=${Math.floor(sessionTtlMs() / 1000)}`];
+  if (req.secure) attrs.push('Secure');
+  res.setHeader('Set-Cookie', attrs.join('; '));
+}
+
+function clearSessionCookie(res) {
+  res.setHeader('Set-Cookie', `${SESSION_COOKIE}=; Path=/; HttpOnly; SameSite=Strict; Max-Age=0`);
+}
+
+// ----- middleware -----
+
+// attach req.sid / req.session / req.user (user is re-read from the store every request
+// so role changes and deletions take effect immediately)
+function sessionMiddleware(findUser) {
+  return (req, res, next) => {
+    const sid = parseCookies(req.headers.cookie)[SESSION_COOKIE];
+    const session = getSession(sid);
+    if (session) {
+      try {
+        const user = findUser(session.userId);
+        if (user) {
+          req.sid = sid;
+          req.session = session;
+          req.user = user;
+        } else {
+          destroySession(sid);
+        }
+      } catch (e) {
+        return next(e);
+      }
+    }
+    next();
+  };
+}
+
+// state-changing requests must echo the session's CSRF token in X-CSRF-Token
+function csrfValid(req) {
+  if (['GET', 'HEAD', 'OPTIONS'].includes(req.method)) return true;
+  if (!req.session) return true; // unauthenticated: requireRole answers 401
+  const token = req.get('X-CSRF-Token') || '';
+  const expected = req.session.csrfToken;
+  return token.length === expected.length && crypto.timingSafeEqual(Buffer.from(token), Buffer.from(expected));
+}
+
+function csrfProtection(req, res, next) {
+  if (!csrfValid(req)) return res.status(403).json(fail('invalid_csrf_token'));
+  next();
+}
+
+function requireRole(role) {
+  return (req, res, next) => {
+    if (!req.user) return res.status(401).json(fail('login_required'));
+    if (!roleAtLeast(req.user.role, role)) return res.status(403).json(fail('forbidden'));
+    next();
+  };
+}
+
+// ----- API keys -----
+// token: wol_<key id>_<secret>; the secret is 32 random bytes, so a plain SHA-256 is enough
+const API_SCOPES = ['read', 'wake', 'power', 'admin'];
+const API_KEY_RE = /^wol_(key_[0-9a-f]{12})_([A-Za-z0-9_-]{43})$/;
+
+function hashApiSecret(secret) {
+  return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+// -> { token (shown once), secretHash (stored) }
+function createApiKeyToken(id) {
+  const secret = crypto.randomBytes(32).toString('base64url');
+  return { token: `wol_${id}_${secret}`, secretHash: hashApiSecret(secret) };
+}
+
+// stored key matching `token`, or null
+function verifyApiKey(keys, token) {
+  const m = API_KEY_RE.exec(String(token || ''));
+  const key = m && keys.find(k => k.id === m[1]);
+  if (!key) return null;
+  const actual = Buffer.from(hashApiSecret(m[2]), 'hex');
+  const expected = Buffer.from(key.secretHash, 'hex');
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected) ? key : null;
+}
+
+// Authorization: Bearer <token> -> token, or null without the header
+function bearerToken(req) {
+  const m = /^Bearer\s+(\S+)$/i.exec(req.get('Authorization') || '');
+  return m ? m[1] : null;
+}
+
+// what a UI session may do on the public API
+function roleScopes(role) {
+  return { viewer: ['read'], operator: ['read', 'wake', 'power'], admin: ['admin'] }[role] || [];
+}
+
+// admin covers every scope
+function hasScope(scopes, required) {
+  return scopes.includes('admin') || scopes.includes(required);
+}
+
+module.exports = {
+  ROLES,
+  isRole,
+  roleAtLeast,
+  hashPassword,
+  verifyPassword,
+  createSession,
+  destroySession,
+  destroyUserSessions,
+  sessionActive,
+  setSessionCookie,
+  clearSessionCookie,
+  sessionMiddleware,
+  csrfValid,
+  csrfProtection,
+  requireRole,
+  API_SCOPES,
+  createApiKeyToken,
+  verifyApiKey,
+  bearerToken,
+  roleScopes,
+  hasScope,
+};
@@ -0,0 +1,588 @@
+'use strict';
+
+/**
+ * Command-line client (bin/wol.js)
+ * - talks to the controller's public API (/api/v1) with an API key: hosts / agents CRUD,
+ *   wake by host name / MAC / group, agent health
+ * - `wol wake --local <mac>` sends the magic packet from this machine, no controller needed
+ * - settings: --server / --api-key, then WOL_URL / WOL_API_KEY, then the config file
+ *   (WOL_CLI_CONFIG, else ~/.config/wol/cli.yaml / cli.yml / cli.json)
+ * - tables by default, --json prints the API's JSON; the exit code tells what went wrong (EXIT)
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const magicPacket = require('./magic-packet');
+const tlsSupport = require('./tls');
+
+const EXIT = {
+  ok: 0,
+  failed: 1, // the operation ran and failed (wake / agent unreachable / server error)
+  usage: 2,
+  notFound: 3,
+  auth: 4, // invalid API key or missing scope
+  unreachable: 5, // controller not reachable / not configured
+  notOnline: 6, // wake --wait: sent, but the host didn't come up
+};
+
+const CONFIG_NAMES = ['cli.yaml', 'cli.yml', 'cli.json'];
+const CONFIG_KEYS = ['url', 'apiKey', 'ca', 'cert', 'key'];
+const REQUEST_TIMEOUT_MS = 30 * 1000;
+const WAIT_POLL_MS = 2000;
+const TERMINAL_STATES = ['online', 'timeout', 'cancelled'];
+
+const USAGE = `usage: wol <command> [options]
+
+  hosts [list]                      list hosts
+  hosts show <host>                 one host (name, id or MAC)
+  hosts add --name N --mac M [--route local|<agent> ...] [--ip IP] [--probe icmp|tcp] [--probe-port N]
+  hosts edit <host> [--name N] [--mac M] [--route ...] [--ip IP|''] [--probe ...] [--probe-port N]
+  hosts rm <host>
+  agents [list]                     list agents with their monitor status
+  agents add --name N --url URL --token T
+  agents edit <agent> [--name N] [--url URL] [--token T]
+  agents rm <agent>
+  agents health [<agent>]           check now (every agent when none is given)
+  groups [list]
+  wake <host|mac|group> [--host|--group] [--force] [--repeat N] [--wait] [--delay-ms N]
+  wake --local <mac> [--transport udp4|udp6|ethernet] [--address A] [--port N]
+                     [--interface IF] [--password P] [--repeat N] [--interval-ms N]
+
+options: --server URL  --api-key KEY  --config FILE  --json  --help
+
+exit codes: 0 ok, 1 failed, 2 usage, 3 not found, 4 auth (API key / scope),
+            5 controller unreachable, 6 wake --wait: host not online`;
+
+class CliError extends Error {
+  constructor(message, exitCode = EXIT.failed) {
+    super(message);
+    this.exitCode = exitCode;
+  }
+}
+
+const usageError = (message) => new CliError(`${message}\n(wol --help for usage)`, EXIT.usage);
+
+// ----- arguments -----
+
+// types: boolean | string | list (repeatable); --name=value and --name value both work
+const OPTIONS = {
+  server: 'string', 'api-key': 'string', config: 'string', json: 'boolean', help: 'boolean',
+  name: 'string', url: 'string', mac: 'string', route: 'list', ip: 'string', probe: 'string', 'probe-port': 'string',
+  token: 'string',
+  host: 'boolean', group: 'boolean', force: 'boolean', wait: 'boolean', local: 'boolean', 'delay-ms': 'string',
+  transport: 'string', address: 'string', port: 'string', interface: 'string', password: 'string',
+  repeat: 'string', 'interval-ms': 'string',
+};
+
+function parseArgs(argv) {
+  const args = [];
+  const opts = {};
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (a === '-h') {
+      opts.help = true;
+      continue;
+    }
+    if (!a.startsWith('--')) {
+      args.push(a);
+      continue;
+    }
+    const eq = a.indexOf('=');
+    const name = eq < 0 ? a.slice(2) : a.slice(2, eq);
+    const type = OPTIONS[name];
+    if (!type) throw usageError(`unknown option --${name}`);
+    if (type === 'boolean') {
+      if (eq >= 0) throw usageError(`--${name} takes no value`);
+      opts[name] = true;
+      continue;
+    }
+    let value = eq < 0 ? argv[++i] : a.slice(eq + 1);
+    if (value === undefined) throw usageError(`--${name} needs a value`);
+    if (type === 'list') (opts[name] ||= []).push(value);
+    else opts[name] = value;
+  }
+  return { args, opts };
+}
+
+function intOption(opts, name) {
+  if (opts[name] === undefined) return undefined;
+  const n = Number(opts[name]);
+  if (!Number.isInteger(n)) throw usageError(`--${name} must be an integer`);
+  return n;
+}
+
+// ----- settings -----
+
+function configFile(opts, env) {
+  if (opts.config) return path.resolve(opts.config);
+  if (env.WOL_CLI_CONFIG) return path.resolve(env.WOL_CLI_CONFIG);
+  const dir = path.join(env.XDG_CONFIG_HOME || path.join(os.homedir(), '.config'), 'wol');
+  return CONFIG_NAMES.map(name => path.join(dir, name)).find(p => fs.existsSync(p)) || null;
+}
+
+// -> { url, apiKey, ca, cert, key }
+function loadSettings(opts, env = process.env) {
+  const file = configFile(opts, env);
+  let raw = {};
+  if (file) {
+    try {
+      const text = fs.readFileSync(file, 'utf8');
+      raw = (/\.ya?ml$/i.test(file) ? require('yaml').parse(text) : JSON.parse(text)) ?? {};
+    } catch (e) {
+      throw new CliError(`${file}: ${e.message}`, EXIT.usage);
+    }
+    if (typeof raw !== 'object' || Array.isArray(raw)) throw new CliError(`${file}: must be an object`, EXIT.usage);
+    const unknown = Object.keys(raw).filter(k => !CONFIG_KEYS.includes(k));
+    if (unknown.length) throw new CliError(`${file}: unknown key ${unknown.join(', ')}`, EXIT.usage);
+  }
+  const base = file ? path.dirname(file) : process.cwd();
+  const filePath = (p) => (p ? path.resolve(base, String(p)) : null);
+  return {
+    url: String(opts.server || env.WOL_URL || raw.url || '').replace(/\/+$/, ''),
+    apiKey: String(opts['api-key'] || env.WOL_API_KEY || raw.apiKey || ''),
+    ca: filePath(raw.ca),
+    cert: filePath(raw.cert),
+    key: filePath(raw.key),
+  };
+}
+
+// ----- API client -----
+
+function createApiClient(settings) {
+  if (!settings.url) throw new CliError('controller URL not set (--server, WOL_URL or url in the config file)', EXIT.unreachable);
+  if (!settings.apiKey) throw new CliError('API key not set (--api-key, WOL_API_KEY or apiKey in the config file)', EXIT.auth);
+  const { ca, cert, key } = settings;
+  let request;
+  try {
+    request = tlsSupport.createClient(ca || cert ? { ca, cert, key } : null, { watch: false });
+  } catch (e) {
+    throw new CliError(`TLS files: ${e.message}`, EXIT.usage);
+  }
+
+  return async function api(method, pathname, body) {
+    const headers = { Authorization: `Bearer ${settings.apiKey}` };
+    if (body !== undefined) headers['Content-Type'] = 'application/json';
+    let res;
+    try {
+      res = await request(`${settings.url}/api/v1${pathname}`, {
+        method,
+        headers,
+        body: body === undefined ? undefined : JSON.stringify(body),
+        signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+      });
+    } catch (e) {
+      throw new CliError(`cannot reach ${settings.url}: ${e.cause?.message || e.message}`, EXIT.unreachable);
+    }
+    if (res.status === 204) return null;
+    const text = await res.text();
+    let data;
+    try { data = JSON.parse(text); } catch { data = null; }
+    if (!res.ok) throw apiError(res.status, data);
+    if (data === null) throw new CliError(`unexpected response from ${settings.url} (not JSON)`, EXIT.unreachable);
+    return data;
+  };
+}
+
+// /api/v1 error body { error: { code, message, details } } -> CliError with an exit code
+function apiError(status, data) {
+  const e = data?.error || {};
+  const message = e.message || `HTTP ${status}`;
+  const exitCode = status === 401 || status === 403 ? EXIT.auth
+    : status === 404 ? EXIT.notFound
+      : status === 400 || status === 409 ? EXIT.usage
+        : EXIT.failed;
+  return Object.assign(new CliError(e.code ? `${message} (${e.code})` : message, exitCode), { body: data });
+}
+
+// ----- lookups (by id, name or MAC) -----
+
+const normalizeMac = (s) => String(s).trim().replace(/-/g, ':').toLowerCase();
+const isMac = (s) => /^([0-9A-Fa-f]{2}([-:])){5}[0-9A-Fa-f]{2}$/.test(String(s).trim());
+
+function matchOne(list, ref, kind, fields) {
+  const byId = list.find(x => x.id === ref);
+  if (byId) return byId;
+  const lower = String(ref).toLowerCase();
+  const hits = list.filter(x => fields.some(f => (f === 'mac' ? isMac(ref) && x.mac === normalizeMac(ref) : String(x[f]).toLowerCase() === lower)));
+  if (hits.length > 1) throw new CliError(`${kind} "${ref}" is ambiguous (${hits.map(x => x.id).join(', ')}); use the id`, EXIT.usage);
+  return hits[0] || null;
+}
+
+async function findHost(api, ref) {
+  const { hosts } = await api('GET', '/hosts');
+  const host = matchOne(hosts, ref, 'host', ['name', 'mac']);
+  if (!host) throw new CliError(`host not found: ${ref}`, EXIT.notFound);
+  return host;
+}
+
+async function findAgent(api, ref) {
+  const { agents } = await api('GET', '/agents');
+  const agent = matchOne(agents, ref, 'agent', ['name']);
+  if (!agent) throw new CliError(`agent not found: ${ref}`, EXIT.notFound);
+  return agent;
+}
+
+// --route values: 'local' or an agent name / id -> API routes ('local' or agent ids)
+async function resolveRoutes(api, refs) {
+  if (!refs) return undefined;
+  const { agents } = await api('GET', '/agents');
+  return refs.map(ref => {
+    if (ref === 'local') return 'local';
+    const agent = matchOne(agents, ref, 'agent', ['name']);
+    if (!agent) throw new CliError(`agent not found: ${ref}`, EXIT.notFound);
+    return agent.id;
+  });
+}
+
+// ----- output -----
+
+function table(rows, columns) {
+  const cells = rows.map(r => columns.map(([, get]) => String(get(r) ?? '-')));
+  const widths = columns.map(([title], i) => Math.max(title.length, ...cells.map(c => c[i].length)));
+  const line = (values) => values.map((v, i) => v.padEnd(widths[i])).join('  ').trimEnd();
+  return [line(columns.map(([title]) => title)), ...cells.map(line)].join('\n');
+}
+
+function createOutput(opts, stdout) {
+  const print = (text) => stdout.write(text + '\n');
+  return {
+    print,
+    // --json: the data as is; otherwise the text from render(data)
+    result(data, render) {
+      print(opts.json ? JSON.stringify(data, null, 2) : render(data));
+    },
+  };
+}
+
+const agentName = (agents, id) => agents.find(a => a.id === id)?.name || id;
+
+function routeText(routes, agents) {
+  return (routes || []).map(r => (r.type === 'agent' ? agentName(agents, r.agentId) : 'local')).join(', ');
+}
+
+function hostTable(hosts, agents) {
+  if (!hosts.length) return 'no hosts';
+  return table(hosts, [
+    ['NAME', h => h.name],
+    ['MAC', h => h.mac],
+    ['ROUTES', h => routeText(h.routes, agents)],
+    ['IP', h => h.ip],
+    ['LAST WAKE', h => (h.wake ? `${h.wake.state} ${h.wake.sentAt}` : null)],
+    ['POWER', h => h.power?.state],
+    ['ID', h => h.id],
+  ]);
+}
+
+function hostDetail(h, agents) {
+  const lines = [
+    ['name', h.name],
+    ['id', h.id],
+    ['mac', h.mac],
+    ['routes', routeText(h.routes, agents)],
+    ['ip', h.ip],
+    ['probe', h.probe ? `${h.probe}${h.probePort ? ':' + h.probePort : ''}` : null],
+    ['wake options', Object.entries(h.wakeOptions || {}).filter(([, v]) => v !== null).map(([k, v]) => `${k}=${v}`).join(' ')],
+    ['last wake', h.wake ? `${h.wake.state} (${h.wake.sentAt}, via ${h.wake.via})` : null],
+    ['endpoint', h.endpoint?.url],
+    ['power', h.power ? `${h.power.state} (${h.power.at})` : null],
+  ];
+  return lines.map(([k, v]) => `${(k + ':').padEnd(14)}${v ?? '-'}`).join('\n');
+}
+
+function agentTable(agents) {
+  if (!agents.length) return 'no agents';
+  return table(agents, [
+    ['NAME', a => a.name],
+    ['MODE', a => a.mode],
+    ['URL', a => a.url],
+    ['STATUS', a => a.health?.status],
+    ['LATENCY', a => (a.health?.latencyMs == null ? null : `${a.health.latencyMs}ms`)],
+    ['VERSION', a => a.health?.info?.version],
+    ['ID', a => a.id],
+  ]);
+}
+
+function healthTable(results) {
+  return table(results, [
+    ['NAME', r => r.agent.name],
+    ['REACHABLE', r => (r.reachable ? 'yes' : 'no')],
+    ['LATENCY', r => (r.latencyMs == null ? null : `${r.latencyMs}ms`)],
+    ['VERSION', r => r.response?.version],
+    ['ERROR', r => r.error],
+  ]);
+}
+
+// ----- commands -----
+
+function hostBody(opts, routes) {
+  const body = {};
+  if (opts.name !== undefined) body.name = opts.name;
+  if (opts.mac !== undefined) body.mac = opts.mac;
+  if (routes !== undefined) body.routes = routes;
+  if (opts.ip !== undefined) body.ip = opts.ip || null;
+  if (opts.probe !== undefined) body.probe = opts.probe || null;
+  if (opts['probe-port'] !== undefined) body.probePort = opts['probe-port'] === '' ? null : intOption(opts, 'probe-port');
+  return body;
+}
+
+async function hostsCommand(ctx, [sub = 'list', ref, ...rest]) {
+  const { api, opts, out } = ctx;
+  if (rest.length) throw usageError(`unexpected argument: ${rest[0]}`);
+  const needRef = () => {
+    if (!ref) throw usageError(`hosts ${sub} needs a host (name, id or MAC)`);
+    return ref;
+  };
+
+  switch (sub) {
+    case 'list':
+    case 'ls': {
+      const [{ hosts }, { agents }] = await Promise.all([api('GET', '/hosts'), api('GET', '/agents')]);
+      return out.result({ hosts }, () => hostTable(hosts, agents));
+    }
+    case 'show': {
+      const host = await findHost(api, needRef());
+      const { agents } = await api('GET', '/agents');
+      return out.result({ host }, () => hostDetail(host, agents));
+    }
+    case 'add': {
+      if (ref) throw usageError(`unexpected argument: ${ref}`);
+      if (!opts.name || !opts.mac) throw usageError('hosts add needs --name and --mac');
+      const routes = await resolveRoutes(api, opts.route || ['local']);
+      const r = await api('POST', '/hosts', hostBody(opts, routes));
+      return out.result(r, () => `added ${r.host.name} (${r.host.id})`);
+    }
+    case 'edit': {
+      const host = await findHost(api, needRef());
+      const body = hostBody(opts, await resolveRoutes(api, opts.route));
+      if (!Object.keys(body).length) throw usageError('nothing to change (--name, --mac, --route, --ip, --probe, --probe-port)');
+      const r = await api('PATCH', `/hosts/${encodeURIComponent(host.id)}`, body);
+      return out.result(r, () => `updated ${r.host.name} (${r.host.id})`);
+    }
+    case 'rm':
+    case 'delete': {
+      const host = await findHost(api, needRef());
+      await api('DELETE', `/hosts/${encodeURIComponent(host.id)}`);
+      return out.result({ ok: true, id: host.id }, () => `deleted ${host.name} (${host.id})`);
+    }
+    default:
+      throw usageError(`unknown hosts command: ${sub}`);
+  }
+}
+
+async function agentsCommand(ctx, [sub = 'list', ref, ...rest]) {
+  const { api, opts, out } = ctx;
+  if (rest.length) throw usageError(`unexpected argument: ${rest[0]}`);
+  const needRef = () => {
+    if (!ref) throw usageError(`agents ${sub} needs an agent (name or id)`);
+    return ref;
+  };
+  const agentBody = () => {
+    const body = {};
+    for (const k of ['name', 'url', 'token']) if (opts[k] !== undefined) body[k] = opts[k];
+    return body;
+  };
+
+  switch (sub) {
+    case 'list':
+    case 'ls': {
+      const { agents } = await api('GET', '/agents');
+      return out.result({ agents }, () => agentTable(agents));
+    }
+    case 'add': {
+      if (ref) throw usageError(`unexpected argument: ${ref}`);
+      if (!opts.name || !opts.url || !opts.token) throw usageError('agents add needs --name, --url and --token');
+      const r = await api('POST', '/agents', agentBody());
+      return out.result(r, () => `added ${r.agent.name} (${r.agent.id})`);
+    }
+    case 'edit': {
+      const agent = await findAgent(api, needRef());
+      const body = agentBody();
+      if (!Object.keys(body).length) throw usageError('nothing to change (--name, --url, --token)');
+      const r = await api('PATCH', `/agents/${encodeURIComponent(agent.id)}`, body);
+      return out.result(r, () => `updated ${r.agent.name} (${r.agent.id})`);
+    }
+    case 'rm':
+    case 'delete': {
+      const agent = await findAgent(api, needRef());
+      const r = await api('DELETE', `/agents/${encodeURIComponent(agent.id)}`);
+      return out.result(r, () => [
+        `deleted ${agent.name} (${agent.id})`,
+        ...(r.unroutableHosts.length ? [`hosts left without a route: ${r.unroutableHosts.join(', ')}`] : []),
+      ].join('\n'));
+    }
+    case 'health': {
+      const agents = ref ? [await findAgent(api, ref)] : (await api('GET', '/agents')).agents;
+      const results = [];
+      for (const agent of agents) {
+        results.push({ agent: { id: agent.id, name: agent.name }, ...(await api('GET', `/agents/${encodeURIComponent(agent.id)}/health`)) });
+      }
+      out.result({ results }, () => (results.length ? healthTable(results) : 'no agents'));
+      return results.every(r => r.reachable) ? EXIT.ok : EXIT.failed;
+    }
+    default:
+      throw usageError(`unknown agents command: ${sub}`);
+  }
+}
+
+async function groupsCommand(ctx, [sub = 'list', ...rest]) {
+  const { api, out } = ctx;
+  if (!['list', 'ls'].includes(sub) || rest.length) throw usageError(`unknown groups command: ${[sub, ...rest].join(' ')}`);
+  const [{ groups }, { hosts }] = await Promise.all([api('GET', '/groups'), api('GET', '/hosts')]);
+  const hostName = (id) => hosts.find(h => h.id === id)?.name || id;
+  out.result({ groups }, () => (groups.length
+    ? table(groups, [
+      ['NAME', g => g.name],
+      ['HOSTS', g => g.hostIds.map(hostName).join(', ')],
+      ['DELAY', g => `${g.delayMs}ms`],
+      ['ID', g => g.id],
+    ])
+    : 'no groups'));
+}
+
+function wakeOptions(opts) {
+  const o = {};
+  for (const [flag, key] of [['transport', 'transport'], ['address', 'address'], ['interface', 'interface'], ['password', 'password']]) {
+    if (opts[flag] !== undefined) o[key] = opts[flag];
+  }
+  for (const [flag, key] of [['port', 'port'], ['repeat', 'repeat'], ['interval-ms', 'intervalMs']]) {
+    if (opts[flag] !== undefined) o[key] = intOption(opts, flag);
+  }
+  return o;
+}
+
+// direct send from this machine (no controller)
+async function wakeLocal(ctx, mac) {
+  const { opts, out } = ctx;
+  if (!mac || !isMac(mac)) throw usageError('wake --local needs a MAC address (00:11:22:33:44:55)');
+  const parsed = magicPacket.parseWakeOptions(wakeOptions(opts));
+  if (parsed.error) throw usageError(parsed.error);
+  try {
+    await magicPacket.send(normalizeMac(mac), parsed.options);
+  } catch (e) {
+    throw new CliError(`send failed: ${e.message}`);
+  }
+  const options = magicPacket.publicOptions(parsed.options);
+  out.result({ ok: true, mac: normalizeMac(mac), options }, () => `sent to ${normalizeMac(mac)} (${options.transport}, ${options.repeat}x)`);
+}
+
+// poll a wake job until it ends -> final job
+async function waitForJob(api, job) {
+  let current = job;
+  while (!TERMINAL_STATES.includes(current.state)) {
+    await new Promise(r => setTimeout(r, WAIT_POLL_MS));
+    current = (await api('GET', `/wake-jobs/${encodeURIComponent(job.id)}`)).job;
+  }
+  return current;
+}
+
+function attemptText(attempts, agents) {
+  return attempts.map(a => `  ${agentName(agents, a.route)} #${a.attempt}: ${a.ok ? 'ok' : a.error}`).join('\n');
+}
+
+async function wakeCommand(ctx, [ref, ...rest]) {
+  const { opts } = ctx;
+  if (rest.length) throw usageError(`unexpected argument: ${rest[0]}`);
+  if (opts.local) return wakeLocal(ctx, ref);
+  if (!ref) throw usageError('wake needs a host (name, id or MAC) or a group');
+  if (opts.host && opts.group) throw usageError('--host and --group exclude each other');
+
+  const { api, out } = ctx;
+  const [{ hosts }, { groups }, { agents }] = await Promise.all([
+    api('GET', '/hosts'),
+    opts.host ? { groups: [] } : api('GET', '/groups'),
+    api('GET', '/agents'),
+  ]);
+  const host = opts.group ? null : matchOne(hosts, ref, 'host', ['name', 'mac']);
+  const group = matchOne(groups, ref, 'group', ['name']);
+  if (host && group) throw new CliError(`"${ref}" is both a host and a group; add --host or --group`, EXIT.usage);
+  if (!host && !group) {
+    throw new CliError(`no host or group "${ref}"${isMac(ref) ? ' (use --local to send to an unregistered MAC from here)' : ''}`, EXIT.notFound);
+  }
+
+  const body = { force: !!opts.force };
+  const wo = wakeOptions(opts);
+  if (Object.keys(wo).length) body.wakeOptions = wo;
+
+  if (group) {
+    const delayMs = intOption(opts, 'delay-ms');
+    const r = await api('POST', `/groups/${encodeURIComponent(group.id)}/wake`, delayMs === undefined ? body : { ...body, delayMs });
+    const verified = (x) => x.job && hosts.find(h => h.id === x.hostId)?.probe;
+    if (opts.wait) {
+      for (const x of r.results) if (verified(x)) x.job = await waitForJob(api, x.job);
+    }
+    const hostName = (id) => hosts.find(h => h.id === id)?.name || id;
+    out.result(r, () => [
+      `${group.name}: ${r.total - r.failed}/${r.total} sent`,
+      table(r.results, [
+        ['HOST', x => hostName(x.hostId)],
+        ['RESULT', x => (x.ok ? `sent via ${agentName(agents, x.route)}` : x.error)],
+        ['STATE', x => (verified(x) ? x.job.state : null)],
+      ]),
+    ].join('\n'));
+    if (!r.ok) return EXIT.failed;
+    return opts.wait && r.results.some(x => verified(x) && x.job.state !== 'online') ? EXIT.notOnline : EXIT.ok;
+  }
+
+  let r;
+  try {
+    r = await api('POST', `/hosts/${encodeURIComponent(host.id)}/wake`, body);
+  } catch (e) {
+    const attempts = e.body?.error?.details?.attempts;
+    if (attempts?.length && !opts.json) e.message += '\n' + attemptText(attempts, agents);
+    throw e;
+  }
+  // the controller only checks hosts with a probe; other jobs stay at 'sent'
+  const verified = !!(r.job && host.probe);
+  if (opts.wait && verified) r.job = await waitForJob(api, r.job);
+  out.result(r, () => {
+    const lines = [`${host.name}: sent via ${agentName(agents, r.route)}`];
+    if (r.attempts.length > 1) lines.push(attemptText(r.attempts, agents));
+    if (!verified) {
+      if (opts.wait) lines.push('no probe configured for this host; not verified');
+    } else {
+      lines.push(opts.wait ? `state: ${r.job.state}` : `job: ${r.job.id} (${r.job.state}; --wait to follow)`);
+    }
+    return lines.join('\n');
+  });
+  return opts.wait && verified && r.job.state !== 'online' ? EXIT.notOnline : EXIT.ok;
+}
+
+const COMMANDS = {
+  hosts: hostsCommand,
+  agents: agentsCommand,
+  groups: groupsCommand,
+  wake: wakeCommand,
+};
+
+// -> exit code
+async function main(argv, { env = process.env, stdout = process.stdout, stderr = process.stderr } = {}) {
+  try {
+    const { args, opts } = parseArgs(argv);
+    const [command, ...rest] = args;
+    if (opts.help || !command || command === 'help') {
+      stdout.write(USAGE + '\n');
+      return command || opts.help ? EXIT.ok : EXIT.usage;
+    }
+    const fn = COMMANDS[command];
+    if (!fn) throw usageError(`unknown command: ${command}`);
+
+    const local = command === 'wake' && opts.local;
+    const ctx = {
+      opts,
+      out: createOutput(opts, stdout),
+      api: local ? null : createApiClient(loadSettings(opts, env)),
+    };
+    return (await fn(ctx, rest)) ?? EXIT.ok;
+  } catch (e) {
+    if (!(e instanceof CliError)) throw e;
+    stderr.write(`wol: ${e.message}\n`);
+    return e.exitCode;
+  }
+}
+
+module.exports = {
+  EXIT,
+  main,
+};
@@ -0,0 +1,193 @@
+'use strict';
+
+/**
+ * Config file (JSON or YAML), both modes
+ * - WOL_CONFIG=/path/to/file, else config.yaml / config.yml / config.json next to server.js if present
+ * - covers listening (addresses, TLS, client certificates), rate limits, trusted proxies, an IP
+ *   allowlist and the storage location; `env` sets any other option by its environment variable name
+ * - environment variables win over the file (MODE, HOST/PORT over listen, STORAGE, DATA_DIR, env: ...)
+ * - relative paths are resolved against the directory of the file
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const { parseAllowList } = require('./ip-allowlist');
+
+const FILE_NAMES = ['config.yaml', 'config.yml', 'config.json'];
+const LIMITERS = ['api', 'login', 'enroll', 'wakeLink', 'wakeLinkJob'];
+const KEYS = ['mode', 'listen', 'tls', 'client', 'rateLimit', 'trustProxy', 'allow', 'storage', 'env'];
+
+function configError(where, message) {
+  return new Error(`${where}: ${message}`);
+}
+
+const isObject = (v) => v !== null && typeof v === 'object' && !Array.isArray(v);
+
+function findFile(dir, env) {
+  if (env.WOL_CONFIG) return path.resolve(env.WOL_CONFIG);
+  return FILE_NAMES.map(name => path.join(dir, name)).find(p => fs.existsSync(p)) || null;
+}
+
+function parseFile(file) {
+  const text = fs.readFileSync(file, 'utf8');
+  if (/\.ya?ml$/i.test(file)) return require('yaml').parse(text) ?? {};
+  return JSON.parse(text);
+}
+
+function only(obj, where, allowed) {
+  if (!isObject(obj)) throw configError(where, 'must be an object');
+  const unknown = Object.keys(obj).filter(k => !allowed.includes(k));
+  if (unknown.length) throw configError(where, `unknown key ${unknown.join(', ')}`);
+  return obj;
+}
+
+function port(value, where) {
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < 0 || n > 65535) throw configError(where, `invalid port ${value}`);
+  return n;
+}
+
+// "0.0.0.0:3000", "[::1]:3000", 3000 or { host, port } -> { host, port }
+function parseListen(entry, where) {
+  if (isObject(entry)) {
+    only(entry, where, ['host', 'port']);
+    return { host: String(entry.host || '0.0.0.0'), port: port(entry.port, where) };
+  }
+  if (typeof entry === 'number') return { host: '0.0.0.0', port: port(entry, where) };
+  const m = /^(?:\[([^\]]+)\]|([^:]*)):(\d+)$/.exec(String(entry).trim());
+  if (!m) throw configError(where, `expected host:port, got ${entry}`);
+  return { host: m[1] || m[2] || '0.0.0.0', port: port(m[3], where) };
+}
+
+function filePath(value, where, base) {
+  if (typeof value !== 'string' || !value.trim()) throw configError(where, 'must be a file path');
+  const p = path.resolve(base, value.trim());
+  if (!fs.existsSync(p)) throw configError(where, `file not found: ${p}`);
+  return p;
+}
+
+// server certificate; clientCa turns on mutual TLS (a client certificate signed by it is required)
+function parseTls(tls, base) {
+  only(tls, 'tls', ['cert', 'key', 'clientCa', 'allowedClients']);
+  const out = {
+    cert: filePath(tls.cert, 'tls.cert', base),
+    key: filePath(tls.key, 'tls.key', base),
+    clientCa: tls.clientCa === undefined ? null : filePath(tls.clientCa, 'tls.clientCa', base),
+    allowedClients: [],
+  };
+  if (tls.allowedClients !== undefined) {
+    if (!Array.isArray(tls.allowedClients) || !tls.allowedClients.every(v => typeof v === 'string' && v.trim())) {
+      throw configError('tls.allowedClients', 'must be a list of names or sha256 fingerprints');
+    }
+    if (!out.clientCa) throw configError('tls.allowedClients', 'needs tls.clientCa');
+    out.allowedClients = tls.allowedClients.map(v => v.trim());
+  }
+  return out;
+}
+
+// certificate presented on outgoing https requests (controller -> agent / endpoint, reverse agent -> controller)
+function parseClient(client, base) {
+  only(client, 'client', ['cert', 'key', 'ca']);
+  if (!client.cert !== !client.key) throw configError('client', 'cert and key go together');
+  return {
+    cert: client.cert ? filePath(client.cert, 'client.cert', base) : null,
+    key: client.key ? filePath(client.key, 'client.key', base) : null,
+    ca: client.ca === undefined ? null : filePath(client.ca, 'client.ca', base),
+  };
+}
+
+function parseRateLimit(rateLimit) {
+  only(rateLimit, 'rateLimit', LIMITERS);
+  const out = {};
+  for (const [name, limit] of Object.entries(rateLimit)) {
+    const where = `rateLimit.${name}`;
+    only(limit, where, ['windowMs', 'max']);
+    for (const key of ['windowMs', 'max']) {
+      if (limit[key] !== undefined && !(Number.isInteger(limit[key]) && limit[key] >= 1)) {
+        throw configError(`${where}.${key}`, 'must be a positive integer');
+      }
+    }
+    out[name] = { ...limit };
+  }
+  return out;
+}
+
+// express "trust proxy": true, a hop count, or addresses / CIDRs / loopback, linklocal, uniquelocal
+function parseTrustProxy(value) {
+  const ok = typeof value === 'boolean'
+    || (Number.isInteger(value) && value >= 0)
+    || (typeof value === 'string' && value.trim())
+    || (Array.isArray(value) && value.every(v => typeof v === 'string' && v.trim()));
+  if (!ok) throw configError('trustProxy', 'must be true, a hop count or a list of addresses');
+  return value;
+}
+
+function parseEnv(env) {
+  if (!isObject(env)) throw configError('env', 'must be an object');
+  const out = {};
+  for (const [k, v] of Object.entries(env)) {
+    if (!/^[A-Z][A-Z0-9_]*$/.test(k)) throw configError('env', `invalid variable name ${k}`);
+    if (v === null || typeof v === 'object') throw configError(`env.${k}`, 'must be a string, number or boolean');
+    out[k] = String(v);
+  }
+  return out;
+}
+
+// -> { file, mode, listen, tls, client, rateLimit, trustProxy, allow, storage: { dir, driver }, env }
+// throws on an unreadable file or a bad value (the message says where)
+function loadConfig({ dir, env = process.env } = {}) {
+  const file = findFile(dir, env);
+  let raw = {};
+  if (file) {
+    try {
+      raw = parseFile(file);
+    } catch (e) {
+      throw new Error(`${file}: ${e.message}`);
+    }
+    only(raw, file, KEYS);
+  }
+  const base = file ? path.dirname(file) : dir;
+
+  const config = {
+    file,
+    mode: raw.mode === undefined ? null : String(raw.mode).toLowerCase(),
+    listen: null,
+    tls: raw.tls === undefined ? null : parseTls(raw.tls, base),
+    client: raw.client === undefined ? null : parseClient(raw.client, base),
+    rateLimit: raw.rateLimit === undefined ? {} : parseRateLimit(raw.rateLimit),
+    trustProxy: raw.trustProxy === undefined ? undefined : parseTrustProxy(raw.trustProxy),
+    allow: [],
+    storage: { dir, driver: '' },
+    env: raw.env === undefined ? {} : parseEnv(raw.env),
+  };
+
+  if (raw.listen !== undefined) {
+    const list = Array.isArray(raw.listen) ? raw.listen : [raw.listen];
+    if (!list.length) throw configError('listen', 'must not be empty');
+    config.listen = list.map((entry, i) => parseListen(entry, `listen[${i}]`));
+  }
+
+  if (raw.allow !== undefined) {
+    if (!Array.isArray(raw.allow) && typeof raw.allow !== 'string') throw configError('allow', 'must be a list of addresses / CIDRs');
+    config.allow = (Array.isArray(raw.allow) ? raw.allow : raw.allow.split(',')).map(s => String(s).trim()).filter(Boolean);
+    try {
+      parseAllowList(config.allow);
+    } catch (e) {
+      throw configError('allow', e.message);
+    }
+  }
+
+  if (raw.storage !== undefined) {
+    only(raw.storage, 'storage', ['dir', 'driver']);
+    if (raw.storage.dir !== undefined) config.storage.dir = path.resolve(base, String(raw.storage.dir));
+    if (raw.storage.driver !== undefined) config.storage.driver = String(raw.storage.driver);
+  }
+
+  return config;
+}
+
+module.exports = {
+  FILE_NAMES,
+  loadConfig,
+};
@@ -0,0 +1,158 @@
+'use strict';
+
+/**
+ * Minimal 5-field cron (minute hour day-of-month month day-of-week) with time zones
+ * - supports `*`, lists `1,2`, ranges `1-5`, steps `*\/15` `0-30/10`, names (JAN, MON)
+ * - day-of-week 0 and 7 are Sunday
+ * - like Vixie cron, when both day fields are restricted a day matching either one fires
+ * - DST: a time that doesn't exist that day (clocks jump forward) is skipped; a time that happens
+ *   twice (clocks go back) fires once, unless the hour field is `*` (then every real hour fires)
+ */
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'] },
+  { name: 'weekday', min: 0, max: 7, names: ['SUN', 'MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT'] },
+];
+
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+function parseValue(s, field) {
+  const up = s.toUpperCase();
+  if (field.names) {
+    const i = field.names.indexOf(up);
+    if (i >= 0) return i + (field.name === 'month' ? 1 : 0);
+  }
+  if (!/^\d+$/.test(s)) throw new Error(`invalid ${field.name}: ${s}`);
+  const n = Number(s);
+  if (n < field.min || n > field.max) throw new Error(`${field.name} out of range: ${s}`);
+  return n;
+}
+
+function parseField(expr, field) {
+  const values = new Set();
+  for (const part of expr.split(',')) {
+    const [range, stepStr] = part.split('/');
+    const step = stepStr === undefined ? 1 : Number(stepStr);
+    if (!Number.isInteger(step) || step < 1) throw new Error(`invalid step in ${field.name}: ${part}`);
+
+    let lo;
+    let hi;
+    if (range === '*') {
+      lo = field.min;
+      hi = field.max;
+    } else if (range.includes('-')) {
+      const [a, b] = range.split('-');
+      lo = parseValue(a, field);
+      hi = parseValue(b, field);
+      if (lo > hi) throw new Error(`invalid range in ${field.name}: ${range}`);
+    } else {
+      lo = parseValue(range, field);
+      hi = stepStr === undefined ? lo : field.max;
+    }
+    for (let v = lo; v <= hi; v += step) values.add(v);
+  }
+  if (field.name === 'weekday' && values.delete(7)) values.add(0);
+  return values;
+}
+
+/**
+ * parse "m h dom mon dow" -> matcher object; throws Error on invalid input
+ */
+function parseCron(expr) {
+  const parts = String(expr || '').trim().split(/\s+/);
+  if (parts.length !== 5) throw new Error('cron must have 5 fields: minute hour day month weekday');
+  const [minute, hour, day, month, weekday] = parts.map((p, i) => parseField(p, FIELDS[i]));
+  return {
+    minute,
+    hour,
+    day,
+    month,
+    weekday,
+    hourRestricted: parts[1] !== '*',
+    dayRestricted: parts[2] !== '*',
+    weekdayRestricted: parts[4] !== '*',
+  };
+}
+
+function isTimeZone(tz) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: tz });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+const formatters = new Map();
+function wallClock(ms, timeZone) {
+  let fmt = formatters.get(timeZone);
+  if (!fmt) {
+    fmt = new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      weekday: 'short',
+    });
+    formatters.set(timeZone, fmt);
+  }
+  const p = {};
+  for (const { type, value } of fmt.formatToParts(new Date(ms))) p[type] = value;
+  return {
+    month: Number(p.month),
+    day: Number(p.day),
+    hour: Number(p.hour),
+    minute: Number(p.minute),
+    weekday: WEEKDAYS[p.weekday],
+  };
+}
+
+function dayMatches(c, w) {
+  const d = c.day.has(w.day);
+  const wd = c.weekday.has(w.weekday);
+  if (c.dayRestricted && c.weekdayRestricted) return d || wd;
+  return d && wd;
+}
+
+const sameWallClock = (a, b) => a.month === b.month && a.day === b.day && a.hour === b.hour && a.minute === b.minute;
+
+// the same wall-clock time already happened shortly before (the hour repeated when DST ended)
+function repeatedTime(t, w, timeZone) {
+  return [60, 30].some(min => sameWallClock(wallClock(t - min * 60 * 1000, timeZone), w));
+}
+
+/**
+ * next fire time (ms) strictly after `afterMs`, evaluated in `timeZone`;
+ * null if nothing matches within ~5 years (e.g. "0 0 31 2 *")
+ */
+function nextRun(cron, timeZone, afterMs = Date.now()) {
+  const c = typeof cron === 'string' ? parseCron(cron) : cron;
+  const MINUTE = 60 * 1000;
+  let t = Math.floor(afterMs / MINUTE) * MINUTE + MINUTE;
+
+  for (let i = 0; i < 50000; i++) {
+    const w = wallClock(t, timeZone);
+    if (!c.month.has(w.month) || !dayMatches(c, w) || !c.hour.has(w.hour)) {
+      // jump to the next wall-clock hour (safe across DST shifts of whole/half hours)
+      t += (60 - w.minute) * MINUTE;
+      continue;
+    }
+    if (!c.minute.has(w.minute) || (c.hourRestricted && repeatedTime(t, w, timeZone))) {
+      t += MINUTE;
+      continue;
+    }
+    return t;
+  }
+  return null;
+}
+
+module.exports = {
+  parseCron,
+  isTimeZone,
+  nextRun,
+};
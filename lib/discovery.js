@@ -0,0 +1,111 @@
+'use strict';
+
+/**
+ * Neighbour discovery on the local VLAN (agents, and the controller for its own segment)
+ * - reads the kernel ARP table (/proc/net/arp, Linux)
+ * - optional ping sweep of an IPv4 subnet first, so machines that haven't talked to us
+ *   recently show up in the table
+ * - reverse DNS for each neighbour
+ */
+
+const fs = require('fs');
+const dns = require('dns').promises;
+
+const probe = require('./probe');
+
+const ARP_TABLE = '/proc/net/arp';
+const MIN_PREFIX = 22; // at most 1022 addresses per sweep
+const SWEEP_CONCURRENCY = 32;
+const SWEEP_TIMEOUT_MS = 1000;
+const DNS_TIMEOUT_MS = 2000;
+
+const ATF_COM = 0x2; // entry complete (MAC known)
+
+function ipToInt(ip) {
+  return ip.split('.').reduce((n, x) => n * 256 + Number(x), 0);
+}
+
+function intToIp(n) {
+  return [24, 16, 8, 0].map(s => Math.floor(n / 2 ** s) % 256).join('.');
+}
+
+// '192.168.10.0/24' -> { first, last } host addresses, or null
+function parseSubnet(s) {
+  const m = /^(\d{1,3}(?:\.\d{1,3}){3})\/(\d{1,2})$/.exec(String(s || '').trim());
+  if (!m || m[1].split('.').some(x => Number(x) > 255)) return null;
+  const prefix = Number(m[2]);
+  if (prefix < MIN_PREFIX || prefix > 32) return null;
+  const size = 2 ** (32 - prefix);
+  const network = Math.floor(ipToInt(m[1]) / size) * size;
+  // /31 and /32 have no network/broadcast address to skip
+  return size <= 2
+    ? { first: network, last: network + size - 1 }
+    : { first: network + 1, last: network + size - 2 };
+}
+
+async function mapLimit(items, limit, fn) {
+  const out = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const i = next++;
+      out[i] = await fn(items[i]);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return out;
+}
+
+// ping every address once; replies (or just the ARP requests) fill the neighbour table
+async function pingSweep(subnet) {
+  const range = parseSubnet(subnet);
+  const ips = [];
+  for (let n = range.first; n <= range.last; n++) ips.push(intToIp(n));
+  const results = await mapLimit(ips, SWEEP_CONCURRENCY, ip =>
+    probe.probeOnce({ target: ip, method: 'icmp', timeoutMs: SWEEP_TIMEOUT_MS }));
+  return { addresses: ips.length, replied: results.filter(r => r.up).length };
+}
+
+// complete entries of /proc/net/arp -> [{ ip, mac, device }]
+function readArpTable() {
+  let raw;
+  try {
+    raw = fs.readFileSync(ARP_TABLE, 'utf8');
+  } catch {
+    throw new Error(`neighbour table not available (${ARP_TABLE}, Linux only)`);
+  }
+  return raw.split('\n').slice(1).map(line => line.trim().split(/\s+/)).filter(cols => {
+    if (cols.length < 6) return false;
+    return (parseInt(cols[2], 16) & ATF_COM) !== 0 && cols[3] !== '00:00:00:00:00:00';
+  }).map(([ip, , , mac, , device]) => ({ ip, mac: mac.toLowerCase(), device }));
+}
+
+async function reverseName(ip) {
+  let timer;
+  const timeout = new Promise(resolve => { timer = setTimeout(() => resolve(null), DNS_TIMEOUT_MS); });
+  const lookup = dns.reverse(ip).then(names => names[0] || null, () => null);
+  const name = await Promise.race([lookup, timeout]);
+  clearTimeout(timer);
+  return name;
+}
+
+/**
+ * subnet: optional CIDR to ping-sweep first
+ * -> { neighbours: [{ ip, mac, name, device }], sweep, scannedAt }
+ */
+async function discover({ subnet } = {}) {
+  const sweep = subnet ? await pingSweep(subnet) : null;
+  const entries = readArpTable();
+  const names = await mapLimit(entries, SWEEP_CONCURRENCY, e => reverseName(e.ip));
+  return {
+    neighbours: entries.map((e, i) => ({ ...e, name: names[i] })),
+    sweep: sweep && { subnet, ...sweep },
+    scannedAt: new Date().toISOString(),
+  };
+}
+
+module.exports = {
+  MIN_PREFIX,
+  parseSubnet,
+  discover,
+};
@@ -0,0 +1,180 @@
+'use strict';
+
+/**
+ * Error codes of the UI API (/api/*)
+ * - an error response is { error, code, params? }: `error` is the English message (logs, curl),
+ *   `code` is stable and the UI translates it with `params` (public/locales/*.js, key err.<code>)
+ * - validators return fail(code, params) where a plain { error } used to be, so callers keep
+ *   testing `.error`
+ * - /api/v1 keeps its own generic codes (lib/api-v1.js) and carries these in details.reason
+ */
+
+const MESSAGES = {
+  // auth / users
+  login_required: 'login required',
+  forbidden: 'forbidden',
+  invalid_csrf_token: 'invalid csrf token',
+  invalid_credentials: 'invalid username or password',
+  invalid_username: 'invalid username',
+  password_too_short: 'password must be at least {min} characters',
+  invalid_role: 'invalid role',
+  username_exists: 'username already exists',
+  user_not_found: 'user not found',
+  last_admin_demote: 'cannot demote the last admin',
+  last_admin_delete: 'cannot delete the last admin',
+
+  // generic
+  conflict: '{detail}',
+  internal_error: '{detail}',
+  name_required: 'name required',
+  invalid_url: 'url must start with http:// or https://',
+  invalid_filter: 'invalid {field}',
+  rate_limited: 'too many requests, try again later',
+  invalid_json: 'request body is not valid JSON',
+  payload_too_large: 'request body too large',
+
+  // agents
+  token_required: 'token required',
+  agent_not_found: 'agent not found',
+  agent_request_failed: '{detail}',
+  invalid_ttl: 'ttlMin must be 1-{max}',
+  join_code_not_found: 'join code not found',
+  invalid_join_code: 'invalid or expired join code',
+
+  // hosts
+  host_not_found: 'host not found',
+  invalid_mac: 'invalid mac',
+  mac_exists: 'mac already exists',
+  invalid_ip: 'invalid ip/hostname',
+  invalid_probe: 'probe must be icmp or tcp',
+  probe_ip_required: 'ip required for probe',
+  probe_port_required: 'probePort required for tcp probe',
+  invalid_probe_port: 'invalid probePort',
+  routes_not_array: 'routes must be an array',
+  routes_required: 'routes required',
+  route_required: 'at least one route required',
+  too_many_routes: 'at most {max} routes',
+  duplicate_route: 'duplicate route',
+  route_agent_not_found: 'agentId not found: {agentId}',
+  host_ids_not_array: 'hostIds must be an array',
+  host_ids_not_found: 'host not found: {hostIds}',
+  host_ids_empty: 'hostIds must not be empty',
+
+  // wake options (lib/magic-packet.js)
+  invalid_wake_options: 'wakeOptions must be an object',
+  invalid_transport: 'transport must be one of {values}',
+  invalid_address_v4: 'address must be an IPv4 broadcast address',
+  invalid_address_v6: 'address must be an IPv6 address (e.g. ff02::1)',
+  invalid_port: 'invalid port',
+  invalid_interface: 'invalid interface name',
+  interface_required: 'interface required for ethernet',
+  invalid_secureon_password: 'password must be 6 bytes (00:11:22:33:44:55) or 4 bytes (192.168.1.1)',
+  invalid_repeat: 'repeat must be 1-{max}',
+  invalid_interval: 'intervalMs must be 0-{max}',
+
+  // power actions (MODE=endpoint on the host)
+  invalid_endpoint: 'endpoint must be an object ({ url, token }) or null',
+  endpoint_token_required: 'endpoint token required',
+  host_no_endpoint: 'host has no endpoint for power actions',
+  endpoint_request_failed: 'endpoint request failed: {detail}',
+  invalid_power_action: 'action must be one of {values}',
+
+  // wake
+  host_no_routes: 'host has no routes',
+  all_routes_down: 'every route goes through an agent that is down (send with force to try anyway)',
+  all_routes_failed: 'all routes failed',
+  job_not_found: 'job not found',
+  invalid_delay: 'delayMs must be 0-{max}',
+
+  // packet monitor
+  monitor_off: 'packet monitor is off on agent {agent} (start it with MONITOR=1)',
+  invalid_wake_test_timeout: 'timeoutMs must be {min}-{max}',
+
+  // groups / schedules
+  group_not_found: 'group not found',
+  group_name_exists: 'group name already exists',
+  schedule_not_found: 'schedule not found',
+  invalid_cron: 'invalid cron: {detail}',
+  invalid_timezone: 'invalid timezone',
+  invalid_schedule_target: 'target.type must be host or group',
+  schedule_target_not_found: '{type} not found',
+  cron_never_fires: 'cron never fires',
+  invalid_schedule_action: 'action must be one of {values}',
+
+  // import / export
+  invalid_import_format: 'format must be one of {values}',
+  invalid_import_mode: 'mode must be merge or replace',
+  invalid_export_format: 'format must be csv or json',
+  invalid_file: '{detail}',
+  no_hosts_in_file: 'no hosts found in file',
+  no_agents_in_file: 'no agents found in file',
+  import_invalid_rows: '{count} invalid rows; nothing was imported',
+  import_invalid_mac: 'invalid mac: {mac}',
+  duplicate_mac: 'duplicate mac (also on line {line})',
+  duplicate_name: 'duplicate name (also on line {line})',
+  agent_ambiguous: 'agent name is ambiguous: {agent}',
+  unknown_agent: 'unknown agent: {agent}',
+  invalid_agent_mode: 'mode must be inbound or reverse',
+  agent_mode_locked: 'mode cannot be changed',
+  reverse_agent_import: 'reverse agents must enroll with a join code',
+
+  // discovery
+  subnet_requires_source: 'subnet requires a single source',
+  invalid_subnet: 'subnet must be an IPv4 CIDR of /{min} or smaller',
+
+  // webhooks
+  webhook_not_found: 'webhook not found',
+  invalid_webhook_events: 'events must be a list of {values} (or *)',
+  invalid_webhook_template: 'template must be one of {values}',
+  webhook_secret_too_short: 'secret must be at least {min} characters',
+
+  // api keys
+  invalid_api_key_name: 'name required (at most {max} characters)',
+  invalid_scopes: 'scopes must be a list of {values}',
+  host_ids_with_admin: 'hostIds cannot be combined with the admin scope',
+  api_key_hosts_empty: 'hostIds must not be empty (omit it for every host)',
+
+  // wake links
+  wake_link_not_found: 'wake link not found',
+  wake_link_invalid: 'this link is not valid (revoked or mistyped)',
+  wake_link_expired: 'this link has expired',
+  wake_link_used_up: 'this link has been used up',
+  wake_link_locked: 'this link is locked after too many wrong PINs',
+  wake_link_pin_invalid: 'wrong PIN ({left} tries left)',
+  invalid_max_uses: 'maxUses must be 1-{max}',
+  invalid_pin: 'PIN must be 4-12 digits',
+};
+
+function format(template, params = {}) {
+  return template.replace(/\{(\w+)\}/g, (m, k) => (params[k] === undefined ? m : String(params[k])));
+}
+
+// -> { error, code, params? }
+function fail(code, params) {
+  const r = { error: format(MESSAGES[code] || code, params), code };
+  if (params) r.params = params;
+  return r;
+}
+
+// an Error that keeps its code through throw / catch (wake failures)
+function codedError(code, params) {
+  const { error } = fail(code, params);
+  return Object.assign(new Error(error), { code, params });
+}
+
+// response body for a fail() result or a coded Error (other fields are dropped)
+function errorBody({ error, message, code, params }) {
+  const body = { error: error ?? message, code };
+  if (params) body.params = params;
+  return body;
+}
+
+const isCode = (code) => Object.prototype.hasOwnProperty.call(MESSAGES, code);
+
+module.exports = {
+  MESSAGES,
+  fail,
+  codedError,
+  errorBody,
+  isCode,
+};
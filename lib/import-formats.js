@@ -0,0 +1,144 @@
+'use strict';
+
+/**
+ * Host / agent import-export file formats
+ * - CSV (header row, RFC 4180 quoting) and JSON, both directions
+ * - ISC dhcpd `dhcpd.leases` and dnsmasq lease files (import only)
+ * Parsers return plain records ({ line, ...columns }); validation is up to the caller.
+ * Lease entries without a client hostname have no name (the caller decides what a new host is called).
+ */
+
+// ----- CSV -----
+
+// cells a spreadsheet would run as a formula get a leading quote (stripped again on import)
+const FORMULA_START = /^[=+\-@]/;
+
+function csvCell(v) {
+  let s = v === null || v === undefined ? '' : String(v);
+  if (FORMULA_START.test(s)) s = "'" + s;
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+function toCsv(columns, rows) {
+  const lines = [columns.join(',')];
+  for (const row of rows) lines.push(columns.map(c => csvCell(row[c])).join(','));
+  return lines.join('\r\n') + '\r\n';
+}
+
+// -> array of rows (arrays of cells) with the line each row started on
+function splitCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  let line = 1;
+  let rowLine = 1;
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (quoted) {
+      if (c === '"' && text[i + 1] === '"') { cell += '"'; i++; }
+      else if (c === '"') quoted = false;
+      else { if (c === '\n') line++; cell += c; }
+    } else if (c === '"' && cell === '') {
+      quoted = true;
+    } else if (c === ',') {
+      row.push(cell); cell = '';
+    } else if (c === '\n' || c === '\r') {
+      if (c === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell); cell = '';
+      rows.push({ line: rowLine, cells: row });
+      row = [];
+      rowLine = ++line;
+    } else {
+      cell += c;
+    }
+  }
+  if (quoted) throw new Error(`unterminated quote starting on line ${rowLine}`);
+  if (cell !== '' || row.length) {
+    row.push(cell);
+    rows.push({ line: rowLine, cells: row });
+  }
+  return rows.filter(r => r.cells.some(x => x.trim() !== ''));
+}
+
+/**
+ * CSV with a header row -> [{ line, <column>: value }]; column names are matched case-insensitively
+ * against `columns` (aliases: { alias: column }). Empty cells are left out.
+ */
+function parseCsv(text, columns, aliases = {}) {
+  const rows = splitCsv(String(text).replace(/^\uFEFF/, ''));
+  if (rows.length === 0) return [];
+  const byLower = new Map(columns.map(c => [c.toLowerCase(), c]));
+  for (const [alias, c] of Object.entries(aliases)) byLower.set(alias.toLowerCase(), c);
+
+  const header = rows[0].cells.map(h => byLower.get(h.trim().toLowerCase()) || null);
+  if (!header.some(Boolean)) throw new Error(`CSV header must name columns: ${columns.join(', ')}`);
+
+  return rows.slice(1).map(({ line, cells }) => {
+    const rec = { line };
+    header.forEach((c, i) => {
+      let v = (cells[i] ?? '').trim();
+      if (v.startsWith("'") && FORMULA_START.test(v.slice(1))) v = v.slice(1);
+      if (c && v !== '') rec[c] = v;
+    });
+    return rec;
+  });
+}
+
+// ----- JSON -----
+
+// accepts [ ... ] or { <key>: [ ... ] } (what the export writes)
+function parseJsonList(text, key) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (e) {
+    throw new Error('invalid JSON: ' + e.message);
+  }
+  const list = Array.isArray(data) ? data : data?.[key];
+  if (!Array.isArray(list)) throw new Error(`JSON must be an array or { "${key}": [...] }`);
+  return list.map((x, i) => ({ ...(x && typeof x === 'object' ? x : {}), line: i + 1 }));
+}
+
+// ----- DHCP leases -----
+
+/**
+ * ISC dhcpd.leases: `lease <ip> { ... hardware ethernet <mac>; client-hostname "<name>"; }`
+ * The file is append-only, so the last lease seen for a MAC wins. Expired / free leases are
+ * kept: the machine still exists, it's just switched off (which is why you'd wake it).
+ */
+function parseDhcpdLeases(text) {
+  const byMac = new Map();
+  const re = /^\s*lease\s+([0-9a-fA-F.:]+)\s*\{([\s\S]*?)^\s*\}/gm;
+  let m;
+  while ((m = re.exec(text)) !== null) {
+    const body = m[2];
+    const mac = /hardware\s+ethernet\s+([0-9a-fA-F:]+)\s*;/.exec(body)?.[1];
+    if (!mac) continue;
+    const name = /client-hostname\s+"([^"]*)"\s*;/.exec(body)?.[1];
+    // the match may start on blank lines before `lease`
+    const line = text.slice(0, m.index + m[0].search(/lease/)).split('\n').length;
+    byMac.set(mac.toLowerCase(), { line, mac, ip: m[1], name: name || undefined });
+  }
+  return [...byMac.values()];
+}
+
+// dnsmasq.leases: `<expiry> <mac> <ip> <hostname|*> <client-id|*>` one per line
+function parseDnsmasqLeases(text) {
+  const out = [];
+  String(text).split(/\r?\n/).forEach((raw, i) => {
+    const parts = raw.trim().split(/\s+/);
+    if (parts.length < 4 || !/^\d+$/.test(parts[0])) return; // blank / duid line
+    const [, mac, ip, name] = parts;
+    out.push({ line: i + 1, mac, ip, name: name !== '*' ? name : undefined });
+  });
+  return out;
+}
+
+module.exports = {
+  toCsv,
+  parseCsv,
+  parseJsonList,
+  parseDhcpdLeases,
+  parseDnsmasqLeases,
+};
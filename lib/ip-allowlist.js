@@ -0,0 +1,43 @@
+'use strict';
+
+/**
+ * IP allowlists (METRICS_ALLOW, `allow` in the config file)
+ * - entries are addresses or CIDRs, IPv4 and IPv6; IPv4-mapped IPv6 peers match IPv4 entries
+ */
+
+const net = require('net');
+
+// "10.0.0.0/8, 192.168.1.5, ::1" (or an array of entries) -> net.BlockList; throws on a bad entry
+function parseAllowList(entries) {
+  const list = new net.BlockList();
+  const items = Array.isArray(entries) ? entries : String(entries || '').split(',');
+  for (const entry of items.map(s => String(s).trim()).filter(Boolean)) {
+    const [addr, prefix] = entry.split('/');
+    const type = net.isIPv4(addr) ? 'ipv4' : net.isIPv6(addr) ? 'ipv6' : null;
+    const bits = prefix === undefined ? null : Number(prefix);
+    if (!type || (bits !== null && !(Number.isInteger(bits) && bits >= 0 && bits <= (type === 'ipv4' ? 32 : 128)))) {
+      throw new Error(`invalid address in allowlist: ${entry}`);
+    }
+    if (bits === null) list.addAddress(addr, type);
+    else list.addSubnet(addr, bits, type);
+  }
+  return list;
+}
+
+function ipAllowed(list, ip) {
+  const addr = String(ip || '').replace(/^::ffff:(?=\d+\.\d+\.\d+\.\d+$)/, ''); // IPv4-mapped
+  if (net.isIPv4(addr)) return list.check(addr, 'ipv4');
+  return net.isIPv6(addr) && list.check(addr, 'ipv6');
+}
+
+// express middleware: 403 for every client outside the list
+function middleware(entries) {
+  const list = parseAllowList(entries);
+  return (req, res, next) => (ipAllowed(list, req.ip) ? next() : res.status(403).type('text/plain').send('forbidden\n'));
+}
+
+module.exports = {
+  parseAllowList,
+  ipAllowed,
+  middleware,
+};
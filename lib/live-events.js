@@ -0,0 +1,88 @@
+'use strict';
+
+/**
+ * Live updates for the UI (Server-Sent Events, GET /api/events)
+ * - publish(type, data): every open stream gets `event: type` / `data: <json>`
+ * - event ids are `<boot id>-<seq>`; a reconnecting client sends Last-Event-ID and gets what
+ *   it missed from a small buffer, or a `resync` event (reload /api/state) when the buffer
+ *   no longer reaches back that far or the controller has restarted since
+ * - a comment line every heartbeatMs keeps proxies from closing an idle stream; alive(req)
+ *   is checked at the same time so a stream ends with its session
+ */
+
+const crypto = require('crypto');
+
+const RETRY_MS = 3000; // EventSource reconnect delay
+
+function createLiveEvents({ bufferSize = 500, heartbeatMs = 25 * 1000 } = {}) {
+  const boot = crypto.randomBytes(4).toString('hex');
+  const buffer = []; // oldest first: { seq, type, data }
+  const clients = new Set(); // { req, res }
+  let seq = 0;
+
+  function write(res, ev) {
+    res.write(`id: ${boot}-${ev.seq}\nevent: ${ev.type}\ndata: ${JSON.stringify(ev.data)}\n\n`);
+  }
+
+  function publish(type, data) {
+    const ev = { seq: ++seq, type, data };
+    buffer.push(ev);
+    if (buffer.length > bufferSize) buffer.shift();
+    for (const c of clients) write(c.res, ev);
+  }
+
+  // events after `lastId`, or null when they can't be replayed
+  function since(lastId) {
+    const m = /^([0-9a-f]{8})-(\d+)$/.exec(String(lastId));
+    if (!m || m[1] !== boot) return null;
+    const n = Number(m[2]);
+    if (n > seq) return null;
+    if (n < seq && (!buffer.length || buffer[0].seq > n + 1)) return null;
+    return buffer.filter(ev => ev.seq > n);
+  }
+
+  // express handler; alive(req) -> false closes the stream
+  function handler({ alive = () => true } = {}) {
+    return (req, res) => {
+      res.writeHead(200, {
+        'Content-Type': 'text/event-stream; charset=utf-8',
+        'Cache-Control': 'no-cache, no-transform',
+        Connection: 'keep-alive',
+        'X-Accel-Buffering': 'no', // nginx: don't buffer the stream
+      });
+      res.write(`retry: ${RETRY_MS}\n\n`);
+
+      // EventSource resends Last-Event-ID itself; a client that reconnects with a new
+      // EventSource passes it as ?lastEventId=
+      const lastId = req.get('Last-Event-ID') || req.query.lastEventId;
+      if (lastId) {
+        const missed = since(lastId);
+        if (missed) missed.forEach(ev => write(res, ev));
+        else write(res, { seq, type: 'resync', data: {} });
+      }
+
+      const client = { req, res };
+      clients.add(client);
+      const timer = setInterval(() => {
+        if (!alive(req)) return res.end();
+        res.write(': ping\n\n');
+      }, heartbeatMs);
+      timer.unref();
+
+      req.on('close', () => {
+        clearInterval(timer);
+        clients.delete(client);
+      });
+    };
+  }
+
+  return {
+    publish,
+    handler,
+    clients: () => clients.size,
+  };
+}
+
+module.exports = {
+  createLiveEvents,
+};
@@ -0,0 +1,229 @@
+'use strict';
+
+/**
+ * Wake-on-LAN magic packets
+ * payload = 6 x 0xFF + 16 x target MAC [+ SecureOn password: 6 bytes (00:11:22:33:44:55) or
+ * 4 bytes (written as dotted decimal, 192.168.1.1, like etherwake takes it)]
+ *
+ * transports:
+ * - udp4: UDP to an IPv4 broadcast (limited 255.255.255.255 or a directed x.x.x.255)
+ * - udp6: UDP to an IPv6 multicast group, ff02::1 (all nodes, link-local) by default
+ * - ethernet: raw frame with EtherType 0x0842 (Linux; Node can't open a raw socket, so the frame is
+ *   sent by the `etherwake` / `ether-wake` command, which must be installed; needs CAP_NET_RAW)
+ */
+
+const net = require('net');
+const dgram = require('dgram');
+const { execFile } = require('child_process');
+
+const netif = require('./netif');
+const { fail } = require('./errors');
+
+const TRANSPORTS = ['udp4', 'udp6', 'ethernet'];
+const DEFAULTS = { transport: 'udp4', address: null, port: 9, interface: null, password: null, repeat: 3, intervalMs: 100 };
+const DEFAULT_ADDRESS = { udp4: '255.255.255.255', udp6: 'ff02::1' };
+const MAX_REPEAT = 10;
+const MAX_INTERVAL_MS = 1000;
+
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+
+function macBytes(mac) {
+  return Buffer.from(String(mac).replace(/[:-]/g, ''), 'hex');
+}
+
+// 6 bytes written like a MAC address, or 4 bytes in dotted decimal
+function isSecureOnPassword(s) {
+  const v = String(s || '');
+  return /^([0-9A-Fa-f]{2}([-:])){5}[0-9A-Fa-f]{2}$/.test(v) || net.isIPv4(v);
+}
+
+function passwordBytes(password) {
+  return net.isIPv4(password) ? Buffer.from(password.split('.').map(Number)) : macBytes(password);
+}
+
+// interface names go to etherwake as an argument: no leading '-'
+function isInterfaceName(s) {
+  return /^[A-Za-z0-9][A-Za-z0-9._:@-]{0,31}$/.test(String(s || ''));
+}
+
+function buildPayload(mac, password) {
+  const target = macBytes(mac);
+  const parts = [Buffer.alloc(6, 0xff)];
+  for (let i = 0; i < 16; i++) parts.push(target);
+  if (password) parts.push(passwordBytes(password));
+  return Buffer.concat(parts);
+}
+
+const SYNC = Buffer.alloc(6, 0xff);
+const PAYLOAD_LENGTH = 6 + 16 * 6;
+
+// received payload -> { mac, secureOn } or null; the sync stream may start anywhere in it.
+// secureOn: a password (4 or 6 bytes) follows the repetitions; its value is not returned
+function parsePayload(buf) {
+  for (let i = buf.indexOf(SYNC); i !== -1 && i + PAYLOAD_LENGTH <= buf.length; i = buf.indexOf(SYNC, i + 1)) {
+    const target = buf.subarray(i + 6, i + 12);
+    let repeated = true;
+    for (let k = 2; k <= 16 && repeated; k++) repeated = buf.subarray(i + k * 6, i + (k + 1) * 6).equals(target);
+    if (!repeated) continue;
+    const mac = [...target].map(b => b.toString(16).padStart(2, '0')).join(':');
+    return { mac, secureOn: buf.length - (i + PAYLOAD_LENGTH) >= 4 };
+  }
+  return null;
+}
+
+/**
+ * validate wake options over `base` (legacy `broadcast` is accepted for `address`)
+ * -> { options } or fail() ({ error, code, params })
+ */
+function parseWakeOptions(input = {}, base = {}) {
+  // absent: keep base; null / '': back to the default
+  const pick = (k) => {
+    if (input[k] === undefined) return base[k] ?? DEFAULTS[k];
+    return input[k] === null || input[k] === '' ? DEFAULTS[k] : input[k];
+  };
+  const o = {
+    transport: String(pick('transport')).trim(),
+    address: input.address === undefined && input.broadcast ? input.broadcast : pick('address'),
+    port: Number(pick('port')),
+    interface: pick('interface'),
+    password: pick('password'),
+    repeat: Number(pick('repeat')),
+    intervalMs: Number(pick('intervalMs')),
+  };
+  if (o.address !== null) o.address = String(o.address).trim() || null;
+  if (o.interface !== null) o.interface = String(o.interface).trim() || null;
+  if (o.password !== null) o.password = String(o.password).trim().replace(/-/g, ':').toLowerCase() || null;
+
+  if (!TRANSPORTS.includes(o.transport)) return fail('invalid_transport', { values: TRANSPORTS.join(', ') });
+  if (o.transport === 'udp4' && o.address && !net.isIPv4(o.address)) return fail('invalid_address_v4');
+  if (o.transport === 'udp6' && o.address && !net.isIPv6(o.address)) return fail('invalid_address_v6');
+  if (!Number.isInteger(o.port) || o.port < 1 || o.port > 65535) return fail('invalid_port');
+  if (o.interface && !isInterfaceName(o.interface)) return fail('invalid_interface');
+  if (o.transport === 'ethernet' && !o.interface) return fail('interface_required');
+  if (o.password && !isSecureOnPassword(o.password)) return fail('invalid_secureon_password');
+  if (!Number.isInteger(o.repeat) || o.repeat < 1 || o.repeat > MAX_REPEAT) return fail('invalid_repeat', { max: MAX_REPEAT });
+  if (!Number.isInteger(o.intervalMs) || o.intervalMs < 0 || o.intervalMs > MAX_INTERVAL_MS) {
+    return fail('invalid_interval', { max: MAX_INTERVAL_MS });
+  }
+  return { options: o };
+}
+
+// only what differs from DEFAULTS (for storage)
+function compactOptions(o) {
+  const out = {};
+  for (const [k, v] of Object.entries(o || {})) {
+    if (v !== DEFAULTS[k]) out[k] = v;
+  }
+  return out;
+}
+
+// options as shown to clients / written to logs: no password
+function publicOptions(o) {
+  const { password, ...rest } = o || {};
+  return { ...rest, secureOn: !!password };
+}
+
+// worst-case send duration, for the caller's timeout
+function sendDurationMs(o) {
+  return (o.repeat - 1) * o.intervalMs;
+}
+
+// where a packet goes: udp4 on an interface defaults to that interface's broadcast
+function destination(o) {
+  if (o.transport === 'ethernet') return null;
+  if (o.address) return o.address;
+  if (o.transport === 'udp4' && o.interface) return netif.ipv4Of(o.interface)?.broadcast || DEFAULT_ADDRESS.udp4;
+  return DEFAULT_ADDRESS[o.transport];
+}
+
+function sendUdp(o, payload) {
+  const v6 = o.transport === 'udp6';
+  let address = destination(o);
+  // udp4: bind to the interface's address so the broadcast leaves through it
+  const bindAddress = !v6 && o.interface ? netif.ipv4Of(o.interface)?.address : undefined;
+  if (!v6 && o.interface && !bindAddress) return Promise.reject(new Error(`interface ${o.interface} has no IPv4 address`));
+  // udp6 link-local multicast needs a scope
+  if (v6 && o.interface && !address.includes('%')) address = `${address}%${o.interface}`;
+
+  const socket = dgram.createSocket(v6 ? 'udp6' : 'udp4');
+
+  return new Promise((resolve, reject) => {
+    socket.once('error', (e) => {
+      socket.close();
+      reject(e);
+    });
+    socket.bind({ address: bindAddress }, () => {
+      try {
+        if (v6) {
+          if (o.interface) socket.setMulticastInterface(`::%${o.interface}`);
+        } else {
+          socket.setBroadcast(true);
+        }
+      } catch (e) {
+        socket.close();
+        return reject(e);
+      }
+      socket.send(payload, o.port, address, (e) => {
+        socket.close();
+        if (e) reject(e);
+        else resolve();
+      });
+    });
+  });
+}
+
+// etherwake builds the same payload into a 0x0842 frame; Debian ships it as `etherwake`,
+// RHEL (net-tools) as `ether-wake`
+function sendEthernet(mac, o) {
+  if (process.platform !== 'linux') return Promise.reject(new Error('ethernet transport is only supported on Linux'));
+  const args = ['-b', '-i', o.interface, ...(o.password ? ['-p', o.password] : []), mac];
+  const run = (bin) => new Promise((resolve, reject) => {
+    execFile(bin, args, { timeout: 5000 }, (err, stdout, stderr) => {
+      if (!err) return resolve();
+      if (err.code === 'ENOENT') return reject(err);
+      reject(new Error(`${bin}: ${String(stderr || err.message).trim()}`));
+    });
+  });
+  return run('etherwake').catch(e => {
+    if (e.code !== 'ENOENT') throw e;
+    return run('ether-wake').catch(e2 => {
+      if (e2.code !== 'ENOENT') throw e2;
+      throw new Error('the ethernet transport needs etherwake (or ether-wake), which is not installed on this machine');
+    });
+  });
+}
+
+/**
+ * send `repeat` packets `intervalMs` apart; options from parseWakeOptions()
+ * targetIp (the host's IPv4, optional): with no interface set, a multi-homed sender
+ * uses the interface on that subnet
+ * -> publicOptions (as sent) + target mac
+ */
+async function send(mac, options, { targetIp } = {}) {
+  let o = options;
+  if (!o.interface && o.transport === 'udp4' && targetIp) {
+    const itf = netif.interfaceForIp(targetIp);
+    if (itf) o = { ...o, interface: itf.name };
+  }
+
+  const payload = buildPayload(mac, o.password);
+  for (let i = 0; i < o.repeat; i++) {
+    if (i > 0) await sleep(o.intervalMs);
+    if (o.transport === 'ethernet') await sendEthernet(mac, o);
+    else await sendUdp(o, payload);
+  }
+  return { mac, ...publicOptions(o), address: destination(o) };
+}
+
+module.exports = {
+  TRANSPORTS,
+  DEFAULTS,
+  buildPayload,
+  parsePayload,
+  isInterfaceName,
+  parseWakeOptions,
+  compactOptions,
+  publicOptions,
+  sendDurationMs,
+  send,
+};
@@ -0,0 +1,159 @@
+'use strict';
+
+/**
+ * Prometheus metrics (GET /metrics, text exposition format 0.0.4)
+ * - a registry of counters, gauges and histograms with labels; no client library needed
+ * - gauges can be computed at scrape time with collect() (agent status, process memory)
+ * - access is open unless a token (Authorization: Bearer) and/or an IP allowlist is configured
+ */
+
+const crypto = require('crypto');
+
+const { parseAllowList, ipAllowed } = require('./ip-allowlist');
+
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+function escapeLabel(v) {
+  return String(v).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function labelText(labels) {
+  const parts = Object.entries(labels).map(([k, v]) => `${k}="${escapeLabel(v)}"`);
+  return parts.length ? `{${parts.join(',')}}` : '';
+}
+
+function formatValue(n) {
+  if (n === Infinity) return '+Inf';
+  if (n === -Infinity) return '-Inf';
+  return String(n);
+}
+
+// series are kept per label set, keyed by the label values in labelNames order
+function pick(labelNames, labels = {}) {
+  const out = {};
+  for (const name of labelNames) out[name] = labels[name] ?? '';
+  return out;
+}
+
+const keyOf = (labels) => JSON.stringify(Object.values(labels));
+
+function createRegistry() {
+  const metrics = [];
+
+  function register(metric) {
+    if (metrics.some(m => m.name === metric.name)) throw new Error(`metric already registered: ${metric.name}`);
+    metrics.push(metric);
+    return metric;
+  }
+
+  function counter(name, help, labelNames = []) {
+    const series = new Map(); // key -> { labels, value }
+    return register({
+      name,
+      help,
+      type: 'counter',
+      inc(labels, n = 1) {
+        const l = pick(labelNames, labels);
+        const s = series.get(keyOf(l));
+        if (s) s.value += n;
+        else series.set(keyOf(l), { labels: l, value: n });
+      },
+      lines: () => [...series.values()].map(s => `${name}${labelText(s.labels)} ${formatValue(s.value)}`),
+    });
+  }
+
+  // collect() -> [{ labels, value }] replaces set() values at scrape time
+  function gauge(name, help, labelNames = [], { collect } = {}) {
+    const series = new Map();
+    return register({
+      name,
+      help,
+      type: 'gauge',
+      set(labels, value) {
+        const l = pick(labelNames, labels);
+        series.set(keyOf(l), { labels: l, value });
+      },
+      lines: () => (collect ? collect() : [...series.values()])
+        .map(s => `${name}${labelText(pick(labelNames, s.labels))} ${formatValue(s.value)}`),
+    });
+  }
+
+  function histogram(name, help, labelNames = [], { buckets = DEFAULT_BUCKETS } = {}) {
+    const series = new Map(); // key -> { labels, counts (per bucket, not cumulative), sum, count }
+    return register({
+      name,
+      help,
+      type: 'histogram',
+      observe(labels, value) {
+        const l = pick(labelNames, labels);
+        let s = series.get(keyOf(l));
+        if (!s) {
+          s = { labels: l, counts: buckets.map(() => 0), sum: 0, count: 0 };
+          series.set(keyOf(l), s);
+        }
+        const i = buckets.findIndex(b => value <= b);
+        if (i >= 0) s.counts[i]++;
+        s.sum += value;
+        s.count++;
+      },
+      lines() {
+        const out = [];
+        for (const s of series.values()) {
+          let cumulative = 0;
+          buckets.forEach((b, i) => {
+            cumulative += s.counts[i];
+            out.push(`${name}_bucket${labelText({ ...s.labels, le: formatValue(b) })} ${cumulative}`);
+          });
+          out.push(`${name}_bucket${labelText({ ...s.labels, le: '+Inf' })} ${s.count}`);
+          out.push(`${name}_sum${labelText(s.labels)} ${formatValue(s.sum)}`);
+          out.push(`${name}_count${labelText(s.labels)} ${s.count}`);
+        }
+        return out;
+      },
+    });
+  }
+
+  function render() {
+    const out = [];
+    for (const m of metrics) {
+      out.push(`# HELP ${m.name} ${m.help.replace(/\\/g, '\\\\').replace(/\n/g, '\\n')}`);
+      out.push(`# TYPE ${m.name} ${m.type}`);
+      out.push(...m.lines());
+    }
+    return out.join('\n') + '\n';
+  }
+
+  return { counter, gauge, histogram, render };
+}
+
+// seconds since t0 (process.hrtime.bigint())
+const secondsSince = (t0) => Number(process.hrtime.bigint() - t0) / 1e9;
+
+// express handler for /metrics; token and allowList are both optional (each one set must match)
+function handler(registry, { token = '', allowList = '' } = {}) {
+  const allowed = allowList ? parseAllowList(allowList) : null;
+  return (req, res) => {
+    if (allowed && !ipAllowed(allowed, req.ip)) return res.status(403).type('text/plain').send('forbidden\n');
+    if (token) {
+      const m = /^Bearer\s+(.+)$/i.exec(req.get('Authorization') || '');
+      if (!m || !safeEqual(m[1].trim(), token)) {
+        return res.status(401).set('WWW-Authenticate', 'Bearer').type('text/plain').send('unauthorized\n');
+      }
+    }
+    res.set('Cache-Control', 'no-store');
+    res.type('text/plain; version=0.0.4; charset=utf-8').send(registry.render());
+  };
+}
+
+function safeEqual(a, b) {
+  const ha = crypto.createHash('sha256').update(a).digest();
+  const hb = crypto.createHash('sha256').update(b).digest();
+  return crypto.timingSafeEqual(ha, hb);
+}
+
+module.exports = {
+  DEFAULT_BUCKETS,
+  createRegistry,
+  secondsSince,
+  handler,
+};
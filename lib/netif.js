@@ -0,0 +1,66 @@
+'use strict';
+
+/**
+ * Local network interfaces (agents report them to the controller)
+ * - IPv4 broadcast address computed from address + netmask
+ * - interfaceForIp(): which interface's subnet a host is on (multi-homed agents)
+ */
+
+const os = require('os');
+const net = require('net');
+
+function ipv4ToInt(ip) {
+  return ip.split('.').reduce((n, x) => ((n << 8) | Number(x)) >>> 0, 0);
+}
+
+function intToIpv4(n) {
+  return [24, 16, 8, 0].map(s => (n >>> s) & 255).join('.');
+}
+
+function broadcastOf(address, netmask) {
+  return intToIpv4((ipv4ToInt(address) | ~ipv4ToInt(netmask)) >>> 0);
+}
+
+const isV4 = (a) => a.family === 'IPv4' || a.family === 4;
+
+/**
+ * -> [{ name, mac, internal, ipv4: [{ address, netmask, cidr, broadcast }], ipv6: [{ address, cidr, scopeid }] }]
+ */
+function listInterfaces() {
+  return Object.entries(os.networkInterfaces()).map(([name, addrs]) => ({
+    name,
+    mac: addrs.find(a => a.mac && a.mac !== '00:00:00:00:00:00')?.mac || null,
+    internal: addrs.every(a => a.internal),
+    ipv4: addrs.filter(isV4).map(a => ({
+      address: a.address,
+      netmask: a.netmask,
+      cidr: a.cidr,
+      broadcast: broadcastOf(a.address, a.netmask),
+    })),
+    ipv6: addrs.filter(a => !isV4(a)).map(a => ({ address: a.address, cidr: a.cidr, scopeid: a.scopeid })),
+  }));
+}
+
+// non-internal interface whose IPv4 subnet contains `ip` -> { name, broadcast } or null
+function interfaceForIp(ip) {
+  if (!net.isIPv4(String(ip || ''))) return null;
+  const target = ipv4ToInt(ip);
+  for (const itf of listInterfaces()) {
+    if (itf.internal) continue;
+    const a = itf.ipv4.find(x => ((ipv4ToInt(x.address) ^ target) & ipv4ToInt(x.netmask)) === 0);
+    if (a) return { name: itf.name, broadcast: a.broadcast };
+  }
+  return null;
+}
+
+// first IPv4 address / broadcast of an interface, or null
+function ipv4Of(name) {
+  return listInterfaces().find(x => x.name === name)?.ipv4[0] || null;
+}
+
+module.exports = {
+  broadcastOf,
+  listInterfaces,
+  interfaceForIp,
+  ipv4Of,
+};
@@ -0,0 +1,138 @@
+'use strict';
+
+/**
+ * Magic packet monitor (agent, MONITOR=1): which magic packets actually reached this VLAN
+ * - UDP on the given ports (default 7 and 9), IPv4 broadcast and IPv6 multicast; ports below 1024
+ *   need root or CAP_NET_BIND_SERVICE, and a port another program holds can't be shared
+ * - raw EtherType 0x0842 frames on the given interfaces, read from `tcpdump` (needs CAP_NET_RAW)
+ * - a listener that doesn't start is reported in status(); the others keep running
+ * - received packets go into a ring buffer; each gets a sequence number so the controller can ask
+ *   for "everything after N" without comparing clocks
+ */
+
+const dgram = require('dgram');
+const { spawn } = require('child_process');
+
+const netif = require('./netif');
+const { parsePayload } = require('./magic-packet');
+
+const ETHERTYPE_WOL = '0842';
+const FLUSH_DELAY_MS = 50; // tcpdump writes one packet as several hex lines
+
+// sender address -> interface it came in on (IPv6 link-local carries it as %scope)
+function interfaceOf(address) {
+  const scope = /%(.+)$/.exec(address);
+  if (scope) return scope[1];
+  return netif.interfaceForIp(address)?.name || null;
+}
+
+function createPacketMonitor({ ports = [7, 9], ethernet = [], bufferSize = 200, tcpdump = 'tcpdump' } = {}) {
+  const packets = [];
+  const listeners = [];
+  const sockets = [];
+  const children = [];
+  let seq = 0;
+
+  function failed(state, message) {
+    state.listening = false;
+    state.error = message;
+    console.warn(`WARNING: packet monitor: ${state.transport} ${state.port ?? state.interface}: ${message}`);
+  }
+
+  function record(packet) {
+    packets.push({ seq: ++seq, receivedAt: new Date().toISOString(), ...packet });
+    if (packets.length > bufferSize) packets.shift();
+  }
+
+  function listenUdp(transport, port) {
+    const state = { transport, port, interface: null, listening: false, error: null };
+    listeners.push(state);
+    const socket = dgram.createSocket(transport === 'udp6' ? { type: 'udp6', ipv6Only: true } : 'udp4');
+    socket.on('error', (e) => {
+      failed(state, e.message);
+      socket.close();
+    });
+    socket.on('message', (msg, rinfo) => {
+      const parsed = parsePayload(msg);
+      if (!parsed) return;
+      record({ ...parsed, transport, port, interface: interfaceOf(rinfo.address), from: rinfo.address.replace(/%.*$/, ''), fromPort: rinfo.port });
+    });
+    socket.bind(port, transport === 'udp6' ? '::' : '0.0.0.0', () => { state.listening = true; });
+    sockets.push(socket);
+  }
+
+  // `tcpdump -xx` prints every frame as hex lines, link header included
+  function listenEthernet(name) {
+    const state = { transport: 'ethernet', port: null, interface: name, listening: false, error: null };
+    listeners.push(state);
+    if (process.platform !== 'linux') return failed(state, 'raw frames are only captured on Linux');
+    const child = spawn(tcpdump, ['-l', '-n', '-xx', '-i', name, 'ether', 'proto', `0x${ETHERTYPE_WOL}`], { stdio: ['ignore', 'pipe', 'pipe'] });
+    children.push(child);
+
+    let hex = '';
+    let timer = null;
+    let stderr = '';
+    const flush = () => {
+      clearTimeout(timer);
+      const frame = Buffer.from(hex, 'hex');
+      hex = '';
+      if (frame.length < 14 || frame.subarray(12, 14).toString('hex') !== ETHERTYPE_WOL) return;
+      const parsed = parsePayload(frame.subarray(14));
+      if (!parsed) return;
+      const from = [...frame.subarray(6, 12)].map(b => b.toString(16).padStart(2, '0')).join(':');
+      record({ ...parsed, transport: 'ethernet', port: null, interface: name, from, fromPort: null });
+    };
+
+    let rest = '';
+    child.stdout.on('data', (chunk) => {
+      const lines = (rest + chunk).split('\n');
+      rest = lines.pop();
+      for (const line of lines) {
+        const m = /^\s+0x[0-9a-f]+:\s+([0-9a-f ]+)$/i.exec(line);
+        if (m) {
+          hex += m[1].replace(/\s+/g, '');
+          clearTimeout(timer);
+          timer = setTimeout(flush, FLUSH_DELAY_MS);
+        } else if (hex) {
+          flush();
+        }
+      }
+    });
+    child.stderr.on('data', (chunk) => {
+      stderr = (stderr + chunk).slice(-1000);
+      if (/listening on/.test(stderr)) state.listening = true;
+    });
+    child.on('error', (e) => failed(state, e.code === 'ENOENT' ? `${tcpdump} not found` : e.message));
+    child.on('exit', (code) => {
+      if (!state.error) failed(state, stderr.trim().split('\n').pop() || `${tcpdump} exited with ${code}`);
+    });
+  }
+
+  return {
+    start() {
+      for (const port of ports) {
+        listenUdp('udp4', port);
+        listenUdp('udp6', port);
+      }
+      for (const name of ethernet) listenEthernet(name);
+    },
+
+    stop() {
+      sockets.forEach(s => { try { s.close(); } catch { /* already closed */ } });
+      children.forEach(c => c.kill());
+    },
+
+    // packets after sequence number `after`, optionally for one MAC; oldest first, at most `limit` (the newest)
+    list({ after = 0, mac = null, limit = 100 } = {}) {
+      return packets.filter(p => p.seq > after && (!mac || p.mac === mac)).slice(-limit);
+    },
+
+    lastSeq: () => seq,
+
+    status: () => listeners.map(l => ({ ...l })),
+  };
+}
+
+module.exports = {
+  createPacketMonitor,
+};
@@ -0,0 +1,68 @@
+'use strict';
+
+/**
+ * Power commands (MODE=endpoint, runs on the target machine itself)
+ * - shutdown / suspend / reboot map to the OS command for this platform; ENDPOINT_<ACTION>_CMD
+ *   replaces one (e.g. `sudo /sbin/poweroff` when the service doesn't run as root)
+ * - the command starts after a short delay so the HTTP response still reaches the controller
+ * - dry run: everything is checked and logged, nothing is executed
+ */
+
+const { execFile } = require('child_process');
+
+const POWER_ACTIONS = ['shutdown', 'suspend', 'reboot'];
+
+// the state a host is left in once the action went through
+const POWER_STATES = { shutdown: 'off', suspend: 'suspended', reboot: 'on' };
+
+const COMMANDS = {
+  linux: {
+    shutdown: ['systemctl', 'poweroff'],
+    suspend: ['systemctl', 'suspend'],
+    reboot: ['systemctl', 'reboot'],
+  },
+  darwin: {
+    shutdown: ['shutdown', '-h', 'now'],
+    suspend: ['pmset', 'sleepnow'],
+    reboot: ['shutdown', '-r', 'now'],
+  },
+  win32: {
+    shutdown: ['shutdown', '/s', '/t', '0'],
+    suspend: ['rundll32.exe', 'powrprof.dll,SetSuspendState', '0,1,0'],
+    reboot: ['shutdown', '/r', '/t', '0'],
+  },
+};
+
+const isPowerAction = (action) => POWER_ACTIONS.includes(action);
+
+// -> [file, ...args] or null when this platform has no command for it
+function commandFor(action, { platform = process.platform, env = process.env } = {}) {
+  const override = String(env[`ENDPOINT_${action.toUpperCase()}_CMD`] || '').trim();
+  if (override) return override.split(/\s+/);
+  return COMMANDS[platform]?.[action] || null;
+}
+
+// run (or, dry run, only describe) an action -> { action, command, dryRun, startsInMs }
+function run(action, { dryRun = false, delayMs = 1000, env } = {}) {
+  if (!isPowerAction(action)) throw Object.assign(new Error('invalid action'), { status: 400 });
+  const command = commandFor(action, { env });
+  if (!command) throw Object.assign(new Error(`${action} is not supported on ${process.platform}`), { status: 501 });
+
+  const [file, ...args] = command;
+  if (!dryRun) {
+    setTimeout(() => {
+      execFile(file, args, (err, stdout, stderr) => {
+        if (err) console.error(`${action} failed: ${err.message}${stderr ? ' ' + String(stderr).trim() : ''}`);
+      });
+    }, delayMs);
+  }
+  return { action, command: command.join(' '), dryRun, startsInMs: dryRun ? null : delayMs };
+}
+
+module.exports = {
+  POWER_ACTIONS,
+  POWER_STATES,
+  isPowerAction,
+  commandFor,
+  run,
+};
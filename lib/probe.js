@@ -0,0 +1,57 @@
+'use strict';
+
+/**
+ * Host reachability probes used for post-wake verification
+ * - icmp: system `ping` (no raw socket privileges needed in node)
+ * - tcp: connect to a port (e.g. 22 / 3389)
+ */
+
+const net = require('net');
+const { execFile } = require('child_process');
+
+const PROBE_METHODS = ['icmp', 'tcp'];
+
+// IP or hostname; must not start with '-' (it is passed to ping as an argument)
+function isProbeTarget(s) {
+  return /^[A-Za-z0-9][A-Za-z0-9.:_-]{0,252}$/.test(String(s || ''));
+}
+
+function isPort(n) {
+  return Number.isInteger(n) && n >= 1 && n <= 65535;
+}
+
+function pingOnce(target, timeoutMs) {
+  const sec = String(Math.max(1, Math.round(timeoutMs / 1000)));
+  return new Promise(resolve => {
+    execFile('ping', ['-c', '1', '-W', sec, target], { timeout: timeoutMs + 1000 }, err => resolve(!err));
+  });
+}
+
+function tcpOnce(target, port, timeoutMs) {
+  return new Promise(resolve => {
+    const sock = net.connect({ host: target, port });
+    const done = up => {
+      sock.destroy();
+      resolve(up);
+    };
+    sock.setTimeout(timeoutMs, () => done(false));
+    sock.once('connect', () => done(true));
+    sock.once('error', () => done(false));
+  });
+}
+
+// one probe -> { up, ms }
+async function probeOnce({ target, method, port, timeoutMs = 2000 }) {
+  const t0 = Date.now();
+  const up = method === 'tcp'
+    ? await tcpOnce(target, port, timeoutMs)
+    : await pingOnce(target, timeoutMs);
+  return { up, ms: Date.now() - t0 };
+}
+
+module.exports = {
+  PROBE_METHODS,
+  isProbeTarget,
+  isPort,
+  probeOnce,
+};
@@ -0,0 +1,97 @@
+'use strict';
+
+/**
+ * In-process scheduler for store.schedules
+ * - every tick, starts enabled schedules whose nextRunAt has passed; runs go side by side, so a
+ *   slow one doesn't hold up (or make "missed") the others, but a schedule never overlaps itself
+ * - a run that is late by more than missedGraceMs (controller was down) is skipped
+ *   unless the schedule has catchUp, in which case it runs once
+ * - schedule state (lastRunAt / lastResult / nextRunAt) is written back to the store
+ */
+
+const cron = require('./cron');
+const { ConflictError } = require('./storage');
+
+const UPDATE_ATTEMPTS = 3;
+
+function computeNextRunAt(schedule, afterMs = Date.now()) {
+  const t = cron.nextRun(schedule.cron, schedule.timezone, afterMs);
+  return t === null ? null : new Date(t).toISOString();
+}
+
+function createScheduler({ readStore, writeStore, runTarget, intervalMs = 15 * 1000, missedGraceMs = 2 * 60 * 1000 }) {
+  const inFlight = new Set(); // schedule ids with a run in progress
+  let timer = null;
+
+  // re-read before writing so a concurrent edit/delete isn't overwritten;
+  // a conflicting write (the row changed in between) is retried on a fresh read
+  function updateSchedule(id, patch) {
+    for (let attempt = 1; ; attempt++) {
+      const store = readStore();
+      const s = store.schedules.find(x => x.id === id);
+      if (!s) return;
+      Object.assign(s, patch);
+      try {
+        writeStore(store);
+        return;
+      } catch (e) {
+        if (!(e instanceof ConflictError) || attempt >= UPDATE_ATTEMPTS) throw e;
+      }
+    }
+  }
+
+  async function runOne(schedule, now) {
+    const late = now - Date.parse(schedule.nextRunAt);
+    const nextRunAt = computeNextRunAt(schedule, now);
+
+    if (late > missedGraceMs && !schedule.catchUp) {
+      updateSchedule(schedule.id, { lastMissedAt: schedule.nextRunAt, nextRunAt });
+      return;
+    }
+
+    // advance first so a slow run isn't picked up again by the next tick
+    // (if that can't be saved, this throws and nothing is sent; the next tick tries again)
+    updateSchedule(schedule.id, { nextRunAt });
+
+    let lastResult;
+    try {
+      lastResult = await runTarget(schedule);
+    } catch (e) {
+      lastResult = { ok: false, error: e.message };
+    }
+    updateSchedule(schedule.id, { lastRunAt: new Date(now).toISOString(), lastResult });
+  }
+
+  // resolves when the runs started by this tick have finished
+  async function tick() {
+    const runs = [];
+    try {
+      const now = Date.now();
+      const due = readStore().schedules.filter(s => s.enabled && s.nextRunAt && Date.parse(s.nextRunAt) <= now && !inFlight.has(s.id));
+      for (const s of due) {
+        inFlight.add(s.id);
+        runs.push(runOne(s, now)
+          .catch(e => console.error(`scheduler: ${s.id}: ${e.message}`))
+          .finally(() => inFlight.delete(s.id)));
+      }
+    } catch (e) {
+      console.error('scheduler: ' + e.message);
+    }
+    await Promise.all(runs);
+  }
+
+  return {
+    start() {
+      if (timer) return;
+      timer = setInterval(tick, intervalMs);
+      timer.unref();
+      tick();
+    },
+    tick,
+  };
+}
+
+module.exports = {
+  computeNextRunAt,
+  createScheduler,
+};
@@ -0,0 +1,92 @@
+'use strict';
+
+/**
+ * Controller -> agent request signing
+ *
+ * signature = HMAC-SHA256(secret, METHOD \n path \n timestamp \n nonce \n sha256(body))
+ * path is relative to the receiver's base URL (the route, e.g. `/wake`, plus any query): the sender
+ * signs the path it appends to the agent / endpoint / controller URL, the receiver verifies req.url.
+ * A reverse proxy that serves the receiver under a prefix (https://proxy/site-a/ -> http://agent/)
+ * and strips it therefore doesn't break signatures.
+ * sent as X-WoL-Timestamp / X-WoL-Nonce / X-WoL-Signature. The secret itself never
+ * goes over the wire; the agent rejects stale timestamps and reused nonces.
+ */
+
+const crypto = require('crypto');
+
+const HEADER_TIMESTAMP = 'X-WoL-Timestamp';
+const HEADER_NONCE = 'X-WoL-Nonce';
+const HEADER_SIGNATURE = 'X-WoL-Signature';
+
+function sha256Hex(data) {
+  return crypto.createHash('sha256').update(data || '').digest('hex');
+}
+
+function computeSignature(secret, method, path, timestamp, nonce, body) {
+  const canonical = [String(method).toUpperCase(), path, timestamp, nonce, sha256Hex(body)].join('\n');
+  return crypto.createHmac('sha256', secret).update(canonical).digest('hex');
+}
+
+// headers for an outgoing request; path as above (not the full URL path), body the exact string sent
+function signHeaders(secret, method, path, body) {
+  const timestamp = String(Math.floor(Date.now() / 1000));
+  const nonce = crypto.randomBytes(16).toString('hex');
+  return {
+    [HEADER_TIMESTAMP]: timestamp,
+    [HEADER_NONCE]: nonce,
+    [HEADER_SIGNATURE]: computeSignature(secret, method, path, timestamp, nonce, body),
+  };
+}
+
+function safeEqualHex(a, b) {
+  const ba = Buffer.from(String(a), 'hex');
+  const bb = Buffer.from(String(b), 'hex');
+  return ba.length === bb.length && ba.length > 0 && crypto.timingSafeEqual(ba, bb);
+}
+
+/**
+ * Express middleware verifying signed requests. Needs req.rawBody (express.json `verify`).
+ * secrets: active keys (current + previous during rotation), or a function (req) -> keys
+ * when the key depends on who is calling
+ */
+function requireSignature({ secrets, maxSkewSec = 300 }) {
+  const keysFor = typeof secrets === 'function' ? secrets : () => secrets;
+  const seen = new Map(); // nonce -> expiresAt(ms)
+
+  setInterval(() => {
+    const now = Date.now();
+    for (const [nonce, exp] of seen) {
+      if (exp < now) seen.delete(nonce);
+    }
+  }, 60 * 1000).unref();
+
+  return (req, res, next) => {
+    const timestamp = req.get(HEADER_TIMESTAMP) || '';
+    const nonce = req.get(HEADER_NONCE) || '';
+    const signature = req.get(HEADER_SIGNATURE) || '';
+
+    if (!/^\d+$/.test(timestamp) || !/^[0-9a-f]{16,64}$/.test(nonce) || !signature) {
+      return res.status(401).json({ error: 'unauthorized' });
+    }
+    if (Math.abs(Date.now() / 1000 - Number(timestamp)) > maxSkewSec) {
+      return res.status(401).json({ error: 'request expired (check clock skew)' });
+    }
+
+    const body = req.rawBody ? req.rawBody.toString('utf8') : '';
+    const keys = keysFor(req).filter(Boolean);
+    const ok = keys
+      .map(k => safeEqualHex(signature, computeSignature(k, req.method, req.url, timestamp, nonce, body)))
+      .some(Boolean); // check every key so timing doesn't reveal which one matched
+    if (!ok) return res.status(401).json({ error: 'unauthorized' });
+
+    if (seen.has(nonce)) return res.status(401).json({ error: 'replayed request' });
+    seen.set(nonce, Date.now() + maxSkewSec * 2 * 1000);
+
+    next();
+  };
+}
+
+module.exports = {
+  signHeaders,
+  requireSignature,
+};
@@ -0,0 +1,303 @@
+'use strict';
+
+/**
+ * Controller storage drivers
+ * - sqlite: one table per collection (id + JSON doc), schema migrations, unique constraints
+ * - json: the original storage.json file (fallback when better-sqlite3 is not installed or doesn't load)
+ *
+ * Both expose load() -> { agents: [], hosts: [], ... } and save(data). save() writes only the
+ * rows that changed since load() and checks each of them is still what load() saw
+ * (compare-and-swap on the row document), so two requests editing different rows don't
+ * overwrite each other and two editing the same row get a ConflictError instead of a lost update.
+ */
+
+const fs = require('fs');
+
+// collection -> table / unique columns (extracted from the doc)
+const COLLECTIONS = {
+  agents: { table: 'agents', unique: [] },
+  hosts: { table: 'hosts', unique: ['mac'] },
+  users: { table: 'users', unique: ['username'] },
+  groups: { table: 'groups', unique: ['name'] },
+  schedules: { table: 'schedules', unique: [] },
+  joinCodes: { table: 'join_codes', unique: [] },
+  apiKeys: { table: 'api_keys', unique: [] },
+  webhooks: { table: 'webhooks', unique: [] },
+  wakeLinks: { table: 'wake_links', unique: [] },
+};
+
+class ConflictError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ConflictError';
+    this.status = 409;
+  }
+}
+
+const SNAPSHOT = Symbol('snapshot');
+
+function emptyData() {
+  const data = {};
+  for (const name of Object.keys(COLLECTIONS)) data[name] = [];
+  return data;
+}
+
+// remember what each row looked like when it was loaded
+function withSnapshot(data) {
+  const snap = {};
+  for (const name of Object.keys(COLLECTIONS)) {
+    data[name] ||= [];
+    snap[name] = new Map(data[name].map(row => [row.id, JSON.stringify(row)]));
+  }
+  Object.defineProperty(data, SNAPSHOT, { value: snap, enumerable: false, writable: true });
+  return data;
+}
+
+// rows inserted / updated / deleted since load(): { [collection]: { inserts, updates, deletes } }
+function diff(data) {
+  const snap = data[SNAPSHOT] || withSnapshot(emptyData())[SNAPSHOT];
+  const out = {};
+  for (const name of Object.keys(COLLECTIONS)) {
+    const before = snap[name];
+    const seen = new Set();
+    const d = { inserts: [], updates: [], deletes: [] };
+    for (const row of data[name] || []) {
+      const doc = JSON.stringify(row);
+      seen.add(row.id);
+      if (!before.has(row.id)) d.inserts.push({ row, doc });
+      else if (before.get(row.id) !== doc) d.updates.push({ row, doc, prev: before.get(row.id) });
+    }
+    for (const [id, prev] of before) {
+      if (!seen.has(id)) d.deletes.push({ id, prev });
+    }
+    out[name] = d;
+  }
+  return out;
+}
+
+// ids inserted / updated / deleted since load() (for change notifications; call before save())
+function changes(data) {
+  const out = {};
+  for (const [name, d] of Object.entries(diff(data))) {
+    const upserted = [...d.inserts, ...d.updates].map(x => x.row.id);
+    const deleted = d.deletes.map(x => x.id);
+    if (upserted.length || deleted.length) out[name] = { upserted, deleted };
+  }
+  return out;
+}
+
+function checkUnique(name, rows) {
+  for (const field of COLLECTIONS[name].unique) {
+    const values = new Set();
+    for (const row of rows) {
+      if (values.has(row[field])) throw new ConflictError(`${field} already exists: ${row[field]}`);
+      values.add(row[field]);
+    }
+  }
+}
+
+// ----- JSON file driver -----
+function createJsonDriver({ filePath }) {
+  function readFile() {
+    if (!fs.existsSync(filePath)) return emptyData();
+    const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    for (const name of Object.keys(COLLECTIONS)) data[name] ||= [];
+    return data;
+  }
+
+  // atomic write
+  function writeFile(data) {
+    const tmp = filePath + '.tmp';
+    fs.writeFileSync(tmp, JSON.stringify(data, null, 2));
+    fs.renameSync(tmp, filePath);
+  }
+
+  if (!fs.existsSync(filePath)) writeFile(emptyData());
+
+  return {
+    name: 'json',
+    location: filePath,
+    load() {
+      return withSnapshot(readFile());
+    },
+    save(data) {
+      // apply this request's row changes onto the file as it is now
+      const current = readFile();
+      const changes = diff(data);
+      for (const [name, d] of Object.entries(changes)) {
+        const rows = current[name];
+        const index = new Map(rows.map((row, i) => [row.id, i]));
+        for (const { row, doc, prev } of d.updates) {
+          const i = index.get(row.id);
+          if (i === undefined || JSON.stringify(rows[i]) !== prev) throw new ConflictError(`${name} ${row.id} was changed concurrently`);
+          rows[i] = JSON.parse(doc);
+        }
+        for (const { id, prev } of d.deletes) {
+          const i = index.get(id);
+          if (i === undefined) continue;
+          if (JSON.stringify(rows[i]) !== prev) throw new ConflictError(`${name} ${id} was changed concurrently`);
+          rows[i] = null;
+        }
+        for (const { row, doc } of d.inserts) {
+          if (index.has(row.id)) throw new ConflictError(`${name} ${row.id} already exists`);
+          rows.push(JSON.parse(doc));
+        }
+        current[name] = rows.filter(Boolean);
+        checkUnique(name, current[name]);
+      }
+      writeFile(current);
+      withSnapshot(data);
+    },
+  };
+}
+
+// ----- SQLite driver -----
+
+// append only: applied in order, recorded in schema_migrations
+const MIGRATIONS = [
+  // 1: one table per collection
+  `
+  CREATE TABLE agents (id TEXT PRIMARY KEY, doc TEXT NOT NULL);
+  CREATE TABLE hosts (id TEXT PRIMARY KEY, doc TEXT NOT NULL, mac TEXT NOT NULL UNIQUE);
+  CREATE TABLE users (id TEXT PRIMARY KEY, doc TEXT NOT NULL, username TEXT NOT NULL UNIQUE);
+  CREATE TABLE groups (id TEXT PRIMARY KEY, doc TEXT NOT NULL, name TEXT NOT NULL UNIQUE);
+  CREATE TABLE schedules (id TEXT PRIMARY KEY, doc TEXT NOT NULL);
+  CREATE TABLE join_codes (id TEXT PRIMARY KEY, doc TEXT NOT NULL);
+  `,
+  // 2: public API keys
+  `
+  CREATE TABLE api_keys (id TEXT PRIMARY KEY, doc TEXT NOT NULL);
+  `,
+  // 3: outgoing webhook targets
+  `
+  CREATE TABLE webhooks (id TEXT PRIMARY KEY, doc TEXT NOT NULL);
+  `,
+  // 4: signed single-host wake links
+  `
+  CREATE TABLE wake_links (id TEXT PRIMARY KEY, doc TEXT NOT NULL);
+  `,
+];
+
+function createSqliteDriver({ dbPath, importFrom }) {
+  const Database = require('better-sqlite3');
+  const db = new Database(dbPath);
+  db.pragma('journal_mode = WAL');
+  db.pragma('busy_timeout = 5000');
+
+  // migrations
+  db.exec('CREATE TABLE IF NOT EXISTS schema_migrations (version INTEGER PRIMARY KEY, applied_at TEXT NOT NULL)');
+  const applied = db.prepare('SELECT COALESCE(MAX(version), 0) AS v FROM schema_migrations').get().v;
+  db.transaction(() => {
+    MIGRATIONS.forEach((sql, i) => {
+      const version = i + 1;
+      if (version <= applied) return;
+      db.exec(sql);
+      db.prepare('INSERT INTO schema_migrations (version, applied_at) VALUES (?, ?)').run(version, new Date().toISOString());
+    });
+  })();
+
+  const stmts = {};
+  for (const [name, { table, unique }] of Object.entries(COLLECTIONS)) {
+    const cols = ['id', 'doc', ...unique];
+    stmts[name] = {
+      all: db.prepare(`SELECT doc FROM ${table} ORDER BY rowid`),
+      insert: db.prepare(`INSERT INTO ${table} (${cols.join(', ')}) VALUES (${cols.map(() => '?').join(', ')})`),
+      update: db.prepare(`UPDATE ${table} SET ${['doc', ...unique].map(c => `${c} = ?`).join(', ')} WHERE id = ? AND doc = ?`),
+      delete: db.prepare(`DELETE FROM ${table} WHERE id = ? AND doc = ?`),
+      exists: db.prepare(`SELECT 1 FROM ${table} WHERE id = ?`),
+    };
+  }
+
+  const load = db.transaction(() => {
+    const data = {};
+    for (const name of Object.keys(COLLECTIONS)) {
+      data[name] = stmts[name].all.all().map(r => JSON.parse(r.doc));
+    }
+    return data;
+  });
+
+  const apply = db.transaction((changes) => {
+    for (const [name, d] of Object.entries(changes)) {
+      const { unique } = COLLECTIONS[name];
+      const s = stmts[name];
+      for (const { id, prev } of d.deletes) {
+        // already gone is fine; changed since load() is not
+        if (s.delete.run(id, prev).changes === 0 && s.exists.get(id)) throw new ConflictError(`${name} ${id} was changed concurrently`);
+      }
+      for (const { row, doc, prev } of d.updates) {
+        const r = s.update.run(doc, ...unique.map(c => row[c]), row.id, prev);
+        if (r.changes === 0) throw new ConflictError(`${name} ${row.id} was changed concurrently`);
+      }
+      for (const { row, doc } of d.inserts) {
+        s.insert.run(row.id, doc, ...unique.map(c => row[c]));
+      }
+    }
+  });
+
+  function save(data) {
+    try {
+      apply(diff(data));
+    } catch (e) {
+      if (e.code === 'SQLITE_CONSTRAINT_UNIQUE' || e.code === 'SQLITE_CONSTRAINT_PRIMARYKEY') {
+        throw new ConflictError(e.message.replace(/^UNIQUE constraint failed: /, 'already exists: '));
+      }
+      throw e;
+    }
+    withSnapshot(data);
+  }
+
+  // first start on an empty database: import the old storage.json once
+  // (renamed afterwards; a failed import leaves both untouched and is retried on the next start)
+  const empty = Object.keys(COLLECTIONS).every(name => stmts[name].all.all().length === 0);
+  if (empty && importFrom && fs.existsSync(importFrom)) {
+    const data = JSON.parse(fs.readFileSync(importFrom, 'utf8'));
+    for (const name of Object.keys(COLLECTIONS)) data[name] ||= [];
+    try {
+      save(data);
+    } catch (e) {
+      throw new Error(`import of ${importFrom} failed: ${e.message}`);
+    }
+    fs.renameSync(importFrom, importFrom + '.imported');
+    console.log(`imported ${importFrom} into ${dbPath} (original kept as ${importFrom}.imported)`);
+  }
+
+  return {
+    name: 'sqlite',
+    location: dbPath,
+    load: () => withSnapshot(load()),
+    save,
+  };
+}
+
+// opens a database, not just finds the package: an optional dependency whose native build failed
+// (or was built for another Node version) is still on disk, and its binding only loads on first use
+function sqliteAvailable() {
+  try {
+    const Database = require('better-sqlite3');
+    new Database(':memory:').close();
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * driver: 'sqlite' | 'json' | '' (auto: sqlite when better-sqlite3 loads)
+ */
+function createStorage({ driver, dbPath, jsonPath }) {
+  let use = driver;
+  if (!use) {
+    use = sqliteAvailable() ? 'sqlite' : 'json';
+    if (use === 'json') console.warn('better-sqlite3 is not installed or does not load; using the JSON file store');
+  }
+  if (use === 'sqlite') return createSqliteDriver({ dbPath, importFrom: jsonPath });
+  if (use === 'json') return createJsonDriver({ filePath: jsonPath });
+  throw new Error(`unknown storage driver: ${use}`);
+}
+
+module.exports = {
+  COLLECTIONS,
+  ConflictError,
+  changes,
+  createStorage,
+};
@@ -0,0 +1,134 @@
+'use strict';
+
+/**
+ * HTTPS and mutual TLS (config file: tls, client)
+ * - servers: certificate files are watched and reloaded in place; a pair that doesn't load
+ *   (half-written, key mismatch) is logged and the previous one stays in use
+ * - tls.clientCa: clients must present a certificate signed by it; tls.allowedClients narrows that
+ *   to certificates by name (CN / DNS SAN) or sha256 fingerprint
+ * - client: certificate (and CA for the peer) used on outgoing https requests; the returned
+ *   fetch() answers like the built-in one for what the callers use (ok, status, text, json)
+ */
+
+const fs = require('fs');
+const http = require('http');
+const https = require('https');
+const tls = require('tls');
+
+const WATCH_INTERVAL_MS = 10 * 1000;
+const RELOAD_DELAY_MS = 1000; // cert and key are usually replaced one after the other
+
+// call onChange (debounced) when any of the files changes
+function watchFiles(files, onChange) {
+  let timer = null;
+  for (const file of files) {
+    fs.watchFile(file, { interval: WATCH_INTERVAL_MS }, (cur, prev) => {
+      if (cur.mtimeMs === prev.mtimeMs && cur.size === prev.size) return;
+      clearTimeout(timer);
+      timer = setTimeout(onChange, RELOAD_DELAY_MS);
+    });
+  }
+}
+
+function serverOptions({ cert, key, clientCa }) {
+  const options = { cert: fs.readFileSync(cert), key: fs.readFileSync(key) };
+  if (clientCa) Object.assign(options, { ca: fs.readFileSync(clientCa), requestCert: true, rejectUnauthorized: true });
+  tls.createSecureContext(options); // throws when the pair doesn't match
+  return options;
+}
+
+// `count` http.Servers, or https.Servers sharing one certificate that is reloaded when tlsConfig is given
+function createServers(app, tlsConfig, count = 1) {
+  const make = () => (tlsConfig ? https.createServer(serverOptions(tlsConfig), app) : http.createServer(app));
+  const servers = Array.from({ length: count }, make);
+  if (!tlsConfig) return servers;
+  watchFiles([tlsConfig.cert, tlsConfig.key, tlsConfig.clientCa].filter(Boolean), () => {
+    try {
+      const options = serverOptions(tlsConfig);
+      servers.forEach(server => server.setSecureContext(options));
+      console.log(`TLS certificate reloaded (${tlsConfig.cert})`);
+    } catch (e) {
+      console.error(`ERROR: TLS certificate not reloaded, keeping the previous one: ${e.message}`);
+    }
+  });
+  return servers;
+}
+
+const normalizeFingerprint = (s) => s.replace(/:/g, '').toLowerCase();
+
+function certificateNames(cert) {
+  const names = cert.subject?.CN ? [cert.subject.CN] : [];
+  for (const part of String(cert.subjectaltname || '').split(',')) {
+    const m = /^\s*DNS:(.+)$/.exec(part);
+    if (m) names.push(m[1].trim());
+  }
+  return names;
+}
+
+// express middleware for tls.allowedClients (the handshake already checked the chain)
+function allowedClients(allowed) {
+  const names = new Set(allowed);
+  const fingerprints = new Set(allowed.map(normalizeFingerprint).filter(s => /^[0-9a-f]{64}$/.test(s)));
+  return (req, res, next) => {
+    const cert = req.socket.getPeerCertificate?.();
+    const ok = cert && req.socket.authorized
+      && (fingerprints.has(normalizeFingerprint(cert.fingerprint256 || '')) || certificateNames(cert).some(n => names.has(n)));
+    if (ok) return next();
+    res.status(403).type('text/plain').send('client certificate not allowed\n');
+  };
+}
+
+function clientAgent({ cert, key, ca }) {
+  return new https.Agent({
+    keepAlive: true,
+    cert: cert ? fs.readFileSync(cert) : undefined,
+    key: key ? fs.readFileSync(key) : undefined,
+    ca: ca ? fs.readFileSync(ca) : undefined,
+  });
+}
+
+// fetch(url, { method, headers, body, signal }) presenting the client certificate on https URLs
+// (plain http goes through the built-in fetch); without a client config it is the built-in fetch.
+// watch: false for short-lived processes (the file watchers keep the process running)
+function createClient(clientConfig, { watch = true } = {}) {
+  if (!clientConfig) return fetch;
+  let agent = clientAgent(clientConfig);
+  if (watch) watchFiles([clientConfig.cert, clientConfig.key, clientConfig.ca].filter(Boolean), () => {
+    try {
+      const next = clientAgent(clientConfig);
+      agent.destroy();
+      agent = next;
+      console.log('TLS client certificate reloaded');
+    } catch (e) {
+      console.error(`ERROR: TLS client certificate not reloaded, keeping the previous one: ${e.message}`);
+    }
+  });
+
+  return function request(url, { method = 'GET', headers = {}, body, signal } = {}) {
+    if (!String(url).startsWith('https:')) return fetch(url, { method, headers, body, signal });
+    return new Promise((resolve, reject) => {
+      const req = https.request(url, { method, headers, agent, signal }, (res) => {
+        const chunks = [];
+        res.on('data', chunk => chunks.push(chunk));
+        res.on('error', reject);
+        res.on('end', () => {
+          const text = Buffer.concat(chunks).toString('utf8');
+          resolve({
+            ok: res.statusCode >= 200 && res.statusCode < 300,
+            status: res.statusCode,
+            text: async () => text,
+            json: async () => JSON.parse(text),
+          });
+        });
+      });
+      req.on('error', reject);
+      req.end(body);
+    });
+  };
+}
+
+module.exports = {
+  createServers,
+  allowedClients,
+  createClient,
+};
@@ -0,0 +1,128 @@
+'use strict';
+
+/**
+ * In-memory wake jobs: sent -> waiting -> online | timeout
+ * A host without a probe stays at `sent` (packet sent, boot not verified).
+ * Only the latest job per host is polled; starting a new one cancels the old.
+ * onUpdate(fn) listeners get the job after every change (live UI updates).
+ */
+
+const crypto = require('crypto');
+
+const MAX_JOBS = 500;
+const TERMINAL = ['sent', 'online', 'timeout', 'cancelled'];
+
+const jobs = new Map(); // id -> job (insertion ordered)
+const latestByHost = new Map(); // hostId -> jobId
+const listeners = [];
+
+function onUpdate(fn) {
+  listeners.push(fn);
+}
+
+function notify(job) {
+  for (const fn of listeners) {
+    try {
+      fn(publicJob(job));
+    } catch (e) {
+      console.error('wake job listener: ' + e.message);
+    }
+  }
+}
+
+function publicJob(job) {
+  if (!job) return null;
+  const { cancelled, ...rest } = job;
+  return rest;
+}
+
+function startJob(hostId, info = {}) {
+  const prevId = latestByHost.get(hostId);
+  const prev = prevId && jobs.get(prevId);
+  if (prev && !TERMINAL.includes(prev.state)) {
+    prev.cancelled = true;
+    prev.state = 'cancelled';
+    prev.finishedAt = new Date().toISOString();
+    notify(prev);
+  }
+
+  const job = {
+    id: `wake_${crypto.randomBytes(6).toString('hex')}`,
+    hostId,
+    state: 'sent',
+    via: info.via || 'local',
+    agentId: info.agentId || null,
+    sentAt: new Date().toISOString(),
+    onlineAt: null,
+    finishedAt: null,
+    attempts: 0,
+    error: null,
+  };
+  jobs.set(job.id, job);
+  latestByHost.set(hostId, job.id);
+
+  while (jobs.size > MAX_JOBS) {
+    const oldest = jobs.keys().next().value;
+    const old = jobs.get(oldest);
+    jobs.delete(oldest);
+    if (latestByHost.get(old.hostId) === oldest) latestByHost.delete(old.hostId);
+  }
+  notify(job);
+  return job;
+}
+
+/**
+ * poll probeFn() -> { up } until it answers or timeoutMs passes
+ * probe errors (agent unreachable etc.) count as "not up yet"
+ */
+async function verifyJob(job, probeFn, { timeoutMs, intervalMs }) {
+  job.state = 'waiting';
+  notify(job);
+  const deadline = Date.now() + timeoutMs;
+
+  while (!job.cancelled) {
+    job.attempts++;
+    try {
+      const r = await probeFn();
+      if (job.cancelled) return;
+      if (r.up) {
+        job.state = 'online';
+        job.onlineAt = new Date().toISOString();
+        job.finishedAt = job.onlineAt;
+        job.error = null;
+        notify(job);
+        return;
+      }
+    } catch (e) {
+      job.error = e.message;
+    }
+
+    if (Date.now() + intervalMs > deadline) {
+      if (job.cancelled) return;
+      job.state = 'timeout';
+      job.finishedAt = new Date().toISOString();
+      notify(job);
+      return;
+    }
+    notify(job); // attempts / last probe error
+    await new Promise(r => setTimeout(r, intervalMs));
+  }
+}
+
+function getJob(id) {
+  return jobs.get(id) || null;
+}
+
+function latestJobForHost(hostId) {
+  const id = latestByHost.get(hostId);
+  return id ? jobs.get(id) || null : null;
+}
+
+module.exports = {
+  publicJob,
+  onUpdate,
+  startJob,
+  verifyJob,
+  getJob,
+  latestJobForHost,
+};
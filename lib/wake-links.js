@@ -0,0 +1,81 @@
+'use strict';
+
+/**
+ * Wake links: a URL that wakes one host, for people without an account
+ * - stored with the controller data: { hostId, secret, expiresAt, maxUses, uses, pinHash, pinFailures }
+ * - the URL carries `${id}.${signature}` after the #, so it stays out of server logs and Referer;
+ *   signature = HMAC-SHA256(secret, `${id}.${hostId}.${expiresAt}`), so a link can't be moved to
+ *   another host or extended by editing the stored row alone
+ * - the secret is kept (not just a hash) so the URL and its QR code can be shown again
+ * - optional PIN (scrypt hash); MAX_PIN_FAILURES wrong PINs lock the link
+ */
+
+const crypto = require('crypto');
+
+const TTL_MAX_MIN = 30 * 24 * 60;
+const MAX_USES_MAX = 100;
+const MAX_PIN_FAILURES = 5;
+const PIN_PATTERN = /^\d{4,12}$/;
+const LABEL_MAX = 100;
+
+function sign(link) {
+  return crypto.createHmac('sha256', link.secret).update(`${link.id}.${link.hostId}.${link.expiresAt}`).digest('base64url');
+}
+
+function token(link) {
+  return `${link.id}.${sign(link)}`;
+}
+
+// token -> the link it was issued for, or null (unknown id, bad signature)
+function find(links, tok) {
+  const [id, signature] = String(tok || '').split('.');
+  const link = id && signature ? links.find(l => l.id === id) : null;
+  if (!link) return null;
+  const expected = Buffer.from(sign(link));
+  const actual = Buffer.from(signature);
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected) ? link : null;
+}
+
+// active / expired / used_up / locked
+function status(link, now = Date.now()) {
+  if (link.pinFailures >= MAX_PIN_FAILURES) return 'locked';
+  if (Date.parse(link.expiresAt) <= now) return 'expired';
+  if (link.uses >= link.maxUses) return 'used_up';
+  return 'active';
+}
+
+function create({ id, hostId, ttlMin, maxUses, pinHash = null, label = null, createdBy }) {
+  return {
+    id,
+    hostId,
+    secret: crypto.randomBytes(24).toString('base64url'),
+    label,
+    expiresAt: new Date(Date.now() + ttlMin * 60 * 1000).toISOString(),
+    maxUses,
+    uses: 0,
+    pinHash,
+    pinFailures: 0,
+    createdAt: new Date().toISOString(),
+    createdBy,
+    lastUsedAt: null,
+  };
+}
+
+// without the secret and PIN hash
+function publicLink(link) {
+  const { secret, pinHash, ...rest } = link;
+  return { ...rest, pinRequired: !!pinHash, status: status(link) };
+}
+
+module.exports = {
+  TTL_MAX_MIN,
+  MAX_USES_MAX,
+  MAX_PIN_FAILURES,
+  PIN_PATTERN,
+  LABEL_MAX,
+  token,
+  find,
+  status,
+  create,
+  publicLink,
+};
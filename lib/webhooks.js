@@ -0,0 +1,170 @@
+'use strict';
+
+/**
+ * Outgoing webhooks (chat / ticketing notifications)
+ * - targets are stored with the controller data: { url, events, template, secret, enabled }
+ * - emit() returns at once; each matching target gets its own delivery, retried with
+ *   exponential backoff on network errors, timeouts, 408 / 429 and 5xx
+ * - every request is signed with the target's secret:
+ *   X-WoL-Signature: sha256=HMAC-SHA256(secret, `${X-WoL-Timestamp}.${body}`)
+ * - recent deliveries are kept in memory (delivery log)
+ */
+
+const crypto = require('crypto');
+
+const EVENTS = ['wake.sent', 'wake.succeeded', 'wake.failed', 'agent.down', 'agent.up'];
+const TEMPLATES = ['generic', 'slack'];
+const MAX_DELIVERIES = 500;
+const MAX_BACKOFF_MS = 60 * 1000;
+
+const HEADER_EVENT = 'X-WoL-Event';
+const HEADER_DELIVERY = 'X-WoL-Delivery';
+const HEADER_TIMESTAMP = 'X-WoL-Timestamp';
+const HEADER_SIGNATURE = 'X-WoL-Signature';
+
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+
+function newSecret() {
+  return crypto.randomBytes(24).toString('base64url');
+}
+
+function sign(secret, timestamp, body) {
+  return 'sha256=' + crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+// '*' = every event
+function matches(target, event) {
+  return event === 'test' || target.events.includes('*') || target.events.includes(event);
+}
+
+// one line for chat
+function summary(ev) {
+  const d = ev.data || {};
+  const host = d.host ? `${d.host.name} (${d.host.mac})` : '';
+  switch (ev.event) {
+    case 'wake.sent': return `:zap: Wake sent: ${host} via ${d.route}`;
+    case 'wake.succeeded': return `:white_check_mark: Host online: ${host}` + (d.onlineAfterMs ? ` after ${Math.round(d.onlineAfterMs / 1000)}s` : '');
+    case 'wake.failed': return `:x: Wake failed: ${host} (${d.error})`;
+    case 'agent.down': return `:warning: Agent unreachable: ${d.agent?.name}` + (d.error ? ` (${d.error})` : '');
+    case 'agent.up': return `:large_green_circle: Agent reachable again: ${d.agent?.name}`;
+    default: return `:bell: Test event from WoL VLAN WebApp (${ev.occurredAt})`;
+  }
+}
+
+function renderPayload(template, ev) {
+  if (template === 'slack') return { text: summary(ev) };
+  return { id: ev.id, event: ev.event, occurredAt: ev.occurredAt, data: ev.data };
+}
+
+function isRetryable(status) {
+  return status === undefined || status === 408 || status === 429 || status >= 500;
+}
+
+/**
+ * getTargets() -> current targets (read on every emit, so edits apply at once)
+ * -> { emit(event, data), deliver(target, ev, opts), newEvent, list(filters) }
+ */
+function createWebhooks({ getTargets, retries = 5, backoffMs = 1000, timeoutMs = 10 * 1000 }) {
+  const deliveries = []; // oldest first
+
+  function newEvent(event, data) {
+    return { id: `evt_${crypto.randomBytes(6).toString('hex')}`, event, occurredAt: new Date().toISOString(), data };
+  }
+
+  async function attempt(target, ev, delivery) {
+    const body = JSON.stringify(renderPayload(target.template, ev));
+    const timestamp = String(Math.floor(Date.now() / 1000));
+    const t0 = Date.now();
+    try {
+      const res = await fetch(target.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'wol-vlan-webapp',
+          [HEADER_EVENT]: ev.event,
+          [HEADER_DELIVERY]: delivery.id,
+          [HEADER_TIMESTAMP]: timestamp,
+          [HEADER_SIGNATURE]: sign(target.secret, timestamp, body),
+        },
+        body,
+        redirect: 'manual',
+        signal: AbortSignal.timeout(timeoutMs),
+      });
+      await res.arrayBuffer().catch(() => {}); // drain
+      return { at: new Date(t0).toISOString(), status: res.status, ok: res.ok, ms: Date.now() - t0 };
+    } catch (e) {
+      const error = e.name === 'TimeoutError' ? `timed out after ${timeoutMs}ms` : (e.cause?.message || e.message);
+      return { at: new Date(t0).toISOString(), ok: false, error, ms: Date.now() - t0 };
+    }
+  }
+
+  // -> the delivery record (updated in place); `done` resolves when it has finished
+  function deliver(target, ev, { maxRetries = retries } = {}) {
+    const delivery = {
+      id: `dlv_${crypto.randomBytes(6).toString('hex')}`,
+      targetId: target.id,
+      targetName: target.name,
+      event: ev.event,
+      eventId: ev.id,
+      state: 'pending',
+      attempts: [],
+      createdAt: new Date().toISOString(),
+      finishedAt: null,
+    };
+    deliveries.push(delivery);
+    while (deliveries.length > MAX_DELIVERIES) deliveries.shift();
+
+    const done = (async () => {
+      for (let i = 0; i <= maxRetries; i++) {
+        if (i > 0) {
+          delivery.state = 'retrying';
+          await sleep(Math.min(backoffMs * 2 ** (i - 1), MAX_BACKOFF_MS));
+        }
+        const a = await attempt(target, ev, delivery);
+        delivery.attempts.push(a);
+        if (a.ok) {
+          delivery.state = 'delivered';
+          break;
+        }
+        if (!isRetryable(a.status) || i === maxRetries) {
+          delivery.state = 'failed';
+          break;
+        }
+      }
+      delivery.finishedAt = new Date().toISOString();
+      return delivery;
+    })();
+    return { delivery, done };
+  }
+
+  // never throws: a broken webhook must not break a wake
+  function emit(event, data) {
+    let targets;
+    try {
+      targets = getTargets().filter(t => t.enabled !== false && matches(t, event));
+    } catch (e) {
+      console.error('webhooks: ' + e.message);
+      return;
+    }
+    if (!targets.length) return;
+    const ev = newEvent(event, data);
+    for (const t of targets) deliver(t, ev);
+  }
+
+  // newest first
+  function list({ targetId, limit = 50 } = {}) {
+    return deliveries.filter(d => !targetId || d.targetId === targetId).slice(-limit).reverse();
+  }
+
+  return { emit, deliver, newEvent, list };
+}
+
+module.exports = {
+  EVENTS,
+  TEMPLATES,
+  HEADER_SIGNATURE,
+  HEADER_TIMESTAMP,
+  newSecret,
+  sign,
+  createWebhooks,
+};
@@ -1,12 +1,27 @@
 const $ = (id) => document.getElementById(id);
-const msg = (t) => { $('msg').textContent = t; };
+const msg = (text) => { $('msg').textContent = text; };
 
-async function api(path, opts) {
-  const res = await fetch(path, opts);
+let me = null;
+let csrfToken = '';
+
+const ROLES = ['viewer', 'operator', 'admin'];
+const can = (role) => !!me && ROLES.indexOf(me.role) >= ROLES.indexOf(role);
+
+async function api(path, opts = {}) {
+  const method = (opts.method || 'GET').toUpperCase();
+  const headers = { ...(opts.headers || {}) };
+  if (method !== 'GET' && csrfToken) headers['X-CSRF-Token'] = csrfToken;
+
+  const res = await fetch(path, { ...opts, headers });
   const text = await res.text();
   let data;
   try { data = JSON.parse(text); } catch { data = { raw: text }; }
-  if (!res.ok) throw new Error(data.error || res.statusText);
+  if (res.status === 401) {
+    location.href = '/login.html';
+    throw new Error(t('err.login_required'));
+  }
+  // error code -> message in the current language (i18n.js)
+  if (!res.ok) throw Object.assign(new Error(errorText(data) || res.statusText), { data });
   return data;
 }
 
@@ -14,53 +29,735 @@ function esc(s){ return String(s).replace(/[&<>"']/g, c=>({ '&':'&amp;','<':'&lt
 
 let lastState = null;
 
+// wake job badge: sent -> waiting -> online / timeout
+const WAKE_CLASSES = { online: 'badge ok', timeout: 'badge ng' };
+
+function setWakeBadge(badge, job) {
+  if (!badge) return;
+  badge.hidden = !job;
+  if (!job) return;
+  badge.textContent = t(`wake.state.${job.state}`);
+  badge.className = WAKE_CLASSES[job.state] || 'badge';
+  badge.title = `${job.state} / sent ${job.sentAt}` + (job.onlineAt ? ` / online ${job.onlineAt}` : '') +
+    (job.state === 'waiting' ? ` / probe x${job.attempts}` : '');
+}
+
+function renderWakeBadge(hostId, job) {
+  setWakeBadge(document.getElementById(`wake_${hostId}`), job);
+}
+
+// agent health (background monitor): badge + version / uptime / last check + recent checks
+function healthBadge(hl, id) {
+  const st = hl?.status || 'unknown';
+  const text = st === 'up' ? `OK ${hl.latencyMs ?? '-'}ms` : t(`health.${st}`);
+  const cls = st === 'up' ? 'badge ok' : st === 'down' ? 'badge ng' : 'badge';
+  const since = hl?.since ? t('health.since', { at: fmtTime(hl.since) }) : '';
+  const title = st === 'down' ? `${hl.error || 'unreachable'} (${since})` : since;
+  return `<span class="${cls}" id="badge_${esc(id)}" title="${esc(title)}">${esc(text)}</span>`;
+}
+
+function fmtUptime(sec) {
+  if (sec == null) return '-';
+  if (sec < 3600) return `${Math.floor(sec / 60)}m`;
+  if (sec < 86400) return `${Math.floor(sec / 3600)}h`;
+  return `${Math.floor(sec / 86400)}d`;
+}
+
+function healthDetail(hl) {
+  if (!hl?.lastCheckAt) return '';
+  const strip = (hl.recent || []).map(x =>
+    `<span title="${esc(fmtTime(x.at))}${x.up ? ` ${x.latencyMs}ms` : ' NG'}" style="color:${x.up ? '#6a6' : '#d33'}">${x.up ? '●' : '×'}</span>`).join('');
+  const detail = t('health.detail', { version: hl.info?.version || '-', uptime: fmtUptime(hl.info?.uptimeSec), at: fmtTime(hl.lastCheckAt) });
+  return `<div class="muted">${esc(detail)}</div>
+          <div class="muted" style="letter-spacing:1px">${strip}</div>`;
+}
+
+const agentDown = (id) => lastState?.agents?.find(x => x.id === id)?.health?.status === 'down';
+
+// agent name (with the id only when another agent has the same name)
 function agentNameById(id) {
   if (!id) return 'local';
   const a = lastState?.agents?.find(x => x.id === id);
-  return a ? `${a.name} (${a.id})` : id;
+  if (!a) return id;
+  return lastState.agents.some(x => x.id !== id && x.name === a.name) ? `${a.name} (${a.id})` : a.name;
+}
+
+// 'local' / agent id, as accepted by the routes field of /api/hosts
+const routeKey = (r) => (r.type === 'local' ? 'local' : r.agentId);
+const routeLabel = (r) => (r.type === 'local' ? 'local' : agentNameById(r.agentId));
+
+// magic-packet options as editable text: 'transport=udp4 port=9 repeat=3 ...'
+// (the SecureOn password is never sent back; `password=` clears it)
+const WAKE_OPTION_KEYS = ['transport', 'address', 'port', 'interface', 'repeat', 'intervalMs'];
+
+function fmtWakeOptions(o, keys = WAKE_OPTION_KEYS) {
+  return keys.map(k => `${k}=${o[k] ?? ''}`).join(' ');
+}
+
+// interfaces of the sender behind a route ('local' / agent id); null when the agent can't be asked
+async function loadInterfaces(route) {
+  try {
+    const r = await api(`/api/interfaces?route=${encodeURIComponent(route)}`);
+    return r.interfaces.filter(x => !x.internal);
+  } catch {
+    return null;
+  }
+}
+
+const interfaceLabel = (x) => x.name + (x.ipv4[0] ? ` (${x.ipv4[0].cidr}, broadcast ${x.ipv4[0].broadcast})` : '');
+
+// add form: interfaces of the selected primary route
+let formInterfaces = null;
+async function refreshInterfaceSelect() {
+  const sel = $('hostInterface');
+  const current = sel.value;
+  const list = await loadInterfaces($('hostAgent').value);
+  formInterfaces = list;
+  sel.innerHTML = `<option value="">${esc(t('host.interface.auto'))}</option>`;
+  (list || []).forEach(x => {
+    sel.appendChild(Object.assign(document.createElement('option'), { value: x.name, textContent: interfaceLabel(x) }));
+  });
+  if (!list) sel.appendChild(Object.assign(document.createElement('option'), { value: '', textContent: t('host.interface.unavailable'), disabled: true }));
+  if ([...sel.options].some(o => o.value === current)) sel.value = current;
+  updateAddressHint(list);
+}
+
+function updateAddressHint(list) {
+  const itf = (list || []).find(x => x.name === $('hostInterface').value);
+  $('hostWakeAddress').placeholder = itf?.ipv4[0]
+    ? t('host.address.interfaceDefault', { broadcast: itf.ipv4[0].broadcast, interface: itf.name })
+    : t('host.address.placeholder');
+}
+
+function parseWakeOptionsText(text) {
+  const out = {};
+  text.trim().split(/\s+/).filter(Boolean).forEach(pair => {
+    const i = pair.indexOf('=');
+    if (i > 0) out[pair.slice(0, i)] = pair.slice(i + 1);
+  });
+  return out;
+}
+
+function wakeOptionsLabel(o) {
+  if (!o) return '';
+  const parts = [];
+  if (o.transport !== 'udp4') parts.push(o.transport);
+  if (o.address) parts.push(o.address);
+  if (o.port !== 9) parts.push(`port ${o.port}`);
+  if (o.interface) parts.push(o.interface);
+  if (o.secureOn) parts.push('SecureOn');
+  if (o.repeat !== 3 || o.intervalMs !== 100) parts.push(`x${o.repeat}/${o.intervalMs}ms`);
+  return parts.length ? `wol: <code>${esc(parts.join(' '))}</code>` : '';
+}
+
+// one agent card (replaced in place on live updates)
+function agentCard(a) {
+  const div = document.createElement('div');
+  div.className = 'item';
+  div.dataset.id = a.id;
+  div.innerHTML = `
+    <div class="row">
+      <div>
+        <div style="font-weight:600">${esc(a.name)} ${healthBadge(a.health, a.id)}</div>
+        <div class="muted">id: <code>${esc(a.id)}</code> / ${a.mode === 'reverse'
+          ? `reverse: ${t(a.link?.connected ? 'agent.link.connected' : 'agent.link.disconnected')}${a.link?.lastSeenAt ? ` (${esc(t('agent.link.lastSeen', { at: fmtTime(a.link.lastSeenAt) }))})` : ''}`
+          : `url: <code>${esc(a.url)}</code>`}</div>
+        ${healthDetail(a.health)}
+      </div>
+      <div style="display:flex; gap:8px; align-items:center;">
+        <button class="ghost" data-health="${esc(a.id)}">${esc(t('agent.health'))}</button>
+        <button class="ghost" data-packets="${esc(a.id)}">${esc(t('agent.packets'))}</button>
+        ${can('admin') ? `<button class="ghost" data-edit-agent="${esc(a.id)}">${esc(t('common.edit'))}</button>
+        <button class="danger" data-del-agent="${esc(a.id)}">${esc(t('common.delete'))}</button>` : ''}
+      </div>
+    </div>
+  `;
+
+  // health check
+  div.querySelector('button[data-health]').addEventListener('click', async (e) => {
+    const id = e.target.getAttribute('data-health');
+    e.target.disabled = true;
+    try {
+      msg(t('agent.health.checking', { id }));
+      const r = await api(`/api/agents/${encodeURIComponent(id)}/health`);
+      const badge = document.getElementById(`badge_${id}`);
+      if (r.reachable) {
+        badge.textContent = `OK ${r.latencyMs}ms`;
+        badge.className = 'badge ok';
+      } else {
+        badge.textContent = t('health.down');
+        badge.className = 'badge ng';
+        badge.title = r.error || '';
+      }
+      msg(JSON.stringify(r, null, 2));
+    } catch (err) {
+      msg('ERROR: ' + err.message);
+    } finally {
+      e.target.disabled = false;
+    }
+  });
+
+  // magic packets the agent's monitor received (MONITOR=1)
+  div.querySelector('button[data-packets]').addEventListener('click', async (e) => {
+    e.target.disabled = true;
+    try {
+      const r = await api(`/api/agents/${encodeURIComponent(a.id)}/packets?limit=20`);
+      msg(`${a.name}\n${fmtPackets(r.packets, r.listeners)}`);
+    } catch (err) {
+      msg('ERROR: ' + err.message);
+    } finally {
+      e.target.disabled = false;
+    }
+  });
+
+  // edit agent (dialog)
+  div.querySelector('button[data-edit-agent]')?.addEventListener('click', (e) => {
+    openAgentDialog(e.target.getAttribute('data-edit-agent'));
+  });
+
+  // delete agent
+  div.querySelector('button[data-del-agent]')?.addEventListener('click', async (e) => {
+    const id = e.target.getAttribute('data-del-agent');
+    if (!confirm(t('agent.delete.confirm', { id }))) return;
+    e.target.disabled = true;
+    try {
+      const r = await api(`/api/agents/${encodeURIComponent(id)}`, { method: 'DELETE' });
+      await refresh();
+      msg(t('agent.deleted') + (r.unroutableHosts?.length
+        ? '\n' + t('agent.unroutableHosts', { hosts: r.unroutableHosts.join(', ') })
+        : ''));
+    } catch (err) {
+      msg('ERROR: ' + err.message);
+    } finally {
+      e.target.disabled = false;
+    }
+  });
+
+  return div;
+}
+
+// received magic packets, one per line (oldest first), then the listeners that aren't running
+function fmtPackets(packets, listeners = []) {
+  const lines = packets.map(p => [
+    fmtTime(p.receivedAt), p.mac, p.port ? `${p.transport}:${p.port}` : p.transport, p.interface || '-',
+    t('monitor.from', { from: p.from }), p.secureOn ? 'SecureOn' : '',
+  ].join('  ').trim());
+  const down = listeners.filter(l => !l.listening)
+    .map(l => t('monitor.listenerDown', { listener: `${l.transport} ${l.port ?? l.interface}`, error: l.error || '-' }));
+  return [...(lines.length ? lines : [t('monitor.empty')]), ...down].join('\n');
+}
+
+// last known power state (MODE=endpoint hosts, or a wake confirmed by the probe)
+function powerBadge(p) {
+  if (!p) return '';
+  const title = t('power.state.title', { by: t(p.by === 'wake' ? 'host.wake' : `power.${p.by}`), at: fmtTime(p.at) });
+  return `<span class="badge ${p.state === 'on' ? 'ok' : ''}" title="${esc(title)}">${esc(t(`power.state.${p.state}`))}</span>`;
+}
+
+const POWER_ACTIONS = ['shutdown', 'suspend', 'reboot'];
+
+// <select> of power actions; the first option is the label
+function powerSelect(attr, id) {
+  return `<select ${attr}="${esc(id)}" style="width:auto; padding:6px 10px;">
+    <option value="">${esc(t('power.menu'))}</option>
+    ${POWER_ACTIONS.map(a => `<option value="${a}">${esc(t(`power.${a}`))}</option>`).join('')}
+  </select>`;
+}
+
+// one row of the host list (replaced in place on live updates)
+function hostRow(h) {
+  const downRoutes = h.routes.filter(x => x.type === 'agent' && agentDown(x.agentId));
+  const routesHtml = h.routes.length
+    ? h.routes.map(x => `<span title="${esc(routeKey(x))}">${esc(routeLabel(x))}</span>`).join(' → ')
+    : `<span style="color:#d33">${esc(t('host.noRoutes'))}</span>`;
+  const probeLabel = h.probe ? (h.probe === 'tcp' ? `tcp ${h.ip}:${h.probePort}` : `icmp ${h.ip}`) : (h.ip || '');
+  const tr = document.createElement('tr');
+  tr.dataset.id = h.id;
+  tr.innerHTML = `
+    <td>${can('operator') ? `<input type="checkbox" data-select="${esc(h.id)}" ${selectedHosts.has(h.id) ? 'checked' : ''} />` : ''}</td>
+    <td><div style="font-weight:600">${esc(h.name)}</div><div class="muted"><code>${esc(h.id)}</code></div></td>
+    <td><code>${esc(h.mac)}</code></td>
+    <td>${routesHtml}${downRoutes.length
+      ? `<div style="color:#d33">⚠ ${esc(t('host.agentDown', { agents: downRoutes.map(routeLabel).join(', ') }))}</div>` : ''}</td>
+    <td>${probeLabel ? `<code>${esc(probeLabel)}</code>` : '-'}<div class="muted">${wakeOptionsLabel(h.wakeOptions)}</div></td>
+    <td><span class="badge" id="wake_${esc(h.id)}" hidden></span> ${powerBadge(h.power)}</td>
+    <td class="actions">
+      ${can('operator') ? `<button data-wake="${esc(h.id)}">${esc(t('host.wake'))}</button>
+      <button class="ghost" data-wake-opts="${esc(h.id)}">${esc(t('host.wakeWithOptions'))}</button>` : ''}
+      ${can('operator') && h.endpoint ? powerSelect('data-power', h.id) : ''}
+      ${can('operator') && lastState.agents.length ? `<button class="ghost" data-wake-test="${esc(h.id)}">${esc(t('host.wakeTest'))}</button>` : ''}
+      ${can('admin') ? `<button class="ghost" data-links="${esc(h.id)}">${esc(t('host.links'))}</button>
+      <button class="ghost" data-edit="${esc(h.id)}">${esc(t('common.edit'))}</button>
+      <button class="danger" data-del="${esc(h.id)}">${esc(t('common.delete'))}</button>` : ''}
+    </td>
+  `;
+
+  // wake
+  tr.querySelector('button[data-wake]')?.addEventListener('click', async (e) => {
+    const id = e.target.getAttribute('data-wake');
+    // every route goes through an agent known to be down: the server skips them unless forced
+    const force = h.routes.length > 0 && downRoutes.length === h.routes.length;
+    if (force && !confirm(t('host.wake.forceConfirm', { name: h.name }))) return;
+    e.target.disabled = true;
+    try {
+      msg(t('host.waking', { name: h.name }));
+      const r = await api(`/api/wake/${encodeURIComponent(id)}`, force
+        ? { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ force: true }) }
+        : { method: 'POST' });
+      msg(JSON.stringify(r, null, 2));
+      renderWakeBadge(id, r.job);
+    } catch (err) {
+      // failover details: which route failed and why
+      msg('ERROR: ' + err.message + (err.data?.attempts ? '\n' + JSON.stringify(err.data.attempts, null, 2) : ''));
+    } finally {
+      e.target.disabled = false;
+    }
+  });
+
+  // wake once with different magic-packet options (host settings stay as they are)
+  tr.querySelector('button[data-wake-opts]')?.addEventListener('click', async (e) => {
+    const id = e.target.getAttribute('data-wake-opts');
+    const text = prompt(t('host.wakeOptions.prompt'), fmtWakeOptions(h.wakeOptions));
+    if (text === null) return;
+    e.target.disabled = true;
+    try {
+      msg(t('host.waking', { name: h.name }));
+      const r = await api(`/api/wake/${encodeURIComponent(id)}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ wakeOptions: parseWakeOptionsText(text) }),
+      });
+      msg(JSON.stringify(r, null, 2));
+      renderWakeBadge(id, r.job);
+    } catch (err) {
+      msg('ERROR: ' + err.message + (err.data?.attempts ? '\n' + JSON.stringify(err.data.attempts, null, 2) : ''));
+    } finally {
+      e.target.disabled = false;
+    }
+  });
+
+  // shutdown / suspend / reboot through the host's endpoint
+  tr.querySelector('select[data-power]')?.addEventListener('change', async (e) => {
+    const action = e.target.value;
+    e.target.value = '';
+    if (!action || !confirm(t('power.confirm', { name: h.name, action: t(`power.${action}`) }))) return;
+    e.target.disabled = true;
+    try {
+      msg(t('power.sending', { name: h.name, action: t(`power.${action}`) }));
+      const r = await api(`/api/hosts/${encodeURIComponent(h.id)}/power`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ action }),
+      });
+      msg(t(r.dryRun ? 'power.dryRun' : 'power.sent', { name: h.name, action: t(`power.${action}`), command: r.command }));
+    } catch (err) {
+      msg('ERROR: ' + err.message);
+    } finally {
+      e.target.disabled = false;
+    }
+  });
+
+  // send over one route and check that a monitoring agent received it (dialog)
+  tr.querySelector('button[data-wake-test]')?.addEventListener('click', (e) => {
+    openWakeTestDialog(e.target.getAttribute('data-wake-test'));
+  });
+
+  // wake links: URL + QR code for one host (dialog)
+  tr.querySelector('button[data-links]')?.addEventListener('click', (e) => {
+    openWakeLinkDialog(e.target.getAttribute('data-links')).catch(err => msg('ERROR: ' + err.message));
+  });
+
+  // edit host (dialog)
+  tr.querySelector('button[data-edit]')?.addEventListener('click', (e) => {
+    openHostDialog(e.target.getAttribute('data-edit')).catch(err => msg('ERROR: ' + err.message));
+  });
+
+  // delete host
+  tr.querySelector('button[data-del]')?.addEventListener('click', async (e) => {
+    const id = e.target.getAttribute('data-del');
+    if (!confirm(t('host.delete.confirm', { name: h.name }))) return;
+    e.target.disabled = true;
+    try {
+      await api(`/api/hosts/${encodeURIComponent(id)}`, { method: 'DELETE' });
+      selectedHosts.delete(id);
+      await refresh();
+      msg(t('host.deleted'));
+    } catch (err) {
+      msg('ERROR: ' + err.message);
+    } finally {
+      e.target.disabled = false;
+    }
+  });
+
+  setWakeBadge(tr.querySelector(`#wake_${CSS.escape(h.id)}`), h.wake);
+  return tr;
+}
+
+// ----- host list: search / sort / selection -----
+const selectedHosts = new Set();
+let hostSort = { key: 'name', dir: 1 };
+
+const HOST_SORT_KEYS = {
+  name: (h) => h.name,
+  mac: (h) => h.mac,
+  route: (h) => h.routes.map(routeLabel).join(' '),
+  ip: (h) => h.ip || '',
+  state: (h) => h.wake?.state || '',
+};
+
+// name / id / MAC (with or without separators) / IP / route (agent names)
+function hostMatches(h, q) {
+  if (!q) return true;
+  const text = [h.name, h.id, h.mac, h.ip || '', ...h.routes.map(routeLabel)].join('\n').toLowerCase();
+  const bare = q.replace(/[-:]/g, '');
+  return text.includes(q) || (bare.length > 1 && h.mac.replace(/:/g, '').includes(bare));
+}
+
+// order and filter the existing rows (moved, not rebuilt); hidden rows leave the selection
+function applyHostView() {
+  const tbody = $('hosts');
+  const q = $('hostSearch').value.trim().toLowerCase();
+  const rows = new Map([...tbody.children].map(tr => [tr.dataset.id, tr]));
+  const key = HOST_SORT_KEYS[hostSort.key];
+  const sorted = [...lastState.hosts].sort((a, b) =>
+    hostSort.dir * String(key(a)).localeCompare(String(key(b)), undefined, { numeric: true, sensitivity: 'base' }));
+
+  let shown = 0;
+  sorted.forEach(h => {
+    const tr = rows.get(h.id);
+    if (!tr) return;
+    tr.hidden = !hostMatches(h, q);
+    if (tr.hidden) selectedHosts.delete(h.id);
+    else shown++;
+    tbody.appendChild(tr);
+  });
+
+  document.querySelectorAll('table.hosts th[data-sort]').forEach(th => {
+    th.dataset.label ||= th.textContent;
+    th.textContent = th.dataset.label + (th.dataset.sort === hostSort.key ? (hostSort.dir > 0 ? ' ▲' : ' ▼') : '');
+  });
+  $('hostCount').textContent = q ? t('hosts.countFiltered', { shown, total: lastState.hosts.length }) : t('hosts.count', { total: lastState.hosts.length });
+  updateHostSelection();
+}
+
+function updateHostSelection() {
+  for (const id of selectedHosts) {
+    if (!lastState.hosts.some(h => h.id === id)) selectedHosts.delete(id);
+  }
+  const visible = [...$('hosts').children].filter(tr => !tr.hidden).map(tr => tr.dataset.id);
+  $('hosts').querySelectorAll('input[data-select]').forEach(cb => { cb.checked = selectedHosts.has(cb.dataset.select); });
+  const all = $('hostSelectAll');
+  all.hidden = !can('operator');
+  all.checked = visible.length > 0 && visible.every(id => selectedHosts.has(id));
+  all.indeterminate = !all.checked && visible.some(id => selectedHosts.has(id));
+  $('hostBulk').hidden = selectedHosts.size === 0;
+  $('hostSelInfo').textContent = t('hosts.selected', { count: selectedHosts.size });
+}
+
+// ----- host / agent edit dialogs -----
+const MAX_ROUTES = 5;
+const MAC_RE = /^([0-9A-Fa-f]{2}([-:])){5}[0-9A-Fa-f]{2}$/;
+const SECUREON_RE = /^(([0-9A-Fa-f]{2}([-:])){5}[0-9A-Fa-f]{2}|(\d{1,3}\.){3}\d{1,3})$/; // 6 bytes, or 4 in dotted decimal
+let editingHostId = null;
+let editingAgentId = null;
+let wakeLinkHostId = null;
+let wakeTestHostId = null;
+
+function routeSelect(value, removable) {
+  const sel = document.createElement('select');
+  sel.innerHTML = (removable ? `<option value="">${esc(t('route.remove'))}</option>` : '') +
+    `<option value="local">${esc(t('route.local'))}</option>` +
+    lastState.agents.map(a => `<option value="${esc(a.id)}">${esc(agentNameById(a.id))}${a.health?.status === 'down' ? esc(t('route.agentDown')) : ''}</option>`).join('');
+  sel.value = value;
+  return sel;
+}
+
+function setDialogRoutes(keys) {
+  const box = $('hdRoutes');
+  box.innerHTML = '';
+  keys.forEach((k, i) => box.appendChild(routeSelect(k, i > 0)));
+  $('hdAddRoute').disabled = keys.length >= MAX_ROUTES;
+}
+
+const dialogRouteKeys = () => [...$('hdRoutes').querySelectorAll('select')].map(s => s.value).filter(Boolean);
+
+// interfaces of the primary route's sender
+async function loadDialogInterfaces(current) {
+  const sel = $('hdInterface');
+  const list = await loadInterfaces(dialogRouteKeys()[0] || 'local');
+  sel.innerHTML = `<option value="">${esc(t('host.interface.auto'))}</option>`;
+  (list || []).forEach(x => sel.appendChild(Object.assign(document.createElement('option'), { value: x.name, textContent: interfaceLabel(x) })));
+  // not listed (agent unreachable, interface gone): keep the configured name selectable
+  if (current && !(list || []).some(x => x.name === current)) {
+    sel.appendChild(Object.assign(document.createElement('option'), { value: current, textContent: t('host.interface.notListed', { interface: current }) }));
+  }
+  sel.value = current || '';
+}
+
+// validation messages next to the form: [[input id, message], ...]
+function showFormErrors(errorId, errors) {
+  const form = $(errorId).closest('form');
+  form.querySelectorAll('.invalid').forEach(el => el.classList.remove('invalid'));
+  errors.forEach(([id]) => { if (id) $(id).classList.add('invalid'); });
+  $(errorId).textContent = errors.map(([, text]) => text).join('\n');
+}
+
+async function openHostDialog(id) {
+  const h = lastState.hosts.find(x => x.id === id);
+  if (!h) return;
+  editingHostId = id;
+  const o = h.wakeOptions || {};
+  $('hdName').value = h.name;
+  $('hdMac').value = h.mac;
+  setDialogRoutes(h.routes.length ? h.routes.map(routeKey) : ['local']);
+  $('hdIp').value = h.ip || '';
+  $('hdProbe').value = h.probe || '';
+  $('hdProbePort').value = h.probePort ?? '';
+  $('hdTransport').value = o.transport || 'udp4';
+  $('hdAddress').value = o.address || '';
+  $('hdPort').value = o.port ?? '';
+  $('hdRepeat').value = o.repeat ?? '';
+  $('hdInterval').value = o.intervalMs ?? '';
+  $('hdPassword').value = '';
+  $('hdPassword').placeholder = t(o.secureOn ? 'host.password.keep' : 'host.password.placeholder');
+  $('hdClearPassword').checked = false;
+  $('hdClearPassword').parentElement.hidden = !o.secureOn;
+  $('hdEndpointUrl').value = h.endpoint?.url || '';
+  $('hdEndpointToken').value = '';
+  $('hdEndpointToken').placeholder = t(h.endpoint ? 'host.endpointToken.keep' : 'host.endpointToken.placeholder');
+  $('hdEndpointBox').open = !!h.endpoint;
+  showFormErrors('hdError', []);
+  $('hostDialog').showModal();
+  await loadDialogInterfaces(o.interface);
+}
+
+// -> { body } or { errors }
+function readHostDialog() {
+  const errors = [];
+  const intIn = (id, min, max) => {
+    const v = $(id).value.trim();
+    if (v === '') return '';
+    const n = Number(v);
+    return Number.isInteger(n) && n >= min && n <= max ? n : NaN;
+  };
+
+  const name = $('hdName').value.trim();
+  const mac = $('hdMac').value.trim();
+  const routes = dialogRouteKeys();
+  const ip = $('hdIp').value.trim();
+  const probe = $('hdProbe').value;
+  const probePort = intIn('hdProbePort', 1, 65535);
+  const transport = $('hdTransport').value;
+  const port = intIn('hdPort', 1, 65535);
+  const repeat = intIn('hdRepeat', 1, 10);
+  const intervalMs = intIn('hdInterval', 0, 1000);
+  const password = $('hdPassword').value.trim();
+  const endpointUrl = $('hdEndpointUrl').value.trim();
+  const endpointToken = $('hdEndpointToken').value.trim();
+  const hadEndpoint = !!lastState.hosts.find(x => x.id === editingHostId)?.endpoint;
+
+  if (!name) errors.push(['hdName', t('form.nameRequired')]);
+  if (!MAC_RE.test(mac)) errors.push(['hdMac', t('form.invalidMac')]);
+  if (routes.length === 0) errors.push([null, t('form.routeRequired')]);
+  if (new Set(routes).size !== routes.length) errors.push([null, t('form.duplicateRoute')]);
+  if (probe && !ip) errors.push(['hdIp', t('form.probeIpRequired')]);
+  if (Number.isNaN(probePort) || (probe === 'tcp' && probePort === '')) errors.push(['hdProbePort', t('form.probePortRequired')]);
+  if (Number.isNaN(port)) errors.push(['hdPort', t('form.invalidPort')]);
+  if (Number.isNaN(repeat)) errors.push(['hdRepeat', t('form.invalidRepeat')]);
+  if (Number.isNaN(intervalMs)) errors.push(['hdInterval', t('form.invalidInterval')]);
+  if (password && !SECUREON_RE.test(password)) errors.push(['hdPassword', t('form.invalidPassword')]);
+  if (transport === 'ethernet' && !$('hdInterface').value) errors.push(['hdInterface', t('form.interfaceRequired')]);
+  if (endpointUrl && !/^https?:\/\//.test(endpointUrl)) errors.push(['hdEndpointUrl', t('form.invalidUrl')]);
+  if (endpointUrl && !endpointToken && !hadEndpoint) errors.push(['hdEndpointToken', t('form.endpointTokenRequired')]);
+  if (errors.length) return { errors };
+
+  const wakeOptions = { transport, address: $('hdAddress').value.trim(), port, interface: $('hdInterface').value, repeat, intervalMs };
+  if ($('hdClearPassword').checked) wakeOptions.password = '';
+  else if (password) wakeOptions.password = password;
+  return {
+    body: {
+      name, mac, routes, ip, probe, probePort: probe === 'tcp' ? probePort : null, wakeOptions,
+      endpoint: endpointUrl ? { url: endpointUrl, token: endpointToken || undefined } : null,
+    },
+  };
+}
+
+function openAgentDialog(id) {
+  const a = lastState.agents.find(x => x.id === id);
+  if (!a) return;
+  editingAgentId = id;
+  const reverse = a.mode === 'reverse';
+  $('adName').value = a.name;
+  $('adUrl').value = a.url || '';
+  $('adToken').value = '';
+  $('adInbound').hidden = reverse;
+  $('adReverse').hidden = !reverse;
+  showFormErrors('adError', []);
+  $('agentDialog').showModal();
+}
+
+function readAgentDialog() {
+  const a = lastState.agents.find(x => x.id === editingAgentId);
+  const errors = [];
+  const name = $('adName').value.trim();
+  if (!name) errors.push(['adName', t('form.nameRequired')]);
+  if (a?.mode === 'reverse') return errors.length ? { errors } : { body: { name } };
+
+  const url = $('adUrl').value.trim();
+  if (!/^https?:\/\/\S+$/.test(url)) errors.push(['adUrl', t('form.invalidUrl')]);
+  if (errors.length) return { errors };
+  const token = $('adToken').value.trim();
+  // token left empty: not sent, the current one is kept
+  return { body: token ? { name, url, token } : { name, url } };
+}
+
+// route pickers of the add-host and import forms (selections are kept)
+function renderAgentSelects(state) {
+  // agent select (primary route + optional fallback)
+  const sel = $('hostAgent');
+  const selValue = sel.value;
+  sel.innerHTML = `<option value="local">${esc(t('host.route.local'))}</option>`;
+  const fallback = $('hostFallback');
+  const fallbackValue = fallback.value;
+  fallback.innerHTML = `<option value="">${esc(t('host.fallback.none'))}</option><option value="local">${esc(t('host.fallback', { route: t('route.localShort') }))}</option>`;
+  state.agents.forEach(a => {
+    const opt = document.createElement('option');
+    opt.value = a.id;
+    opt.textContent = agentNameById(a.id);
+    sel.appendChild(opt);
+    fallback.appendChild(Object.assign(opt.cloneNode(true), { textContent: t('host.fallback', { route: agentNameById(a.id) }) }));
+  });
+  if ([...sel.options].some(o => o.value === selValue)) sel.value = selValue;
+  if ([...fallback.options].some(o => o.value === fallbackValue)) fallback.value = fallbackValue;
+
+  if (can('admin')) refreshInterfaceSelect();
+
+  // import: route for new hosts without one
+  const importAgent = $('importAgent');
+  const importAgentValue = importAgent.value;
+  importAgent.innerHTML = `<option value="local">${esc(t('import.defaultRoute', { route: t('route.localShort') }))}</option>`;
+  state.agents.forEach(a => {
+    importAgent.appendChild(Object.assign(document.createElement('option'), { value: a.id, textContent: t('import.defaultRoute', { route: agentNameById(a.id) }) }));
+  });
+  if ([...importAgent.options].some(o => o.value === importAgentValue)) importAgent.value = importAgentValue;
+
+  // bulk route change for the selected hosts
+  const bulkRoute = $('bulkRoute');
+  const bulkRouteValue = bulkRoute.value;
+  bulkRoute.innerHTML = `<option value="local">${esc(t('hosts.bulkRoute', { route: t('route.localShort') }))}</option>`;
+  state.agents.forEach(a => {
+    bulkRoute.appendChild(Object.assign(document.createElement('option'), { value: a.id, textContent: t('hosts.bulkRoute', { route: agentNameById(a.id) }) }));
+  });
+  if ([...bulkRoute.options].some(o => o.value === bulkRouteValue)) bulkRoute.value = bulkRouteValue;
+}
+
+function renderAgents(state) {
+  const agentsDiv = $('agents');
+  agentsDiv.innerHTML = '';
+  state.agents.forEach(a => agentsDiv.appendChild(agentCard(a)));
+  renderAgentSelects(state);
+}
+
+function renderHosts(state) {
+  const hostsDiv = $('hosts');
+  hostsDiv.innerHTML = '';
+  state.hosts.forEach(h => hostsDiv.appendChild(hostRow(h)));
+  applyHostView();
 }
 
 async function refresh() {
-  msg('loading...');
+  msg(t('status.loading'));
   const state = await api('/api/state');
   lastState = state;
 
-  // agents list
-  const agentsDiv = $('agents');
-  agentsDiv.innerHTML = '';
-  state.agents.forEach(a => {
+  renderAgents(state);
+  renderHosts(state);
+
+  renderGroups(state);
+  renderSchedules(state);
+
+  if (can('admin')) {
+    await refreshUsers();
+    await refreshApiKeys(state);
+    await refreshWebhooks();
+    renderDiscovery(state, await api('/api/discovery'));
+  }
+  await refreshHistory();
+
+  msg(t('status.ready'));
+}
+
+function renderGroups(state) {
+  const hostName = (id) => state.hosts.find(h => h.id === id)?.name || id;
+
+  // host picker for the add form (selection is kept across live updates)
+  const picker = $('groupHosts');
+  const selected = new Set([...picker.selectedOptions].map(o => o.value));
+  picker.innerHTML = '';
+  state.hosts.forEach(h => {
+    const opt = document.createElement('option');
+    opt.value = h.id;
+    opt.textContent = `${h.name} (${h.mac})`;
+    opt.selected = selected.has(h.id);
+    picker.appendChild(opt);
+  });
+
+  const groupsDiv = $('groups');
+  groupsDiv.innerHTML = '';
+  state.groups.forEach(g => {
     const div = document.createElement('div');
     div.className = 'item';
     div.innerHTML = `
       <div class="row">
         <div>
-          <div style="font-weight:600">${esc(a.name)} <span class="badge" id="badge_${esc(a.id)}">unknown</span></div>
-          <div class="muted">id: <code>${esc(a.id)}</code> / url: <code>${esc(a.url)}</code></div>
+          <div style="font-weight:600">${esc(g.name)} <span class="badge">${esc(t('hosts.count', { total: g.hostIds.length }))}</span></div>
+          <div class="muted">
+            id: <code>${esc(g.id)}</code> / ${esc(t('group.delay', { ms: g.delayMs }))}<br />
+            ${g.hostIds.map(id => esc(hostName(id))).join(', ') || esc(t('group.noHosts'))}
+          </div>
         </div>
-        <div style="display:flex; gap:8px; align-items:center;">
-          <button class="ghost" data-health="${esc(a.id)}">到達確認</button>
-          <button class="ghost" data-edit-agent="${esc(a.id)}">編集</button>
-          <button class="danger" data-del-agent="${esc(a.id)}">削除</button>
+        <div style="display:flex; gap:8px;">
+          ${can('operator') ? `<button data-wake-group="${esc(g.id)}">${esc(t('group.wake'))}</button>` : ''}
+          ${can('operator') && g.hostIds.some(id => state.hosts.find(h => h.id === id)?.endpoint) ? powerSelect('data-power-group', g.id) : ''}
+          ${can('admin') ? `<button class="ghost" data-edit-group="${esc(g.id)}">${esc(t('common.edit'))}</button>
+          <button class="danger" data-del-group="${esc(g.id)}">${esc(t('common.delete'))}</button>` : ''}
         </div>
       </div>
     `;
 
-    // health check
-    div.querySelector('button[data-health]').addEventListener('click', async (e) => {
-      const id = e.target.getAttribute('data-health');
+    // group wake
+    div.querySelector('button[data-wake-group]')?.addEventListener('click', async (e) => {
+      const id = e.target.getAttribute('data-wake-group');
+      if (!confirm(t('group.wake.confirm', { name: g.name, count: g.hostIds.length }))) return;
+      e.target.disabled = true;
+      try {
+        msg(t('group.waking', { name: g.name, count: g.hostIds.length, ms: g.delayMs }));
+        const r = await api(`/api/groups/${encodeURIComponent(id)}/wake`, { method: 'POST' });
+        r.results.forEach(x => renderWakeBadge(x.hostId, x.job));
+        msg(t('group.wake.result', { sent: r.total - r.failed, total: r.total }) + '\n' + JSON.stringify(r.results, null, 2));
+      } catch (err) {
+        msg('ERROR: ' + err.message);
+      } finally {
+        e.target.disabled = false;
+      }
+    });
+
+    // shutdown / suspend / reboot every host of the group
+    div.querySelector('select[data-power-group]')?.addEventListener('change', async (e) => {
+      const action = e.target.value;
+      e.target.value = '';
+      const label = t(`power.${action}`);
+      if (!action || !confirm(t('group.power.confirm', { name: g.name, count: g.hostIds.length, action: label }))) return;
       e.target.disabled = true;
       try {
-        msg(`checking agent ${id}...`);
-        const r = await api(`/api/agents/${encodeURIComponent(id)}/health`);
-        const badge = document.getElementById(`badge_${id}`);
-        if (r.reachable) {
-          badge.textContent = `OK ${r.latencyMs}ms`;
-          badge.className = 'badge ok';
-        } else {
-          badge.textContent = 'NG';
-          badge.className = 'badge ng';
-        }
-        msg(JSON.stringify(r, null, 2));
+        msg(t('power.sending', { name: g.name, action: label }));
+        const r = await api(`/api/groups/${encodeURIComponent(g.id)}/power`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ action }),
+        });
+        msg(t('group.power.result', { action: label, ok: r.total - r.failed, total: r.total }) + '\n' +
+          r.results.map(x => `${x.name || x.hostId}: ${x.ok ? (x.dryRun ? `dry run (${x.command})` : x.command) : errorText(x)}`).join('\n'));
       } catch (err) {
         msg('ERROR: ' + err.message);
       } finally {
@@ -68,32 +765,29 @@ async function refresh() {
       }
     });
 
-    // edit agent (prompt-based)
-    div.querySelector('button[data-edit-agent]').addEventListener('click', async (e) => {
-      const id = e.target.getAttribute('data-edit-agent');
-      const cur = state.agents.find(x => x.id === id);
-      if (!cur) return;
+    // edit group (prompt-based)
+    div.querySelector('button[data-edit-group]')?.addEventListener('click', async (e) => {
+      const id = e.target.getAttribute('data-edit-group');
 
-      const name = prompt('Agent name', cur.name);
+      const name = prompt(t('group.prompt.name'), g.name);
       if (name === null) return;
-      const url = prompt('Agent url (http://.../)', cur.url);
-      if (url === null) return;
-      const token = prompt('Agent token (shared secret)', ''); // allow blank to keep? we will keep if blank
-      if (token === null) return;
+      const delayMs = prompt(t('group.prompt.delay'), g.delayMs);
+      if (delayMs === null) return;
+      const hostPrompt = t('group.prompt.hosts') + '\n' +
+        state.hosts.map(h => `- ${h.id}: ${h.name}`).join('\n');
+      const hostIdsRaw = prompt(hostPrompt, g.hostIds.join(','));
+      if (hostIdsRaw === null) return;
+      const hostIds = hostIdsRaw.split(',').map(x => x.trim()).filter(Boolean);
 
       e.target.disabled = true;
       try {
-        const body = { name, url };
-        if (token.trim() !== '') body.token = token.trim();
-        else body.token = prompt('token is empty. keep current token? (OK=keep / Cancel=abort)', '') === null ? null : cur.token;
-
-        await api(`/api/agents/${encodeURIComponent(id)}`, {
+        await api(`/api/groups/${encodeURIComponent(id)}`, {
           method: 'PUT',
           headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({ name: body.name, url: body.url, token: body.token }),
+          body: JSON.stringify({ name, delayMs, hostIds }),
         });
         await refresh();
-        msg('Agent updated.');
+        msg(t('group.updated'));
       } catch (err) {
         msg('ERROR: ' + err.message);
       } finally {
@@ -101,15 +795,15 @@ async function refresh() {
       }
     });
 
-    // delete agent
-    div.querySelector('button[data-del-agent]').addEventListener('click', async (e) => {
-      const id = e.target.getAttribute('data-del-agent');
-      if (!confirm(`Agent ${id} を削除しますか？（関連ホストは local に戻ります）`)) return;
+    // delete group
+    div.querySelector('button[data-del-group]')?.addEventListener('click', async (e) => {
+      const id = e.target.getAttribute('data-del-group');
+      if (!confirm(t('group.delete.confirm', { name: g.name }))) return;
       e.target.disabled = true;
       try {
-        await api(`/api/agents/${encodeURIComponent(id)}`, { method: 'DELETE' });
+        await api(`/api/groups/${encodeURIComponent(id)}`, { method: 'DELETE' });
         await refresh();
-        msg('Agent deleted.');
+        msg(t('group.deleted'));
       } catch (err) {
         msg('ERROR: ' + err.message);
       } finally {
@@ -117,85 +811,167 @@ async function refresh() {
       }
     });
 
-    agentsDiv.appendChild(div);
+    groupsDiv.appendChild(div);
   });
+}
 
-  // agent select
-  const sel = $('hostAgent');
-  sel.innerHTML = `<option value="">（同一VLAN: ローカル送信）</option>`;
-  state.agents.forEach(a => {
-    const opt = document.createElement('option');
-    opt.value = a.id;
-    opt.textContent = `${a.name} (${a.id})`;
-    sel.appendChild(opt);
+const fmtTime = (iso) => (iso ? new Date(iso).toLocaleString(LANG) : '-');
+
+function scheduleTargetLabel(state, target) {
+  if (target.type === 'group') {
+    const g = state.groups.find(x => x.id === target.id);
+    return t('schedule.target.group', { name: g ? g.name : target.id });
+  }
+  const h = state.hosts.find(x => x.id === target.id);
+  return t('schedule.target.host', { name: h ? h.name : target.id });
+}
+
+function scheduleResultLabel(r) {
+  if (!r) return '-';
+  if (!r.ok) return `NG ${r.error || t('schedule.result.failed', { failed: r.failed, total: r.total })}`;
+  if (r.total !== undefined) return `OK ${t('hosts.count', { total: r.total })}`;
+  return r.action ? `OK (${t(`power.${r.action}`)})` : `OK (${r.via})`;
+}
+
+const scheduleActionLabel = (action) => t(!action || action === 'wake' ? 'schedules.action.wake' : `power.${action}`);
+
+function renderSchedules(state) {
+  // target picker: hosts and groups
+  const sel = $('scheduleTarget');
+  const selValue = sel.value;
+  sel.innerHTML = '';
+  [['host', state.hosts, t('schedule.target.hosts')], ['group', state.groups, t('schedule.target.groups')]].forEach(([type, items, label]) => {
+    const og = document.createElement('optgroup');
+    og.label = label;
+    items.forEach(x => {
+      const opt = document.createElement('option');
+      opt.value = `${type}:${x.id}`;
+      opt.textContent = x.name;
+      og.appendChild(opt);
+    });
+    sel.appendChild(og);
   });
+  if ([...sel.options].some(o => o.value === selValue)) sel.value = selValue;
+  if (!$('scheduleTz').value) $('scheduleTz').value = Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
 
-  // hosts list
-  const hostsDiv = $('hosts');
-  hostsDiv.innerHTML = '';
-  state.hosts.forEach(h => {
-    const agentLabel = h.agentId ? `agent: <code>${esc(h.agentId)}</code>` : 'local';
+  const schedulesDiv = $('schedules');
+  schedulesDiv.innerHTML = '';
+  state.schedules.forEach(sc => {
     const div = document.createElement('div');
     div.className = 'item';
     div.innerHTML = `
       <div class="row">
         <div>
-          <div style="font-weight:600">${esc(h.name)}</div>
+          <div style="font-weight:600">${esc(sc.name)}
+            <span class="badge ${sc.enabled ? 'ok' : ''}">${esc(t(sc.enabled ? 'schedule.enabled' : 'schedule.disabled'))}</span>
+            ${sc.catchUp ? '<span class="badge">catch-up</span>' : ''}
+          </div>
           <div class="muted">
-            id: <code>${esc(h.id)}</code> / mac: <code>${esc(h.mac)}</code> / ${agentLabel}
+            <code>${esc(sc.cron)}</code> (${esc(sc.timezone)}) / ${esc(scheduleTargetLabel(state, sc.target))} / ${esc(scheduleActionLabel(sc.action))}<br />
+            ${esc(t('schedule.next', { at: fmtTime(sc.enabled ? sc.nextRunAt : null) }))} / ${esc(t('schedule.last', { at: fmtTime(sc.lastRunAt) }))} ${esc(scheduleResultLabel(sc.lastResult))}
+            ${sc.lastMissedAt ? `<br />${esc(t('schedule.missed', { at: fmtTime(sc.lastMissedAt) }))}` : ''}
           </div>
         </div>
-        <div style="display:flex; gap:8px;">
-          <button data-wake="${esc(h.id)}">起動</button>
-          <button class="ghost" data-edit="${esc(h.id)}">編集</button>
-          <button class="danger" data-del="${esc(h.id)}">削除</button>
-        </div>
+        ${can('admin') ? `<div style="display:flex; gap:8px;">
+          <button class="ghost" data-toggle-schedule="${esc(sc.id)}">${esc(t(sc.enabled ? 'schedule.disable' : 'schedule.enable'))}</button>
+          <button class="ghost" data-edit-schedule="${esc(sc.id)}">${esc(t('common.edit'))}</button>
+          <button class="danger" data-del-schedule="${esc(sc.id)}">${esc(t('common.delete'))}</button>
+        </div>` : ''}
       </div>
     `;
 
-    // wake
-    div.querySelector('button[data-wake]').addEventListener('click', async (e) => {
-      const id = e.target.getAttribute('data-wake');
+    const update = async (e, body, done) => {
       e.target.disabled = true;
       try {
-        msg(`waking ${id}...`);
-        const r = await api(`/api/wake/${encodeURIComponent(id)}`, { method: 'POST' });
-        msg(JSON.stringify(r, null, 2));
+        await api(`/api/schedules/${encodeURIComponent(sc.id)}`, {
+          method: 'PUT',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify(body),
+        });
+        await refresh();
+        msg(done);
       } catch (err) {
         msg('ERROR: ' + err.message);
       } finally {
         e.target.disabled = false;
       }
-    });
+    };
 
-    // edit host (prompt-based)
-    div.querySelector('button[data-edit]').addEventListener('click', async (e) => {
-      const id = e.target.getAttribute('data-edit');
-      const cur = state.hosts.find(x => x.id === id);
-      if (!cur) return;
+    // enable / disable
+    div.querySelector('button[data-toggle-schedule]')?.addEventListener('click', (e) => {
+      update(e, { enabled: !sc.enabled }, t(sc.enabled ? 'schedule.disabledDone' : 'schedule.enabledDone'));
+    });
 
-      const name = prompt('Host name', cur.name);
+    // edit schedule (prompt-based)
+    div.querySelector('button[data-edit-schedule]')?.addEventListener('click', (e) => {
+      const name = prompt(t('schedule.prompt.name'), sc.name);
       if (name === null) return;
-      const mac = prompt('MAC address (00:11:22:33:44:55)', cur.mac);
-      if (mac === null) return;
+      const cronExpr = prompt(t('schedule.prompt.cron'), sc.cron);
+      if (cronExpr === null) return;
+      const timezone = prompt(t('schedule.prompt.timezone'), sc.timezone);
+      if (timezone === null) return;
+      const catchUp = confirm(t('schedule.prompt.catchUp'));
+      update(e, { name, cron: cronExpr, timezone, catchUp }, t('schedule.updated'));
+    });
+
+    // delete schedule
+    div.querySelector('button[data-del-schedule]')?.addEventListener('click', async (e) => {
+      if (!confirm(t('schedule.delete.confirm', { name: sc.name }))) return;
+      e.target.disabled = true;
+      try {
+        await api(`/api/schedules/${encodeURIComponent(sc.id)}`, { method: 'DELETE' });
+        await refresh();
+        msg(t('schedule.deleted'));
+      } catch (err) {
+        msg('ERROR: ' + err.message);
+      } finally {
+        e.target.disabled = false;
+      }
+    });
+
+    schedulesDiv.appendChild(div);
+  });
+}
+
+async function refreshUsers() {
+  const { users } = await api('/api/users');
+  const usersDiv = $('users');
+  usersDiv.innerHTML = '';
+  users.forEach(u => {
+    const div = document.createElement('div');
+    div.className = 'item';
+    div.innerHTML = `
+      <div class="row">
+        <div>
+          <div style="font-weight:600">${esc(u.username)} <span class="badge">${esc(u.role)}</span></div>
+          <div class="muted">id: <code>${esc(u.id)}</code></div>
+        </div>
+        <div style="display:flex; gap:8px;">
+          <button class="ghost" data-edit-user="${esc(u.id)}">${esc(t('common.edit'))}</button>
+          <button class="danger" data-del-user="${esc(u.id)}">${esc(t('common.delete'))}</button>
+        </div>
+      </div>
+    `;
 
-      // agent selection via prompt
-      const agentPrompt = `Agent id (空=local)\n` +
-        state.agents.map(a => `- ${a.id}: ${a.name}`).join('\n') +
-        `\n\ncurrent: ${cur.agentId || '(local)'}`;
-      const agentIdRaw = prompt(agentPrompt, cur.agentId || '');
-      if (agentIdRaw === null) return;
-      const agentId = agentIdRaw.trim() === '' ? null : agentIdRaw.trim();
+    // edit user (prompt-based)
+    div.querySelector('button[data-edit-user]').addEventListener('click', async (e) => {
+      const id = e.target.getAttribute('data-edit-user');
+      const role = prompt(t('user.prompt.role', { roles: ROLES.join(' / ') }), u.role);
+      if (role === null) return;
+      const password = prompt(t('user.prompt.password'), '');
+      if (password === null) return;
 
       e.target.disabled = true;
       try {
-        await api(`/api/hosts/${encodeURIComponent(id)}`, {
+        const body = { role: role.trim() };
+        if (password !== '') body.password = password;
+        await api(`/api/users/${encodeURIComponent(id)}`, {
           method: 'PUT',
           headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({ name, mac, agentId }),
+          body: JSON.stringify(body),
         });
         await refresh();
-        msg('Host updated.');
+        msg(t('user.updated'));
       } catch (err) {
         msg('ERROR: ' + err.message);
       } finally {
@@ -203,15 +979,15 @@ async function refresh() {
       }
     });
 
-    // delete host
-    div.querySelector('button[data-del]').addEventListener('click', async (e) => {
-      const id = e.target.getAttribute('data-del');
-      if (!confirm(`Host ${id} を削除しますか？`)) return;
+    // delete user
+    div.querySelector('button[data-del-user]').addEventListener('click', async (e) => {
+      const id = e.target.getAttribute('data-del-user');
+      if (!confirm(t('user.delete.confirm', { name: u.username }))) return;
       e.target.disabled = true;
       try {
-        await api(`/api/hosts/${encodeURIComponent(id)}`, { method: 'DELETE' });
+        await api(`/api/users/${encodeURIComponent(id)}`, { method: 'DELETE' });
         await refresh();
-        msg('Host deleted.');
+        msg(t('user.deleted'));
       } catch (err) {
         msg('ERROR: ' + err.message);
       } finally {
@@ -219,54 +995,633 @@ async function refresh() {
       }
     });
 
-    hostsDiv.appendChild(div);
+    usersDiv.appendChild(div);
   });
-
-  msg('ready.');
 }
 
-// add agent
-$('addAgent').addEventListener('click', async () => {
-  const name = $('agentName').value.trim();
-  const url = $('agentUrl').value.trim();
-  const token = $('agentToken').value.trim();
+// ----- API keys (public API /api/v1) -----
+async function refreshApiKeys(state) {
+  const hostName = (id) => state.hosts.find(h => h.id === id)?.name || id;
 
-  $('addAgent').disabled = true;
-  try {
-    const r = await api('/api/agents', {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ name, url, token }),
-    });
-    msg('Agent added: ' + r.id);
-    $('agentName').value = '';
-    $('agentUrl').value = '';
-    $('agentToken').value = '';
-    await refresh();
-  } catch (err) {
-    msg('ERROR: ' + err.message);
-  } finally {
-    $('addAgent').disabled = false;
-  }
-});
+  const picker = $('apiKeyHosts');
+  const selected = new Set([...picker.selectedOptions].map(o => o.value));
+  picker.innerHTML = '';
+  state.hosts.forEach(h => {
+    picker.appendChild(Object.assign(document.createElement('option'), {
+      value: h.id, textContent: `${h.name} (${h.mac})`, selected: selected.has(h.id),
+    }));
+  });
 
-// add host
-$('addHost').addEventListener('click', async () => {
-  const name = $('hostName').value.trim();
-  const mac = $('hostMac').value.trim();
-  const agentId = $('hostAgent').value || null;
+  const { apiKeys } = await api('/api/v1/api-keys');
+  const keysDiv = $('apiKeys');
+  keysDiv.innerHTML = '';
+  apiKeys.forEach(k => {
+    const div = document.createElement('div');
+    div.className = 'item';
+    div.innerHTML = `
+      <div class="row">
+        <div>
+          <div style="font-weight:600">${esc(k.name)} ${k.scopes.map(x => `<span class="badge">${esc(t(`apiKey.scope.${x}`))}</span>`).join(' ')}</div>
+          <div class="muted">id: <code>${esc(k.id)}</code> / ${esc(t('apiKey.hosts', { hosts: k.hostIds ? k.hostIds.map(hostName).join(', ') : t('common.all') }))}</div>
+          <div class="muted">${esc(t('apiKey.created', { at: fmtTime(k.createdAt), by: k.createdBy || '-' }))}</div>
+        </div>
+        <button class="danger" data-del-key="${esc(k.id)}">${esc(t('apiKey.revoke'))}</button>
+      </div>
+    `;
 
-  $('addHost').disabled = true;
-  try {
-    const r = await api('/api/hosts', {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ name, mac, agentId }),
-    });
-    msg('Host added: ' + r.id);
+    div.querySelector('button[data-del-key]').addEventListener('click', async (e) => {
+      if (!confirm(t('apiKey.revoke.confirm', { name: k.name }))) return;
+      e.target.disabled = true;
+      try {
+        await api(`/api/v1/api-keys/${encodeURIComponent(k.id)}`, { method: 'DELETE' });
+        await refresh();
+        msg(t('apiKey.revoked'));
+      } catch (err) {
+        msg('ERROR: ' + err.message);
+      } finally {
+        e.target.disabled = false;
+      }
+    });
+
+    keysDiv.appendChild(div);
+  });
+}
+
+// ----- webhooks -----
+const WEBHOOK_EVENTS = ['wake.sent', 'wake.succeeded', 'wake.failed', 'agent.down', 'agent.up'];
+
+function deliveryResult(d) {
+  const last = d.attempts[d.attempts.length - 1];
+  if (!last) return '';
+  return last.status ? `HTTP ${last.status}` : last.error;
+}
+
+async function refreshWebhooks() {
+  const [{ webhooks }, { deliveries }] = await Promise.all([
+    api('/api/webhooks'),
+    api('/api/webhooks/deliveries?limit=20'),
+  ]);
+
+  const hooksDiv = $('webhooks');
+  hooksDiv.innerHTML = '';
+  webhooks.forEach(w => {
+    const events = w.events.includes('*') ? t('common.all') : w.events.map(x => t(`webhook.event.${x}`)).join(', ');
+    const div = document.createElement('div');
+    div.className = 'item';
+    div.innerHTML = `
+      <div class="row">
+        <div>
+          <div style="font-weight:600">${esc(w.name)} <span class="badge">${esc(w.template)}</span>
+            ${w.enabled ? '' : `<span class="badge ng">${esc(t('webhook.disabled'))}</span>`}</div>
+          <div class="muted"><code>${esc(w.url)}</code></div>
+          <div class="muted">${esc(t('webhook.events', { events }))}</div>
+        </div>
+        <div style="display:flex; gap:8px;">
+          <button class="ghost" data-test-hook="${esc(w.id)}">${esc(t('webhook.test'))}</button>
+          <button class="ghost" data-edit-hook="${esc(w.id)}">${esc(t('common.edit'))}</button>
+          <button class="danger" data-del-hook="${esc(w.id)}">${esc(t('common.delete'))}</button>
+        </div>
+      </div>
+    `;
+
+    div.querySelector('button[data-test-hook]').addEventListener('click', async (e) => {
+      e.target.disabled = true;
+      try {
+        msg(t('webhook.testing', { name: w.name }));
+        const r = await api(`/api/webhooks/${encodeURIComponent(w.id)}/test`, { method: 'POST' });
+        msg(t(r.ok ? 'webhook.test.delivered' : 'webhook.test.failed', { result: deliveryResult(r.delivery) }));
+        await refreshWebhooks();
+      } catch (err) {
+        msg('ERROR: ' + err.message);
+      } finally {
+        e.target.disabled = false;
+      }
+    });
+
+    // edit (prompt-based)
+    div.querySelector('button[data-edit-hook]').addEventListener('click', async (e) => {
+      const url = prompt('URL', w.url);
+      if (url === null) return;
+      const eventsText = prompt(t('webhook.prompt.events', { events: WEBHOOK_EVENTS.join(', ') }), w.events.join(', '));
+      if (eventsText === null) return;
+      const template = prompt(t('webhook.prompt.template'), w.template);
+      if (template === null) return;
+      const enabled = confirm(t('webhook.prompt.enabled'));
+      const regenerateSecret = confirm(t('webhook.prompt.regenerateSecret'));
+
+      e.target.disabled = true;
+      try {
+        const r = await api(`/api/webhooks/${encodeURIComponent(w.id)}`, {
+          method: 'PUT',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({
+            url: url.trim(),
+            events: eventsText.split(',').map(x => x.trim()).filter(Boolean),
+            template: template.trim(),
+            enabled,
+            regenerateSecret,
+          }),
+        });
+        await refresh();
+        msg(t('webhook.updated') + (r.secret ? ' ' + t('webhook.newSecret', { secret: r.secret }) : ''));
+      } catch (err) {
+        msg('ERROR: ' + err.message);
+      } finally {
+        e.target.disabled = false;
+      }
+    });
+
+    div.querySelector('button[data-del-hook]').addEventListener('click', async (e) => {
+      if (!confirm(t('webhook.delete.confirm', { name: w.name }))) return;
+      e.target.disabled = true;
+      try {
+        await api(`/api/webhooks/${encodeURIComponent(w.id)}`, { method: 'DELETE' });
+        await refresh();
+        msg(t('webhook.deleted'));
+      } catch (err) {
+        msg('ERROR: ' + err.message);
+      } finally {
+        e.target.disabled = false;
+      }
+    });
+
+    hooksDiv.appendChild(div);
+  });
+
+  // delivery log
+  const tbody = $('webhookDeliveries').querySelector('tbody');
+  tbody.innerHTML = '';
+  deliveries.forEach(d => {
+    const tr = document.createElement('tr');
+    tr.innerHTML = `
+      <td>${esc(fmtTime(d.createdAt))}</td>
+      <td>${esc(d.targetName)}</td>
+      <td>${esc(t(`webhook.event.${d.event}`))}</td>
+      <td class="${d.state === 'failed' ? 'ng' : ''}">${esc(t(`webhook.delivery.${d.state}`))} ${esc(deliveryResult(d))}</td>
+      <td>${d.attempts.length}</td>
+    `;
+    tbody.appendChild(tr);
+  });
+  $('webhookDeliveries').hidden = deliveries.length === 0;
+}
+
+// ----- history (audit log) -----
+const HISTORY_PAGE = 50;
+let historyOffset = 0;
+
+function historyRoute(e) {
+  if (!e.route) return '-';
+  return e.route === 'local' ? 'local' : agentNameById(e.route);
+}
+
+function historyActor(e) {
+  const a = e.actor || {};
+  const who = a.type === 'scheduler' ? t('history.actor.schedule', { name: a.name })
+    : a.type === 'api-key' ? t('history.actor.apiKey', { name: a.name })
+      : a.type === 'wake-link' ? t('history.actor.wakeLink', { name: a.name || '-' }) : (a.name || a.type || '-');
+  return e.ip ? `${who} (${e.ip})` : who;
+}
+
+async function refreshHistory() {
+  const params = new URLSearchParams({ limit: HISTORY_PAGE, offset: historyOffset });
+  if ($('historyAction').value) params.set('action', $('historyAction').value);
+  if ($('historyOutcome').value) params.set('outcome', $('historyOutcome').value);
+  if ($('historyQuery').value.trim()) params.set('q', $('historyQuery').value.trim());
+
+  const r = await api(`/api/history?${params}`);
+  const tbody = $('history');
+  tbody.innerHTML = '';
+  r.entries.forEach(e => {
+    const tr = document.createElement('tr');
+    tr.innerHTML = `
+      <td>${esc(fmtTime(e.ts))}</td>
+      <td><code>${esc(e.action)}</code></td>
+      <td>${esc(e.target ? (e.target.name || e.target.id) : '-')}</td>
+      <td>${esc(historyRoute(e))}</td>
+      <td>${esc(historyActor(e))}</td>
+      <td class="${e.outcome === 'ok' ? '' : 'ng'}">${esc(e.outcome === 'ok' ? 'OK' : `NG ${e.error || ''}`)}</td>
+    `;
+    tbody.appendChild(tr);
+  });
+
+  $('historyInfo').textContent = r.entries.length ? `${historyOffset + 1}-${historyOffset + r.entries.length}` : t('history.empty');
+  $('historyPrev').disabled = historyOffset === 0;
+  $('historyNext').disabled = !r.more;
+}
+
+// ----- network discovery -----
+const discoveryRouteLabel = (route) => (route === 'local' ? 'Controller' : agentNameById(route));
+
+function renderDiscovery(state, view) {
+  const sel = $('discoverySource');
+  const current = sel.value;
+  sel.innerHTML = `<option value="">${esc(t('discovery.source.all'))}</option><option value="local">${esc(t('discovery.source.local'))}</option>`;
+  state.agents.forEach(a => {
+    sel.appendChild(Object.assign(document.createElement('option'), { value: a.id, textContent: `${a.name} (${a.id})` }));
+  });
+  if ([...sel.options].some(o => o.value === current)) sel.value = current;
+
+  $('discoverySources').textContent = view.sources.map(x =>
+    `${discoveryRouteLabel(x.route)}: ${x.ok ? t('discovery.count', { count: x.count }) : `NG ${x.error}`}` +
+    (x.sweep ? ` (sweep ${x.sweep.subnet}: ${x.sweep.replied}/${x.sweep.addresses})` : '') +
+    ` @ ${fmtTime(x.scannedAt)}`).join('\n');
+
+  const div = $('discovered');
+  div.innerHTML = '';
+  if (view.sources.length && !view.discovered.length) div.innerHTML = `<div class="muted">${esc(t('discovery.none'))}</div>`;
+  view.discovered.forEach(d => {
+    const item = document.createElement('div');
+    item.className = 'item';
+    item.innerHTML = `
+      <div class="row">
+        <div>
+          <div style="font-weight:600">${esc(d.name || d.ip)}</div>
+          <div class="muted">mac: <code>${esc(d.mac)}</code> / ip: <code>${esc(d.ip)}</code><br />
+            ${esc(t('discovery.seenBy', { sources: d.seenBy.map(x => `${discoveryRouteLabel(x.route)}${x.device ? ` (${x.device})` : ''}`).join(', ') }))}</div>
+        </div>
+        <div style="display:flex; gap:8px; flex-wrap:wrap; justify-content:flex-end;">
+          ${d.seenBy.map(x => `<button class="ghost" data-adopt="${esc(x.route)}">${esc(t('discovery.adopt', { route: x.route === 'local' ? t('route.localShort') : discoveryRouteLabel(x.route) }))}</button>`).join('')}
+        </div>
+      </div>
+    `;
+
+    // adopt: host bound to the agent (or local) that saw it
+    item.querySelectorAll('button[data-adopt]').forEach(btn => btn.addEventListener('click', async (e) => {
+      const route = e.target.getAttribute('data-adopt');
+      const seen = d.seenBy.find(x => x.route === route);
+      e.target.disabled = true;
+      try {
+        const r = await api('/api/hosts', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ name: seen.name || d.name || seen.ip, mac: d.mac, routes: [route], ip: seen.ip }),
+        });
+        await refresh();
+        msg(t('host.added', { id: r.id }));
+      } catch (err) {
+        msg('ERROR: ' + err.message);
+        e.target.disabled = false;
+      }
+    }));
+
+    div.appendChild(item);
+  });
+}
+
+$('discoverRun').addEventListener('click', async () => {
+  const source = $('discoverySource').value;
+  const subnet = $('discoverySubnet').value.trim();
+  $('discoverRun').disabled = true;
+  try {
+    msg(subnet ? t('discovery.runningSweep', { subnet }) : t('discovery.running'));
+    const view = await api('/api/discovery', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ source: source || undefined, subnet: subnet || undefined }),
+    });
+    renderDiscovery(lastState, view);
+    msg(t('discovery.result', { count: view.discovered.length }));
+  } catch (err) {
+    msg('ERROR: ' + err.message);
+  } finally {
+    $('discoverRun').disabled = false;
+  }
+});
+
+// ----- import (preview, then commit the same file) -----
+let importPreview = null;
+
+function importUrl(dryRun) {
+  const kind = $('importKind').value;
+  const params = new URLSearchParams({ format: $('importFormat').value, mode: $('importMode').value });
+  if (dryRun) params.set('dryRun', '1');
+  if (kind === 'hosts') params.set('agent', $('importAgent').value);
+  return `/api/${kind}/import?${params}`;
+}
+
+async function sendImport(dryRun) {
+  const file = $('importFile').files[0];
+  if (!file) throw new Error(t('import.fileRequired'));
+  return api(importUrl(dryRun), {
+    method: 'POST',
+    headers: { 'Content-Type': 'text/plain' },
+    body: await file.text(),
+  });
+}
+
+function renderImportReport(r) {
+  const s = r.summary;
+  $('importSummary').textContent = t('import.summary', s);
+  const tbody = $('importReport').querySelector('tbody');
+  tbody.innerHTML = '';
+  r.rows.forEach(x => {
+    const tr = document.createElement('tr');
+    tr.innerHTML = `
+      <td>${esc(x.line)}</td>
+      <td class="${x.action === 'error' ? 'ng' : ''}">${esc(t(`import.action.${x.action}`))}</td>
+      <td>${esc(x.name || '-')}</td>
+      <td><code>${esc(x.mac || '')}</code></td>
+      <td class="${x.action === 'error' ? 'ng' : ''}">${esc(errorText(x) || (x.routes ? x.routes.map(k => (k === 'local' ? 'local' : agentNameById(k))).join(' → ') : ''))}</td>
+    `;
+    tbody.appendChild(tr);
+  });
+  r.removed.forEach(x => {
+    const tr = document.createElement('tr');
+    tr.innerHTML = `<td>-</td><td class="ng">${esc(t('import.action.remove'))}</td><td>${esc(x.name)}</td><td><code>${esc(x.mac || '')}</code></td><td></td>`;
+    tbody.appendChild(tr);
+  });
+  $('importReport').hidden = false;
+}
+
+// any change invalidates the last preview
+function resetImport() {
+  importPreview = null;
+  $('importCommit').disabled = true;
+  $('importSummary').textContent = '';
+  $('importReport').hidden = true;
+  const kind = $('importKind').value;
+  $('importAgent').hidden = kind !== 'hosts';
+  [...$('importFormat').options].forEach(o => { o.hidden = !!o.dataset.kind && o.dataset.kind !== kind; });
+  if ($('importFormat').selectedOptions[0]?.hidden) $('importFormat').value = 'csv';
+}
+['importKind', 'importFormat', 'importMode', 'importAgent', 'importFile'].forEach(id => $(id).addEventListener('change', resetImport));
+
+$('importPreview').addEventListener('click', async () => {
+  resetImport();
+  $('importPreview').disabled = true;
+  try {
+    const r = await sendImport(true);
+    importPreview = r;
+    renderImportReport(r);
+    $('importCommit').disabled = r.summary.error > 0;
+    msg(t(r.summary.error > 0 ? 'import.previewErrors' : 'import.previewOk'));
+  } catch (err) {
+    msg('ERROR: ' + err.message);
+  } finally {
+    $('importPreview').disabled = false;
+  }
+});
+
+$('importCommit').addEventListener('click', async () => {
+  const removing = importPreview?.summary.remove || 0;
+  if (removing > 0 && !confirm(t('import.removeConfirm', { count: removing }))) return;
+  $('importCommit').disabled = true;
+  try {
+    const r = await sendImport(false);
+    renderImportReport(r);
+    await refresh();
+    msg(t('import.done', { summary: $('importSummary').textContent }) + (r.unroutableHosts?.length
+      ? '\n' + t('agent.unroutableHosts', { hosts: r.unroutableHosts.join(', ') })
+      : ''));
+  } catch (err) {
+    if (err.data?.rows) renderImportReport(err.data);
+    msg('ERROR: ' + err.message);
+  }
+});
+
+// show only what the current role may use
+function applyRole() {
+  $('me').textContent = `${me.username} (${me.role})`;
+  document.querySelectorAll('[data-role]').forEach(el => {
+    el.hidden = !can(el.getAttribute('data-role'));
+  });
+}
+
+// ----- live updates (Server-Sent Events from /api/events) -----
+// other users' edits, scheduled wakes, wake progress and agent health arrive here; the
+// affected cards are replaced in place
+
+function upsertItem(list, item) {
+  const i = list.findIndex(x => x.id === item.id);
+  if (i >= 0) list[i] = item;
+  else list.push(item);
+}
+
+function removeItem(list, id) {
+  const i = list.findIndex(x => x.id === id);
+  if (i >= 0) list.splice(i, 1);
+}
+
+function replaceCard(container, id, card) {
+  const old = [...container.children].find(x => x.dataset.id === id);
+  if (old) old.replaceWith(card);
+  else container.appendChild(card);
+}
+
+function removeCard(container, id) {
+  [...container.children].find(x => x.dataset.id === id)?.remove();
+}
+
+// host cards show agent names and down warnings
+function rerenderHostsVia(agentId) {
+  lastState.hosts
+    .filter(h => h.routes.some(r => r.type === 'agent' && r.agentId === agentId))
+    .forEach(h => replaceCard($('hosts'), h.id, hostRow(h)));
+  applyHostView();
+}
+
+const LIVE_HANDLERS = {
+  // missed too much (or the controller restarted): reload everything
+  resync: () => refresh(),
+  host: ({ host }) => {
+    upsertItem(lastState.hosts, host);
+    replaceCard($('hosts'), host.id, hostRow(host));
+    applyHostView();
+    renderGroups(lastState);
+    renderSchedules(lastState);
+  },
+  'host.deleted': ({ id }) => {
+    removeItem(lastState.hosts, id);
+    removeCard($('hosts'), id);
+    applyHostView();
+    renderGroups(lastState);
+    renderSchedules(lastState);
+  },
+  agent: ({ agent }) => {
+    upsertItem(lastState.agents, agent);
+    replaceCard($('agents'), agent.id, agentCard(agent));
+    renderAgentSelects(lastState);
+    rerenderHostsVia(agent.id);
+  },
+  'agent.deleted': ({ id }) => {
+    removeItem(lastState.agents, id);
+    removeCard($('agents'), id);
+    renderAgentSelects(lastState);
+  },
+  'agent.health': ({ id, health }) => {
+    const a = lastState.agents.find(x => x.id === id);
+    if (!a) return;
+    const changed = a.health?.status !== health.status;
+    a.health = health;
+    replaceCard($('agents'), id, agentCard(a));
+    if (changed) rerenderHostsVia(id);
+  },
+  group: ({ group }) => {
+    upsertItem(lastState.groups, group);
+    renderGroups(lastState);
+    renderSchedules(lastState);
+  },
+  'group.deleted': ({ id }) => {
+    removeItem(lastState.groups, id);
+    renderGroups(lastState);
+    renderSchedules(lastState);
+  },
+  schedule: ({ schedule }) => {
+    upsertItem(lastState.schedules, schedule);
+    renderSchedules(lastState);
+  },
+  'schedule.deleted': ({ id }) => {
+    removeItem(lastState.schedules, id);
+    renderSchedules(lastState);
+  },
+  'wake.job': ({ job }) => {
+    const h = lastState.hosts.find(x => x.id === job.hostId);
+    if (h) h.wake = job;
+    renderWakeBadge(job.hostId, job);
+  },
+  // group wake, or a bulk wake of selected hosts (no groupId)
+  'group.wake': (r) => {
+    const what = (r.groupId ? t('live.groupWake', { name: r.name }) : t('live.bulkWake')) +
+      (r.actor?.type === 'scheduler' ? ` (${t('history.actor.schedule', { name: r.actor.name })})` : '');
+    msg(r.state === 'done'
+      ? `${what}: ${t('live.wakeDone', { sent: r.sent, total: r.total })}` + (r.failed ? t('live.wakeFailed', { failed: r.failed }) : '')
+      : `${what}: ${r.sent + r.failed}/${r.total}...`);
+  },
+};
+
+let liveLastId = '';
+let liveRetryMs = 1000;
+
+function setLiveStatus(open) {
+  $('live').textContent = open ? '● live' : `○ ${t('live.reconnecting')}`;
+  $('live').title = t(open ? 'live.open.title' : 'live.reconnecting.title');
+}
+
+function connectLive() {
+  // a new EventSource doesn't send Last-Event-ID itself: pass it so missed events are replayed
+  const es = new EventSource('/api/events' + (liveLastId ? `?lastEventId=${encodeURIComponent(liveLastId)}` : ''));
+  es.onopen = () => {
+    liveRetryMs = 1000;
+    setLiveStatus(true);
+  };
+  es.onerror = () => {
+    setLiveStatus(false);
+    // EventSource retries network errors by itself; an error response (401, 429, ...) closes it
+    if (es.readyState !== EventSource.CLOSED) return;
+    setTimeout(() => {
+      api('/api/me') // 401 -> login page
+        .then(connectLive)
+        .catch(err => { if (err.message !== t('err.login_required')) es.onerror(); });
+    }, liveRetryMs);
+    liveRetryMs = Math.min(liveRetryMs * 2, 30 * 1000);
+  };
+  Object.entries(LIVE_HANDLERS).forEach(([type, fn]) => {
+    es.addEventListener(type, (e) => {
+      liveLastId = e.lastEventId || liveLastId;
+      if (!lastState && type !== 'resync') return; // the first /api/state already has it
+      try {
+        fn(JSON.parse(e.data));
+      } catch (err) {
+        console.error(`live ${type}:`, err);
+      }
+    });
+  });
+}
+
+async function init() {
+  const r = await api('/api/me');
+  me = r.user;
+  csrfToken = r.csrfToken;
+  applyRole();
+  connectLive();
+  await refresh();
+}
+
+// add agent
+$('addAgent').addEventListener('click', async () => {
+  const name = $('agentName').value.trim();
+  const url = $('agentUrl').value.trim();
+  const token = $('agentToken').value.trim();
+
+  $('addAgent').disabled = true;
+  try {
+    const r = await api('/api/agents', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ name, url, token }),
+    });
+    msg(t('agent.added', { id: r.id }));
+    $('agentName').value = '';
+    $('agentUrl').value = '';
+    $('agentToken').value = '';
+    await refresh();
+  } catch (err) {
+    msg('ERROR: ' + err.message);
+  } finally {
+    $('addAgent').disabled = false;
+  }
+});
+
+// issue join code (agent enrollment)
+$('issueJoinCode').addEventListener('click', async () => {
+  const name = prompt(t('joinCode.prompt.name'), '');
+  if (name === null) return;
+
+  $('issueJoinCode').disabled = true;
+  try {
+    const r = await api('/api/join-codes', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ name }),
+    });
+    msg(t('joinCode.issued', { code: r.code, expiresAt: fmtTime(r.expiresAt) }) + '\n\n' +
+      t('joinCode.run') + `\nMODE=agent CONTROLLER_URL=${location.origin} JOIN_CODE=${r.code} node server.js`);
+  } catch (err) {
+    msg('ERROR: ' + err.message);
+  } finally {
+    $('issueJoinCode').disabled = false;
+  }
+});
+
+// add host
+$('hostAgent').addEventListener('change', refreshInterfaceSelect);
+$('hostInterface').addEventListener('change', () => updateAddressHint(formInterfaces));
+
+$('addHost').addEventListener('click', async () => {
+  const name = $('hostName').value.trim();
+  const mac = $('hostMac').value.trim();
+  const routes = [$('hostAgent').value, $('hostFallback').value].filter(Boolean);
+  const ip = $('hostIp').value.trim();
+  const probe = $('hostProbe').value;
+  const probePort = $('hostProbePort').value.trim() || null;
+  const wakeOptions = {
+    transport: $('hostTransport').value,
+    address: $('hostWakeAddress').value.trim(),
+    port: $('hostWakePort').value.trim(),
+    interface: $('hostInterface').value,
+    password: $('hostPassword').value.trim(),
+    repeat: $('hostRepeat').value.trim(),
+    intervalMs: $('hostInterval').value.trim(),
+  };
+
+  $('addHost').disabled = true;
+  try {
+    const r = await api('/api/hosts', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ name, mac, routes, ip, probe, probePort, wakeOptions }),
+    });
+    msg(t('host.added', { id: r.id }));
     $('hostName').value = '';
     $('hostMac').value = '';
-    $('hostAgent').value = '';
+    $('hostAgent').value = 'local';
+    $('hostFallback').value = '';
+    $('hostIp').value = '';
+    $('hostProbe').value = '';
+    $('hostProbePort').value = '';
+    $('hostTransport').value = 'udp4';
+    ['hostWakeAddress', 'hostWakePort', 'hostInterface', 'hostPassword', 'hostRepeat', 'hostInterval'].forEach(id => { $(id).value = ''; });
+    updateAddressHint(null);
     await refresh();
   } catch (err) {
     msg('ERROR: ' + err.message);
@@ -275,4 +1630,436 @@ $('addHost').addEventListener('click', async () => {
   }
 });
 
-refresh().catch(e => msg('ERROR: ' + e.message));
+// add group
+$('addGroup').addEventListener('click', async () => {
+  const name = $('groupName').value.trim();
+  const delayMs = $('groupDelay').value.trim() || undefined;
+  const hostIds = [...$('groupHosts').selectedOptions].map(o => o.value);
+
+  $('addGroup').disabled = true;
+  try {
+    const r = await api('/api/groups', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ name, delayMs, hostIds }),
+    });
+    msg(t('group.added', { id: r.id }));
+    $('groupName').value = '';
+    $('groupDelay').value = '';
+    await refresh();
+  } catch (err) {
+    msg('ERROR: ' + err.message);
+  } finally {
+    $('addGroup').disabled = false;
+  }
+});
+
+// add schedule
+$('addSchedule').addEventListener('click', async () => {
+  const name = $('scheduleName').value.trim();
+  const cronExpr = $('scheduleCron').value.trim();
+  const timezone = $('scheduleTz').value.trim();
+  const [type, id] = $('scheduleTarget').value.split(':');
+  const action = $('scheduleAction').value;
+  const catchUp = $('scheduleCatchUp').checked;
+
+  $('addSchedule').disabled = true;
+  try {
+    const r = await api('/api/schedules', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ name, cron: cronExpr, timezone, target: { type, id }, action, catchUp }),
+    });
+    msg(t('schedule.added', { id: r.id, next: fmtTime(r.nextRunAt) }));
+    $('scheduleName').value = '';
+    $('scheduleCron').value = '';
+    $('scheduleCatchUp').checked = false;
+    await refresh();
+  } catch (err) {
+    msg('ERROR: ' + err.message);
+  } finally {
+    $('addSchedule').disabled = false;
+  }
+});
+
+// add user
+$('addUser').addEventListener('click', async () => {
+  const username = $('userName').value.trim();
+  const password = $('userPassword').value;
+  const role = $('userRole').value;
+
+  $('addUser').disabled = true;
+  try {
+    const r = await api('/api/users', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ username, password, role }),
+    });
+    msg(t('user.added', { id: r.id }));
+    $('userName').value = '';
+    $('userPassword').value = '';
+    $('userRole').value = 'viewer';
+    await refresh();
+  } catch (err) {
+    msg('ERROR: ' + err.message);
+  } finally {
+    $('addUser').disabled = false;
+  }
+});
+
+// create API key (the token is shown once)
+$('addApiKey').addEventListener('click', async () => {
+  const name = $('apiKeyName').value.trim();
+  const scope = $('apiKeyScope').value;
+  const scopes = scope.split('+');
+  const hostIds = [...$('apiKeyHosts').selectedOptions].map(o => o.value);
+
+  $('addApiKey').disabled = true;
+  try {
+    const { apiKey } = await api('/api/v1/api-keys', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ name, scopes, hostIds: hostIds.length && scope !== 'admin' ? hostIds : null }),
+    });
+    $('apiKeyName').value = '';
+    $('apiKeyHosts').selectedIndex = -1;
+    await refresh();
+    msg(t('apiKey.createdToken', { token: apiKey.token }) + '\n\n' +
+      t('apiKey.example', { command: `curl -X POST -H "Authorization: Bearer ${apiKey.token}" ${location.origin}/api/v1/hosts/<hostId>/wake` }) + '\n' +
+      t('apiKey.spec', { url: `${location.origin}/api/v1/openapi.json` }));
+  } catch (err) {
+    msg('ERROR: ' + err.message);
+  } finally {
+    $('addApiKey').disabled = false;
+  }
+});
+
+// add webhook (the signing secret is shown once)
+$('addWebhook').addEventListener('click', async () => {
+  const name = $('webhookName').value.trim();
+  const url = $('webhookUrl').value.trim();
+  const template = $('webhookTemplate').value;
+  const selected = [...$('webhookEvents').selectedOptions].map(o => o.value);
+
+  $('addWebhook').disabled = true;
+  try {
+    const r = await api('/api/webhooks', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ name, url, template, events: selected.length ? selected : ['*'] }),
+    });
+    $('webhookName').value = '';
+    $('webhookUrl').value = '';
+    $('webhookEvents').selectedIndex = -1;
+    await refresh();
+    msg(t('webhook.added', { id: r.id, secret: r.secret }));
+  } catch (err) {
+    msg('ERROR: ' + err.message);
+  } finally {
+    $('addWebhook').disabled = false;
+  }
+});
+
+// ----- host list controls -----
+$('hostSearch').addEventListener('input', () => applyHostView());
+
+document.querySelector('table.hosts thead').addEventListener('click', (e) => {
+  const key = e.target.closest('th[data-sort]')?.dataset.sort;
+  if (!key) return;
+  hostSort = { key, dir: hostSort.key === key ? -hostSort.dir : 1 };
+  applyHostView();
+});
+
+$('hosts').addEventListener('change', (e) => {
+  const id = e.target.dataset?.select;
+  if (!id) return;
+  if (e.target.checked) selectedHosts.add(id);
+  else selectedHosts.delete(id);
+  updateHostSelection();
+});
+
+$('hostSelectAll').addEventListener('change', (e) => {
+  [...$('hosts').children].filter(tr => !tr.hidden).forEach(tr => {
+    if (e.target.checked) selectedHosts.add(tr.dataset.id);
+    else selectedHosts.delete(tr.dataset.id);
+  });
+  updateHostSelection();
+});
+
+// bulk actions on the selection
+$('bulkWake').addEventListener('click', async () => {
+  const hostIds = [...selectedHosts];
+  if (!confirm(t('bulk.wake.confirm', { count: hostIds.length }))) return;
+  $('bulkWake').disabled = true;
+  try {
+    msg(t('bulk.waking', { count: hostIds.length }));
+    const r = await api('/api/hosts/bulk-wake', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ hostIds }),
+    });
+    r.results.forEach(x => renderWakeBadge(x.hostId, x.job));
+    msg(t('bulk.wake.result', { sent: r.total - r.failed, total: r.total }) + '\n' + JSON.stringify(r.results, null, 2));
+  } catch (err) {
+    msg('ERROR: ' + err.message);
+  } finally {
+    $('bulkWake').disabled = false;
+  }
+});
+
+$('bulkSetRoute').addEventListener('click', async () => {
+  const hostIds = [...selectedHosts];
+  const route = $('bulkRoute').value;
+  const label = route === 'local' ? t('route.localShort') : agentNameById(route);
+  if (!confirm(t('bulk.routes.confirm', { count: hostIds.length, route: label }))) return;
+  $('bulkSetRoute').disabled = true;
+  try {
+    await api('/api/hosts/bulk-routes', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ hostIds, routes: [route] }),
+    });
+    await refresh();
+    msg(t('bulk.routes.done', { count: hostIds.length }));
+  } catch (err) {
+    msg('ERROR: ' + err.message);
+  } finally {
+    $('bulkSetRoute').disabled = false;
+  }
+});
+
+$('bulkDelete').addEventListener('click', async () => {
+  const hostIds = [...selectedHosts];
+  if (!confirm(t('bulk.delete.confirm', { count: hostIds.length }))) return;
+  $('bulkDelete').disabled = true;
+  try {
+    const r = await api('/api/hosts/bulk-delete', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ hostIds }),
+    });
+    selectedHosts.clear();
+    await refresh();
+    msg(t('bulk.delete.done', { count: r.deleted }));
+  } catch (err) {
+    msg('ERROR: ' + err.message);
+  } finally {
+    $('bulkDelete').disabled = false;
+  }
+});
+
+// ----- send and verify receipt: dialog opened from the host row -----
+function openWakeTestDialog(id) {
+  const h = lastState.hosts.find(x => x.id === id);
+  if (!h) return;
+  wakeTestHostId = id;
+  const agentOptions = lastState.agents.map(a => `<option value="${esc(a.id)}">${esc(a.name)}</option>`).join('');
+  $('wtTitle').textContent = t('wakeTest.title', { name: h.name });
+  $('wtRoute').innerHTML = `<option value="local">local</option>${agentOptions}`;
+  $('wtRoute').value = h.routes.length ? routeKey(h.routes[0]) : 'local';
+  // watch from the VLAN of the host's agent route when it has one
+  $('wtMonitor').innerHTML = agentOptions;
+  const viaAgent = h.routes.find(r => r.type === 'agent' && lastState.agents.some(a => a.id === r.agentId));
+  if (viaAgent) $('wtMonitor').value = viaAgent.agentId;
+  $('wtResult').hidden = true;
+  showFormErrors('wtError', []);
+  $('wakeTestDialog').showModal();
+}
+
+// ----- wake links (admin): dialog opened from the host row -----
+async function openWakeLinkDialog(id) {
+  const h = lastState.hosts.find(x => x.id === id);
+  if (!h) return;
+  wakeLinkHostId = id;
+  $('wlTitle').textContent = t('wakeLinkDialog.title', { name: h.name });
+  $('wlMaxUses').value = '1';
+  $('wlPin').value = '';
+  $('wlLabel').value = '';
+  showFormErrors('wlError', []);
+  await refreshWakeLinks();
+  $('wakeLinkDialog').showModal();
+}
+
+async function refreshWakeLinks() {
+  const r = await api(`/api/wake-links?hostId=${encodeURIComponent(wakeLinkHostId)}`);
+  const list = $('wlList');
+  list.innerHTML = r.wakeLinks.length ? '' : `<div class="muted">${esc(t('wakeLinkDialog.empty'))}</div>`;
+  r.wakeLinks.forEach(l => {
+    const active = l.status === 'active';
+    const div = document.createElement('div');
+    div.className = 'item';
+    div.innerHTML = `
+      <div style="display:flex; gap:12px; align-items:flex-start;">
+        ${active ? `<img src="/api/wake-links/${encodeURIComponent(l.id)}/qr.svg" alt="QR" width="128" height="128" />` : ''}
+        <div style="flex:1; display:grid; gap:6px; min-width:0;">
+          <div><span class="badge ${active ? 'ok' : 'ng'}">${esc(t(`wakeLink.status.${l.status}`))}</span> ${esc(l.label || '')}</div>
+          <div class="muted">${esc(t('wakeLinkDialog.summary', { expiresAt: fmtTime(l.expiresAt), uses: l.uses, maxUses: l.maxUses }))}${l.pinRequired ? ` / ${esc(t('wakeLinkDialog.pinSet'))}` : ''}</div>
+          ${active ? `<input readonly value="${esc(l.url)}" data-link-url />` : ''}
+          <div style="display:flex; gap:6px; justify-content:flex-end;">
+            ${active ? `<button type="button" class="ghost" data-copy-link>${esc(t('wakeLinkDialog.copy'))}</button>` : ''}
+            <button type="button" class="danger" data-revoke-link="${esc(l.id)}">${esc(active ? t('wakeLinkDialog.revoke') : t('common.delete'))}</button>
+          </div>
+        </div>
+      </div>
+    `;
+
+    div.querySelector('button[data-copy-link]')?.addEventListener('click', async (e) => {
+      const input = div.querySelector('input[data-link-url]');
+      input.select();
+      try {
+        await navigator.clipboard.writeText(input.value);
+      } catch {
+        document.execCommand('copy'); // no clipboard API outside https / localhost
+      }
+      e.target.textContent = t('wakeLinkDialog.copied');
+    });
+
+    div.querySelector('button[data-revoke-link]').addEventListener('click', async (e) => {
+      if (active && !confirm(t('wakeLinkDialog.revoke.confirm'))) return;
+      e.target.disabled = true;
+      try {
+        await api(`/api/wake-links/${encodeURIComponent(l.id)}`, { method: 'DELETE' });
+        await refreshWakeLinks();
+        msg(t('wakeLinkDialog.revoked'));
+      } catch (err) {
+        showFormErrors('wlError', [[null, err.message]]);
+        e.target.disabled = false;
+      }
+    });
+
+    list.appendChild(div);
+  });
+}
+
+// ----- edit dialogs -----
+document.querySelectorAll('dialog [data-close]').forEach(btn => {
+  btn.addEventListener('click', () => btn.closest('dialog').close());
+});
+
+$('hdAddRoute').addEventListener('click', () => {
+  const keys = [...$('hdRoutes').querySelectorAll('select')].map(x => x.value);
+  setDialogRoutes([...keys, '']);
+});
+
+// primary route changed: its sender's interfaces
+$('hdRoutes').addEventListener('change', (e) => {
+  if (e.target === $('hdRoutes').querySelector('select')) loadDialogInterfaces($('hdInterface').value);
+});
+
+$('hostDialogForm').addEventListener('submit', async (e) => {
+  e.preventDefault();
+  const r = readHostDialog();
+  if (r.errors) return showFormErrors('hdError', r.errors);
+  $('hdSave').disabled = true;
+  try {
+    await api(`/api/hosts/${encodeURIComponent(editingHostId)}`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(r.body),
+    });
+    $('hostDialog').close();
+    await refresh();
+    msg(t('host.updated'));
+  } catch (err) {
+    showFormErrors('hdError', [[null, err.message]]);
+  } finally {
+    $('hdSave').disabled = false;
+  }
+});
+
+$('agentDialogForm').addEventListener('submit', async (e) => {
+  e.preventDefault();
+  const r = readAgentDialog();
+  if (r.errors) return showFormErrors('adError', r.errors);
+  $('adSave').disabled = true;
+  try {
+    await api(`/api/agents/${encodeURIComponent(editingAgentId)}`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(r.body),
+    });
+    $('agentDialog').close();
+    await refresh();
+    msg(t('agent.updated'));
+  } catch (err) {
+    showFormErrors('adError', [[null, err.message]]);
+  } finally {
+    $('adSave').disabled = false;
+  }
+});
+
+$('wakeTestForm').addEventListener('submit', async (e) => {
+  e.preventDefault();
+  $('wtRun').disabled = true;
+  showFormErrors('wtError', []);
+  $('wtResult').hidden = false;
+  $('wtResult').textContent = t('wakeTest.running');
+  try {
+    const r = await api(`/api/hosts/${encodeURIComponent(wakeTestHostId)}/wake-test`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ route: $('wtRoute').value, monitorAgentId: $('wtMonitor').value }),
+    });
+    $('wtResult').textContent = !r.sent ? t('wakeTest.sendFailed', { error: r.error })
+      : r.error ? t('wakeTest.monitorFailed', { error: r.error })
+      : r.received ? `${t('wakeTest.received', { ms: r.elapsedMs })}\n${fmtPackets(r.packets, r.listeners)}`
+        : `${t('wakeTest.notReceived', { seconds: Math.round(r.elapsedMs / 1000) })}\n${fmtPackets([], r.listeners)}`;
+  } catch (err) {
+    $('wtResult').hidden = true;
+    showFormErrors('wtError', [[null, err.message]]);
+  } finally {
+    $('wtRun').disabled = false;
+  }
+});
+
+$('wakeLinkForm').addEventListener('submit', async (e) => {
+  e.preventDefault();
+  $('wlCreate').disabled = true;
+  try {
+    await api('/api/wake-links', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        hostId: wakeLinkHostId,
+        ttlMin: Number($('wlTtl').value),
+        maxUses: Number($('wlMaxUses').value),
+        pin: $('wlPin').value.trim() || undefined,
+        label: $('wlLabel').value.trim() || undefined,
+      }),
+    });
+    $('wlPin').value = '';
+    $('wlLabel').value = '';
+    showFormErrors('wlError', []);
+    await refreshWakeLinks();
+    msg(t('wakeLinkDialog.created'));
+  } catch (err) {
+    showFormErrors('wlError', [[null, err.message]]);
+  } finally {
+    $('wlCreate').disabled = false;
+  }
+});
+
+// history filters / paging
+$('historySearch').addEventListener('click', () => {
+  historyOffset = 0;
+  refreshHistory().catch(err => msg('ERROR: ' + err.message));
+});
+$('historyPrev').addEventListener('click', () => {
+  historyOffset = Math.max(historyOffset - HISTORY_PAGE, 0);
+  refreshHistory().catch(err => msg('ERROR: ' + err.message));
+});
+$('historyNext').addEventListener('click', () => {
+  historyOffset += HISTORY_PAGE;
+  refreshHistory().catch(err => msg('ERROR: ' + err.message));
+});
+
+// logout
+$('logout').addEventListener('click', async () => {
+  try {
+    await api('/api/logout', { method: 'POST' });
+  } finally {
+    location.href = '/login.html';
+  }
+});
+
+init().catch(e => msg('ERROR: ' + e.message));
@@ -0,0 +1,60 @@
+// ----- UI language (catalogues in locales/*.js) -----
+// the language is the one picked in the switcher (saved in localStorage), else the first of the
+// browser's preferred languages we have (the list it sends as Accept-Language), else English
+
+const LANG_KEY = 'wol_lang';
+const LOCALES = window.WOL_LOCALES;
+
+function detectLang() {
+  let saved = null;
+  try { saved = localStorage.getItem(LANG_KEY); } catch { /* storage disabled */ }
+  if (LOCALES[saved]) return saved;
+  for (const tag of navigator.languages || [navigator.language]) {
+    const base = String(tag || '').toLowerCase().split('-')[0];
+    if (LOCALES[base]) return base;
+  }
+  return 'en';
+}
+
+const LANG = detectLang();
+
+const hasText = (key) => key in LOCALES[LANG] || key in LOCALES.en;
+
+// t('hosts.count', { total: 3 }); a key missing from the catalogue falls back to English
+function t(key, params) {
+  const text = LOCALES[LANG][key] ?? LOCALES.en[key] ?? key;
+  return params ? text.replace(/\{(\w+)\}/g, (m, k) => (params[k] === undefined ? m : String(params[k]))) : text;
+}
+
+// server error -> text in the UI language:
+// /api/* answers { error, code, params }, /api/v1 { error: { code, message, details: { reason, params } } };
+// a code without a translation shows the server's (English) message
+function errorText(data) {
+  const e = data?.error;
+  const [code, params, message] = e && typeof e === 'object'
+    ? [e.details?.reason || e.code, e.details?.params, e.message]
+    : [data?.code, data?.params, e];
+  return code && hasText(`err.${code}`) ? t(`err.${code}`, params) : message;
+}
+
+// static text: data-i18n (text), data-i18n-placeholder, data-i18n-title
+function applyI18n(root = document) {
+  document.documentElement.lang = LANG;
+  root.querySelectorAll('[data-i18n]').forEach(el => { el.textContent = t(el.dataset.i18n); });
+  root.querySelectorAll('[data-i18n-placeholder]').forEach(el => { el.placeholder = t(el.dataset.i18nPlaceholder); });
+  root.querySelectorAll('[data-i18n-title]').forEach(el => { el.title = t(el.dataset.i18nTitle); });
+}
+
+// select#lang: the choice is kept and the page is reloaded in the new language
+function bindLangSwitcher() {
+  const sel = document.getElementById('lang');
+  if (!sel) return;
+  sel.value = LANG;
+  sel.addEventListener('change', () => {
+    try { localStorage.setItem(LANG_KEY, sel.value); } catch { /* storage disabled */ }
+    location.reload();
+  });
+}
+
+applyI18n();
+bindLangSwitcher();
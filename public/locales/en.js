@@ -0,0 +1,547 @@
+// English
+// keys are the same in every catalogue (this one is the fallback); {name} is filled from t() params
+window.WOL_LOCALES = window.WOL_LOCALES || {};
+window.WOL_LOCALES.en = {
+  // app
+  'app.lead': 'Hosts on the same VLAN are woken locally; across VLANs the agent on each VLAN sends the packet.',
+  'app.logout': 'Log out',
+  'app.title': 'Wake on LAN (VLAN aware)',
+  'status.loading': 'loading...',
+  'status.ready': 'ready.',
+  'live.bulkWake': 'bulk wake',
+  'live.groupWake': 'group wake {name}',
+  'live.open.title': 'Changes appear automatically',
+  'live.reconnecting': 'reconnecting…',
+  'live.reconnecting.title': 'Reconnecting to the server',
+  'live.wakeDone': '{sent}/{total} sent',
+  'live.wakeFailed': ', {failed} failed',
+  'common.all': 'all',
+  'common.cancel': 'Cancel',
+  'common.close': 'Close',
+  'common.delete': 'Delete',
+  'common.edit': 'Edit',
+  'common.name': 'Name',
+  'common.optional': 'Optional',
+  'common.result': 'Result',
+  'common.route': 'Route',
+  'common.save': 'Save',
+  'common.time': 'Time',
+
+  // agents
+  'agents.add': 'Add agent',
+  'agents.joinCode': 'Issue join code (agent connects in)',
+  'agents.name.placeholder': 'e.g. VLAN10 Agent',
+  'agents.title': 'Agents (senders per VLAN)',
+  'agents.token.placeholder': 'Agent token (shared secret)',
+  'agents.url.placeholder': 'e.g. http://192.168.10.2:3001',
+  'agent.added': 'Agent added: {id}',
+  'agent.delete.confirm': 'Delete agent {id}? (It is removed from the routes of its hosts.)',
+  'agent.deleted': 'Agent deleted.',
+  'agent.health': 'Check',
+  'agent.packets': 'Received packets',
+  'agent.health.checking': 'checking agent {id}...',
+  'agent.link.connected': 'connected',
+  'agent.link.disconnected': 'not connected',
+  'agent.link.lastSeen': 'last seen {at}',
+  'agent.unroutableHosts': "Hosts left without a route (can't be woken): {hosts}",
+  'agent.updated': 'Agent updated.',
+  'agentDialog.reverse': 'Only the name of an agent that connects to the controller can be changed.',
+  'agentDialog.title': 'Edit agent',
+  'agentDialog.token': 'Token (shared secret)',
+  'agentDialog.token.placeholder': 'Leave empty to keep it',
+  'joinCode.issued': 'Join code: {code} (expires {expiresAt}, single use)',
+  'joinCode.prompt.name': "Agent name (empty = the agent's hostname)",
+  'joinCode.run': 'Run on the agent:',
+  'health.detail': 'version: {version} / uptime: {uptime} / last check: {at}',
+  'health.down': 'down',
+  'health.since': 'since {at}',
+  'health.unknown': 'unknown',
+
+  // hosts
+  'hosts.add': 'Add host',
+  'hosts.add.title': 'Host (name + MAC)',
+  'hosts.bulk.setRoute': 'Change route',
+  'hosts.bulk.wake': 'Wake selected hosts',
+  'hosts.bulkRoute': 'Route: {route}',
+  'hosts.col.ip': 'IP / wake check',
+  'hosts.col.state': 'State',
+  'hosts.count': '{total} hosts',
+  'hosts.countFiltered': '{shown} / {total} hosts',
+  'hosts.interface.title': 'Send interface (required for Ethernet)',
+  'hosts.interval.placeholder': 'Interval ms (default 100)',
+  'hosts.ip.placeholder': 'IP / hostname for the wake check (optional)',
+  'hosts.mac.placeholder': 'e.g. 00:11:22:33:44:55',
+  'hosts.name.placeholder': 'e.g. Editing PC',
+  'hosts.options.optional': 'Send options (optional)',
+  'hosts.password.placeholder': 'SecureOn password (e.g. 00:11:22:33:44:55)',
+  'hosts.port.placeholder': 'Port (default 9)',
+  'hosts.probe.none': 'No wake check',
+  'hosts.probe.tcp': 'TCP port',
+  'hosts.probePort.placeholder': 'Port (e.g. 22 / 3389)',
+  'hosts.repeat.placeholder': 'Repeat (default 3)',
+  'hosts.search.placeholder': 'Search (name / MAC / IP / agent)',
+  'hosts.selectAll.title': 'Select every shown host',
+  'hosts.selected': '{count} selected',
+  'hosts.title': 'Hosts',
+  'host.added': 'Host added: {id}',
+  'host.address.interfaceDefault': 'Destination (default: {broadcast} = broadcast of {interface})',
+  'host.address.placeholder': 'Destination (e.g. 192.168.10.255 / default 255.255.255.255)',
+  'host.agentDown': 'Agent down: {agents}',
+  'host.delete.confirm': 'Delete host {name}?',
+  'host.deleted': 'Host deleted.',
+  'host.links': 'Wake links',
+  'host.fallback': 'Fallback: {route}',
+  'host.fallback.none': 'No fallback',
+  'host.interface.auto': 'Interface: automatic (subnet of the host IP)',
+  'host.interface.notListed': '{interface} (not listed)',
+  'host.interface.unavailable': "(the agent can't be asked)",
+  'host.noRoutes': 'no route',
+  'host.password.keep': 'SecureOn password (set; leave empty to keep it)',
+  'host.password.placeholder': 'SecureOn password (optional, e.g. 00:11:22:33:44:55)',
+  'host.endpointToken.keep': 'Endpoint token (set; leave empty to keep it)',
+  'host.endpointToken.placeholder': 'Endpoint token (ENDPOINT_TOKEN of the host)',
+  'host.route.local': '(same VLAN: local send)',
+  'host.updated': 'Host updated.',
+  'host.wake': 'Wake',
+  'host.wake.forceConfirm': 'Every agent on the routes of {name} is down. Send anyway?',
+  'host.wakeOptions.prompt': 'Options for this wake only (key=value separated by spaces, password=xx:xx:xx:xx:xx:xx allowed)\ntransport: udp4 / udp6 / ethernet',
+  'host.wakeWithOptions': 'Wake with options',
+  'host.wakeTest': 'Receipt test',
+  'host.waking': 'waking {name}...',
+  'power.confirm': '{action} {name}?',
+  'power.dryRun': '{name}: dry run, nothing was executed ({command})',
+  'power.menu': 'Power…',
+  'power.reboot': 'Reboot',
+  'power.sending': '{name}: sending {action}...',
+  'power.sent': '{name}: {action} sent ({command})',
+  'power.shutdown': 'Shut down',
+  'power.state.off': 'off',
+  'power.state.on': 'on',
+  'power.state.suspended': 'suspended',
+  'power.state.title': 'last known power state ({by}, {at})',
+  'power.suspend': 'Suspend',
+  'hostDialog.addRoute': 'Add route',
+  'hostDialog.address.placeholder': 'Destination (default: broadcast)',
+  'hostDialog.clearPassword': 'Remove the SecureOn password',
+  'hostDialog.endpoint': 'Power actions (endpoint)',
+  'hostDialog.endpoint.hint': 'Run MODE=endpoint on the host to shut it down, suspend or reboot it from here. Clear the URL to remove it.',
+  'hostDialog.endpointUrl.placeholder': 'e.g. http://192.168.10.50:3002',
+  'hostDialog.ip': 'IP / hostname for the wake check',
+  'hostDialog.mac': 'MAC address',
+  'hostDialog.options': 'Send options',
+  'hostDialog.port': 'Port',
+  'hostDialog.probe': 'Wake check',
+  'hostDialog.probePort.placeholder': 'e.g. 22 / 3389',
+  'hostDialog.routes': 'Routes (tried from the top)',
+  'hostDialog.title': 'Edit host',
+  'route.agentDown': ' (down)',
+  'route.local': 'Local send (same VLAN)',
+  'route.localShort': 'local send',
+  'route.remove': '(remove this route)',
+  'transport.ethernet': 'Ethernet frame 0x0842 (Linux)',
+  'transport.udp4': 'UDP / IPv4 broadcast (default)',
+  'transport.udp6': 'UDP / IPv6 multicast (ff02::1)',
+  'form.duplicateRoute': 'The same route is listed twice',
+  'form.endpointTokenRequired': 'Enter the endpoint token',
+  'form.interfaceRequired': 'Ethernet sending needs an interface',
+  'form.invalidInterval': 'The interval must be 0-1000 ms',
+  'form.invalidMac': 'Invalid MAC address (e.g. 00:11:22:33:44:55)',
+  'form.invalidPassword': 'The SecureOn password is 6 bytes (e.g. 00:11:22:33:44:55) or 4 bytes (e.g. 192.168.1.1)',
+  'form.invalidPort': 'The send port must be 1-65535',
+  'form.invalidRepeat': 'Repeat must be 1-10',
+  'form.invalidUrl': 'The URL must start with http:// or https://',
+  'form.nameRequired': 'Enter a name',
+  'form.probeIpRequired': 'The wake check needs an IP / hostname',
+  'form.probePortRequired': 'The TCP wake check needs a port (1-65535)',
+  'form.routeRequired': 'Specify at least one route',
+  'wake.state.cancelled': 'cancelled',
+  'wake.state.online': 'online',
+  'wake.state.sent': 'sent',
+  'wake.state.timeout': 'timed out',
+  'wake.state.waiting': 'waiting…',
+  'monitor.empty': 'No magic packets received',
+  'monitor.from': 'from {from}',
+  'monitor.listenerDown': 'Not listening: {listener} ({error})',
+  'wakeTest.title': '{name}: send and verify receipt',
+  'wakeTest.hint': 'Sends one magic packet over the chosen route and checks whether the monitoring agent received it (the host really wakes up).',
+  'wakeTest.route': 'Send via',
+  'wakeTest.monitor': 'Monitoring agent (MONITOR=1)',
+  'wakeTest.run': 'Send and verify',
+  'wakeTest.running': 'Sending and waiting for the packet…',
+  'wakeTest.received': 'The monitoring agent received it ({ms} ms)',
+  'wakeTest.notReceived': 'Not received within {seconds} s. Check the path (broadcast forwarding, VLAN, ACLs).',
+  'wakeTest.sendFailed': 'Sending failed: {error}',
+  'wakeTest.monitorFailed': 'Sent, but the monitoring agent could not be queried: {error}',
+  'bulk.delete.confirm': 'Delete the {count} selected hosts? (They leave their groups and their schedules are deleted.)',
+  'bulk.delete.done': 'Hosts deleted: {count}',
+  'bulk.routes.confirm': 'Change the route of the {count} selected hosts to "{route}" only? (Fallbacks are removed.)',
+  'bulk.routes.done': 'Routes updated: {count} hosts.',
+  'bulk.wake.confirm': 'Wake the {count} selected hosts?',
+  'bulk.wake.result': 'bulk wake: {sent}/{total} sent',
+  'bulk.waking': 'waking {count} hosts...',
+
+  // groups
+  'groups.add': 'Add group',
+  'groups.delay.placeholder': 'Interval ms (default 1000)',
+  'groups.name.placeholder': 'e.g. 3F lab',
+  'groups.title': 'Groups (wake together)',
+  'group.added': 'Group added: {id}',
+  'group.delay': 'interval: {ms}ms',
+  'group.delete.confirm': 'Delete group {name}? (The hosts are kept.)',
+  'group.deleted': 'Group deleted.',
+  'group.noHosts': '(no hosts)',
+  'group.power.confirm': '{action} every host of group {name} ({count} hosts)?',
+  'group.power.result': '{action}: sent to {ok}/{total}',
+  'group.prompt.delay': 'Delay between hosts (ms)',
+  'group.prompt.hosts': 'Host ids (comma separated)',
+  'group.prompt.name': 'Group name',
+  'group.updated': 'Group updated.',
+  'group.wake': 'Wake all',
+  'group.wake.confirm': 'Wake group {name} ({count} hosts)?',
+  'group.wake.result': 'group wake: {sent}/{total} sent',
+  'group.waking': 'waking group {name} ({count} hosts, {ms}ms interval)...',
+
+  // schedules
+  'schedules.add': 'Add schedule',
+  'schedules.action.wake': 'Wake',
+  'schedules.catchUp': 'Run a run missed while the controller was stopped once at startup',
+  'schedules.cron.placeholder': 'cron (minute hour day month weekday) e.g. 30 7 * * 1-5',
+  'schedules.name.placeholder': 'e.g. Weekday mornings',
+  'schedules.timezone.placeholder': 'Time zone e.g. Asia/Tokyo',
+  'schedules.title': 'Schedules (timed wake / shutdown)',
+  'schedule.added': 'Schedule added: {id} (next: {next})',
+  'schedule.delete.confirm': 'Delete schedule {name}?',
+  'schedule.deleted': 'Schedule deleted.',
+  'schedule.disable': 'Disable',
+  'schedule.disabled': 'disabled',
+  'schedule.disabledDone': 'Schedule disabled.',
+  'schedule.enable': 'Enable',
+  'schedule.enabled': 'enabled',
+  'schedule.enabledDone': 'Schedule enabled.',
+  'schedule.last': 'last: {at}',
+  'schedule.missed': 'skipped: {at}',
+  'schedule.next': 'next: {at}',
+  'schedule.prompt.catchUp': 'Run a missed run once at startup? (OK = yes / Cancel = no)',
+  'schedule.prompt.cron': 'cron (minute hour day month weekday)',
+  'schedule.prompt.name': 'Schedule name',
+  'schedule.prompt.timezone': 'Time zone (e.g. Asia/Tokyo)',
+  'schedule.result.failed': '{failed}/{total} failed',
+  'schedule.target.group': 'group: {name}',
+  'schedule.target.groups': 'Groups',
+  'schedule.target.host': 'host: {name}',
+  'schedule.target.hosts': 'Hosts',
+  'schedule.updated': 'Schedule updated.',
+
+  // discovery
+  'discovery.adopt': 'Add: {route}',
+  'discovery.count': '{count} found',
+  'discovery.none': 'No unregistered devices',
+  'discovery.result': 'discovery: {count} unregistered',
+  'discovery.run': 'Discover',
+  'discovery.running': 'discovering...',
+  'discovery.runningSweep': 'discovering (ping sweep {subnet})...',
+  'discovery.seenBy': 'seen by: {sources}',
+  'discovery.source.all': 'All agents and the controller',
+  'discovery.source.local': 'Controller (local)',
+  'discovery.subnet.placeholder': 'Subnet to ping sweep first (optional, single source only) e.g. 192.168.10.0/24',
+  'discovery.title': 'Network discovery (unregistered devices)',
+
+  // import / export
+  'import.action.add': 'add',
+  'import.action.error': 'error',
+  'import.action.remove': 'remove',
+  'import.action.unchanged': 'unchanged',
+  'import.action.update': 'update',
+  'import.agent.title': 'Route for new hosts without one',
+  'import.col.detail': 'Detail',
+  'import.col.line': 'Line',
+  'import.commit': 'Import',
+  'import.defaultRoute': 'Rows without a route: {route}',
+  'import.defaultRoute.local': 'Rows without a route: local send',
+  'import.done': 'imported: {summary}',
+  'import.export': 'Export:',
+  'import.export.agentsJson': 'Agents JSON (with tokens)',
+  'import.export.hostsCsv': 'Hosts CSV',
+  'import.export.hostsJson': 'Hosts JSON',
+  'import.fileRequired': 'Choose a file',
+  'import.format.dhcpd': 'dhcpd.leases (ISC)',
+  'import.kind.hosts': 'Hosts',
+  'import.mode.merge': 'Merge (update matches, add new ones)',
+  'import.mode.replace': "Replace (remove what isn't in the file)",
+  'import.preview': 'Preview',
+  'import.previewErrors': 'Fix the rows with errors before importing.',
+  'import.previewOk': 'Preview ok. Press "Import" to apply it.',
+  'import.removeConfirm': '{count} entries will be removed. Import?',
+  'import.summary': 'add {add} / update {update} / unchanged {unchanged} / remove {remove} / error {error}',
+  'import.title': 'Import / export',
+
+  // webhooks
+  'webhooks.add': 'Add webhook',
+  'webhooks.col.attempts': 'Attempts',
+  'webhooks.col.event': 'Event',
+  'webhooks.col.target': 'Target',
+  'webhooks.events.title': 'Events to send (none selected = all)',
+  'webhooks.events.wakeFailed': 'Wake failed (send failed / wake check timed out)',
+  'webhooks.events.wakeSent': 'Wake packet sent',
+  'webhooks.events.wakeSucceeded': 'Wake succeeded (online in the wake check)',
+  'webhooks.name.placeholder': 'e.g. Ops channel',
+  'webhooks.template.generic': 'Generic JSON',
+  'webhooks.template.slack': 'Slack compatible (text)',
+  'webhooks.title': 'Webhooks (notifications)',
+  'webhooks.url.placeholder': 'e.g. https://hooks.slack.com/services/...',
+  'webhook.added': "Webhook added: {id}\nSigning secret: {secret}\n(Used to verify X-WoL-Signature. It can't be shown again.)",
+  'webhook.delete.confirm': 'Delete webhook {name}?',
+  'webhook.deleted': 'Webhook deleted.',
+  'webhook.delivery.delivered': 'delivered',
+  'webhook.delivery.failed': 'failed',
+  'webhook.delivery.pending': 'sending',
+  'webhook.delivery.retrying': 'waiting to retry',
+  'webhook.disabled': 'disabled',
+  'webhook.event.agent.down': 'agent unreachable',
+  'webhook.event.agent.up': 'agent reachable again',
+  'webhook.event.test': 'test',
+  'webhook.event.wake.failed': 'wake failed',
+  'webhook.event.wake.sent': 'wake sent',
+  'webhook.event.wake.succeeded': 'wake succeeded',
+  'webhook.events': 'events: {events}',
+  'webhook.newSecret': 'New secret: {secret}',
+  'webhook.prompt.enabled': 'Enable this webhook? (Cancel = disable)',
+  'webhook.prompt.events': 'Events (comma separated, * = all)\n{events}',
+  'webhook.prompt.regenerateSecret': 'Issue a new signing secret?',
+  'webhook.prompt.template': 'Template (generic / slack)',
+  'webhook.test': 'Send test',
+  'webhook.test.delivered': 'Test event delivered ({result}).',
+  'webhook.test.failed': 'Test event failed: {result}',
+  'webhook.testing': 'sending test event to {name}...',
+  'webhook.updated': 'Webhook updated.',
+
+  // users
+  'users.add': 'Add user',
+  'users.name.placeholder': 'Username',
+  'users.password.placeholder': 'Password (at least 8 characters)',
+  'users.role.admin': 'admin (everything)',
+  'users.role.operator': 'operator (wake only)',
+  'users.role.viewer': 'viewer (read only)',
+  'users.title': 'Users',
+  'user.added': 'User added: {id}',
+  'user.delete.confirm': 'Delete user {name}?',
+  'user.deleted': 'User deleted.',
+  'user.prompt.password': 'New password (empty = keep)',
+  'user.prompt.role': 'Role ({roles})',
+  'user.updated': 'User updated.',
+
+  // API keys
+  'apiKeys.add': 'Create API key',
+  'apiKeys.hosts.hint': 'Select hosts to limit the key to them (none selected = all)',
+  'apiKeys.hosts.title': 'Limit to hosts (none selected = all, ignored for admin)',
+  'apiKeys.name.placeholder': 'e.g. Ansible / CI / chat bot',
+  'apiKeys.openapi': '(OpenAPI 3)',
+  'apiKeys.scope.admin': 'Admin (everything)',
+  'apiKeys.scope.read': 'Read only',
+  'apiKeys.scope.readWake': 'Read + wake',
+  'apiKeys.scope.readWakePower': 'Read + wake + power',
+  'apiKeys.scope.wake': 'Wake only',
+  'apiKeys.spec': 'Spec:',
+  'apiKeys.title': 'API keys (integrations, /api/v1)',
+  'apiKey.created': 'created: {at} ({by})',
+  'apiKey.createdToken': "API key: {token}\n(It can't be shown again once you leave this page.)",
+  'apiKey.example': 'Example: {command}',
+  'apiKey.hosts': 'hosts: {hosts}',
+  'apiKey.revoke': 'Revoke',
+  'apiKey.revoke.confirm': 'Revoke API key {name}? (Integrations using it stop working at once.)',
+  'apiKey.revoked': 'API key revoked.',
+  'apiKey.scope.admin': 'admin',
+  'apiKey.scope.power': 'power',
+  'apiKey.scope.read': 'read',
+  'apiKey.scope.wake': 'wake',
+  'apiKey.spec': 'Spec: {url}',
+
+  // history
+  'history.action.agent': 'Agent changes / checks',
+  'history.action.agentStatus': 'Agent monitoring',
+  'history.action.all': 'All actions',
+  'history.action.apikey': 'API keys',
+  'history.action.auth': 'Login',
+  'history.action.discovery': 'Network discovery',
+  'history.action.group': 'Group changes',
+  'history.action.groupWake': 'Group wake',
+  'history.action.groupPower': 'Group power actions',
+  'history.action.host': 'Host changes',
+  'history.action.power': 'Power actions',
+  'history.action.schedule': 'Schedule changes',
+  'history.action.user': 'User changes',
+  'history.action.wake': 'Wake',
+  'history.action.wakelink': 'Wake links',
+  'history.actor.apiKey': 'API key: {name}',
+  'history.actor.schedule': 'schedule: {name}',
+  'history.actor.wakeLink': 'wake link: {name}',
+  'history.col.action': 'Action',
+  'history.col.actor': 'By',
+  'history.col.target': 'Target',
+  'history.empty': 'No history',
+  'history.next': 'Next',
+  'history.outcome.all': 'All results',
+  'history.outcome.error': 'Failed',
+  'history.outcome.ok': 'Succeeded',
+  'history.prev': 'Previous',
+  'history.query.placeholder': 'Target / user / IP',
+  'history.search': 'Search',
+  'history.title': 'History',
+
+  // wake links
+  'wakeLinkDialog.title': 'Wake links for {name}',
+  'wakeLinkDialog.hint': 'A URL that wakes only this host, without logging in. It stops working when it expires, is used up or is revoked.',
+  'wakeLinkDialog.empty': 'No links',
+  'wakeLinkDialog.new': 'New link',
+  'wakeLinkDialog.ttl': 'Valid for',
+  'wakeLinkDialog.ttl.1h': '1 hour',
+  'wakeLinkDialog.ttl.1d': '1 day',
+  'wakeLinkDialog.ttl.7d': '7 days',
+  'wakeLinkDialog.ttl.30d': '30 days',
+  'wakeLinkDialog.maxUses': 'Maximum uses',
+  'wakeLinkDialog.pin': 'PIN (optional, 4-12 digits)',
+  'wakeLinkDialog.label': 'Note (optional)',
+  'wakeLinkDialog.label.placeholder': 'e.g. working from home',
+  'wakeLinkDialog.create': 'Create link',
+  'wakeLinkDialog.created': 'Link created.',
+  'wakeLinkDialog.copy': 'Copy URL',
+  'wakeLinkDialog.copied': 'Copied',
+  'wakeLinkDialog.revoke': 'Revoke',
+  'wakeLinkDialog.revoke.confirm': 'Revoke this link? (The URL stops working at once.)',
+  'wakeLinkDialog.revoked': 'Link revoked.',
+  'wakeLinkDialog.summary': 'expires {expiresAt} / used {uses} of {maxUses}',
+  'wakeLinkDialog.pinSet': 'PIN required',
+  'wakeLink.status.active': 'active',
+  'wakeLink.status.expired': 'expired',
+  'wakeLink.status.used_up': 'used up',
+  'wakeLink.status.locked': 'locked',
+
+  // login page
+  'login.lead': 'Please log in.',
+  'login.password': 'Password',
+  'login.submit': 'Log in',
+  'login.title': 'Log in - WoL VLAN WebApp',
+  'login.username': 'Username',
+
+  // wake link page
+  'wakeLinkPage.title': 'Wake - WoL VLAN WebApp',
+  'wakeLinkPage.loading': 'Checking the link…',
+  'wakeLinkPage.noToken': 'The link is incomplete. Open the whole URL you were given.',
+  'wakeLinkPage.lead': 'This wakes {name}.',
+  'wakeLinkPage.info': 'Valid until {expiresAt}, {usesLeft} uses left',
+  'wakeLinkPage.pin': 'PIN',
+  'wakeLinkPage.wake': 'Wake',
+  'wakeLinkPage.sending': 'Sending…',
+  'wakeLinkPage.sent': 'Wake packet sent.',
+  'wakeLinkPage.waiting': 'Waiting for the host to answer… (try {attempts})',
+  'wakeLinkPage.online': '{name} is up.',
+  'wakeLinkPage.timeout': 'No answer yet. The host may still be starting.',
+
+  // server error codes (lib/errors.js)
+  'err.login_required': 'Login required',
+  'err.forbidden': 'You are not allowed to do this',
+  'err.invalid_csrf_token': 'Session check failed. Reload the page',
+  'err.invalid_credentials': 'Invalid username or password',
+  'err.invalid_username': 'Invalid username (use A-Z a-z 0-9 . _ -)',
+  'err.password_too_short': 'The password must be at least {min} characters',
+  'err.invalid_role': 'Invalid role',
+  'err.username_exists': 'That username is already taken',
+  'err.user_not_found': 'User not found',
+  'err.last_admin_demote': "The last admin can't be demoted",
+  'err.last_admin_delete': "The last admin can't be deleted",
+  'err.conflict': 'Conflicts with another change. Reload and try again ({detail})',
+  'err.internal_error': 'Server error: {detail}',
+  'err.name_required': 'Enter a name',
+  'err.invalid_url': 'The URL must start with http:// or https://',
+  'err.invalid_filter': 'Invalid {field}',
+  'err.rate_limited': 'Too many requests. Try again later',
+  'err.invalid_json': 'The request body is not valid JSON',
+  'err.payload_too_large': 'The request body is too large',
+  'err.token_required': 'Enter a token',
+  'err.agent_not_found': 'Agent not found',
+  'err.agent_request_failed': 'The agent request failed: {detail}',
+  'err.invalid_ttl': 'The lifetime must be 1-{max} minutes',
+  'err.join_code_not_found': 'Join code not found',
+  'err.invalid_join_code': 'The join code is invalid or expired',
+  'err.host_not_found': 'Host not found',
+  'err.invalid_mac': 'Invalid MAC address (e.g. 00:11:22:33:44:55)',
+  'err.mac_exists': 'That MAC address is already registered',
+  'err.invalid_ip': 'Invalid IP / hostname',
+  'err.invalid_probe': 'The wake check must be icmp or tcp',
+  'err.probe_ip_required': 'The wake check needs an IP / hostname',
+  'err.probe_port_required': 'The TCP wake check needs a port',
+  'err.invalid_probe_port': 'Invalid wake check port',
+  'err.routes_not_array': 'Invalid routes',
+  'err.routes_required': 'Specify the routes',
+  'err.route_required': 'Specify at least one route',
+  'err.too_many_routes': 'At most {max} routes',
+  'err.duplicate_route': 'The same route is listed twice',
+  'err.route_agent_not_found': 'Agent of the route not found: {agentId}',
+  'err.host_ids_not_array': 'Invalid host list',
+  'err.host_ids_not_found': 'Hosts not found: {hostIds}',
+  'err.host_ids_empty': 'Select at least one host',
+  'err.invalid_wake_options': 'Invalid send options',
+  'err.invalid_transport': 'The transport must be one of {values}',
+  'err.invalid_address_v4': 'The destination must be an IPv4 broadcast address',
+  'err.invalid_address_v6': 'The destination must be an IPv6 address (e.g. ff02::1)',
+  'err.invalid_port': 'The send port must be 1-65535',
+  'err.invalid_interface': 'Invalid interface name',
+  'err.interface_required': 'Ethernet sending needs an interface',
+  'err.invalid_secureon_password': 'The SecureOn password is 6 bytes (e.g. 00:11:22:33:44:55) or 4 bytes (e.g. 192.168.1.1)',
+  'err.invalid_repeat': 'Repeat must be 1-{max}',
+  'err.invalid_interval': 'The interval must be 0-{max} ms',
+  'err.invalid_endpoint': 'Invalid endpoint',
+  'err.endpoint_token_required': 'Enter the endpoint token',
+  'err.host_no_endpoint': 'This host has no endpoint for power actions',
+  'err.endpoint_request_failed': 'The endpoint request failed: {detail}',
+  'err.invalid_power_action': 'The action must be one of {values}',
+  'err.host_no_routes': 'This host has no routes',
+  'err.all_routes_down': 'Every agent on the routes is down (send with force to try anyway)',
+  'err.all_routes_failed': 'Sending failed on every route',
+  'err.job_not_found': 'Wake job not found',
+  'err.invalid_delay': 'The delay must be 0-{max} ms',
+  'err.monitor_off': 'Packet monitor is off on agent {agent} (start it with MONITOR=1)',
+  'err.invalid_wake_test_timeout': 'The wait must be {min}-{max} ms',
+  'err.group_not_found': 'Group not found',
+  'err.group_name_exists': 'That group name is already taken',
+  'err.schedule_not_found': 'Schedule not found',
+  'err.invalid_cron': 'Invalid cron: {detail}',
+  'err.invalid_timezone': 'Invalid time zone',
+  'err.invalid_schedule_target': 'The target must be a host or a group',
+  'err.schedule_target_not_found': 'Target not found',
+  'err.cron_never_fires': 'This cron never fires',
+  'err.invalid_schedule_action': 'The schedule action must be one of {values}',
+  'err.invalid_import_format': 'The format must be one of {values}',
+  'err.invalid_import_mode': 'The mode must be merge or replace',
+  'err.invalid_export_format': 'The format must be csv or json',
+  'err.invalid_file': "The file can't be read: {detail}",
+  'err.no_hosts_in_file': 'No hosts found in the file',
+  'err.no_agents_in_file': 'No agents found in the file',
+  'err.import_invalid_rows': '{count} invalid rows; nothing was imported',
+  'err.import_invalid_mac': 'Invalid MAC address: {mac}',
+  'err.duplicate_mac': 'Duplicate MAC address (also on line {line})',
+  'err.duplicate_name': 'Duplicate name (also on line {line})',
+  'err.agent_ambiguous': 'More than one agent has this name: {agent}',
+  'err.unknown_agent': 'Unknown agent: {agent}',
+  'err.invalid_agent_mode': 'The mode must be inbound or reverse',
+  'err.agent_mode_locked': "The mode can't be changed",
+  'err.reverse_agent_import': 'Agents that connect to the controller must enroll with a join code',
+  'err.subnet_requires_source': 'A subnet needs a single source',
+  'err.invalid_subnet': 'The subnet must be an IPv4 CIDR of /{min} or smaller',
+  'err.webhook_not_found': 'Webhook not found',
+  'err.invalid_webhook_events': 'Events must be a list of {values} (or *)',
+  'err.invalid_webhook_template': 'The template must be one of {values}',
+  'err.webhook_secret_too_short': 'The secret must be at least {min} characters',
+  'err.invalid_api_key_name': 'Enter a name (at most {max} characters)',
+  'err.invalid_scopes': 'Scopes must be a list of {values}',
+  'err.host_ids_with_admin': "An admin key can't be limited to some hosts",
+  'err.api_key_hosts_empty': 'Select hosts (or none for every host)',
+  'err.wake_link_not_found': 'Wake link not found',
+  'err.wake_link_invalid': 'This link is not valid (revoked, or the URL is incomplete)',
+  'err.wake_link_expired': 'This link has expired',
+  'err.wake_link_used_up': 'This link has been used up',
+  'err.wake_link_locked': 'This link is locked after too many wrong PINs',
+  'err.wake_link_pin_invalid': 'Wrong PIN ({left} tries left)',
+  'err.invalid_max_uses': 'Maximum uses must be 1-{max}',
+  'err.invalid_pin': 'The PIN must be 4-12 digits',
+};
@@ -0,0 +1,547 @@
+// 日本語
+// keys are the same in every catalogue (locales/en.js is the fallback); {name} is filled from t() params
+window.WOL_LOCALES = window.WOL_LOCALES || {};
+window.WOL_LOCALES.ja = {
+  // app
+  'app.lead': '同一VLANはローカル送信、VLAN越えは各VLANの Agent に依頼してWoL送信します。',
+  'app.logout': 'ログアウト',
+  'app.title': 'Wake on LAN（VLAN対応）',
+  'status.loading': '読み込み中…',
+  'status.ready': '準備完了。',
+  'live.bulkWake': '一括起動',
+  'live.groupWake': 'グループ起動 {name}',
+  'live.open.title': '変更は自動で反映されます',
+  'live.reconnecting': '再接続中…',
+  'live.reconnecting.title': 'サーバーに再接続しています',
+  'live.wakeDone': '{sent}/{total} 台に送信',
+  'live.wakeFailed': '、{failed} 台失敗',
+  'common.all': 'すべて',
+  'common.cancel': 'キャンセル',
+  'common.close': '閉じる',
+  'common.delete': '削除',
+  'common.edit': '編集',
+  'common.name': '名前',
+  'common.optional': '任意',
+  'common.result': '結果',
+  'common.route': '経路',
+  'common.save': '保存',
+  'common.time': '日時',
+
+  // agents
+  'agents.add': 'Agent追加',
+  'agents.joinCode': '参加コード発行（Agentから接続）',
+  'agents.name.placeholder': '例: VLAN10 Agent',
+  'agents.title': 'Agent（VLANごとの送信拠点）',
+  'agents.token.placeholder': 'Agent Token（共有シークレット）',
+  'agents.url.placeholder': '例: http://192.168.10.2:3001',
+  'agent.added': 'Agent を追加しました: {id}',
+  'agent.delete.confirm': 'Agent {id} を削除しますか？（関連ホストの経路から外されます）',
+  'agent.deleted': 'Agent を削除しました。',
+  'agent.health': '到達確認',
+  'agent.packets': '受信パケット',
+  'agent.health.checking': 'Agent {id} を確認中…',
+  'agent.link.connected': '接続中',
+  'agent.link.disconnected': '未接続',
+  'agent.link.lastSeen': '最終接続 {at}',
+  'agent.unroutableHosts': '経路がなくなったホスト（起動できません）: {hosts}',
+  'agent.updated': 'Agent を更新しました。',
+  'agentDialog.reverse': 'Controller へ接続する方式の Agent は名前のみ変更できます。',
+  'agentDialog.title': 'Agent の編集',
+  'agentDialog.token': 'Token（共有シークレット）',
+  'agentDialog.token.placeholder': '変更しない場合は空欄',
+  'joinCode.issued': '参加コード: {code}（有効期限 {expiresAt}、1回のみ）',
+  'joinCode.prompt.name': 'Agent 名（空 = Agent側のホスト名）',
+  'joinCode.run': 'Agent側で実行:',
+  'health.detail': 'バージョン: {version} / 稼働時間: {uptime} / 最終確認: {at}',
+  'health.down': '停止',
+  'health.since': '{at} から',
+  'health.unknown': '未確認',
+
+  // hosts
+  'hosts.add': 'ホスト追加',
+  'hosts.add.title': 'ホスト（名前＋MAC）',
+  'hosts.bulk.setRoute': '経路を変更',
+  'hosts.bulk.wake': '選択したホストを起動',
+  'hosts.bulkRoute': '経路: {route}',
+  'hosts.col.ip': 'IP / 起動確認',
+  'hosts.col.state': '状態',
+  'hosts.count': '{total} 台',
+  'hosts.countFiltered': '{shown} / {total} 台',
+  'hosts.interface.title': '送信インターフェース（Ethernet では必須）',
+  'hosts.interval.placeholder': '送信間隔 ms（既定 100）',
+  'hosts.ip.placeholder': '起動確認用 IP / ホスト名（任意）',
+  'hosts.mac.placeholder': '例: 00:11:22:33:44:55',
+  'hosts.name.placeholder': '例: 編集PC',
+  'hosts.options.optional': '送信オプション（任意）',
+  'hosts.password.placeholder': 'SecureOn パスワード（例: 00:11:22:33:44:55）',
+  'hosts.port.placeholder': 'ポート（既定 9）',
+  'hosts.probe.none': '起動確認しない',
+  'hosts.probe.tcp': 'TCPポート',
+  'hosts.probePort.placeholder': 'ポート（例: 22 / 3389）',
+  'hosts.repeat.placeholder': '送信回数（既定 3）',
+  'hosts.search.placeholder': '検索（名前 / MAC / IP / Agent）',
+  'hosts.selectAll.title': '表示中のホストをすべて選択',
+  'hosts.selected': '{count} 台を選択中',
+  'hosts.title': 'ホスト一覧',
+  'host.added': 'ホストを追加しました: {id}',
+  'host.address.interfaceDefault': '宛先（既定: {broadcast} = {interface} のブロードキャスト）',
+  'host.address.placeholder': '宛先（例: 192.168.10.255 / 既定 255.255.255.255）',
+  'host.agentDown': 'Agent停止中: {agents}',
+  'host.delete.confirm': 'ホスト {name} を削除しますか？',
+  'host.deleted': 'ホストを削除しました。',
+  'host.links': '起動リンク',
+  'host.fallback': 'フォールバック: {route}',
+  'host.fallback.none': 'フォールバックなし',
+  'host.interface.auto': 'インターフェース: 自動（ホストのIPのサブネット）',
+  'host.interface.notListed': '{interface}（一覧にありません）',
+  'host.interface.unavailable': '（Agent に問い合わせできません）',
+  'host.noRoutes': '経路なし',
+  'host.password.keep': 'SecureOn パスワード（設定済み・空欄なら変更しない）',
+  'host.password.placeholder': 'SecureOn パスワード（任意、例: 00:11:22:33:44:55）',
+  'host.endpointToken.keep': 'Endpoint Token（設定済み・空欄なら変更しない）',
+  'host.endpointToken.placeholder': 'Endpoint Token（ホストの ENDPOINT_TOKEN）',
+  'host.route.local': '（同一VLAN: ローカル送信）',
+  'host.updated': 'ホストを更新しました。',
+  'host.wake': '起動',
+  'host.wake.forceConfirm': '{name} の経路の Agent はすべて停止中です。強制的に送信しますか？',
+  'host.wakeOptions.prompt': '今回だけの送信オプション（key=value をスペース区切り、password=xx:xx:xx:xx:xx:xx も可）\ntransport: udp4 / udp6 / ethernet',
+  'host.wakeWithOptions': 'オプション起動',
+  'host.wakeTest': '受信テスト',
+  'host.waking': '{name} を起動中…',
+  'power.confirm': '{name} に「{action}」を実行しますか？',
+  'power.dryRun': '{name}: dry run のため実行していません（{command}）',
+  'power.menu': '電源…',
+  'power.reboot': '再起動',
+  'power.sending': '{name}: {action} を送信しています...',
+  'power.sent': '{name}: {action} を送信しました（{command}）',
+  'power.shutdown': 'シャットダウン',
+  'power.state.off': '電源オフ',
+  'power.state.on': '電源オン',
+  'power.state.suspended': 'スリープ中',
+  'power.state.title': '最後に確認した電源状態（{by}、{at}）',
+  'power.suspend': 'スリープ',
+  'hostDialog.addRoute': '経路を追加',
+  'hostDialog.address.placeholder': '宛先（既定: ブロードキャスト）',
+  'hostDialog.clearPassword': 'SecureOn パスワードを削除',
+  'hostDialog.endpoint': '電源操作（Endpoint）',
+  'hostDialog.endpoint.hint': 'ホスト上で MODE=endpoint を動かすと、シャットダウン / スリープ / 再起動ができます。URL を空にすると解除します。',
+  'hostDialog.endpointUrl.placeholder': '例: http://192.168.10.50:3002',
+  'hostDialog.ip': '起動確認用 IP / ホスト名',
+  'hostDialog.mac': 'MAC アドレス',
+  'hostDialog.options': '送信オプション',
+  'hostDialog.port': 'ポート',
+  'hostDialog.probe': '起動確認',
+  'hostDialog.probePort.placeholder': '例: 22 / 3389',
+  'hostDialog.routes': '送信経路（上から順に試行）',
+  'hostDialog.title': 'ホストの編集',
+  'route.agentDown': '（停止中）',
+  'route.local': 'ローカル送信（同一VLAN）',
+  'route.localShort': 'ローカル送信',
+  'route.remove': '（この経路を外す）',
+  'transport.ethernet': 'Ethernet フレーム 0x0842（Linux）',
+  'transport.udp4': 'UDP / IPv4 ブロードキャスト（既定）',
+  'transport.udp6': 'UDP / IPv6 マルチキャスト（ff02::1）',
+  'form.duplicateRoute': '同じ経路が重複しています',
+  'form.endpointTokenRequired': 'Endpoint Token を入力してください',
+  'form.interfaceRequired': 'Ethernet 送信にはインターフェースの指定が必要です',
+  'form.invalidInterval': '送信間隔は 0-1000 ms です',
+  'form.invalidMac': 'MAC アドレスの形式が正しくありません（例: 00:11:22:33:44:55）',
+  'form.invalidPassword': 'SecureOn パスワードは 6 バイト（例: 00:11:22:33:44:55）または 4 バイト（例: 192.168.1.1）です',
+  'form.invalidPort': '送信ポートは 1-65535 です',
+  'form.invalidRepeat': '送信回数は 1-10 です',
+  'form.invalidUrl': 'URL は http:// または https:// で始めてください',
+  'form.nameRequired': '名前を入力してください',
+  'form.probeIpRequired': '起動確認には IP / ホスト名が必要です',
+  'form.probePortRequired': 'TCP の起動確認にはポート（1-65535）が必要です',
+  'form.routeRequired': '経路を1つ以上指定してください',
+  'wake.state.cancelled': '中断',
+  'wake.state.online': 'オンライン',
+  'wake.state.sent': '送信済み',
+  'wake.state.timeout': 'タイムアウト',
+  'wake.state.waiting': '起動待ち…',
+  'monitor.empty': '受信したマジックパケットはありません',
+  'monitor.from': '送信元 {from}',
+  'monitor.listenerDown': '待ち受けできていません: {listener}（{error}）',
+  'wakeTest.title': '{name}: 送信と受信の確認',
+  'wakeTest.hint': '選んだ経路でマジックパケットを1回送り、監視 Agent が受信したかを確認します（ホストは実際に起動します）。',
+  'wakeTest.route': '送信経路',
+  'wakeTest.monitor': '監視 Agent（MONITOR=1）',
+  'wakeTest.run': '送信して確認',
+  'wakeTest.running': '送信して受信を待っています…',
+  'wakeTest.received': '監視 Agent が受信しました（{ms} ms）',
+  'wakeTest.notReceived': '{seconds} 秒以内に受信できませんでした。経路（ブロードキャストの転送、VLAN、ACL）を確認してください。',
+  'wakeTest.sendFailed': '送信に失敗しました: {error}',
+  'wakeTest.monitorFailed': '送信しましたが、監視 Agent に問い合わせできませんでした: {error}',
+  'bulk.delete.confirm': '選択した {count} 台を削除しますか？（グループからも外れ、対象のスケジュールも削除されます）',
+  'bulk.delete.done': '{count} 台のホストを削除しました。',
+  'bulk.routes.confirm': '選択した {count} 台の経路を「{route}」のみに変更しますか？（フォールバックは外れます）',
+  'bulk.routes.done': '{count} 台の経路を変更しました。',
+  'bulk.wake.confirm': '選択した {count} 台を起動しますか？',
+  'bulk.wake.result': '一括起動: {sent}/{total} 台に送信',
+  'bulk.waking': '{count} 台を起動中…',
+
+  // groups
+  'groups.add': 'グループ追加',
+  'groups.delay.placeholder': '送信間隔 ms（既定 1000）',
+  'groups.name.placeholder': '例: 3F 実習室',
+  'groups.title': 'グループ（一括起動）',
+  'group.added': 'グループを追加しました: {id}',
+  'group.delay': '間隔: {ms}ms',
+  'group.delete.confirm': 'グループ {name} を削除しますか？（ホストは削除されません）',
+  'group.deleted': 'グループを削除しました。',
+  'group.noHosts': '(ホストなし)',
+  'group.power.confirm': 'グループ {name}（{count}台）に「{action}」を実行しますか？',
+  'group.power.result': '{action}: {ok}/{total} 台に送信',
+  'group.prompt.delay': '送信間隔（ms）',
+  'group.prompt.hosts': 'ホストID（カンマ区切り）',
+  'group.prompt.name': 'グループ名',
+  'group.updated': 'グループを更新しました。',
+  'group.wake': '一括起動',
+  'group.wake.confirm': 'グループ {name}（{count}台）を起動しますか？',
+  'group.wake.result': '一括起動: {sent}/{total} 台に送信',
+  'group.waking': 'グループ {name} を起動中（{count}台、間隔 {ms}ms）…',
+
+  // schedules
+  'schedules.add': 'スケジュール追加',
+  'schedules.action.wake': '起動',
+  'schedules.catchUp': 'Controller停止中に逃した実行を起動時に1回実行する',
+  'schedules.cron.placeholder': 'cron（分 時 日 月 曜日） 例: 30 7 * * 1-5',
+  'schedules.name.placeholder': '例: 平日朝の始業前',
+  'schedules.timezone.placeholder': 'タイムゾーン 例: Asia/Tokyo',
+  'schedules.title': 'スケジュール（定期起動・停止）',
+  'schedule.added': 'スケジュールを追加しました: {id}（次回: {next}）',
+  'schedule.delete.confirm': 'スケジュール {name} を削除しますか？',
+  'schedule.deleted': 'スケジュールを削除しました。',
+  'schedule.disable': '無効化',
+  'schedule.disabled': '無効',
+  'schedule.disabledDone': 'スケジュールを無効にしました。',
+  'schedule.enable': '有効化',
+  'schedule.enabled': '有効',
+  'schedule.enabledDone': 'スケジュールを有効にしました。',
+  'schedule.last': '前回: {at}',
+  'schedule.missed': 'スキップ: {at}',
+  'schedule.next': '次回: {at}',
+  'schedule.prompt.catchUp': '逃した実行を起動時に1回実行しますか？ (OK=する / Cancel=しない)',
+  'schedule.prompt.cron': 'cron（分 時 日 月 曜日）',
+  'schedule.prompt.name': 'スケジュール名',
+  'schedule.prompt.timezone': 'タイムゾーン（例: Asia/Tokyo）',
+  'schedule.result.failed': '{failed}/{total} 台失敗',
+  'schedule.target.group': 'グループ: {name}',
+  'schedule.target.groups': 'グループ',
+  'schedule.target.host': 'ホスト: {name}',
+  'schedule.target.hosts': 'ホスト',
+  'schedule.updated': 'スケジュールを更新しました。',
+
+  // discovery
+  'discovery.adopt': '追加: {route}',
+  'discovery.count': '{count}件',
+  'discovery.none': '未登録の機器はありません',
+  'discovery.result': '検出: 未登録 {count} 台',
+  'discovery.run': '検出',
+  'discovery.running': '検出中…',
+  'discovery.runningSweep': '検出中（ping sweep {subnet}）…',
+  'discovery.seenBy': '検出: {sources}',
+  'discovery.source.all': 'すべての Agent と Controller',
+  'discovery.source.local': 'Controller（ローカル）',
+  'discovery.subnet.placeholder': '先に ping sweep するサブネット（任意、1拠点選択時のみ） 例: 192.168.10.0/24',
+  'discovery.title': 'ネットワーク検出（未登録の機器）',
+
+  // import / export
+  'import.action.add': '追加',
+  'import.action.error': 'エラー',
+  'import.action.remove': '削除',
+  'import.action.unchanged': '変更なし',
+  'import.action.update': '更新',
+  'import.agent.title': '経路の指定がない新規ホストの送信経路',
+  'import.col.detail': '詳細',
+  'import.col.line': '行',
+  'import.commit': '取り込む',
+  'import.defaultRoute': '経路なしの行: {route}',
+  'import.defaultRoute.local': '経路なしの行: ローカル送信',
+  'import.done': '取り込みました: {summary}',
+  'import.export': 'エクスポート:',
+  'import.export.agentsJson': 'Agent JSON（トークン含む）',
+  'import.export.hostsCsv': 'ホスト CSV',
+  'import.export.hostsJson': 'ホスト JSON',
+  'import.fileRequired': 'ファイルを選択してください',
+  'import.format.dhcpd': 'dhcpd.leases（ISC）',
+  'import.kind.hosts': 'ホスト',
+  'import.mode.merge': 'マージ（一致するものを更新し、新規を追加）',
+  'import.mode.replace': '置き換え（ファイルにないものは削除）',
+  'import.preview': 'プレビュー',
+  'import.previewErrors': 'エラーのある行を修正してから取り込んでください。',
+  'import.previewOk': 'プレビュー OK。「取り込む」で反映します。',
+  'import.removeConfirm': '{count}件を削除します。取り込みますか？',
+  'import.summary': '追加 {add} / 更新 {update} / 変更なし {unchanged} / 削除 {remove} / エラー {error}',
+  'import.title': 'インポート / エクスポート',
+
+  // webhooks
+  'webhooks.add': 'Webhook追加',
+  'webhooks.col.attempts': '試行',
+  'webhooks.col.event': 'イベント',
+  'webhooks.col.target': '送信先',
+  'webhooks.events.title': '通知するイベント（未選択 = すべて）',
+  'webhooks.events.wakeFailed': '起動失敗（送信失敗 / 起動確認タイムアウト）',
+  'webhooks.events.wakeSent': '起動パケット送信',
+  'webhooks.events.wakeSucceeded': '起動成功（起動確認でオンライン）',
+  'webhooks.name.placeholder': '例: 運用チャンネル',
+  'webhooks.template.generic': '汎用 JSON',
+  'webhooks.template.slack': 'Slack 互換（text）',
+  'webhooks.title': 'Webhook（通知）',
+  'webhooks.url.placeholder': '例: https://hooks.slack.com/services/...',
+  'webhook.added': 'Webhook を追加しました: {id}\n署名シークレット: {secret}\n（X-WoL-Signature の検証に使います。再表示できません）',
+  'webhook.delete.confirm': 'Webhook {name} を削除しますか？',
+  'webhook.deleted': 'Webhook を削除しました。',
+  'webhook.delivery.delivered': '成功',
+  'webhook.delivery.failed': '失敗',
+  'webhook.delivery.pending': '送信中',
+  'webhook.delivery.retrying': '再試行待ち',
+  'webhook.disabled': '停止中',
+  'webhook.event.agent.down': 'Agent 到達不可',
+  'webhook.event.agent.up': 'Agent 復旧',
+  'webhook.event.test': 'テスト',
+  'webhook.event.wake.failed': '起動失敗',
+  'webhook.event.wake.sent': '起動送信',
+  'webhook.event.wake.succeeded': '起動成功',
+  'webhook.events': 'イベント: {events}',
+  'webhook.newSecret': '新しいシークレット: {secret}',
+  'webhook.prompt.enabled': 'このWebhookを有効にしますか？（キャンセル = 停止）',
+  'webhook.prompt.events': 'イベント（カンマ区切り、* = すべて）\n{events}',
+  'webhook.prompt.regenerateSecret': '署名シークレットを再発行しますか？',
+  'webhook.prompt.template': 'テンプレート（generic / slack）',
+  'webhook.test': 'テスト送信',
+  'webhook.test.delivered': 'テストイベントを送信しました（{result}）。',
+  'webhook.test.failed': 'テストイベントの送信に失敗しました: {result}',
+  'webhook.testing': '{name} にテストイベントを送信中…',
+  'webhook.updated': 'Webhook を更新しました。',
+
+  // users
+  'users.add': 'ユーザー追加',
+  'users.name.placeholder': 'ユーザー名',
+  'users.password.placeholder': 'パスワード（8文字以上）',
+  'users.role.admin': 'admin（全権限）',
+  'users.role.operator': 'operator（起動のみ）',
+  'users.role.viewer': 'viewer（閲覧のみ）',
+  'users.title': 'ユーザー',
+  'user.added': 'ユーザーを追加しました: {id}',
+  'user.delete.confirm': 'ユーザー {name} を削除しますか？',
+  'user.deleted': 'ユーザーを削除しました。',
+  'user.prompt.password': '新しいパスワード（空 = 変更しない）',
+  'user.prompt.role': 'ロール ({roles})',
+  'user.updated': 'ユーザーを更新しました。',
+
+  // API keys
+  'apiKeys.add': 'API キー作成',
+  'apiKeys.hosts.hint': '対象ホストを限定する場合は選択（未選択 = すべて）',
+  'apiKeys.hosts.title': '対象ホストを限定（未選択 = すべて、管理では無視）',
+  'apiKeys.name.placeholder': '例: Ansible / CI / chat bot',
+  'apiKeys.openapi': '（OpenAPI 3）',
+  'apiKeys.scope.admin': '管理（全操作）',
+  'apiKeys.scope.read': '参照のみ',
+  'apiKeys.scope.readWake': '参照＋起動',
+  'apiKeys.scope.readWakePower': '参照＋起動＋電源操作',
+  'apiKeys.scope.wake': '起動のみ',
+  'apiKeys.spec': '仕様:',
+  'apiKeys.title': 'API キー（外部連携 /api/v1）',
+  'apiKey.created': '作成: {at} ({by})',
+  'apiKey.createdToken': 'API キー: {token}\n（この画面を閉じると再表示できません）',
+  'apiKey.example': '例: {command}',
+  'apiKey.hosts': 'ホスト: {hosts}',
+  'apiKey.revoke': '失効',
+  'apiKey.revoke.confirm': 'API キー {name} を失効させますか？（使用中の連携は即座に使えなくなります）',
+  'apiKey.revoked': 'API キーを失効させました。',
+  'apiKey.scope.admin': '管理',
+  'apiKey.scope.power': '電源操作',
+  'apiKey.scope.read': '参照',
+  'apiKey.scope.wake': '起動',
+  'apiKey.spec': '仕様: {url}',
+
+  // history
+  'history.action.agent': 'Agent変更・到達確認',
+  'history.action.agentStatus': 'Agent死活監視',
+  'history.action.all': 'すべての操作',
+  'history.action.apikey': 'APIキー',
+  'history.action.auth': 'ログイン',
+  'history.action.discovery': 'ネットワーク検出',
+  'history.action.group': 'グループ変更',
+  'history.action.groupWake': 'グループ起動',
+  'history.action.groupPower': 'グループ電源操作',
+  'history.action.host': 'ホスト変更',
+  'history.action.power': '電源操作',
+  'history.action.schedule': 'スケジュール変更',
+  'history.action.user': 'ユーザー変更',
+  'history.action.wake': '起動',
+  'history.action.wakelink': '起動リンク',
+  'history.actor.apiKey': 'API キー: {name}',
+  'history.actor.schedule': 'スケジュール: {name}',
+  'history.actor.wakeLink': '起動リンク: {name}',
+  'history.col.action': '操作',
+  'history.col.actor': '実行者',
+  'history.col.target': '対象',
+  'history.empty': '履歴なし',
+  'history.next': '次へ',
+  'history.outcome.all': 'すべての結果',
+  'history.outcome.error': '失敗',
+  'history.outcome.ok': '成功',
+  'history.prev': '前へ',
+  'history.query.placeholder': '対象 / ユーザー / IP',
+  'history.search': '検索',
+  'history.title': '履歴',
+
+  // wake links
+  'wakeLinkDialog.title': '{name} の起動リンク',
+  'wakeLinkDialog.hint': 'ログインせずにこのホストだけを起動できる URL です。有効期限・使用回数の上限に達するか、取り消すと使えなくなります。',
+  'wakeLinkDialog.empty': 'リンクはありません',
+  'wakeLinkDialog.new': '新しいリンク',
+  'wakeLinkDialog.ttl': '有効期限',
+  'wakeLinkDialog.ttl.1h': '1時間',
+  'wakeLinkDialog.ttl.1d': '1日',
+  'wakeLinkDialog.ttl.7d': '7日',
+  'wakeLinkDialog.ttl.30d': '30日',
+  'wakeLinkDialog.maxUses': '使用回数の上限',
+  'wakeLinkDialog.pin': 'PIN（任意、数字 4〜12 桁）',
+  'wakeLinkDialog.label': 'メモ（任意）',
+  'wakeLinkDialog.label.placeholder': '例: 在宅勤務用',
+  'wakeLinkDialog.create': 'リンクを発行',
+  'wakeLinkDialog.created': 'リンクを発行しました。',
+  'wakeLinkDialog.copy': 'URL をコピー',
+  'wakeLinkDialog.copied': 'コピーしました',
+  'wakeLinkDialog.revoke': '取り消し',
+  'wakeLinkDialog.revoke.confirm': 'このリンクを取り消しますか？（URL はすぐに使えなくなります）',
+  'wakeLinkDialog.revoked': 'リンクを取り消しました。',
+  'wakeLinkDialog.summary': '期限 {expiresAt} / 使用 {uses}/{maxUses} 回',
+  'wakeLinkDialog.pinSet': 'PIN あり',
+  'wakeLink.status.active': '有効',
+  'wakeLink.status.expired': '期限切れ',
+  'wakeLink.status.used_up': '使用済み',
+  'wakeLink.status.locked': 'ロック中',
+
+  // login page
+  'login.lead': 'ログインしてください。',
+  'login.password': 'パスワード',
+  'login.submit': 'ログイン',
+  'login.title': 'ログイン - WoL VLAN WebApp',
+  'login.username': 'ユーザー名',
+
+  // wake link page
+  'wakeLinkPage.title': '起動 - WoL VLAN WebApp',
+  'wakeLinkPage.loading': 'リンクを確認しています…',
+  'wakeLinkPage.noToken': 'リンクが不完全です。受け取った URL 全体を開いてください。',
+  'wakeLinkPage.lead': '{name} を起動します。',
+  'wakeLinkPage.info': '有効期限 {expiresAt} / 残り {usesLeft} 回',
+  'wakeLinkPage.pin': 'PIN',
+  'wakeLinkPage.wake': '起動',
+  'wakeLinkPage.sending': '送信しています…',
+  'wakeLinkPage.sent': '起動パケットを送信しました。',
+  'wakeLinkPage.waiting': '起動を確認しています…（{attempts} 回目）',
+  'wakeLinkPage.online': '{name} が起動しました。',
+  'wakeLinkPage.timeout': '応答がありません。起動に時間がかかっている可能性があります。',
+
+  // server error codes (lib/errors.js)
+  'err.login_required': 'ログインが必要です',
+  'err.forbidden': 'この操作の権限がありません',
+  'err.invalid_csrf_token': 'セッションの確認に失敗しました。ページを再読み込みしてください',
+  'err.invalid_credentials': 'ユーザー名またはパスワードが違います',
+  'err.invalid_username': 'ユーザー名に使えない文字が含まれています（A-Z a-z 0-9 . _ -）',
+  'err.password_too_short': 'パスワードは {min} 文字以上にしてください',
+  'err.invalid_role': 'ロールが正しくありません',
+  'err.username_exists': 'そのユーザー名は既に使われています',
+  'err.user_not_found': 'ユーザーが見つかりません',
+  'err.last_admin_demote': '最後の admin のロールは変更できません',
+  'err.last_admin_delete': '最後の admin は削除できません',
+  'err.conflict': '他の変更と競合しました。再読み込みしてからやり直してください（{detail}）',
+  'err.internal_error': 'サーバーエラー: {detail}',
+  'err.name_required': '名前を入力してください',
+  'err.invalid_url': 'URL は http:// または https:// で始めてください',
+  'err.invalid_filter': '{field} の値が正しくありません',
+  'err.rate_limited': 'リクエストが多すぎます。しばらくしてからやり直してください',
+  'err.invalid_json': 'リクエストの形式が正しくありません（JSON）',
+  'err.payload_too_large': 'リクエストが大きすぎます',
+  'err.token_required': 'Token を入力してください',
+  'err.agent_not_found': 'Agent が見つかりません',
+  'err.agent_request_failed': 'Agent への問い合わせに失敗しました: {detail}',
+  'err.invalid_ttl': '有効期限は 1-{max} 分です',
+  'err.join_code_not_found': '参加コードが見つかりません',
+  'err.invalid_join_code': '参加コードが無効か期限切れです',
+  'err.host_not_found': 'ホストが見つかりません',
+  'err.invalid_mac': 'MAC アドレスの形式が正しくありません（例: 00:11:22:33:44:55）',
+  'err.mac_exists': 'その MAC アドレスは既に登録されています',
+  'err.invalid_ip': 'IP / ホスト名が正しくありません',
+  'err.invalid_probe': '起動確認は icmp か tcp です',
+  'err.probe_ip_required': '起動確認には IP / ホスト名が必要です',
+  'err.probe_port_required': 'TCP の起動確認にはポートが必要です',
+  'err.invalid_probe_port': '起動確認のポートが正しくありません',
+  'err.routes_not_array': '経路の指定が正しくありません',
+  'err.routes_required': '経路を指定してください',
+  'err.route_required': '経路を1つ以上指定してください',
+  'err.too_many_routes': '経路は {max} 個までです',
+  'err.duplicate_route': '同じ経路が重複しています',
+  'err.route_agent_not_found': '経路の Agent が見つかりません: {agentId}',
+  'err.host_ids_not_array': 'ホストの指定が正しくありません',
+  'err.host_ids_not_found': 'ホストが見つかりません: {hostIds}',
+  'err.host_ids_empty': 'ホストを選択してください',
+  'err.invalid_wake_options': '送信オプションの指定が正しくありません',
+  'err.invalid_transport': '送信方式は {values} のいずれかです',
+  'err.invalid_address_v4': '宛先は IPv4 のブロードキャストアドレスにしてください',
+  'err.invalid_address_v6': '宛先は IPv6 アドレスにしてください（例: ff02::1）',
+  'err.invalid_port': '送信ポートは 1-65535 です',
+  'err.invalid_interface': 'インターフェース名が正しくありません',
+  'err.interface_required': 'Ethernet 送信にはインターフェースの指定が必要です',
+  'err.invalid_secureon_password': 'SecureOn パスワードは 6 バイト（例: 00:11:22:33:44:55）または 4 バイト（例: 192.168.1.1）です',
+  'err.invalid_repeat': '送信回数は 1-{max} です',
+  'err.invalid_interval': '送信間隔は 0-{max} ms です',
+  'err.invalid_endpoint': 'Endpoint の指定が正しくありません',
+  'err.endpoint_token_required': 'Endpoint Token を入力してください',
+  'err.host_no_endpoint': 'このホストには Endpoint（電源操作）が設定されていません',
+  'err.endpoint_request_failed': 'Endpoint に接続できませんでした: {detail}',
+  'err.invalid_power_action': '操作は {values} のいずれかです',
+  'err.host_no_routes': 'このホストには経路がありません',
+  'err.all_routes_down': '経路の Agent はすべて停止中です（強制送信で試せます）',
+  'err.all_routes_failed': 'すべての経路で送信に失敗しました',
+  'err.job_not_found': '起動ジョブが見つかりません',
+  'err.invalid_delay': '送信間隔は 0-{max} ms です',
+  'err.monitor_off': 'Agent {agent} ではパケット監視が無効です（MONITOR=1 で起動してください）',
+  'err.invalid_wake_test_timeout': '待ち時間は {min}-{max} ms です',
+  'err.group_not_found': 'グループが見つかりません',
+  'err.group_name_exists': 'そのグループ名は既に使われています',
+  'err.schedule_not_found': 'スケジュールが見つかりません',
+  'err.invalid_cron': 'cron の形式が正しくありません: {detail}',
+  'err.invalid_timezone': 'タイムゾーンが正しくありません',
+  'err.invalid_schedule_target': '起動対象はホストかグループです',
+  'err.schedule_target_not_found': '起動対象が見つかりません',
+  'err.cron_never_fires': 'この cron は一度も実行されません',
+  'err.invalid_schedule_action': 'スケジュールの操作は {values} のいずれかです',
+  'err.invalid_import_format': '形式は {values} のいずれかです',
+  'err.invalid_import_mode': '取り込み方法は merge か replace です',
+  'err.invalid_export_format': '形式は csv か json です',
+  'err.invalid_file': 'ファイルを読み込めません: {detail}',
+  'err.no_hosts_in_file': 'ファイルにホストがありません',
+  'err.no_agents_in_file': 'ファイルに Agent がありません',
+  'err.import_invalid_rows': 'エラーのある行が {count} 行あるため、何も取り込んでいません',
+  'err.import_invalid_mac': 'MAC アドレスが正しくありません: {mac}',
+  'err.duplicate_mac': 'MAC アドレスが重複しています（{line} 行目にもあります）',
+  'err.duplicate_name': '名前が重複しています（{line} 行目にもあります）',
+  'err.agent_ambiguous': '同じ名前の Agent が複数あります: {agent}',
+  'err.unknown_agent': 'Agent が見つかりません: {agent}',
+  'err.invalid_agent_mode': 'mode は inbound か reverse です',
+  'err.agent_mode_locked': '接続方式は変更できません',
+  'err.reverse_agent_import': 'Controller へ接続する Agent は参加コードで登録してください',
+  'err.subnet_requires_source': 'サブネットを指定するときは拠点を1つ選んでください',
+  'err.invalid_subnet': 'サブネットは /{min} 以下の IPv4 CIDR にしてください',
+  'err.webhook_not_found': 'Webhook が見つかりません',
+  'err.invalid_webhook_events': 'イベントは {values}（または *）の一覧です',
+  'err.invalid_webhook_template': 'テンプレートは {values} のいずれかです',
+  'err.webhook_secret_too_short': 'シークレットは {min} 文字以上にしてください',
+  'err.invalid_api_key_name': '名前を入力してください（{max} 文字まで）',
+  'err.invalid_scopes': '権限は {values} の一覧です',
+  'err.host_ids_with_admin': '管理権限のキーは対象ホストを限定できません',
+  'err.api_key_hosts_empty': '対象ホストを選択してください（すべてなら未選択）',
+  'err.wake_link_not_found': '起動リンクが見つかりません',
+  'err.wake_link_invalid': 'このリンクは無効です（取り消されたか、URL が正しくありません）',
+  'err.wake_link_expired': 'このリンクは有効期限が切れています',
+  'err.wake_link_used_up': 'このリンクは使用回数の上限に達しました',
+  'err.wake_link_locked': 'PIN の誤りが多すぎるため、このリンクはロックされました',
+  'err.wake_link_pin_invalid': 'PIN が違います（残り {left} 回）',
+  'err.invalid_max_uses': '使用回数の上限は 1-{max} です',
+  'err.invalid_pin': 'PIN は数字 4〜12 桁です',
+};
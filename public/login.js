@@ -0,0 +1,22 @@
+const $ = (id) => document.getElementById(id);
+const msg = (text) => { $('msg').hidden = false; $('msg').textContent = text; };
+
+$('loginForm').addEventListener('submit', async (e) => {
+  e.preventDefault();
+  $('login').disabled = true;
+  try {
+    const res = await fetch('/api/login', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ username: $('username').value.trim(), password: $('password').value }),
+    });
+    const data = await res.json().catch(() => ({}));
+    if (!res.ok) throw new Error(errorText(data) || res.statusText);
+    location.href = '/';
+  } catch (err) {
+    msg('ERROR: ' + err.message);
+    $('password').value = '';
+  } finally {
+    $('login').disabled = false;
+  }
+});
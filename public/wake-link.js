@@ -0,0 +1,74 @@
+// wake link page: the token comes after the # (never sent with the page request)
+const $ = (id) => document.getElementById(id);
+const msg = (text) => { $('msg').hidden = false; $('msg').textContent = text; };
+const token = decodeURIComponent(location.hash.slice(1));
+const JOB_POLL_MS = 3000;
+let info = null;
+
+async function post(path, body) {
+  const res = await fetch(path, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ token, ...body }),
+  });
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) throw new Error(errorText(data) || res.statusText);
+  return data;
+}
+
+const fmtTime = (iso) => new Date(iso).toLocaleString(LANG);
+
+function showInfo() {
+  $('info').textContent = t('wakeLinkPage.info', { expiresAt: fmtTime(info.expiresAt), usesLeft: info.usesLeft });
+}
+
+// follow the verification until the host answers or the server gives up
+async function followJob(jobId) {
+  for (;;) {
+    await new Promise(r => setTimeout(r, JOB_POLL_MS));
+    const job = await post('/wake-link/job', { jobId });
+    if (job.state === 'online') return msg(t('wakeLinkPage.online', { name: info.host.name }));
+    if (job.state === 'timeout') return msg(t('wakeLinkPage.timeout'));
+    if (job.state === 'cancelled') return msg(t('wake.state.cancelled'));
+    msg(t('wakeLinkPage.waiting', { attempts: job.attempts }));
+  }
+}
+
+async function load() {
+  if (!token) {
+    $('lead').textContent = t('wakeLinkPage.noToken');
+    return;
+  }
+  try {
+    info = await post('/wake-link/info');
+    $('lead').textContent = t('wakeLinkPage.lead', { name: info.host.name });
+    showInfo();
+    if (info.status !== 'active') return msg(t(`err.wake_link_${info.status}`));
+    $('pin').hidden = !info.pinRequired;
+    $('wakeForm').hidden = false;
+  } catch (err) {
+    $('lead').textContent = err.message;
+  }
+}
+
+$('wakeForm').addEventListener('submit', async (e) => {
+  e.preventDefault();
+  $('wake').disabled = true;
+  try {
+    msg(t('wakeLinkPage.sending'));
+    const r = await post('/wake-link/wake', { pin: $('pin').value });
+    $('pin').value = '';
+    info.usesLeft = r.usesLeft;
+    showInfo();
+    $('wakeForm').hidden = r.usesLeft === 0;
+    msg(t('wakeLinkPage.sent'));
+    // without a probe on the host there is nothing to wait for
+    if (info.verify && r.jobId) await followJob(r.jobId);
+  } catch (err) {
+    msg('ERROR: ' + err.message);
+  } finally {
+    $('wake').disabled = false;
+  }
+});
+
+load();
@@ -4,40 +4,209 @@
  * WoL VLAN WebApp
  * - MODE=controller: Web UI + hosts/agents CRUD + wake via local or agent
  * - MODE=agent: /wake endpoint sends WoL on that VLAN
+ * - MODE=endpoint: runs on a target machine, /power shuts it down / suspends / reboots it
+ * - `node server.js adduser <username> [role]`: create/reset a controller user
  *
  * Requirements: Node.js >= 18 (for built-in fetch)
  */
 
 const fs = require('fs');
+const os = require('os');
 const path = require('path');
 const crypto = require('crypto');
 
 const express = require('express');
 const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
-const wol = require('wakeonlan');
+
+const auth = require('./lib/auth');
+const signing = require('./lib/signing');
+const probe = require('./lib/probe');
+const magicPacket = require('./lib/magic-packet');
+const netif = require('./lib/netif');
+const wakeJobs = require('./lib/wake-jobs');
+const cron = require('./lib/cron');
+const scheduler = require('./lib/scheduler');
+const { createAuditLog } = require('./lib/audit');
+const { createWebhooks, EVENTS: WEBHOOK_EVENTS, TEMPLATES: WEBHOOK_TEMPLATES, newSecret } = require('./lib/webhooks');
+const { createAgentMonitor } = require('./lib/agent-monitor');
+const { createLiveEvents } = require('./lib/live-events');
+const { createStorage, ConflictError, changes: storeChanges } = require('./lib/storage');
+const { fail, codedError, errorBody, isCode } = require('./lib/errors');
+const importFormats = require('./lib/import-formats');
+const discovery = require('./lib/discovery');
+const agentLink = require('./lib/agent-link');
+const apiV1 = require('./lib/api-v1');
+const { createLinkClient } = require('./lib/agent-link-client');
+const metrics = require('./lib/metrics');
+const power = require('./lib/power');
+const { loadConfig } = require('./lib/config');
+const tlsSupport = require('./lib/tls');
+const ipAllowlist = require('./lib/ip-allowlist');
+const wakeLinks = require('./lib/wake-links');
+const { createPacketMonitor } = require('./lib/packet-monitor');
+const QRCode = require('qrcode');
+const pkg = require('./package.json');
+
+// ---- config file (lib/config.js): read first, its `env` fills variables that aren't set ----
+let config;
+try {
+  config = loadConfig({ dir: __dirname });
+} catch (e) {
+  console.error('ERROR: config: ' + e.message);
+  process.exit(1);
+}
+for (const [k, v] of Object.entries(config.env)) process.env[k] ??= v;
 
 const app = express();
+if (config.trustProxy !== undefined) app.set('trust proxy', config.trustProxy);
+if (config.allow.length) app.use(ipAllowlist.middleware(config.allow));
+// mutual TLS: the handshake checks the chain, this the certificate itself
+if (config.tls?.allowedClients.length) app.use(tlsSupport.allowedClients(config.tls.allowedClients));
 app.use(helmet());
-app.use(express.json({ limit: '64kb' }));
+// keep the raw body: agent signatures are computed over the exact bytes sent
+const jsonBody = (limit) => express.json({ limit, verify: (req, res, buf) => { req.rawBody = buf; } });
+const defaultJson = jsonBody('64kb');
+const agentResultJson = jsonBody('2mb'); // command results from reverse agents (discovery lists)
+app.use((req, res, next) => (req.path === '/agent-link/result' ? agentResultJson : defaultJson)(req, res, next));
 
 // ---- mode ----
-const MODE = (process.env.MODE || 'controller').toLowerCase(); // controller | agent
-const HOST = process.env.HOST || '0.0.0.0';
-const PORT = Number(process.env.PORT || (MODE === 'agent' ? 3001 : 3000));
+const MODE = (process.env.MODE || config.mode || 'controller').toLowerCase(); // controller | agent | endpoint
+
+// listening: HOST / PORT, else `listen` in the config file (one server per address)
+const LISTEN = process.env.HOST || process.env.PORT || !config.listen
+  ? [{ host: process.env.HOST || '0.0.0.0', port: Number(process.env.PORT || ({ agent: 3001, endpoint: 3002 }[MODE] || 3000)) }]
+  : config.listen;
+
+// storage.db / storage.json / audit.log / agent-credential.json
+const DATA_DIR = path.resolve(process.env.DATA_DIR || config.storage.dir);
 
 // agent auth
 const AGENT_TOKEN = process.env.AGENT_TOKEN || ''; // required in agent mode
+const AGENT_TOKEN_PREVIOUS = process.env.AGENT_TOKEN_PREVIOUS || ''; // still accepted while rotating
+const AGENT_MAX_SKEW_SEC = Number(process.env.AGENT_MAX_SKEW_SEC || 300);
+
+// agent outbound (reverse) mode: enroll with a join code, then keep a long-poll to the controller
+const CONTROLLER_URL = process.env.CONTROLLER_URL || '';
+const JOIN_CODE = process.env.JOIN_CODE || '';
+const AGENT_NAME = process.env.AGENT_NAME || os.hostname();
+const AGENT_CREDENTIAL_PATH = process.env.AGENT_CREDENTIAL_PATH || path.join(DATA_DIR, 'agent-credential.json');
+
+// magic packet monitor (agent): MONITOR=1 records magic packets arriving on this VLAN
+const MONITOR_ENABLED = process.env.MONITOR === '1';
+const MONITOR_PORTS = process.env.MONITOR_PORTS || '7,9';
+const MONITOR_ETHERNET = process.env.MONITOR_ETHERNET || ''; // interfaces for raw 0x0842 frames (tcpdump)
+const MONITOR_BUFFER = Number(process.env.MONITOR_BUFFER || 200);
+const MONITOR_TCPDUMP = process.env.MONITOR_TCPDUMP || 'tcpdump';
+
+// endpoint mode (power commands on the machine itself); dry run: log, don't execute
+const ENDPOINT_TOKEN = process.env.ENDPOINT_TOKEN || '';
+const ENDPOINT_TOKEN_PREVIOUS = process.env.ENDPOINT_TOKEN_PREVIOUS || '';
+const ENDPOINT_DRY_RUN = process.env.ENDPOINT_DRY_RUN === '1';
+
+// controller -> endpoint power requests
+const POWER_TIMEOUT_MS = Number(process.env.POWER_TIMEOUT_MS || 10 * 1000);
+
+// post-wake verification (controller)
+const WAKE_VERIFY_TIMEOUT_MS = Number(process.env.WAKE_VERIFY_TIMEOUT_MS || 3 * 60 * 1000);
+const WAKE_VERIFY_INTERVAL_MS = Number(process.env.WAKE_VERIFY_INTERVAL_MS || 5000);
+
+// wake routing (controller): each route is tried up to 1 + WAKE_RETRIES times before the next one
+const WAKE_ATTEMPT_TIMEOUT_MS = Number(process.env.WAKE_ATTEMPT_TIMEOUT_MS || 5000);
+const WAKE_RETRIES = Number(process.env.WAKE_RETRIES ?? 2);
+const WAKE_RETRY_BACKOFF_MS = Number(process.env.WAKE_RETRY_BACKOFF_MS || 500);
+const MAX_ROUTES = 5;
+
+// agent health monitor (controller)
+const AGENT_MONITOR_INTERVAL_MS = Number(process.env.AGENT_MONITOR_INTERVAL_MS ?? 30 * 1000); // 0 = off
+const AGENT_HEALTH_TIMEOUT_MS = Number(process.env.AGENT_HEALTH_TIMEOUT_MS || 5000);
+const AGENT_HISTORY_SIZE = Number(process.env.AGENT_HISTORY_SIZE || 60);
+const FETCH_TIMEOUT_MS = 30 * 1000; // outgoing requests without their own timeout
+
+// storage (controller mode only): STORAGE=sqlite|json, default sqlite when better-sqlite3 is installed
+// an existing storage.json is imported into storage.db on first start
+const STORAGE = process.env.STORAGE || config.storage.driver;
+const DB_PATH = path.join(DATA_DIR, 'storage.db');
+const STORE_PATH = path.join(DATA_DIR, 'storage.json');
+
+// audit log (controller mode only), rotated by size
+const AUDIT_PATH = path.join(DATA_DIR, 'audit.log');
+const AUDIT_MAX_BYTES = Number(process.env.AUDIT_MAX_BYTES || 5 * 1024 * 1024);
+const AUDIT_MAX_FILES = Number(process.env.AUDIT_MAX_FILES || 5);
+
+// outgoing webhooks
+const WEBHOOK_RETRIES = Number(process.env.WEBHOOK_RETRIES ?? 5);
+const WEBHOOK_TIMEOUT_MS = Number(process.env.WEBHOOK_TIMEOUT_MS || 10 * 1000);
+
+// wake links: base of the URLs handed out (e.g. https://wol.example.com), else the address of the admin's request
+const PUBLIC_URL = (process.env.PUBLIC_URL || '').replace(/\/+$/, '');
+
+// metrics (GET /metrics in both modes): open unless METRICS_TOKEN and/or METRICS_ALLOW is set
+const METRICS_ENABLED = process.env.METRICS !== '0';
+const METRICS_TOKEN = process.env.METRICS_TOKEN || '';
+const METRICS_ALLOW = process.env.METRICS_ALLOW || ''; // comma-separated IPs / CIDRs
+
+// ----- metrics -----
+const registry = metrics.createRegistry();
+const metric = {
+  build: registry.gauge('wol_build_info', 'Version and mode of this process', ['version', 'mode']),
+  startTime: registry.gauge('process_start_time_seconds', 'Start time of the process (unix seconds)'),
+  memory: registry.gauge('process_resident_memory_bytes', 'Resident memory size in bytes', [], {
+    collect: () => [{ labels: {}, value: process.memoryUsage().rss }],
+  }),
+  http: registry.counter('wol_http_requests_total', 'HTTP requests by method, route and status', ['method', 'route', 'status']),
+  rateLimited: registry.counter('wol_rate_limited_total', 'Requests rejected by a rate limit', ['limiter']),
+  wakes: registry.counter('wol_wake_requests_total', 'Wake requests per route tried, by route type (local / agent) and outcome (ok / error / skipped)', ['route', 'outcome']),
+  power: registry.counter('wol_power_requests_total', 'Shutdown / suspend / reboot requests by action and outcome (ok / error / dry_run)', ['action', 'outcome']),
+  // controller only
+  agentCalls: registry.histogram('wol_agent_request_duration_seconds', 'Controller -> agent calls by command and outcome (ok / error / unreachable)', ['agent', 'command', 'outcome']),
+  store: registry.histogram('wol_store_duration_seconds', 'Storage reads and writes', ['operation', 'driver']),
+};
+metric.build.set({ version: pkg.version, mode: MODE }, 1);
+metric.startTime.set({}, Math.round(Date.now() / 1000 - process.uptime()));
+
+// counted when the response is sent; the route is the matched pattern (never the raw path)
+app.use((req, res, next) => {
+  res.on('finish', () => {
+    const route = req.route ? req.baseUrl + req.route.path : req.method === 'GET' && res.statusCode < 400 ? 'static' : 'other';
+    metric.http.inc({ method: req.method, route, status: res.statusCode });
+  });
+  next();
+});
+
+if (METRICS_ENABLED) {
+  try {
+    app.get('/metrics', metrics.handler(registry, { token: METRICS_TOKEN, allowList: METRICS_ALLOW }));
+  } catch (e) {
+    console.error('ERROR: METRICS_ALLOW: ' + e.message);
+    process.exit(1);
+  }
+}
 
-// storage (controller mode only)
-const STORE_PATH = path.join(__dirname, 'storage.json');
+// rate limit that counts its rejections (wol_rate_limited_total{limiter});
+// windowMs / max from rateLimit.<name> in the config file replace the defaults given here
+function limiter(name, options) {
+  return rateLimit({
+    standardHeaders: true,
+    legacyHeaders: false,
+    ...options,
+    ...config.rateLimit[name],
+    handler: async (req, res, next, opts) => {
+      metric.rateLimited.inc({ limiter: name });
+      res.status(opts.statusCode);
+      const message = typeof opts.message === 'function' ? await opts.message(req, res) : opts.message;
+      if (!res.writableEnded) res.send(message);
+    },
+  });
+}
 
 // API rate limit
-app.use('/api/', rateLimit({
+app.use('/api/', limiter('api', {
   windowMs: 10 * 1000,
   max: 30,
-  standardHeaders: true,
-  legacyHeaders: false,
+  message: (req) => (req.path.startsWith('/v1/')
+    ? apiV1.errorBody(new apiV1.ApiError('rate_limited', 'too many requests, try again later')).body
+    : fail('rate_limited')),
 }));
 
 function isMac(mac) {
@@ -52,32 +221,145 @@ function newId(prefix) {
   return `${prefix}_${crypto.randomBytes(6).toString('hex')}`;
 }
 
-// ----- storage helpers (controller) -----
-function initStoreIfMissing() {
-  if (!fs.existsSync(STORE_PATH)) {
-    const initial = { agents: [], hosts: [] };
-    fs.writeFileSync(STORE_PATH, JSON.stringify(initial, null, 2));
+// host probe settings (ip / probe / probePort) from a request body;
+// fields not present in body keep the value from `current`
+function parseProbeFields(body, current = {}) {
+  const ip = body?.ip !== undefined ? String(body.ip || '').trim() : (current.ip || '');
+  const method = body?.probe !== undefined ? String(body.probe || '').trim() : (current.probe || '');
+  const port = body?.probePort !== undefined
+    ? (body.probePort === null || body.probePort === '' ? null : Number(body.probePort))
+    : (current.probePort ?? null);
+
+  if (ip && !probe.isProbeTarget(ip)) return fail('invalid_ip');
+  if (method && !probe.PROBE_METHODS.includes(method)) return fail('invalid_probe');
+  if (method && !ip) return fail('probe_ip_required');
+  if (method === 'tcp' && !probe.isPort(port)) return fail('probe_port_required');
+  if (port !== null && !probe.isPort(port)) return fail('invalid_probe_port');
+
+  return { ip: ip || null, probe: method || null, probePort: method === 'tcp' ? port : null };
+}
+
+// host magic-packet settings from body.wakeOptions (null resets to defaults);
+// stored compact (only what differs from the defaults)
+function parseHostWakeOptions(body, current = {}) {
+  const v = body?.wakeOptions;
+  if (v === undefined) return { wakeOptions: current.wakeOptions || {} };
+  if (v === null) return { wakeOptions: {} };
+  if (typeof v !== 'object' || Array.isArray(v)) return fail('invalid_wake_options');
+  const parsed = magicPacket.parseWakeOptions(v, current.wakeOptions || {});
+  if (parsed.error) return parsed;
+  return { wakeOptions: magicPacket.compactOptions(parsed.options) };
+}
+
+// options for one wake: host settings, then the request's wakeOptions (or legacy broadcast/port)
+function effectiveWakeOptions(host, overrides = {}) {
+  const legacy = {};
+  if (overrides.broadcast) legacy.address = overrides.broadcast;
+  if (overrides.port) legacy.port = overrides.port;
+  const req = { ...legacy, ...(overrides.wakeOptions || {}) };
+  return magicPacket.parseWakeOptions(req, host.wakeOptions || {});
+}
+
+// host routes: ordered list of { type: 'agent', agentId } / { type: 'local' }, tried until one succeeds.
+// body.routes accepts objects or the shorthand strings 'local' / '<agentId>';
+// legacy body.agentId sets a single route. Fields not present keep `current`.
+function parseRoutes(body, store, current = {}) {
+  let routes;
+  if (body?.routes !== undefined) {
+    if (!Array.isArray(body.routes)) return fail('routes_not_array');
+    routes = body.routes.map(x => {
+      const v = typeof x === 'string' ? x.trim() : (x?.type === 'local' ? 'local' : String(x?.agentId || '').trim());
+      return v === 'local' ? { type: 'local' } : { type: 'agent', agentId: v };
+    });
+  } else if (body?.agentId !== undefined) {
+    const agentId = body.agentId ? String(body.agentId).trim() : null;
+    routes = agentId ? [{ type: 'agent', agentId }] : [{ type: 'local' }];
+  } else {
+    routes = current.routes || [{ type: 'local' }];
   }
+
+  if (routes.length === 0) return fail('route_required');
+  if (routes.length > MAX_ROUTES) return fail('too_many_routes', { max: MAX_ROUTES });
+  const keys = routes.map(routeKey);
+  if (new Set(keys).size !== keys.length) return fail('duplicate_route');
+  const unknown = routes.find(x => x.type === 'agent' && !store.agents.some(a => a.id === x.agentId));
+  if (unknown) return fail('route_agent_not_found', { agentId: unknown.agentId });
+  return { routes };
+}
+
+// 'local' or the agent id (used in responses and audit entries)
+function routeKey(route) {
+  return route.type === 'local' ? 'local' : route.agentId;
+}
+
+// ----- storage helpers (controller) -----
+let storage = null;
+
+// opened on first use so agent mode never touches the database
+function getStorage() {
+  storage ||= createStorage({ driver: STORAGE, dbPath: DB_PATH, jsonPath: STORE_PATH });
+  return storage;
 }
 
 function readStore() {
-  initStoreIfMissing();
-  const raw = fs.readFileSync(STORE_PATH, 'utf8');
-  const data = JSON.parse(raw);
-  data.agents ||= [];
-  data.hosts ||= [];
+  const t0 = process.hrtime.bigint();
+  const data = getStorage().load();
+  metric.store.observe({ operation: 'read', driver: storage.name }, metrics.secondsSince(t0));
   return data;
 }
 
-// atomic write
+// writes only the rows changed since readStore(), in one transaction;
+// throws ConflictError (409) if another request changed the same row meanwhile
 function writeStore(data) {
-  const tmp = STORE_PATH + '.tmp';
-  fs.writeFileSync(tmp, JSON.stringify(data, null, 2));
-  fs.renameSync(tmp, STORE_PATH);
+  const changed = storeChanges(data);
+  const t0 = process.hrtime.bigint();
+  try {
+    getStorage().save(data);
+  } finally {
+    metric.store.observe({ operation: 'write', driver: storage.name }, metrics.secondsSince(t0));
+  }
+  publishChanges(data, changed);
+}
+
+// ----- live updates (controller, GET /api/events) -----
+const live = createLiveEvents();
+
+// collections every logged-in user sees in /api/state -> event name + what is sent
+// (users / API keys / webhooks stay out of the stream)
+const LIVE_COLLECTIONS = {
+  hosts: ['host', (h) => stateHost(h)],
+  agents: ['agent', (a) => publicAgent(a)],
+  groups: ['group', (g) => publicGroup(g)],
+  schedules: ['schedule', (sc) => sc],
+};
+
+// `host` { host } for an added / edited row, `host.deleted` { id } for a removed one
+function publishChanges(data, changed) {
+  for (const [name, { upserted, deleted }] of Object.entries(changed)) {
+    const entry = LIVE_COLLECTIONS[name];
+    if (!entry) continue;
+    const [type, view] = entry;
+    for (const id of upserted) {
+      const row = data[name].find(x => x.id === id);
+      if (row) live.publish(type, { [type]: view(row) });
+    }
+    for (const id of deleted) live.publish(`${type}.deleted`, { id });
+  }
+}
+
+// 409 for store conflicts (concurrent edit, duplicate mac/name), 500 otherwise
+function sendError(res, e, extra) {
+  const body = e instanceof ConflictError ? fail('conflict', { detail: e.message })
+    : isCode(e.code) ? errorBody(e)
+      : fail('internal_error', { detail: e.message });
+  res.status(e instanceof ConflictError ? 409 : 500).json({ ...body, ...extra });
 }
 
-async function fetchJson(url, opts) {
-  const res = await fetch(url, opts);
+// outgoing requests to agents / endpoints / the controller, with the client certificate if configured
+const clientFetch = tlsSupport.createClient(config.client);
+
+async function fetchJson(url, opts = {}) {
+  const res = await clientFetch(url, { ...opts, signal: opts.signal || AbortSignal.timeout(FETCH_TIMEOUT_MS) });
   const text = await res.text();
   let data;
   try { data = JSON.parse(text); } catch { data = { raw: text }; }
@@ -90,280 +372,2803 @@ async function fetchJson(url, opts) {
   return data;
 }
 
+// one server per listen address, https when the config file has tls
+function listen(label, note = '') {
+  const scheme = config.tls ? 'https' : 'http';
+  let servers;
+  try {
+    servers = tlsSupport.createServers(app, config.tls, LISTEN.length);
+  } catch (e) {
+    console.error('ERROR: tls: ' + e.message);
+    process.exit(1);
+  }
+  LISTEN.forEach(({ host, port }, i) => {
+    servers[i].listen(port, host, () => {
+      console.log(`${label} listening on ${scheme}://${host}:${port}${note}${config.tls?.clientCa ? ' (client certificate required)' : ''}`);
+    });
+  });
+  if (config.file) console.log(`config: ${config.file}`);
+}
+
+// ----- users (controller) -----
+function isUsername(name) {
+  return /^[A-Za-z0-9._-]{1,64}$/.test(name);
+}
+
+function publicUser(u) {
+  return { id: u.id, username: u.username, role: u.role };
+}
+
+function countAdmins(store) {
+  return store.users.filter(u => u.role === 'admin').length;
+}
+
+// create or reset a user (used by the CLI and the ADMIN_USER bootstrap)
+function upsertUser(username, password, role) {
+  const store = readStore();
+  let user = store.users.find(u => u.username === username);
+  if (!user) {
+    user = { id: newId('user'), username };
+    store.users.push(user);
+  }
+  user.role = role;
+  user.passwordHash = auth.hashPassword(password);
+  writeStore(store);
+  return user;
+}
+
+function readPasswordFromTty(question) {
+  const readline = require('readline');
+  return new Promise(resolve => {
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout, terminal: true });
+    rl.question(question, answer => {
+      rl.close();
+      process.stdout.write('\n');
+      resolve(answer);
+    });
+    rl._writeToOutput = () => {}; // don't echo the password
+  });
+}
+
+// CLI: node server.js adduser <username> [role]
+// password is read from WOL_PASSWORD or prompted on the terminal
+if (process.argv[2] === 'adduser') {
+  (async () => {
+    const username = String(process.argv[3] || '').trim();
+    const role = String(process.argv[4] || 'admin').trim();
+    if (!isUsername(username)) {
+      console.error('usage: node server.js adduser <username> [admin|operator|viewer]');
+      process.exit(1);
+    }
+    if (!auth.isRole(role)) {
+      console.error(`ERROR: role must be one of ${auth.ROLES.join(', ')}`);
+      process.exit(1);
+    }
+    let password = process.env.WOL_PASSWORD || '';
+    if (!password) {
+      password = await readPasswordFromTty('Password: ');
+      const again = await readPasswordFromTty('Password (again): ');
+      if (password !== again) {
+        console.error('ERROR: passwords do not match');
+        process.exit(1);
+      }
+    }
+    if (password.length < 8) {
+      console.error('ERROR: password must be at least 8 characters');
+      process.exit(1);
+    }
+    const user = upsertUser(username, password, role);
+    console.log(`user ${user.username} (${user.role}) saved to ${getStorage().location}`);
+  })().catch(e => {
+    console.error('ERROR: ' + e.message);
+    process.exit(1);
+  });
+  return;
+}
+
 // ------------------- AGENT MODE -------------------
 if (MODE === 'agent') {
-  if (!AGENT_TOKEN) {
-    console.error('ERROR: AGENT_TOKEN is required in agent mode');
+  if (!AGENT_TOKEN && !CONTROLLER_URL) {
+    console.error('ERROR: AGENT_TOKEN (inbound) or CONTROLLER_URL + JOIN_CODE (outbound) is required in agent mode');
     process.exit(1);
   }
 
-  // health check (no auth)
-  app.get('/health', (req, res) => res.json({ ok: true, mode: 'agent' }));
+  const badRequest = (message) => Object.assign(new Error(message), { status: 400 });
 
-  // minimal auth: header X-Agent-Token
-  app.post('/wake', async (req, res) => {
-    try {
-      const token = req.get('X-Agent-Token') || '';
-      if (token !== AGENT_TOKEN) return res.status(401).json({ error: 'unauthorized' });
+  let monitor = null;
+  if (MONITOR_ENABLED) {
+    const list = (v) => v.split(',').map(x => x.trim()).filter(Boolean);
+    const ports = list(MONITOR_PORTS).map(Number);
+    const ethernet = list(MONITOR_ETHERNET);
+    if (!ports.every(p => Number.isInteger(p) && p >= 1 && p <= 65535) || !ethernet.every(magicPacket.isInterfaceName)) {
+      console.error('ERROR: MONITOR_PORTS must be ports (e.g. 7,9) and MONITOR_ETHERNET interface names');
+      process.exit(1);
+    }
+    monitor = createPacketMonitor({ ports, ethernet, bufferSize: MONITOR_BUFFER, tcpdump: MONITOR_TCPDUMP });
+    monitor.start();
+  }
+
+  // agent commands: served over HTTP (signed) and over the reverse link (same path + body)
+  const agentCommands = {
+    // version / uptime for anyone; interfaces only for the controller (signed request or reverse link)
+    '/health': async (body, { trusted = true } = {}) => ({
+      ok: true,
+      mode: 'agent',
+      version: pkg.version,
+      uptimeSec: Math.round(process.uptime()),
+      ...(trusted ? {
+        interfaces: netif.listInterfaces().filter(x => !x.internal && (x.ipv4.length || x.ipv6.length)),
+        monitor: !!monitor,
+      } : {}),
+    }),
+
+    '/wake': async (body) => {
+      const mac = normalizeMac(body.mac || '');
+      if (!isMac(mac)) throw badRequest('invalid mac');
+
+      // transport / address / port / interface / password / repeat / intervalMs (lib/magic-packet.js)
+      const parsed = magicPacket.parseWakeOptions(body);
+      if (parsed.error) throw badRequest(parsed.error);
+
+      // targetIp: the host's address, picks the interface on its subnet when none is set
+      const targetIp = body.targetIp ? String(body.targetIp).trim() : undefined;
+      try {
+        const r = await magicPacket.send(mac, parsed.options, { targetIp });
+        metric.wakes.inc({ route: 'local', outcome: 'ok' });
+        return { ok: true, ...r };
+      } catch (e) {
+        metric.wakes.inc({ route: 'local', outcome: 'error' });
+        throw e;
+      }
+    },
+
+    // interfaces with IPv4 broadcast addresses (controller offers them in the host form)
+    '/interfaces': async () => ({ ok: true, interfaces: netif.listInterfaces() }),
+
+    // single reachability probe from inside this VLAN (controller polls it after a wake)
+    '/probe': async (body) => {
+      const target = String(body.target || '').trim();
+      const method = String(body.method || 'icmp');
+      const port = body.port ? Number(body.port) : undefined;
+
+      if (!probe.isProbeTarget(target)) throw badRequest('invalid target');
+      if (!probe.PROBE_METHODS.includes(method)) throw badRequest('invalid method');
+      if (method === 'tcp' && !probe.isPort(port)) throw badRequest('invalid port');
+
+      const r = await probe.probeOnce({ target, method, port });
+      return { ok: true, target, method, up: r.up, ms: r.ms };
+    },
+
+    // neighbours on this VLAN from the ARP table, optionally after a ping sweep of `subnet`
+    '/discover': async (body) => {
+      const subnet = body.subnet ? String(body.subnet).trim() : null;
+      if (subnet && !discovery.parseSubnet(subnet)) {
+        throw badRequest(`subnet must be an IPv4 CIDR of /${discovery.MIN_PREFIX} or smaller`);
+      }
+      return { ok: true, ...(await discovery.discover({ subnet })) };
+    },
+
+    // magic packets received here (MONITOR=1): { after, mac, limit } -> listeners + packets
+    '/monitor': async (body) => {
+      if (!monitor) throw Object.assign(new Error('packet monitor is off on this agent (start it with MONITOR=1)'), { status: 409 });
+      const mac = body.mac ? normalizeMac(body.mac) : null;
+      if (mac && !isMac(mac)) throw badRequest('invalid mac');
+      const after = Math.max(Number(body.after) || 0, 0);
+      const limit = Math.min(Math.max(Number(body.limit) || 100, 1), MONITOR_BUFFER);
+      return { ok: true, listeners: monitor.status(), lastSeq: monitor.lastSeq(), packets: monitor.list({ after, mac, limit }) };
+    },
+  };
+
+  async function runCommand(pathname, body) {
+    const fn = agentCommands[pathname];
+    if (!fn) throw Object.assign(new Error('unknown command'), { status: 404 });
+    return fn(body);
+  }
+
+  // outbound mode: enroll with JOIN_CODE, then long-poll the controller for commands
+  const link = CONTROLLER_URL
+    ? createLinkClient({
+      controllerUrl: CONTROLLER_URL,
+      joinCode: JOIN_CODE,
+      name: AGENT_NAME,
+      credentialPath: AGENT_CREDENTIAL_PATH,
+      fetch: clientFetch,
+      runCommand,
+    })
+    : null;
+
+  // HMAC-signed requests from the controller (see lib/signing.js)
+  const requireSignature = signing.requireSignature({
+    secrets: () => [AGENT_TOKEN, AGENT_TOKEN_PREVIOUS, link?.secret()],
+    maxSkewSec: AGENT_MAX_SKEW_SEC,
+  });
+
+  // health check: no auth needed; a signed request (controller's monitor) also gets the interfaces
+  app.get('/health', (req, res, next) => {
+    if (!req.get('X-WoL-Signature')) return next();
+    requireSignature(req, res, () => { req.signed = true; next(); });
+  }, async (req, res) => res.json(await agentCommands['/health']({}, { trusted: !!req.signed })));
+
+  for (const pathname of ['/wake', '/probe', '/discover', '/interfaces', '/monitor']) {
+    app.post(pathname, requireSignature, async (req, res) => {
+      try {
+        res.json(await runCommand(pathname, req.body || {}));
+      } catch (e) {
+        res.status(e.status || 500).json({ error: e.message });
+      }
+    });
+  }
+
+  listen('WoL Agent', monitor ? ' (packet monitor on)' : '');
+
+  link?.start().catch(e => {
+    console.error('ERROR: ' + e.message);
+    process.exit(1);
+  });
 
-      const mac = normalizeMac(req.body?.mac || '');
-      const broadcast = req.body?.broadcast ? String(req.body.broadcast).trim() : undefined;
-      const port = req.body?.port ? Number(req.body.port) : undefined;
+  return;
+}
 
-      if (!isMac(mac)) return res.status(400).json({ error: 'invalid mac' });
+// ------------------- ENDPOINT MODE -------------------
+if (MODE === 'endpoint') {
+  if (!ENDPOINT_TOKEN) {
+    console.error('ERROR: ENDPOINT_TOKEN is required in endpoint mode');
+    process.exit(1);
+  }
 
-      const options = {};
-      if (broadcast) options.address = broadcast; // broadcast/IP
-      if (port) options.port = port;
+  // same signed requests as controller -> agent, with the endpoint's own token
+  const requireSignature = signing.requireSignature({
+    secrets: [ENDPOINT_TOKEN, ENDPOINT_TOKEN_PREVIOUS],
+    maxSkewSec: AGENT_MAX_SKEW_SEC,
+  });
 
-      await wol(mac, options);
+  app.get('/health', (req, res) => {
+    res.json({ ok: true, mode: 'endpoint', version: pkg.version, uptimeSec: Math.round(process.uptime()), dryRun: ENDPOINT_DRY_RUN });
+  });
 
-      res.json({ ok: true, mac, broadcast: options.address ?? null, port: options.port ?? null });
+  // { action: shutdown|suspend|reboot, dryRun? } -> { ok, action, command, dryRun, startsInMs }
+  app.post('/power', requireSignature, (req, res) => {
+    const action = String(req.body?.action || '');
+    try {
+      const r = power.run(action, { dryRun: ENDPOINT_DRY_RUN || req.body?.dryRun === true });
+      metric.power.inc({ action, outcome: r.dryRun ? 'dry_run' : 'ok' });
+      console.log(`${r.dryRun ? '[dry run] ' : ''}${action}: ${r.command} (from ${req.ip})`);
+      res.json({ ok: true, ...r });
     } catch (e) {
-      res.status(500).json({ error: e.message });
+      if (power.isPowerAction(action)) metric.power.inc({ action, outcome: 'error' });
+      res.status(e.status || 500).json({ error: e.message });
     }
   });
 
-  app.listen(PORT, HOST, () => {
-    console.log(`WoL Agent listening on http://${HOST}:${PORT}`);
-  });
+  listen('WoL Endpoint', ENDPOINT_DRY_RUN ? ' (dry run)' : '');
 
   return;
 }
 
 // ------------------- CONTROLLER MODE -------------------
+
+// hosts used to have a single agentId; now an ordered route list (converted and saved once)
+function migrateHostRoutes() {
+  const store = readStore();
+  const legacy = store.hosts.filter(h => !h.routes || 'agentId' in h);
+  legacy.forEach(h => {
+    if (!h.routes) h.routes = h.agentId ? [{ type: 'agent', agentId: h.agentId }] : [{ type: 'local' }];
+    delete h.agentId;
+  });
+  if (legacy.length) {
+    writeStore(store);
+    console.log(`converted ${legacy.length} host(s) to the route list`);
+  }
+}
+migrateHostRoutes();
+
+// first admin from env (only when no user exists yet)
+if (readStore().users.length === 0) {
+  const adminUser = String(process.env.ADMIN_USER || '').trim();
+  const adminPassword = process.env.ADMIN_PASSWORD || '';
+  if (adminUser && adminPassword) {
+    if (!isUsername(adminUser) || adminPassword.length < 8) {
+      console.error('ERROR: ADMIN_USER must be [A-Za-z0-9._-] and ADMIN_PASSWORD at least 8 characters');
+      process.exit(1);
+    }
+    upsertUser(adminUser, adminPassword, 'admin');
+    console.log(`created admin user ${adminUser}`);
+  } else {
+    console.warn('WARNING: no users yet. Create one with `node server.js adduser <username>` or ADMIN_USER/ADMIN_PASSWORD');
+  }
+}
+
+app.use(auth.sessionMiddleware(userId => readStore().users.find(u => u.id === userId)));
+// the public API checks CSRF itself (API key callers have no session)
+app.use('/api/', (req, res, next) => (req.path.startsWith('/v1/') ? next() : auth.csrfProtection(req, res, next)));
+
+// ----- audit log -----
+const audit = createAuditLog({ filePath: AUDIT_PATH, maxBytes: AUDIT_MAX_BYTES, maxFiles: AUDIT_MAX_FILES });
+
+// who did it: { actor, ip } for audit entries
+function requestCtx(req) {
+  let actor = { type: 'anonymous' };
+  if (req.apiKey) actor = { type: 'api-key', id: req.apiKey.id, name: req.apiKey.name };
+  else if (req.user) actor = { type: 'user', id: req.user.id, name: req.user.username };
+  return { actor, ip: req.ip };
+}
+
+function auditReq(req, action, target, extra = {}) {
+  audit.record({ action, ...requestCtx(req), target, outcome: 'ok', ...extra });
+}
+
+// ----- webhooks (wake results, agent status) -----
+const webhooks = createWebhooks({ getTargets: () => readStore().webhooks, retries: WEBHOOK_RETRIES, timeoutMs: WEBHOOK_TIMEOUT_MS });
+const webhookHost = (h) => ({ id: h.id, name: h.name, mac: h.mac });
+
+// ----- agent health monitor -----
+// one health check: GET /health (signed, so the agent includes its interfaces) or over the reverse link
+async function checkAgentHealth(agent) {
+  const started = process.hrtime.bigint();
+  let data;
+  try {
+    if (agent.mode === 'reverse') {
+      data = await agentLink.send(agent.id, '/health', {}, { timeoutMs: AGENT_HEALTH_TIMEOUT_MS });
+    } else {
+      const url = agent.url.replace(/\/+$/, '') + '/health';
+      data = await fetchJson(url, {
+        method: 'GET',
+        headers: signing.signHeaders(agent.token, 'GET', '/health', ''),
+        signal: AbortSignal.timeout(AGENT_HEALTH_TIMEOUT_MS),
+      });
+    }
+  } catch (e) {
+    observeAgentCall(agent, '/health', started, e);
+    throw e;
+  }
+  observeAgentCall(agent, '/health', started);
+  return { latencyMs: Math.round(metrics.secondsSince(started) * 1000), response: data };
+}
+
+// a status means the agent answered; 401 / 403 = credential rejected (unusable too)
+const agentAnswered = (e) => e.status !== undefined && e.status !== 401 && e.status !== 403;
+
+// wol_agent_request_duration_seconds; err = the error the call failed with
+function observeAgentCall(agent, command, started, err) {
+  const outcome = !err ? 'ok' : agentAnswered(err) ? 'error' : 'unreachable';
+  metric.agentCalls.observe({ agent: agent.id, command, outcome }, metrics.secondsSince(started));
+}
+
+// status changes go to the audit log and webhooks (agent.down / agent.up)
+const agentMonitor = createAgentMonitor({
+  listAgents: () => readStore().agents,
+  intervalMs: AGENT_MONITOR_INTERVAL_MS,
+  historySize: AGENT_HISTORY_SIZE,
+  check: async (agent) => {
+    // reverse agents reconnect on their own after a controller restart; don't call them down meanwhile
+    if (agent.mode === 'reverse' && !agentLink.status(agent.id).connected && process.uptime() < 60) return null;
+    const r = await checkAgentHealth(agent);
+    const { version = null, uptimeSec = null, interfaces = null } = r.response || {};
+    return { latencyMs: r.latencyMs, info: { version, uptimeSec, interfaces } };
+  },
+  onUpdate: (agent, health) => live.publish('agent.health', { id: agent.id, health }),
+  onChange: (agent, up, error) => {
+    audit.record({ action: 'agent.status', actor: { type: 'monitor' }, target: agentTarget(agent), route: agent.id, outcome: up ? 'ok' : 'error', error: up ? undefined : error });
+    webhooks.emit(up ? 'agent.up' : 'agent.down', {
+      agent: { id: agent.id, name: agent.name, mode: agent.mode || 'inbound' },
+      error: up ? undefined : error,
+    });
+  },
+});
+
+// outcome of a normal command: no status = network error / timeout,
+// 401 / 403 = credential rejected (unusable too); other errors came from a working agent
+function noteAgentReachability(agent, reachable, error) {
+  agentMonitor.report(agent, { up: reachable, error }, { passive: true });
+}
+
+// reachability for /metrics, read at scrape time (agents are listed once checked)
+const agentLabels = (a) => ({ agent: a.id, name: a.name, mode: a.mode || 'inbound' });
+registry.gauge('wol_agent_up', 'Agent reachability from the health monitor (1 = up, 0 = down)', ['agent', 'name', 'mode'], {
+  collect: () => readStore().agents
+    .filter(a => agentMonitor.status(a.id) !== 'unknown')
+    .map(a => ({ labels: agentLabels(a), value: agentMonitor.status(a.id) === 'up' ? 1 : 0 })),
+});
+registry.gauge('wol_agent_link_connected', 'Reverse agents with an open long-poll link (1 = connected)', ['agent', 'name', 'mode'], {
+  collect: () => readStore().agents
+    .filter(a => a.mode === 'reverse')
+    .map(a => ({ labels: agentLabels(a), value: agentLink.status(a.id).connected ? 1 : 0 })),
+});
+
+const hostTarget = (h) => ({ type: 'host', id: h.id, name: h.name });
+const agentTarget = (a) => ({ type: 'agent', id: a.id, name: a.name });
+
+// UI pages require a session; login.html, wake-link.html and their scripts (i18n.js, locales/) stay public
+app.get(['/', '/index.html'], (req, res, next) => {
+  if (!req.user) return res.redirect('/login.html');
+  next();
+});
 app.use(express.static(path.join(__dirname, 'public')));
 
-// controller: list hosts + agents
-app.get('/api/state', (req, res) => {
+// login: stricter limit against password guessing
+// unknown usernames are checked against this too, so the response time doesn't tell which users exist
+const DUMMY_PASSWORD_HASH = auth.hashPassword('');
+
+app.post('/api/login', limiter('login', {
+  windowMs: 15 * 60 * 1000,
+  max: 10,
+  skipSuccessfulRequests: true,
+}), (req, res) => {
   try {
+    const username = String(req.body?.username || '').trim();
+    const password = String(req.body?.password || '');
+
     const store = readStore();
-    res.json({
-      agents: store.agents.map(a => ({ id: a.id, name: a.name, url: a.url })),
-      hosts: store.hosts.map(h => ({ id: h.id, name: h.name, mac: h.mac, agentId: h.agentId || null })),
-    });
+    const user = store.users.find(u => u.username === username);
+    const valid = auth.verifyPassword(password, user ? user.passwordHash : DUMMY_PASSWORD_HASH);
+    if (!user || !valid) {
+      audit.record({ action: 'auth.login', actor: { type: 'anonymous', name: username }, ip: req.ip, outcome: 'error', error: 'invalid username or password' });
+      return res.status(401).json(fail('invalid_credentials'));
+    }
+    audit.record({ action: 'auth.login', actor: { type: 'user', id: user.id, name: user.username }, ip: req.ip, outcome: 'ok' });
+
+    if (req.sid) auth.destroySession(req.sid);
+    const { sid, session } = auth.createSession(user.id);
+    auth.setSessionCookie(req, res, sid);
+    res.json({ ok: true, user: publicUser(user), csrfToken: session.csrfToken });
   } catch (e) {
-    res.status(500).json({ error: e.message });
+    sendError(res, e);
   }
 });
 
-// add agent (VLAN endpoint)
-app.post('/api/agents', (req, res) => {
+app.post('/api/logout', (req, res) => {
+  if (req.user) auditReq(req, 'auth.logout', null);
+  if (req.sid) auth.destroySession(req.sid);
+  auth.clearSessionCookie(res);
+  res.json({ ok: true });
+});
+
+// current user + CSRF token for the UI
+app.get('/api/me', auth.requireRole('viewer'), (req, res) => {
+  res.json({ user: publicUser(req.user), csrfToken: req.session.csrfToken });
+});
+
+// list users (admin)
+app.get('/api/users', auth.requireRole('admin'), (req, res) => {
   try {
-    const name = String(req.body?.name || '').trim();
-    const url = String(req.body?.url || '').trim();
-    const token = String(req.body?.token || '').trim();
+    const store = readStore();
+    res.json({ users: store.users.map(publicUser) });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
 
-    if (!name) return res.status(400).json({ error: 'name required' });
-    if (!url.startsWith('http://') && !url.startsWith('https://')) {
-      return res.status(400).json({ error: 'url must start with http:// or https://' });
-    }
-    if (!token) return res.status(400).json({ error: 'token required' });
+// add user (admin)
+app.post('/api/users', auth.requireRole('admin'), (req, res) => {
+  try {
+    const username = String(req.body?.username || '').trim();
+    const password = String(req.body?.password || '');
+    const role = String(req.body?.role || 'viewer').trim();
+
+    if (!isUsername(username)) return res.status(400).json(fail('invalid_username'));
+    if (password.length < 8) return res.status(400).json(fail('password_too_short', { min: 8 }));
+    if (!auth.isRole(role)) return res.status(400).json(fail('invalid_role'));
 
     const store = readStore();
-    const id = newId('agent');
-    store.agents.push({ id, name, url, token });
+    if (store.users.some(u => u.username === username)) {
+      return res.status(409).json(fail('username_exists'));
+    }
+
+    const id = newId('user');
+    store.users.push({ id, username, role, passwordHash: auth.hashPassword(password) });
     writeStore(store);
+    auditReq(req, 'user.create', { type: 'user', id, name: username }, { detail: { role } });
 
     res.json({ ok: true, id });
   } catch (e) {
-    res.status(500).json({ error: e.message });
+    sendError(res, e);
   }
 });
 
-// update agent (name/url/token)
-app.put('/api/agents/:id', (req, res) => {
+// update user role/password (admin)
+app.put('/api/users/:id', auth.requireRole('admin'), (req, res) => {
   try {
-    const id = req.params.id;
     const store = readStore();
-    const agent = store.agents.find(a => a.id === id);
-    if (!agent) return res.status(404).json({ error: 'agent not found' });
+    const user = store.users.find(u => u.id === req.params.id);
+    if (!user) return res.status(404).json(fail('user_not_found'));
 
-    const name = req.body?.name !== undefined ? String(req.body.name).trim() : agent.name;
-    const url = req.body?.url !== undefined ? String(req.body.url).trim() : agent.url;
-    const token = req.body?.token !== undefined ? String(req.body.token).trim() : agent.token;
+    const role = req.body?.role !== undefined ? String(req.body.role).trim() : user.role;
+    const password = req.body?.password !== undefined ? String(req.body.password) : null;
 
-    if (!name) return res.status(400).json({ error: 'name required' });
-    if (!url.startsWith('http://') && !url.startsWith('https://')) {
-      return res.status(400).json({ error: 'url must start with http:// or https://' });
+    if (!auth.isRole(role)) return res.status(400).json(fail('invalid_role'));
+    if (password !== null && password.length < 8) {
+      return res.status(400).json(fail('password_too_short', { min: 8 }));
+    }
+    if (user.role === 'admin' && role !== 'admin' && countAdmins(store) === 1) {
+      return res.status(400).json(fail('last_admin_demote'));
     }
-    if (!token) return res.status(400).json({ error: 'token required' });
 
-    agent.name = name;
-    agent.url = url;
-    agent.token = token;
+    user.role = role;
+    if (password !== null) user.passwordHash = auth.hashPassword(password);
 
     writeStore(store);
+    auditReq(req, 'user.update', { type: 'user', id: user.id, name: user.username }, { detail: { role, passwordChanged: password !== null } });
+    // force re-login elsewhere after a password change
+    if (password !== null && user.id !== req.user.id) auth.destroyUserSessions(user.id);
     res.json({ ok: true });
   } catch (e) {
-    res.status(500).json({ error: e.message });
+    sendError(res, e);
   }
 });
 
-// delete agent
-app.delete('/api/agents/:id', (req, res) => {
+// delete user (admin)
+app.delete('/api/users/:id', auth.requireRole('admin'), (req, res) => {
   try {
     const store = readStore();
-    const id = req.params.id;
+    const user = store.users.find(u => u.id === req.params.id);
+    if (!user) return res.status(404).json(fail('user_not_found'));
+    if (user.role === 'admin' && countAdmins(store) === 1) {
+      return res.status(400).json(fail('last_admin_delete'));
+    }
+
+    store.users = store.users.filter(u => u.id !== user.id);
+    writeStore(store);
+    auditReq(req, 'user.delete', { type: 'user', id: user.id, name: user.username });
+    auth.destroyUserSessions(user.id);
+    res.json({ ok: true });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+// what clients see of agents / hosts / groups (no tokens, no SecureOn password)
+function publicAgent(a) {
+  return {
+    id: a.id,
+    name: a.name,
+    url: a.url || null,
+    mode: a.mode || 'inbound',
+    link: a.mode === 'reverse' ? agentLink.status(a.id) : null,
+    health: agentMonitor.summary(a.id),
+  };
+}
+
+function publicHost(h) {
+  return {
+    id: h.id,
+    name: h.name,
+    mac: h.mac,
+    routes: h.routes,
+    ip: h.ip || null,
+    probe: h.probe || null,
+    probePort: h.probePort ?? null,
+    wakeOptions: magicPacket.publicOptions(effectiveWakeOptions(h).options),
+    wake: wakeJobs.publicJob(wakeJobs.latestJobForHost(h.id)),
+    endpoint: h.endpoint ? { url: h.endpoint.url } : null,
+    power: h.power || null,
+  };
+}
+
+function publicGroup(g) {
+  return { id: g.id, name: g.name, hostIds: g.hostIds, delayMs: g.delayMs };
+}
+
+// host as listed in /api/state (and sent on the live stream)
+function stateHost(h) {
+  return {
+    ...publicHost(h),
+    agentId: h.routes[0]?.type === 'agent' ? h.routes[0].agentId : null, // primary route (compat)
+  };
+}
+
+// controller: list hosts + agents
+app.get('/api/state', auth.requireRole('viewer'), (req, res) => {
+  try {
+    const store = readStore();
+    res.json({
+      agents: store.agents.map(publicAgent),
+      hosts: store.hosts.map(stateHost),
+      groups: store.groups.map(publicGroup),
+      schedules: store.schedules,
+    });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+// live updates (Server-Sent Events): host / agent / group / schedule changes, wake job
+// progress, group wake progress and agent health; the stream ends when the session does
+app.get('/api/events', auth.requireRole('viewer'), live.handler({ alive: (req) => auth.sessionActive(req.sid) }));
+
+// { name, url, token } -> { fields } or fail(); fields not sent keep `current`'s values.
+// reverse agents connect to us: only the name is editable (credential comes from enrollment)
+function parseAgentBody(body, current) {
+  const name = body?.name !== undefined ? String(body.name).trim() : current?.name || '';
+  if (!name) return fail('name_required');
+  if (current?.mode === 'reverse') return { fields: { name } };
+
+  const url = body?.url !== undefined ? String(body.url).trim() : current?.url || '';
+  const token = body?.token !== undefined ? String(body.token).trim() : current?.token || '';
+  if (!url.startsWith('http://') && !url.startsWith('https://')) return fail('invalid_url');
+  if (!token) return fail('token_required');
+  return { fields: { name, url, token } };
+}
+
+// add agent (VLAN endpoint)
+app.post('/api/agents', auth.requireRole('admin'), (req, res) => {
+  try {
+    const parsed = parseAgentBody(req.body);
+    if (parsed.error) return res.status(400).json(parsed);
+
+    const store = readStore();
+    const id = newId('agent');
+    store.agents.push({ id, ...parsed.fields });
+    writeStore(store);
+    auditReq(req, 'agent.create', { type: 'agent', id, name: parsed.fields.name }, { detail: { url: parsed.fields.url } });
+
+    res.json({ ok: true, id });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
 
-    // hosts that reference this agent -> null (or you can block deletion)
-    store.hosts = store.hosts.map(h => (h.agentId === id ? { ...h, agentId: null } : h));
-    const before = store.agents.length;
-    store.agents = store.agents.filter(a => a.id !== id);
+// update agent (name/url/token)
+app.put('/api/agents/:id', auth.requireRole('admin'), (req, res) => {
+  try {
+    const id = req.params.id;
+    const store = readStore();
+    const agent = store.agents.find(a => a.id === id);
+    if (!agent) return res.status(404).json(fail('agent_not_found'));
 
-    if (store.agents.length === before) return res.status(404).json({ error: 'agent not found' });
+    const parsed = parseAgentBody(req.body, agent);
+    if (parsed.error) return res.status(400).json(parsed);
 
+    Object.assign(agent, parsed.fields);
     writeStore(store);
+    auditReq(req, 'agent.update', agentTarget(agent), agent.mode === 'reverse'
+      ? {}
+      : { detail: { url: agent.url, tokenChanged: req.body?.token !== undefined } });
     res.json({ ok: true });
   } catch (e) {
-    res.status(500).json({ error: e.message });
+    sendError(res, e);
   }
 });
 
-// agent reachability check
-app.get('/api/agents/:id/health', async (req, res) => {
+// drop an agent and take it out of every host's route list; hosts left without any route
+// are reported (they can't be woken until a route is added)
+function removeAgent(store, id) {
+  const affected = [];
+  const unroutable = [];
+  store.hosts.forEach(h => {
+    const before = h.routes.length;
+    h.routes = h.routes.filter(x => !(x.type === 'agent' && x.agentId === id));
+    if (h.routes.length === before) return;
+    affected.push(h.id);
+    if (h.routes.length === 0) unroutable.push(h.id);
+  });
+  store.agents = store.agents.filter(a => a.id !== id);
+  return { affected, unroutable };
+}
+
+// -> { affectedHosts, unroutableHosts }
+function deleteAgent(store, agent, req) {
+  const { affected, unroutable } = removeAgent(store, agent.id);
+  writeStore(store);
+  agentLink.drop(agent.id);
+  agentMonitor.forget(agent.id);
+  auditReq(req, 'agent.delete', agentTarget(agent), { detail: { affectedHosts: affected, unroutableHosts: unroutable } });
+  return { affectedHosts: affected, unroutableHosts: unroutable };
+}
+
+// delete agent
+app.delete('/api/agents/:id', auth.requireRole('admin'), (req, res) => {
   try {
     const store = readStore();
     const agent = store.agents.find(a => a.id === req.params.id);
-    if (!agent) return res.status(404).json({ error: 'agent not found' });
+    if (!agent) return res.status(404).json(fail('agent_not_found'));
+    res.json({ ok: true, ...deleteAgent(store, agent, req) });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
 
-    const url = agent.url.replace(/\/+$/, '') + '/health';
-    const t0 = Date.now();
-    const data = await fetchJson(url, { method: 'GET' });
-    const ms = Date.now() - t0;
+// agent reachability check now (also recorded in the monitor's history)
+// -> { reachable: true, latencyMs, response } | { reachable: false, error }
+async function checkAgentNow(agent, req) {
+  try {
+    const { latencyMs: ms, response: data } = await checkAgentHealth(agent);
+    const { version = null, uptimeSec = null, interfaces = null } = data || {};
+    agentMonitor.report(agent, { up: true, latencyMs: ms, info: { version, uptimeSec, interfaces } });
+    auditReq(req, 'agent.health', agentTarget(agent), { route: agent.id, detail: { latencyMs: ms } });
+    // expect {ok:true, mode:'agent', version, uptimeSec, interfaces}
+    return { reachable: true, latencyMs: ms, response: data };
+  } catch (e) {
+    agentMonitor.report(agent, { up: false, error: e.message });
+    auditReq(req, 'agent.health', agentTarget(agent), { route: agent.id, outcome: 'error', error: e.message });
+    return { reachable: false, error: e.message };
+  }
+}
 
-    // expect {ok:true, mode:'agent'}
-    res.json({ ok: true, reachable: true, latencyMs: ms, response: data });
+// agent reachability check (now, on demand)
+app.get('/api/agents/:id/health', auth.requireRole('viewer'), async (req, res) => {
+  try {
+    const agent = readStore().agents.find(a => a.id === req.params.id);
+    if (!agent) return res.status(404).json(fail('agent_not_found'));
+    res.json({ ok: true, ...(await checkAgentNow(agent, req)) });
   } catch (e) {
-    res.json({ ok: true, reachable: false, error: e.message });
+    sendError(res, e);
   }
 });
 
-// add host (name + mac + agentId optional)
-app.post('/api/hosts', (req, res) => {
+// monitor status with the recent check history (latency / up-down)
+app.get('/api/agents/:id/status', auth.requireRole('viewer'), (req, res) => {
   try {
-    const name = String(req.body?.name || '').trim();
-    const mac = normalizeMac(req.body?.mac || '');
-    const agentId = req.body?.agentId ? String(req.body.agentId).trim() : null;
+    const agent = readStore().agents.find(a => a.id === req.params.id);
+    if (!agent) return res.status(404).json(fail('agent_not_found'));
+    res.json({ agentId: agent.id, intervalMs: AGENT_MONITOR_INTERVAL_MS, ...agentMonitor.get(agent.id) });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
 
-    if (!name) return res.status(400).json({ error: 'name required' });
-    if (!isMac(mac)) return res.status(400).json({ error: 'invalid mac' });
+// network interfaces of a route's sender: ?route=local | <agentId>
+app.get('/api/interfaces', auth.requireRole('admin'), async (req, res) => {
+  try {
+    const route = String(req.query.route || 'local').trim();
+    if (route === 'local') return res.json({ ok: true, route, interfaces: netif.listInterfaces() });
 
-    const store = readStore();
+    const agent = readStore().agents.find(a => a.id === route);
+    if (!agent) return res.status(404).json(fail('agent_not_found'));
+    const r = await callAgent(agent, '/interfaces', {}, { timeoutMs: 10 * 1000 });
+    res.json({ ok: true, route, interfaces: r.interfaces || [] });
+  } catch (e) {
+    // agent down / too old to know /interfaces: the form falls back to free text
+    res.status(502).json(fail('agent_request_failed', { detail: e.message }));
+  }
+});
 
-    if (agentId && !store.agents.some(a => a.id === agentId)) {
-      return res.status(400).json({ error: 'agentId not found' });
-    }
+// validated host fields from a request body (create: current = {}; edit: absent fields keep
+// the host's value) -> { fields } or { error, status }
+// body.endpoint: { url, token } of MODE=endpoint on the host (power actions), null removes it;
+// a missing token keeps the current one
+function parseEndpointFields(body, current = {}) {
+  if (body?.endpoint === undefined) return { endpoint: current.endpoint || null };
+  const v = body.endpoint;
+  if (v === null) return { endpoint: null };
+  if (typeof v !== 'object' || Array.isArray(v)) return fail('invalid_endpoint');
+
+  const url = String(v.url || '').trim();
+  const token = String(v.token || '').trim() || current.endpoint?.token || '';
+  if (!url.startsWith('http://') && !url.startsWith('https://')) return fail('invalid_url');
+  if (!token) return fail('endpoint_token_required');
+  return { endpoint: { url, token } };
+}
 
-    // prevent duplicates by mac
-    if (store.hosts.some(h => h.mac === mac)) {
-      return res.status(409).json({ error: 'mac already exists' });
-    }
+function parseHostBody(body, store, current = {}) {
+  const name = body?.name !== undefined ? String(body.name || '').trim() : (current.name || '');
+  const mac = body?.mac !== undefined ? normalizeMac(body.mac || '') : (current.mac || '');
+  const probeFields = parseProbeFields(body, current);
+  const wakeFields = parseHostWakeOptions(body, current);
+  const endpointFields = parseEndpointFields(body, current);
+  const parsed = parseRoutes(body, store, current);
+
+  if (!name) return fail('name_required');
+  if (!isMac(mac)) return fail('invalid_mac');
+  if (probeFields.error) return probeFields;
+  if (wakeFields.error) return wakeFields;
+  if (endpointFields.error) return endpointFields;
+  if (parsed.error) return parsed;
+
+  // prevent duplicates by mac (excluding self)
+  if (store.hosts.some(h => h.id !== current.id && h.mac === mac)) return { ...fail('mac_exists'), status: 409 };
+
+  return { fields: { name, mac, routes: parsed.routes, ...probeFields, ...wakeFields, ...endpointFields } };
+}
+
+// add host (name + mac + routes optional, default local)
+app.post('/api/hosts', auth.requireRole('admin'), (req, res) => {
+  try {
+    const store = readStore();
+    const parsed = parseHostBody(req.body, store);
+    if (parsed.error) return res.status(parsed.status || 400).json(errorBody(parsed));
 
     const id = newId('host');
-    store.hosts.push({ id, name, mac, agentId: agentId || null });
+    const { name, mac, routes } = parsed.fields;
+    store.hosts.push({ id, ...parsed.fields });
     writeStore(store);
+    auditReq(req, 'host.create', { type: 'host', id, name }, { detail: { mac, routes: routes.map(routeKey) } });
 
     res.json({ ok: true, id });
   } catch (e) {
-    res.status(500).json({ error: e.message });
+    sendError(res, e);
   }
 });
 
 // update host (edit)
-app.put('/api/hosts/:id', (req, res) => {
+app.put('/api/hosts/:id', auth.requireRole('admin'), (req, res) => {
   try {
-    const id = req.params.id;
     const store = readStore();
-    const host = store.hosts.find(h => h.id === id);
-    if (!host) return res.status(404).json({ error: 'host not found' });
-
-    const name = req.body?.name !== undefined ? String(req.body.name).trim() : host.name;
-    const mac = req.body?.mac !== undefined ? normalizeMac(req.body.mac) : host.mac;
-    const agentId = req.body?.agentId !== undefined
-      ? (req.body.agentId ? String(req.body.agentId).trim() : null)
-      : host.agentId;
-
-    if (!name) return res.status(400).json({ error: 'name required' });
-    if (!isMac(mac)) return res.status(400).json({ error: 'invalid mac' });
-    if (agentId && !store.agents.some(a => a.id === agentId)) {
-      return res.status(400).json({ error: 'agentId not found' });
-    }
+    const host = store.hosts.find(h => h.id === req.params.id);
+    if (!host) return res.status(404).json(fail('host_not_found'));
 
-    // prevent duplicates by mac (excluding self)
-    if (store.hosts.some(h => h.id !== id && h.mac === mac)) {
-      return res.status(409).json({ error: 'mac already exists' });
-    }
-
-    host.name = name;
-    host.mac = mac;
-    host.agentId = agentId || null;
+    const parsed = parseHostBody(req.body, store, host);
+    if (parsed.error) return res.status(parsed.status || 400).json(errorBody(parsed));
 
+    Object.assign(host, parsed.fields);
     writeStore(store);
+    auditReq(req, 'host.update', hostTarget(host), { detail: { mac: host.mac, routes: host.routes.map(routeKey) } });
     res.json({ ok: true });
   } catch (e) {
-    res.status(500).json({ error: e.message });
+    sendError(res, e);
   }
 });
 
+// drop a host with its group memberships and the schedules that target it
+function removeHost(store, id) {
+  store.hosts = store.hosts.filter(h => h.id !== id);
+  store.groups.forEach(g => { g.hostIds = g.hostIds.filter(x => x !== id); });
+  store.schedules = store.schedules.filter(x => !(x.target.type === 'host' && x.target.id === id));
+  store.wakeLinks = store.wakeLinks.filter(l => l.hostId !== id);
+}
+
 // delete host
-app.delete('/api/hosts/:id', (req, res) => {
+app.delete('/api/hosts/:id', auth.requireRole('admin'), (req, res) => {
   try {
     const store = readStore();
-    const before = store.hosts.length;
-    store.hosts = store.hosts.filter(h => h.id !== req.params.id);
-    if (store.hosts.length === before) return res.status(404).json({ error: 'host not found' });
+    const host = store.hosts.find(h => h.id === req.params.id);
+    if (!host) return res.status(404).json(fail('host_not_found'));
+    removeHost(store, host.id);
     writeStore(store);
+    auditReq(req, 'host.delete', hostTarget(host), { detail: { mac: host.mac } });
     res.json({ ok: true });
   } catch (e) {
-    res.status(500).json({ error: e.message });
+    sendError(res, e);
   }
 });
 
-// wake host: if agentId exists -> call agent, else local wake
-async function postJson(url, headers, body) {
-  return fetchJson(url, {
-    method: 'POST',
-    headers: { 'Content-Type': 'application/json', ...headers },
-    body: JSON.stringify(body),
-  });
+// ----- bulk host actions (selection in the host list) -----
+// body.hostIds: existing host ids -> { hostIds } or { error }
+function parseBulkHostIds(body, store) {
+  const parsed = parseHostIds(body?.hostIds, store);
+  if (parsed.error) return parsed;
+  if (parsed.hostIds.length === 0) return fail('host_ids_empty');
+  return parsed;
 }
 
-app.post('/api/wake/:hostId', async (req, res) => {
+// wake the selected hosts in turn (same spacing as a group wake)
+app.post('/api/hosts/bulk-wake', auth.requireRole('operator'), async (req, res) => {
   try {
     const store = readStore();
-    const host = store.hosts.find(h => h.id === req.params.hostId);
-    if (!host) return res.status(404).json({ error: 'host not found' });
+    const parsed = parseBulkHostIds(req.body, store);
+    if (parsed.error) return res.status(400).json(errorBody(parsed));
+    const delayMs = parseDelayMs(req.body?.delayMs, GROUP_DELAY_DEFAULT_MS);
+    if (Number.isNaN(delayMs)) return res.status(400).json(fail('invalid_delay', { max: GROUP_DELAY_MAX_MS }));
 
-    // optional override (directed broadcast等で使う)
-    const overrideBroadcast = req.body?.broadcast ? String(req.body.broadcast).trim() : undefined;
-    const overridePort = req.body?.port ? Number(req.body.port) : undefined;
-
-    if (host.agentId) {
-      const agent = store.agents.find(a => a.id === host.agentId);
-      if (!agent) return res.status(500).json({ error: 'host.agentId is set but agent missing' });
-
-      const url = agent.url.replace(/\/+$/, '') + '/wake';
-      const payload = { mac: host.mac };
-      if (overrideBroadcast) payload.broadcast = overrideBroadcast;
-      if (overridePort) payload.port = overridePort;
-
-      const r = await postJson(url, { 'X-Agent-Token': agent.token }, payload);
-      return res.json({ ok: true, via: 'agent', agentId: agent.id, result: r });
-    }
+    const { results, failed } = await wakeInTurn(store, parsed.hostIds, {
+      delayMs, overrides: { force: req.body?.force === true }, ctx: requestCtx(req),
+    });
+    res.json({ ok: failed === 0, delayMs, total: results.length, failed, results });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
 
-    // local wake (same VLAN)
-    const options = {};
-    if (overrideBroadcast) options.address = overrideBroadcast;
-    if (overridePort) options.port = overridePort;
+// delete the selected hosts (one transaction)
+app.post('/api/hosts/bulk-delete', auth.requireRole('admin'), (req, res) => {
+  try {
+    const store = readStore();
+    const parsed = parseBulkHostIds(req.body, store);
+    if (parsed.error) return res.status(400).json(errorBody(parsed));
 
-    await wol(host.mac, options);
-    res.json({ ok: true, via: 'local', mac: host.mac, broadcast: options.address ?? null, port: options.port ?? null });
+    const hosts = store.hosts.filter(h => parsed.hostIds.includes(h.id));
+    hosts.forEach(h => removeHost(store, h.id));
+    writeStore(store);
+    hosts.forEach(h => auditReq(req, 'host.delete', hostTarget(h), { detail: { mac: h.mac, bulk: true } }));
+    res.json({ ok: true, deleted: hosts.length });
   } catch (e) {
-    res.status(500).json({ error: e.message });
+    sendError(res, e);
   }
 });
 
-app.listen(PORT, HOST, () => {
-  console.log(`WoL Controller listening on http://${HOST}:${PORT}`);
+// replace the route list of the selected hosts
+app.post('/api/hosts/bulk-routes', auth.requireRole('admin'), (req, res) => {
+  try {
+    const store = readStore();
+    const parsed = parseBulkHostIds(req.body, store);
+    if (parsed.error) return res.status(400).json(errorBody(parsed));
+    if (req.body?.routes === undefined) return res.status(400).json(fail('routes_required'));
+    const r = parseRoutes(req.body, store);
+    if (r.error) return res.status(400).json(errorBody(r));
+
+    const hosts = store.hosts.filter(h => parsed.hostIds.includes(h.id));
+    hosts.forEach(h => { h.routes = r.routes.map(x => ({ ...x })); });
+    writeStore(store);
+    hosts.forEach(h => auditReq(req, 'host.update', hostTarget(h), { detail: { routes: r.routes.map(routeKey), bulk: true } }));
+    res.json({ ok: true, updated: hosts.length });
+  } catch (e) {
+    sendError(res, e);
+  }
 });
+
+// ----- import / export (hosts, agents) -----
+const HOST_COLUMNS = ['name', 'mac', 'ip', 'probe', 'probePort', 'routes'];
+const AGENT_COLUMNS = ['name', 'mode', 'url', 'token'];
+const IMPORT_FORMATS = { hosts: ['csv', 'json', 'dhcpd', 'dnsmasq'], agents: ['csv', 'json'] };
+const IMPORT_MAX_BYTES = '5mb';
+
+// file body as text: sent as text/* (UI) or already parsed by express.json (application/json)
+const importBody = express.text({ type: () => true, limit: IMPORT_MAX_BYTES });
+function importText(req) {
+  if (typeof req.body === 'string') return req.body;
+  return req.body && Object.keys(req.body).length ? JSON.stringify(req.body) : '';
+}
+
+// ?format / ?mode / ?dryRun shared by both import endpoints
+function parseImportQuery(kind, query) {
+  const format = String(query.format || '').trim().toLowerCase();
+  const mode = String(query.mode || 'merge').trim().toLowerCase();
+  if (!IMPORT_FORMATS[kind].includes(format)) return fail('invalid_import_format', { values: IMPORT_FORMATS[kind].join(', ') });
+  if (mode !== 'merge' && mode !== 'replace') return fail('invalid_import_mode');
+  return { format, mode, dryRun: ['1', 'true'].includes(String(query.dryRun || '').toLowerCase()) };
+}
+
+function readImportRecords(kind, format, text) {
+  if (format === 'csv') {
+    return kind === 'hosts'
+      ? importFormats.parseCsv(text, HOST_COLUMNS, { hostname: 'name', agent: 'routes' })
+      : importFormats.parseCsv(text, AGENT_COLUMNS);
+  }
+  if (format === 'json') return importFormats.parseJsonList(text, kind);
+  if (format === 'dhcpd') return importFormats.parseDhcpdLeases(text);
+  return importFormats.parseDnsmasqLeases(text);
+}
+
+// 'local', an agent id or an agent name -> route
+function resolveRouteRef(store, ref) {
+  const v = String(ref || '').trim();
+  if (v === 'local') return { route: { type: 'local' } };
+  if (store.agents.some(a => a.id === v)) return { route: { type: 'agent', agentId: v } };
+  const named = store.agents.filter(a => a.name === v);
+  if (named.length === 1) return { route: { type: 'agent', agentId: named[0].id } };
+  return fail(named.length ? 'agent_ambiguous' : 'unknown_agent', { agent: v });
+}
+
+// routes column: 'local|VLAN10 Agent' (CSV) or an array of names / ids / route objects (JSON)
+function resolveRoutes(store, value) {
+  const refs = (Array.isArray(value) ? value : String(value).split('|'))
+    .map(x => (typeof x === 'object' && x ? (x.type === 'local' ? 'local' : x.agentId) : x))
+    .map(x => String(x ?? '').trim())
+    .filter(Boolean);
+  const routes = [];
+  for (const ref of refs) {
+    const r = resolveRouteRef(store, ref);
+    if (r.error) return r;
+    routes.push(r.route);
+  }
+  return parseRoutes({ routes }, store);
+}
+
+/**
+ * validate import records against the store -> { rows, removed, summary }
+ * rows[].action: add / update / unchanged / error; hosts are matched by MAC
+ */
+function planHostImport(store, records, { mode, defaultRoutes }) {
+  const rows = [];
+  const seen = new Map(); // mac -> line
+  for (const rec of records) {
+    const mac = normalizeMac(rec.mac ?? '');
+    const existing = store.hosts.find(h => h.mac === mac);
+    // no name (lease without a hostname): keep the existing one, or name a new host after its IP
+    const row = { line: rec.line, name: String(rec.name ?? existing?.name ?? rec.ip ?? '').trim(), mac, id: existing?.id || null };
+    const reject = (f) => rows.push({ ...row, action: 'error', ...f });
+
+    if (!isMac(mac)) { reject(fail('import_invalid_mac', { mac: rec.mac ?? '(empty)' })); continue; }
+    if (seen.has(mac)) { reject(fail('duplicate_mac', { line: seen.get(mac) })); continue; }
+    seen.set(mac, rec.line);
+    if (!row.name) { reject(fail('name_required')); continue; }
+
+    let routes = existing?.routes || defaultRoutes;
+    if (rec.routes !== undefined && rec.routes !== null && rec.routes !== '') {
+      const r = resolveRoutes(store, rec.routes);
+      if (r.error) { reject(r); continue; }
+      routes = r.routes;
+    }
+    const probeFields = parseProbeFields(rec, existing || {});
+    if (probeFields.error) { reject(probeFields); continue; }
+
+    const host = { name: row.name, mac, routes, ...probeFields };
+    if (!existing) {
+      rows.push({ ...row, action: 'add', host });
+    } else {
+      const before = { name: existing.name, mac, routes: existing.routes, ip: existing.ip || null, probe: existing.probe || null, probePort: existing.probePort ?? null };
+      rows.push({ ...row, action: JSON.stringify(before) === JSON.stringify(host) ? 'unchanged' : 'update', host });
+    }
+  }
+
+  const removed = mode === 'replace'
+    ? store.hosts.filter(h => !seen.has(h.mac)).map(h => ({ id: h.id, name: h.name, mac: h.mac }))
+    : [];
+  return { rows, removed, summary: importSummary(rows, removed) };
+}
+
+/**
+ * agents are matched by name. Reverse agents can't be created from a file (they enroll
+ * with a join code) and replace never removes them.
+ */
+function planAgentImport(store, records, { mode }) {
+  const rows = [];
+  const seen = new Map(); // name -> line
+  for (const rec of records) {
+    const name = String(rec.name ?? '').trim();
+    const matches = store.agents.filter(a => a.name === name);
+    const existing = matches[0];
+    const row = { line: rec.line, name, id: existing?.id || null };
+    const reject = (f) => rows.push({ ...row, action: 'error', ...f });
+
+    if (!name) { reject(fail('name_required')); continue; }
+    if (seen.has(name)) { reject(fail('duplicate_name', { line: seen.get(name) })); continue; }
+    seen.set(name, rec.line);
+    if (matches.length > 1) { reject(fail('agent_ambiguous', { agent: name })); continue; }
+
+    const agentMode = String(rec.mode || existing?.mode || 'inbound').trim();
+    if (agentMode !== 'inbound' && agentMode !== 'reverse') { reject(fail('invalid_agent_mode')); continue; }
+    if (existing && agentMode !== (existing.mode || 'inbound')) { reject(fail('agent_mode_locked')); continue; }
+    if (agentMode === 'reverse') {
+      if (existing) rows.push({ ...row, action: 'unchanged' });
+      else reject(fail('reverse_agent_import'));
+      continue;
+    }
+
+    const url = String(rec.url ?? existing?.url ?? '').trim();
+    const token = String(rec.token ?? existing?.token ?? '').trim();
+    if (!url.startsWith('http://') && !url.startsWith('https://')) { reject(fail('invalid_url')); continue; }
+    if (!token) { reject(fail('token_required')); continue; }
+
+    const agent = { name, url, token };
+    if (!existing) rows.push({ ...row, action: 'add', agent });
+    else rows.push({ ...row, action: existing.url === url && existing.token === token ? 'unchanged' : 'update', agent });
+  }
+
+  const removed = mode === 'replace'
+    ? store.agents.filter(a => a.mode !== 'reverse' && !seen.has(a.name)).map(a => ({ id: a.id, name: a.name }))
+    : [];
+  return { rows, removed, summary: importSummary(rows, removed) };
+}
+
+function importSummary(rows, removed) {
+  const summary = { add: 0, update: 0, unchanged: 0, error: 0, remove: removed.length };
+  rows.forEach(r => { summary[r.action]++; });
+  return summary;
+}
+
+// report for the client (without agent tokens)
+function publicPlan(plan, extra) {
+  return {
+    ...extra,
+    summary: plan.summary,
+    rows: plan.rows.map(({ agent, host, ...r }) => (host ? { ...r, routes: host.routes.map(routeKey) } : r)),
+    removed: plan.removed,
+  };
+}
+
+function sendExport(res, kind, format, columns, rows) {
+  const date = new Date().toISOString().slice(0, 10);
+  res.attachment(`${kind}-${date}.${format}`);
+  if (format === 'csv') return res.type('text/csv').send(importFormats.toCsv(columns, rows));
+  res.json({ version: 1, exportedAt: new Date().toISOString(), [kind]: rows });
+}
+
+// export hosts: ?format=csv|json, routes as agent names ('local|VLAN10 Agent' in CSV)
+app.get('/api/hosts/export', auth.requireRole('viewer'), (req, res) => {
+  try {
+    const format = String(req.query.format || 'json').toLowerCase();
+    if (format !== 'csv' && format !== 'json') return res.status(400).json(fail('invalid_export_format'));
+    const store = readStore();
+    const refName = (x) => (x.type === 'local' ? 'local' : store.agents.find(a => a.id === x.agentId)?.name || x.agentId);
+    const rows = store.hosts.map(h => {
+      const routes = h.routes.map(refName);
+      return { name: h.name, mac: h.mac, ip: h.ip || null, probe: h.probe || null, probePort: h.probePort ?? null, routes: format === 'csv' ? routes.join('|') : routes };
+    });
+    sendExport(res, 'hosts', format, HOST_COLUMNS, rows);
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+// export agents: ?format=csv|json, tokens only with ?secrets=1
+app.get('/api/agents/export', auth.requireRole('admin'), (req, res) => {
+  try {
+    const format = String(req.query.format || 'json').toLowerCase();
+    if (format !== 'csv' && format !== 'json') return res.status(400).json(fail('invalid_export_format'));
+    const secrets = ['1', 'true'].includes(String(req.query.secrets || '').toLowerCase());
+    const rows = readStore().agents.map(a => ({
+      name: a.name,
+      mode: a.mode || 'inbound',
+      url: a.url || null,
+      token: secrets && a.mode !== 'reverse' ? a.token : null,
+    }));
+    auditReq(req, 'agent.export', null, { detail: { format, secrets } });
+    sendExport(res, 'agents', format, AGENT_COLUMNS, rows);
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+// import hosts: body = file, ?format=csv|json|dhcpd|dnsmasq&mode=merge|replace&dryRun=1
+// &agent=<name|id|local> sets the route for new hosts without one (lease files have none)
+app.post('/api/hosts/import', auth.requireRole('admin'), importBody, (req, res) => {
+  try {
+    const q = parseImportQuery('hosts', req.query);
+    if (q.error) return res.status(400).json(errorBody(q));
+
+    const store = readStore();
+    let defaultRoutes = [{ type: 'local' }];
+    if (req.query.agent) {
+      const r = resolveRouteRef(store, req.query.agent);
+      if (r.error) return res.status(400).json(errorBody(r));
+      defaultRoutes = [r.route];
+    }
+
+    let records;
+    try {
+      records = readImportRecords('hosts', q.format, importText(req));
+    } catch (e) {
+      return res.status(400).json(fail('invalid_file', { detail: e.message }));
+    }
+    if (records.length === 0) return res.status(400).json(fail('no_hosts_in_file'));
+
+    const plan = planHostImport(store, records, { mode: q.mode, defaultRoutes });
+    const report = publicPlan(plan, { dryRun: q.dryRun, mode: q.mode, format: q.format });
+    if (q.dryRun) return res.json({ ok: true, ...report });
+    if (plan.summary.error > 0) {
+      return res.status(400).json({ ...fail('import_invalid_rows', { count: plan.summary.error }), ...report });
+    }
+
+    for (const r of plan.rows) {
+      if (r.action === 'add') store.hosts.push({ id: newId('host'), ...r.host });
+      if (r.action === 'update') Object.assign(store.hosts.find(h => h.id === r.id), r.host);
+    }
+    plan.removed.forEach(h => removeHost(store, h.id));
+    writeStore(store);
+    auditReq(req, 'host.import', null, { detail: { format: q.format, mode: q.mode, ...plan.summary } });
+    res.json({ ok: true, ...report });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+// import agents: body = file, ?format=csv|json&mode=merge|replace&dryRun=1
+app.post('/api/agents/import', auth.requireRole('admin'), importBody, (req, res) => {
+  try {
+    const q = parseImportQuery('agents', req.query);
+    if (q.error) return res.status(400).json(errorBody(q));
+
+    let records;
+    try {
+      records = readImportRecords('agents', q.format, importText(req));
+    } catch (e) {
+      return res.status(400).json(fail('invalid_file', { detail: e.message }));
+    }
+    if (records.length === 0) return res.status(400).json(fail('no_agents_in_file'));
+
+    const store = readStore();
+    const plan = planAgentImport(store, records, { mode: q.mode });
+    const report = publicPlan(plan, { dryRun: q.dryRun, mode: q.mode, format: q.format });
+    if (q.dryRun) return res.json({ ok: true, ...report });
+    if (plan.summary.error > 0) {
+      return res.status(400).json({ ...fail('import_invalid_rows', { count: plan.summary.error }), ...report });
+    }
+
+    for (const r of plan.rows) {
+      if (r.action === 'add') store.agents.push({ id: newId('agent'), ...r.agent });
+      if (r.action === 'update') Object.assign(store.agents.find(a => a.id === r.id), r.agent);
+    }
+    const unroutable = plan.removed.flatMap(a => removeAgent(store, a.id).unroutable);
+    writeStore(store);
+    plan.removed.forEach(a => agentLink.drop(a.id));
+    auditReq(req, 'agent.import', null, { detail: { format: q.format, mode: q.mode, ...plan.summary, unroutableHosts: unroutable } });
+    res.json({ ok: true, ...report, unroutableHosts: unroutable });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+// wake host: try the host's routes in order (agent -> call agent, local -> send here)
+// send a command to an agent: signed HTTP POST for inbound agents,
+// queued on the long-poll link for reverse (outbound) agents
+function sendToAgent(agent, pathname, body, timeoutMs) {
+  if (agent.mode === 'reverse') return agentLink.send(agent.id, pathname, body, { timeoutMs });
+
+  const url = agent.url.replace(/\/+$/, '') + pathname;
+  const raw = JSON.stringify(body);
+  return fetchJson(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...signing.signHeaders(agent.token, 'POST', pathname, raw) },
+    body: raw,
+    signal: AbortSignal.timeout(timeoutMs),
+  });
+}
+
+// errors with a status came from the agent (it's up); others are network errors / timeouts
+async function callAgent(agent, pathname, body, { timeoutMs = 30 * 1000 } = {}) {
+  const started = process.hrtime.bigint();
+  try {
+    const r = await sendToAgent(agent, pathname, body, timeoutMs);
+    observeAgentCall(agent, pathname, started);
+    noteAgentReachability(agent, true);
+    return r;
+  } catch (e) {
+    observeAgentCall(agent, pathname, started, e);
+    noteAgentReachability(agent, agentAnswered(e), e.message);
+    throw e;
+  }
+}
+
+function withTimeout(promise, ms, message) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(message)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+
+wakeJobs.onUpdate(job => live.publish('wake.job', { job }));
+
+// create a wake job and, if the host has a probe, poll it in the background
+// (through the host's agent when routed via one, so ICMP/TCP come from inside the VLAN)
+function startVerification(host, agent, ctx = {}) {
+  const job = wakeJobs.startJob(host.id, { via: agent ? 'agent' : 'local', agentId: agent?.id });
+  if (!host.probe) return job;
+
+  const probeFn = agent
+    ? () => callAgent(agent, '/probe', { target: host.ip, method: host.probe, port: host.probePort ?? undefined })
+    : () => probe.probeOnce({ target: host.ip, method: host.probe, port: host.probePort });
+
+  wakeJobs.verifyJob(job, probeFn, { timeoutMs: WAKE_VERIFY_TIMEOUT_MS, intervalMs: WAKE_VERIFY_INTERVAL_MS })
+    .then(() => {
+      if (job.state === 'cancelled') return;
+      if (job.state === 'online') setPowerState(host.id, 'on', 'wake');
+      webhooks.emit(job.state === 'online' ? 'wake.succeeded' : 'wake.failed', {
+        host: webhookHost(host),
+        route: agent ? agent.id : 'local',
+        jobId: job.id,
+        onlineAfterMs: job.onlineAt ? Date.parse(job.onlineAt) - Date.parse(job.sentAt) : undefined,
+        error: job.state === 'online' ? undefined : `no response to ${host.probe} probe (${job.state})`,
+        actor: ctx.actor,
+      });
+      audit.record({
+        action: 'wake.verify',
+        ...ctx,
+        target: hostTarget(host),
+        route: agent ? agent.id : 'local',
+        outcome: job.state === 'online' ? 'ok' : 'error',
+        error: job.state === 'online' ? undefined : job.state,
+        detail: { jobId: job.id, attempts: job.attempts },
+      });
+    })
+    .catch(e => console.error(`wake job ${job.id}: ${e.message}`));
+  return job;
+}
+
+// wake job status (UI polls this after a wake)
+app.get('/api/wake-jobs/:id', auth.requireRole('viewer'), (req, res) => {
+  const job = wakeJobs.getJob(req.params.id);
+  if (!job) return res.status(404).json(fail('job_not_found'));
+  res.json(wakeJobs.publicJob(job));
+});
+
+// send the magic packet for one host (trying its routes in order) and start verification;
+// every wake is written to the audit log. ctx = { actor, ip }
+async function wakeHost(store, host, overrides = {}, ctx = {}) {
+  try {
+    const r = await sendWake(store, host, overrides, ctx);
+    audit.record({
+      action: 'wake',
+      ...ctx,
+      target: hostTarget(host),
+      route: r.route,
+      outcome: 'ok',
+      detail: { jobId: r.job?.id, attempts: r.attempts.length, transport: r.transport || r.result?.transport },
+    });
+    webhooks.emit('wake.sent', { host: webhookHost(host), route: r.route, jobId: r.job?.id, verify: !!host.probe, actor: ctx.actor });
+    return r;
+  } catch (e) {
+    audit.record({ action: 'wake', ...ctx, target: hostTarget(host), route: null, outcome: 'error', error: e.message, detail: { attempts: e.attempts } });
+    webhooks.emit('wake.failed', { host: webhookHost(host), error: e.message, attempts: e.attempts, actor: ctx.actor });
+    throw e;
+  }
+}
+
+// one attempt over one route
+async function sendViaRoute(host, agent, options) {
+  const timeoutMs = WAKE_ATTEMPT_TIMEOUT_MS + magicPacket.sendDurationMs(options);
+
+  const targetIp = host.ip || undefined;
+
+  if (agent) {
+    const r = await callAgent(agent, '/wake', { mac: host.mac, ...options, targetIp }, { timeoutMs });
+    return { via: 'agent', agentId: agent.id, result: r };
+  }
+
+  // local wake (same VLAN)
+  const r = await withTimeout(magicPacket.send(host.mac, options, { targetIp }), timeoutMs, 'local send timed out');
+  return { via: 'local', ...r };
+}
+
+// errors a retry on the same route can't fix (bad request, auth) -> go to the next route
+function isPermanentError(e) {
+  return e.status >= 400 && e.status < 500 && e.status !== 408 && e.status !== 429;
+}
+
+async function sendWake(store, host, overrides, ctx) {
+  const attempts = [];
+  const parsed = effectiveWakeOptions(host, overrides);
+  if (parsed.error) throw Object.assign(codedError(parsed.code, parsed.params), { attempts });
+
+  for (const route of host.routes) {
+    const key = routeKey(route);
+    const agent = route.type === 'agent' ? store.agents.find(a => a.id === route.agentId) : null;
+    if (route.type === 'agent' && !agent) {
+      attempts.push({ route: key, attempt: 1, ok: false, error: 'agent missing' });
+      metric.wakes.inc({ route: route.type, outcome: 'error' });
+      continue;
+    }
+    // known down (health monitor): not tried unless the caller forces it
+    if (agent && !overrides.force && agentMonitor.status(agent.id) === 'down') {
+      attempts.push({ route: key, attempt: 0, ok: false, skipped: true, error: 'agent down' });
+      metric.wakes.inc({ route: route.type, outcome: 'skipped' });
+      continue;
+    }
+
+    for (let i = 0; i <= WAKE_RETRIES; i++) {
+      if (i > 0) await sleep(WAKE_RETRY_BACKOFF_MS * 2 ** (i - 1));
+      const t0 = Date.now();
+      try {
+        const r = await sendViaRoute(host, agent, parsed.options);
+        attempts.push({ route: key, attempt: i + 1, ok: true, ms: Date.now() - t0 });
+        metric.wakes.inc({ route: route.type, outcome: 'ok' });
+        const job = startVerification(host, agent, ctx);
+        return { ok: true, ...r, route: key, attempts, job: wakeJobs.publicJob(job) };
+      } catch (e) {
+        attempts.push({ route: key, attempt: i + 1, ok: false, error: e.message, ms: Date.now() - t0 });
+        if (isPermanentError(e)) break;
+      }
+    }
+    metric.wakes.inc({ route: route.type, outcome: 'error' });
+  }
+
+  const allDown = attempts.length > 0 && attempts.every(a => a.skipped);
+  const err = codedError(!host.routes.length ? 'host_no_routes' : allDown ? 'all_routes_down' : 'all_routes_failed');
+  err.attempts = attempts;
+  throw err;
+}
+
+app.post('/api/wake/:hostId', auth.requireRole('operator'), async (req, res) => {
+  try {
+    const store = readStore();
+    const host = store.hosts.find(h => h.id === req.params.hostId);
+    if (!host) return res.status(404).json(fail('host_not_found'));
+    const parsed = effectiveWakeOptions(host, req.body || {});
+    if (parsed.error) return res.status(400).json(errorBody(parsed));
+
+    res.json(await wakeHost(store, host, req.body || {}, requestCtx(req)));
+  } catch (e) {
+    sendError(res, e, { attempts: e.attempts });
+  }
+});
+
+// ----- magic packet monitor (agents started with MONITOR=1) -----
+const WAKE_TEST_TIMEOUT_DEFAULT_MS = 5000;
+const WAKE_TEST_TIMEOUT_MAX_MS = 30 * 1000;
+const WAKE_TEST_POLL_MS = 500;
+
+// packets an agent's monitor received; 409 = the agent runs without MONITOR=1
+async function monitorPackets(agent, body) {
+  try {
+    return await callAgent(agent, '/monitor', body, { timeoutMs: 10 * 1000 });
+  } catch (e) {
+    if (e.status === 409) throw Object.assign(codedError('monitor_off', { agent: agent.name }), { status: 409 });
+    throw Object.assign(codedError('agent_request_failed', { detail: e.message }), { status: 502 });
+  }
+}
+
+// recent magic packets seen by an agent (?mac= ?after= ?limit=)
+app.get('/api/agents/:id/packets', auth.requireRole('viewer'), async (req, res) => {
+  try {
+    const agent = readStore().agents.find(a => a.id === req.params.id);
+    if (!agent) return res.status(404).json(fail('agent_not_found'));
+    const mac = req.query.mac ? normalizeMac(req.query.mac) : undefined;
+    if (mac && !isMac(mac)) return res.status(400).json(fail('invalid_mac'));
+    const r = await monitorPackets(agent, { mac, after: Number(req.query.after) || 0, limit: Number(req.query.limit) || 100 });
+    res.json({ ok: true, agentId: agent.id, listeners: r.listeners, lastSeq: r.lastSeq, packets: r.packets });
+  } catch (e) {
+    if (e.status) return res.status(e.status).json(errorBody(e));
+    sendError(res, e);
+  }
+});
+
+// send and verify receipt: one magic packet for the host over `route` ('local' or an agent id),
+// then watch `monitorAgentId`'s monitor for it. Only this route is tried (no failover, no wake job).
+app.post('/api/hosts/:id/wake-test', auth.requireRole('operator'), async (req, res) => {
+  try {
+    const store = readStore();
+    const host = store.hosts.find(h => h.id === req.params.id);
+    if (!host) return res.status(404).json(fail('host_not_found'));
+    const route = String(req.body?.route || 'local').trim();
+    const sender = route === 'local' ? null : store.agents.find(a => a.id === route);
+    if (route !== 'local' && !sender) return res.status(404).json(fail('route_agent_not_found', { agentId: route }));
+    const monitorAgent = store.agents.find(a => a.id === req.body?.monitorAgentId);
+    if (!monitorAgent) return res.status(404).json(fail('agent_not_found'));
+    const timeoutMs = req.body?.timeoutMs !== undefined ? Number(req.body.timeoutMs) : WAKE_TEST_TIMEOUT_DEFAULT_MS;
+    if (!Number.isInteger(timeoutMs) || timeoutMs < WAKE_TEST_POLL_MS || timeoutMs > WAKE_TEST_TIMEOUT_MAX_MS) {
+      return res.status(400).json(fail('invalid_wake_test_timeout', { min: WAKE_TEST_POLL_MS, max: WAKE_TEST_TIMEOUT_MAX_MS }));
+    }
+    const parsed = effectiveWakeOptions(host, req.body || {});
+    if (parsed.error) return res.status(400).json(errorBody(parsed));
+
+    // only packets after this one count
+    let watch;
+    try {
+      watch = await monitorPackets(monitorAgent, { limit: 1 });
+    } catch (e) {
+      return res.status(e.status).json(errorBody(e));
+    }
+
+    const started = Date.now();
+    const result = { ok: true, route, monitorAgentId: monitorAgent.id, sent: false, received: false, packets: [] };
+    try {
+      result.send = await sendViaRoute(host, sender, parsed.options);
+      result.sent = true;
+    } catch (e) {
+      result.error = e.message;
+    }
+    // the packet is out: whatever happens while asking the monitor, the test is still recorded
+    try {
+      while (result.sent && !result.received && Date.now() - started < timeoutMs) {
+        await sleep(WAKE_TEST_POLL_MS);
+        const r = await monitorPackets(monitorAgent, { after: watch.lastSeq, mac: host.mac });
+        result.packets = r.packets;
+        result.listeners = r.listeners;
+        result.received = r.packets.length > 0;
+      }
+    } catch (e) {
+      result.error = e.message;
+    }
+    result.listeners ||= watch.listeners;
+    result.elapsedMs = Date.now() - started;
+
+    auditReq(req, 'wake.test', hostTarget(host), {
+      route,
+      outcome: result.received ? 'ok' : 'error',
+      error: result.received ? undefined : result.error || 'not received',
+      detail: { monitorAgentId: monitorAgent.id, packets: result.packets.length },
+    });
+    res.json(result);
+  } catch (e) {
+    if (e.status) return res.status(e.status).json(errorBody(e));
+    sendError(res, e);
+  }
+});
+
+// ----- wake links (signed single-host URL, opened without a login; lib/wake-links.js) -----
+const WAKE_LINK_TTL_DEFAULT_MIN = 24 * 60;
+const WAKE_LINK_STATUS_ERRORS = { expired: 'wake_link_expired', used_up: 'wake_link_used_up', locked: 'wake_link_locked' };
+
+function parseWakeLinkBody(body, store) {
+  const host = store.hosts.find(h => h.id === body.hostId);
+  if (!host) return fail('host_not_found');
+  const ttlMin = body.ttlMin !== undefined ? Number(body.ttlMin) : WAKE_LINK_TTL_DEFAULT_MIN;
+  if (!Number.isInteger(ttlMin) || ttlMin < 1 || ttlMin > wakeLinks.TTL_MAX_MIN) {
+    return fail('invalid_ttl', { max: wakeLinks.TTL_MAX_MIN });
+  }
+  const maxUses = body.maxUses !== undefined ? Number(body.maxUses) : 1;
+  if (!Number.isInteger(maxUses) || maxUses < 1 || maxUses > wakeLinks.MAX_USES_MAX) {
+    return fail('invalid_max_uses', { max: wakeLinks.MAX_USES_MAX });
+  }
+  const pin = body.pin === undefined || body.pin === null || body.pin === '' ? null : String(body.pin);
+  if (pin !== null && !wakeLinks.PIN_PATTERN.test(pin)) return fail('invalid_pin');
+  const label = String(body.label || '').trim().slice(0, wakeLinks.LABEL_MAX) || null;
+  return { host, ttlMin, maxUses, pin, label };
+}
+
+// the token goes after the #, so it never reaches the server in the page request
+function wakeLinkUrl(req, link) {
+  const base = PUBLIC_URL || `${req.protocol}://${req.get('host')}`;
+  return `${base}/wake-link.html#${wakeLinks.token(link)}`;
+}
+
+const adminWakeLink = (req, link) => ({ ...wakeLinks.publicLink(link), url: wakeLinkUrl(req, link) });
+
+// wake links (admin): all, or one host's (?hostId=)
+app.get('/api/wake-links', auth.requireRole('admin'), (req, res) => {
+  try {
+    const hostId = req.query.hostId ? String(req.query.hostId) : null;
+    const links = readStore().wakeLinks.filter(l => !hostId || l.hostId === hostId);
+    res.json({ wakeLinks: links.map(l => adminWakeLink(req, l)) });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+// create a link for one host: { hostId, ttlMin, maxUses, pin?, label? }
+app.post('/api/wake-links', auth.requireRole('admin'), (req, res) => {
+  try {
+    const store = readStore();
+    const parsed = parseWakeLinkBody(req.body || {}, store);
+    if (parsed.error) return res.status(parsed.code === 'host_not_found' ? 404 : 400).json(errorBody(parsed));
+
+    const link = wakeLinks.create({
+      id: newId('wlink'),
+      hostId: parsed.host.id,
+      ttlMin: parsed.ttlMin,
+      maxUses: parsed.maxUses,
+      pinHash: parsed.pin ? auth.hashPassword(parsed.pin) : null,
+      label: parsed.label,
+      createdBy: req.user.username,
+    });
+    store.wakeLinks.push(link);
+    writeStore(store);
+    auditReq(req, 'wakelink.create', hostTarget(parsed.host),
+      { detail: { linkId: link.id, expiresAt: link.expiresAt, maxUses: link.maxUses, pin: !!link.pinHash } });
+
+    res.json({ ok: true, wakeLink: adminWakeLink(req, link) });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+// revoke (the URL stops working at once)
+app.delete('/api/wake-links/:id', auth.requireRole('admin'), (req, res) => {
+  try {
+    const store = readStore();
+    const link = store.wakeLinks.find(l => l.id === req.params.id);
+    if (!link) return res.status(404).json(fail('wake_link_not_found'));
+    store.wakeLinks = store.wakeLinks.filter(l => l.id !== link.id);
+    writeStore(store);
+    const host = store.hosts.find(h => h.id === link.hostId);
+    auditReq(req, 'wakelink.revoke', host ? hostTarget(host) : { type: 'host', id: link.hostId },
+      { detail: { linkId: link.id, uses: link.uses } });
+    res.json({ ok: true });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+// QR code of the URL (shown in the host's link dialog)
+app.get('/api/wake-links/:id/qr.svg', auth.requireRole('admin'), async (req, res) => {
+  try {
+    const link = readStore().wakeLinks.find(l => l.id === req.params.id);
+    if (!link) return res.status(404).json(fail('wake_link_not_found'));
+    const svg = await QRCode.toString(wakeLinkUrl(req, link), { type: 'svg', margin: 1, errorCorrectionLevel: 'M' });
+    res.type('image/svg+xml').set('Cache-Control', 'no-store').send(svg);
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+// the link page (public/wake-link.html) posts its token; a token that doesn't verify is 404.
+// info / wake are where a token or PIN could be guessed: strict. Following a wake's verification
+// polls every few seconds, so it has its own, looser bucket
+const wakeLinkLimiter = limiter('wakeLink', {
+  windowMs: 15 * 60 * 1000,
+  max: 30,
+  message: fail('rate_limited'),
+});
+const wakeLinkJobLimiter = limiter('wakeLinkJob', {
+  windowMs: 15 * 60 * 1000,
+  max: 600,
+  message: fail('rate_limited'),
+});
+
+function findWakeLink(store, token) {
+  const link = wakeLinks.find(store.wakeLinks, token);
+  const host = link && store.hosts.find(h => h.id === link.hostId);
+  return host ? { link, host } : null;
+}
+
+// what the page shows before the button is pressed
+app.post('/wake-link/info', wakeLinkLimiter, (req, res) => {
+  try {
+    const found = findWakeLink(readStore(), req.body?.token);
+    if (!found) return res.status(404).json(fail('wake_link_invalid'));
+    const { link, host } = found;
+    res.json({
+      host: { name: host.name },
+      label: link.label,
+      status: wakeLinks.status(link),
+      expiresAt: link.expiresAt,
+      usesLeft: Math.max(link.maxUses - link.uses, 0),
+      pinRequired: !!link.pinHash,
+      verify: !!host.probe,
+    });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+// give back a use taken for a wake that didn't go out
+function refundWakeLinkUse(linkId) {
+  try {
+    const store = readStore();
+    const link = store.wakeLinks.find(l => l.id === linkId);
+    if (!link) return;
+    link.uses = Math.max(link.uses - 1, 0);
+    writeStore(store);
+  } catch (e) {
+    console.error(`wake link ${linkId}: use not refunded: ${e.message}`);
+  }
+}
+
+// wake the link's host through its routes; every attempt is audited as wakelink.use
+app.post('/wake-link/wake', wakeLinkLimiter, async (req, res) => {
+  const ctx = { actor: { type: 'wake-link', id: null, name: null }, ip: req.ip };
+  const used = (host, linkId, outcome, extra) => audit.record({
+    action: 'wakelink.use', ...ctx, target: host ? hostTarget(host) : null, outcome, ...extra, detail: { linkId, ...extra.detail },
+  });
+  try {
+    const store = readStore();
+    const found = findWakeLink(store, req.body?.token);
+    if (!found) {
+      used(null, null, 'error', { error: 'wake_link_invalid' });
+      return res.status(404).json(fail('wake_link_invalid'));
+    }
+    const { link, host } = found;
+    Object.assign(ctx.actor, { id: link.id, name: link.label || host.name });
+    const refuse = (status, code, params) => {
+      used(host, link.id, 'error', { error: code });
+      res.status(status).json(fail(code, params));
+    };
+
+    const state = wakeLinks.status(link);
+    if (state !== 'active') return refuse(410, WAKE_LINK_STATUS_ERRORS[state]);
+    if (link.pinHash && !auth.verifyPassword(req.body?.pin ?? '', link.pinHash)) {
+      link.pinFailures += 1;
+      writeStore(store);
+      const left = wakeLinks.MAX_PIN_FAILURES - link.pinFailures;
+      return left > 0 ? refuse(403, 'wake_link_pin_invalid', { left }) : refuse(410, 'wake_link_locked');
+    }
+
+    // the use is taken before sending, so two concurrent presses can't both pass maxUses (one gets 409)
+    link.uses += 1;
+    link.pinFailures = 0;
+    link.lastUsedAt = new Date().toISOString();
+    writeStore(store);
+
+    let r;
+    try {
+      r = await wakeHost(store, host, {}, ctx);
+    } catch (e) {
+      refundWakeLinkUse(link.id);
+      used(host, link.id, 'error', { error: e.message });
+      return sendError(res, e);
+    }
+    used(host, link.id, 'ok', { route: r.route, detail: { jobId: r.job?.id, uses: link.uses } });
+    res.json({ ok: true, jobId: r.job?.id ?? null, usesLeft: Math.max(link.maxUses - link.uses, 0) });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+// verification progress of a wake sent through the link (only jobs of the link's host)
+app.post('/wake-link/job', wakeLinkJobLimiter, (req, res) => {
+  try {
+    const found = findWakeLink(readStore(), req.body?.token);
+    if (!found) return res.status(404).json(fail('wake_link_invalid'));
+    const job = wakeJobs.getJob(String(req.body?.jobId || ''));
+    if (!job || job.hostId !== found.host.id) return res.status(404).json(fail('job_not_found'));
+    const { state, attempts, sentAt, onlineAt, finishedAt } = wakeJobs.publicJob(job);
+    res.json({ state, attempts, sentAt, onlineAt, finishedAt });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+// ----- power actions (shutdown / suspend / reboot through the host's endpoint) -----
+
+// last known power state: on (wake confirmed by the probe, reboot) / off / suspended
+function setPowerState(hostId, state, by) {
+  try {
+    const store = readStore();
+    const host = store.hosts.find(h => h.id === hostId);
+    if (!host) return;
+    host.power = { state, by, at: new Date().toISOString() };
+    writeStore(store);
+  } catch (e) {
+    console.error(`power state of ${hostId}: ${e.message}`);
+  }
+}
+
+// body.action / body.dryRun -> { action, dryRun } or { error }
+function parsePowerRequest(body) {
+  const action = String(body?.action || '');
+  if (!power.isPowerAction(action)) return fail('invalid_power_action', { values: power.POWER_ACTIONS.join(', ') });
+  return { action, dryRun: body?.dryRun === true };
+}
+
+// signed POST /power to the host's endpoint; every request is written to the audit log. ctx = { actor, ip }
+async function powerHost(host, action, { dryRun = false } = {}, ctx = {}) {
+  try {
+    if (!host.endpoint) throw codedError('host_no_endpoint');
+    const url = host.endpoint.url.replace(/\/+$/, '') + '/power';
+    const raw = JSON.stringify({ action, dryRun });
+    let r;
+    try {
+      r = await fetchJson(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...signing.signHeaders(host.endpoint.token, 'POST', '/power', raw) },
+        body: raw,
+        signal: AbortSignal.timeout(POWER_TIMEOUT_MS),
+      });
+    } catch (e) {
+      throw codedError('endpoint_request_failed', { detail: e.message });
+    }
+
+    // the endpoint may be in dry-run mode itself (ENDPOINT_DRY_RUN)
+    if (!r.dryRun) setPowerState(host.id, power.POWER_STATES[action], action);
+    metric.power.inc({ action, outcome: r.dryRun ? 'dry_run' : 'ok' });
+    audit.record({ action: `power.${action}`, ...ctx, target: hostTarget(host), outcome: 'ok', detail: { dryRun: !!r.dryRun, command: r.command } });
+    return { ok: true, hostId: host.id, action, dryRun: !!r.dryRun, command: r.command };
+  } catch (e) {
+    metric.power.inc({ action, outcome: 'error' });
+    audit.record({ action: `power.${action}`, ...ctx, target: hostTarget(host), outcome: 'error', error: e.message });
+    throw e;
+  }
+}
+
+app.post('/api/hosts/:id/power', auth.requireRole('operator'), async (req, res) => {
+  try {
+    const host = readStore().hosts.find(h => h.id === req.params.id);
+    if (!host) return res.status(404).json(fail('host_not_found'));
+    const parsed = parsePowerRequest(req.body);
+    if (parsed.error) return res.status(400).json(errorBody(parsed));
+    if (!host.endpoint) return res.status(400).json(fail('host_no_endpoint'));
+
+    res.json(await powerHost(host, parsed.action, parsed, requestCtx(req)));
+  } catch (e) {
+    if (e.code === 'endpoint_request_failed') return res.status(502).json(errorBody(e));
+    sendError(res, e);
+  }
+});
+
+// ----- host groups -----
+const GROUP_DELAY_DEFAULT_MS = 1000;
+const GROUP_DELAY_MAX_MS = 60 * 1000;
+
+function parseDelayMs(v, fallback) {
+  if (v === undefined || v === null || v === '') return fallback;
+  const n = Number(v);
+  return Number.isInteger(n) && n >= 0 && n <= GROUP_DELAY_MAX_MS ? n : NaN;
+}
+
+function parseHostIds(v, store) {
+  if (!Array.isArray(v)) return fail('host_ids_not_array');
+  const hostIds = [...new Set(v.map(x => String(x).trim()).filter(Boolean))];
+  const unknown = hostIds.filter(id => !store.hosts.some(h => h.id === id));
+  if (unknown.length) return fail('host_ids_not_found', { hostIds: unknown.join(', ') });
+  return { hostIds };
+}
+
+// add group
+app.post('/api/groups', auth.requireRole('admin'), (req, res) => {
+  try {
+    const name = String(req.body?.name || '').trim();
+    const delayMs = parseDelayMs(req.body?.delayMs, GROUP_DELAY_DEFAULT_MS);
+
+    if (!name) return res.status(400).json(fail('name_required'));
+    if (Number.isNaN(delayMs)) return res.status(400).json(fail('invalid_delay', { max: GROUP_DELAY_MAX_MS }));
+
+    const store = readStore();
+    const parsed = parseHostIds(req.body?.hostIds ?? [], store);
+    if (parsed.error) return res.status(400).json(errorBody(parsed));
+    if (store.groups.some(g => g.name === name)) return res.status(409).json(fail('group_name_exists'));
+
+    const id = newId('group');
+    store.groups.push({ id, name, hostIds: parsed.hostIds, delayMs });
+    writeStore(store);
+    auditReq(req, 'group.create', { type: 'group', id, name }, { detail: { hostIds: parsed.hostIds, delayMs } });
+
+    res.json({ ok: true, id });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+// update group (name/hostIds/delayMs)
+app.put('/api/groups/:id', auth.requireRole('admin'), (req, res) => {
+  try {
+    const id = req.params.id;
+    const store = readStore();
+    const group = store.groups.find(g => g.id === id);
+    if (!group) return res.status(404).json(fail('group_not_found'));
+
+    const name = req.body?.name !== undefined ? String(req.body.name).trim() : group.name;
+    const delayMs = req.body?.delayMs !== undefined ? parseDelayMs(req.body.delayMs, GROUP_DELAY_DEFAULT_MS) : group.delayMs;
+    const parsed = req.body?.hostIds !== undefined ? parseHostIds(req.body.hostIds, store) : { hostIds: group.hostIds };
+
+    if (!name) return res.status(400).json(fail('name_required'));
+    if (Number.isNaN(delayMs)) return res.status(400).json(fail('invalid_delay', { max: GROUP_DELAY_MAX_MS }));
+    if (parsed.error) return res.status(400).json(errorBody(parsed));
+    if (store.groups.some(g => g.id !== id && g.name === name)) {
+      return res.status(409).json(fail('group_name_exists'));
+    }
+
+    group.name = name;
+    group.delayMs = delayMs;
+    group.hostIds = parsed.hostIds;
+
+    writeStore(store);
+    auditReq(req, 'group.update', { type: 'group', id, name }, { detail: { hostIds: group.hostIds, delayMs } });
+    res.json({ ok: true });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+// delete group (hosts are kept)
+app.delete('/api/groups/:id', auth.requireRole('admin'), (req, res) => {
+  try {
+    const store = readStore();
+    const group = store.groups.find(g => g.id === req.params.id);
+    if (!group) return res.status(404).json(fail('group_not_found'));
+    store.groups = store.groups.filter(g => g.id !== group.id);
+    store.schedules = store.schedules.filter(x => !(x.target.type === 'group' && x.target.id === req.params.id));
+    writeStore(store);
+    auditReq(req, 'group.delete', { type: 'group', id: group.id, name: group.name });
+    res.json({ ok: true });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+// wake hosts one by one, waiting delayMs between packets (avoid power inrush / DHCP storms).
+// A failed host doesn't stop the batch. Progress goes to the live stream (`group.wake`,
+// one event per host, `done` at the end; groupId is null for a selection of hosts).
+async function wakeInTurn(store, hostIds, { delayMs, overrides = {}, ctx = {}, group = null }) {
+  const results = [];
+  const run = { id: newId('run'), groupId: group?.id || null, name: group?.name || null, total: hostIds.length, actor: ctx.actor };
+  const progress = (extra) => live.publish('group.wake', {
+    ...run, sent: results.filter(r => r.ok).length, failed: results.filter(r => !r.ok).length, ...extra,
+  });
+  progress({ state: 'running' });
+
+  for (const [i, hostId] of hostIds.entries()) {
+    if (i > 0 && delayMs > 0) await new Promise(r => setTimeout(r, delayMs));
+
+    const host = store.hosts.find(h => h.id === hostId);
+    if (!host) {
+      results.push({ hostId, ok: false, ...fail('host_not_found') });
+      progress({ state: 'running', hostId });
+      continue;
+    }
+    try {
+      const r = await wakeHost(store, host, overrides, ctx);
+      results.push({ hostId, name: host.name, ...r });
+    } catch (e) {
+      results.push({ hostId, name: host.name, ok: false, ...errorBody(e), attempts: e.attempts });
+    }
+    progress({ state: 'running', hostId });
+  }
+
+  progress({ state: 'done' });
+  return { results, failed: results.filter(r => !r.ok).length };
+}
+
+// wake every host of a group in turn
+async function wakeGroup(store, group, overrides = {}, ctx = {}) {
+  const delayMs = overrides.delayMs ?? group.delayMs ?? GROUP_DELAY_DEFAULT_MS;
+  const { results, failed } = await wakeInTurn(store, group.hostIds, { delayMs, overrides, ctx, group });
+  audit.record({
+    action: 'group.wake',
+    ...ctx,
+    target: { type: 'group', id: group.id, name: group.name },
+    outcome: failed === 0 ? 'ok' : 'error',
+    detail: { total: results.length, failed },
+  });
+  return { ok: failed === 0, groupId: group.id, delayMs, total: results.length, failed, results };
+}
+
+app.post('/api/groups/:id/wake', auth.requireRole('operator'), async (req, res) => {
+  try {
+    const store = readStore();
+    const group = store.groups.find(g => g.id === req.params.id);
+    if (!group) return res.status(404).json(fail('group_not_found'));
+
+    const delayMs = parseDelayMs(req.body?.delayMs, undefined);
+    if (Number.isNaN(delayMs)) return res.status(400).json(fail('invalid_delay', { max: GROUP_DELAY_MAX_MS }));
+
+    res.json(await wakeGroup(store, group, { ...(req.body || {}), delayMs }, requestCtx(req)));
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+// power action for every host of a group, all at once (hosts without an endpoint are reported, not fatal)
+async function powerGroup(store, group, action, { dryRun = false } = {}, ctx = {}) {
+  const results = await Promise.all(group.hostIds.map(async (hostId) => {
+    const host = store.hosts.find(h => h.id === hostId);
+    if (!host) return { hostId, ok: false, ...fail('host_not_found') };
+    try {
+      return { name: host.name, ...(await powerHost(host, action, { dryRun }, ctx)) };
+    } catch (e) {
+      return { hostId, name: host.name, ok: false, ...errorBody(e) };
+    }
+  }));
+  const failed = results.filter(r => !r.ok).length;
+  audit.record({
+    action: 'group.power',
+    ...ctx,
+    target: { type: 'group', id: group.id, name: group.name },
+    outcome: failed === 0 ? 'ok' : 'error',
+    detail: { action, dryRun, total: results.length, failed },
+  });
+  return { ok: failed === 0, groupId: group.id, action, dryRun, total: results.length, failed, results };
+}
+
+app.post('/api/groups/:id/power', auth.requireRole('operator'), async (req, res) => {
+  try {
+    const store = readStore();
+    const group = store.groups.find(g => g.id === req.params.id);
+    if (!group) return res.status(404).json(fail('group_not_found'));
+    const parsed = parsePowerRequest(req.body);
+    if (parsed.error) return res.status(400).json(errorBody(parsed));
+
+    res.json(await powerGroup(store, group, parsed.action, parsed, requestCtx(req)));
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+// ----- schedules -----
+
+// what a schedule does to its target (schedules from before power actions have no action: wake)
+const SCHEDULE_ACTIONS = ['wake', ...power.POWER_ACTIONS];
+
+// validate schedule fields from a request body; fields not present keep `current`
+function parseScheduleFields(body, store, current = {}) {
+  const pick = (k, def) => (body?.[k] !== undefined ? body[k] : (current[k] ?? def));
+
+  const name = String(pick('name', '')).trim();
+  const expr = String(pick('cron', '')).trim();
+  const timezone = String(pick('timezone', 'UTC')).trim();
+  const target = pick('target', null);
+  const action = String(pick('action', 'wake'));
+  const enabled = pick('enabled', true) !== false;
+  const catchUp = pick('catchUp', false) === true;
+
+  if (!name) return fail('name_required');
+  try {
+    cron.parseCron(expr);
+  } catch (e) {
+    return fail('invalid_cron', { detail: e.message });
+  }
+  if (!cron.isTimeZone(timezone)) return fail('invalid_timezone');
+  if (!target || !['host', 'group'].includes(target.type)) return fail('invalid_schedule_target');
+  const targetId = String(target.id || '').trim();
+  const exists = target.type === 'host'
+    ? store.hosts.some(h => h.id === targetId)
+    : store.groups.some(g => g.id === targetId);
+  if (!exists) return fail('schedule_target_not_found', { type: target.type });
+  if (!SCHEDULE_ACTIONS.includes(action)) return fail('invalid_schedule_action', { values: SCHEDULE_ACTIONS.join(', ') });
+
+  const fields = { name, cron: expr, timezone, target: { type: target.type, id: targetId }, action, enabled, catchUp };
+  fields.nextRunAt = scheduler.computeNextRunAt(fields);
+  if (!fields.nextRunAt) return fail('cron_never_fires');
+  return fields;
+}
+
+// scheduled run: same wake / power path as the UI and the API
+async function runScheduleTarget(schedule) {
+  const store = readStore();
+  const ctx = { actor: { type: 'scheduler', id: schedule.id, name: schedule.name }, ip: null };
+  const action = schedule.action || 'wake';
+  if (schedule.target.type === 'group') {
+    const group = store.groups.find(g => g.id === schedule.target.id);
+    if (!group) return { ok: false, error: 'group not found' };
+    const r = action === 'wake' ? await wakeGroup(store, group, {}, ctx) : await powerGroup(store, group, action, {}, ctx);
+    return { ok: r.ok, total: r.total, failed: r.failed };
+  }
+  const host = store.hosts.find(h => h.id === schedule.target.id);
+  if (!host) return { ok: false, error: 'host not found' };
+  if (action !== 'wake') {
+    await powerHost(host, action, {}, ctx);
+    return { ok: true, action };
+  }
+  const r = await wakeHost(store, host, {}, ctx);
+  return { ok: true, via: r.via, agentId: r.agentId ?? null, route: r.route };
+}
+
+// add schedule
+app.post('/api/schedules', auth.requireRole('admin'), (req, res) => {
+  try {
+    const store = readStore();
+    const fields = parseScheduleFields(req.body, store);
+    if (fields.error) return res.status(400).json(errorBody(fields));
+
+    const id = newId('sched');
+    store.schedules.push({ id, ...fields, lastRunAt: null, lastResult: null, lastMissedAt: null });
+    writeStore(store);
+    auditReq(req, 'schedule.create', { type: 'schedule', id, name: fields.name }, { detail: { cron: fields.cron, timezone: fields.timezone, target: fields.target, action: fields.action } });
+
+    res.json({ ok: true, id, nextRunAt: fields.nextRunAt });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+// update schedule (any field; nextRunAt is recomputed from now)
+app.put('/api/schedules/:id', auth.requireRole('admin'), (req, res) => {
+  try {
+    const store = readStore();
+    const schedule = store.schedules.find(x => x.id === req.params.id);
+    if (!schedule) return res.status(404).json(fail('schedule_not_found'));
+
+    const fields = parseScheduleFields(req.body, store, schedule);
+    if (fields.error) return res.status(400).json(errorBody(fields));
+
+    Object.assign(schedule, fields);
+    writeStore(store);
+    auditReq(req, 'schedule.update', { type: 'schedule', id: schedule.id, name: schedule.name }, { detail: { cron: fields.cron, enabled: fields.enabled } });
+    res.json({ ok: true, nextRunAt: fields.nextRunAt });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+// delete schedule
+app.delete('/api/schedules/:id', auth.requireRole('admin'), (req, res) => {
+  try {
+    const store = readStore();
+    const schedule = store.schedules.find(x => x.id === req.params.id);
+    if (!schedule) return res.status(404).json(fail('schedule_not_found'));
+    store.schedules = store.schedules.filter(x => x.id !== schedule.id);
+    writeStore(store);
+    auditReq(req, 'schedule.delete', { type: 'schedule', id: schedule.id, name: schedule.name });
+    res.json({ ok: true });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+// ----- network discovery -----
+const DISCOVERY_TIMEOUT_MS = 60 * 1000;
+const discoveryResults = new Map(); // route key ('local' / agent id) -> latest scan
+
+// neighbours seen by any source whose MAC isn't a registered host, merged by MAC
+function discoveryView(store) {
+  const registered = new Set(store.hosts.map(h => h.mac));
+  const sources = [];
+  const byMac = new Map();
+  // results of agents deleted since are dropped
+  for (const route of ['local', ...store.agents.map(a => a.id)]) {
+    const r = discoveryResults.get(route);
+    if (!r) continue;
+    sources.push({ route, ok: r.ok, error: r.error || null, scannedAt: r.scannedAt, sweep: r.sweep || null, count: r.neighbours?.length ?? 0 });
+    for (const n of r.neighbours || []) {
+      const mac = normalizeMac(n.mac);
+      if (!isMac(mac) || registered.has(mac)) continue;
+      if (!byMac.has(mac)) byMac.set(mac, { mac, ip: n.ip, name: n.name || null, seenBy: [] });
+      byMac.get(mac).seenBy.push({ route, ip: n.ip, name: n.name || null, device: n.device || null, scannedAt: r.scannedAt });
+    }
+  }
+  return { sources, discovered: [...byMac.values()] };
+}
+
+async function scanSource(route, store, subnet) {
+  const body = subnet ? { subnet } : {};
+  try {
+    let r;
+    if (route === 'local') {
+      r = await discovery.discover(body);
+    } else {
+      const agent = store.agents.find(a => a.id === route);
+      r = await callAgent(agent, '/discover', body, { timeoutMs: DISCOVERY_TIMEOUT_MS });
+    }
+    discoveryResults.set(route, { ok: true, neighbours: r.neighbours || [], sweep: r.sweep || null, scannedAt: r.scannedAt || new Date().toISOString() });
+  } catch (e) {
+    discoveryResults.set(route, { ok: false, error: e.message, neighbours: [], scannedAt: new Date().toISOString() });
+  }
+}
+
+// latest results (unregistered machines only)
+app.get('/api/discovery', auth.requireRole('admin'), (req, res) => {
+  try {
+    res.json(discoveryView(readStore()));
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+// scan: { source?: 'local' | agentId, subnet?: CIDR to ping-sweep first (needs a single source) }
+// without source every agent and the controller itself are asked in parallel
+app.post('/api/discovery', auth.requireRole('admin'), async (req, res) => {
+  try {
+    const store = readStore();
+    const source = req.body?.source ? String(req.body.source).trim() : null;
+    const subnet = req.body?.subnet ? String(req.body.subnet).trim() : null;
+
+    if (source && source !== 'local' && !store.agents.some(a => a.id === source)) {
+      return res.status(404).json(fail('agent_not_found'));
+    }
+    if (subnet && !source) return res.status(400).json(fail('subnet_requires_source'));
+    if (subnet && !discovery.parseSubnet(subnet)) {
+      return res.status(400).json(fail('invalid_subnet', { min: discovery.MIN_PREFIX }));
+    }
+
+    const routes = source ? [source] : ['local', ...store.agents.map(a => a.id)];
+    await Promise.all(routes.map(route => scanSource(route, store, subnet)));
+
+    const view = discoveryView(readStore());
+    auditReq(req, 'discovery.scan', null, {
+      detail: { sources: routes, subnet, found: view.discovered.length, failed: routes.filter(r => !discoveryResults.get(r).ok) },
+    });
+    res.json(view);
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+// ----- agent enrollment (join codes) + reverse link -----
+const JOIN_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const JOIN_CODE_TTL_DEFAULT_MIN = 15;
+const JOIN_CODE_TTL_MAX_MIN = 24 * 60;
+
+function newJoinCode() {
+  const bytes = crypto.randomBytes(12);
+  const chars = [...bytes].map(b => JOIN_CODE_ALPHABET[b % JOIN_CODE_ALPHABET.length]).join('');
+  return chars.match(/.{4}/g).join('-');
+}
+
+function hashJoinCode(code) {
+  const normalized = String(code).toUpperCase().replace(/[^A-Z0-9]/g, '');
+  return crypto.createHash('sha256').update(normalized).digest('hex');
+}
+
+function pruneJoinCodes(store) {
+  const now = new Date().toISOString();
+  store.joinCodes = store.joinCodes.filter(j => j.expiresAt > now);
+}
+
+// issue a one-time join code (only its hash is stored)
+app.post('/api/join-codes', auth.requireRole('admin'), (req, res) => {
+  try {
+    const name = String(req.body?.name || '').trim();
+    const ttlMin = req.body?.ttlMin !== undefined ? Number(req.body.ttlMin) : JOIN_CODE_TTL_DEFAULT_MIN;
+    if (!Number.isInteger(ttlMin) || ttlMin < 1 || ttlMin > JOIN_CODE_TTL_MAX_MIN) {
+      return res.status(400).json(fail('invalid_ttl', { max: JOIN_CODE_TTL_MAX_MIN }));
+    }
+
+    const store = readStore();
+    pruneJoinCodes(store);
+    const code = newJoinCode();
+    const id = newId('join');
+    const expiresAt = new Date(Date.now() + ttlMin * 60 * 1000).toISOString();
+    store.joinCodes.push({ id, codeHash: hashJoinCode(code), name: name || null, expiresAt, createdBy: req.user.username });
+    writeStore(store);
+    auditReq(req, 'agent.join-code', { type: 'join-code', id, name: name || null }, { detail: { expiresAt } });
+
+    res.json({ ok: true, id, code, expiresAt });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+// unused, unexpired join codes
+app.get('/api/join-codes', auth.requireRole('admin'), (req, res) => {
+  try {
+    const store = readStore();
+    pruneJoinCodes(store);
+    res.json({ joinCodes: store.joinCodes.map(({ codeHash, ...j }) => j) });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+// revoke a join code
+app.delete('/api/join-codes/:id', auth.requireRole('admin'), (req, res) => {
+  try {
+    const store = readStore();
+    const before = store.joinCodes.length;
+    store.joinCodes = store.joinCodes.filter(j => j.id !== req.params.id);
+    if (store.joinCodes.length === before) return res.status(404).json(fail('join_code_not_found'));
+    writeStore(store);
+    res.json({ ok: true });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+// agent enrollment: join code -> reverse agent + secret (shown only once)
+app.post('/agent-link/enroll', limiter('enroll', {
+  windowMs: 15 * 60 * 1000,
+  max: 10,
+}), (req, res) => {
+  try {
+    const codeHash = hashJoinCode(req.body?.code || '');
+    const store = readStore();
+    pruneJoinCodes(store);
+    const joinCode = store.joinCodes.find(j => j.codeHash === codeHash);
+    if (!joinCode) return res.status(401).json(fail('invalid_join_code'));
+
+    const id = newId('agent');
+    const name = joinCode.name || String(req.body?.name || '').trim().slice(0, 100) || id;
+    const secret = crypto.randomBytes(32).toString('hex');
+
+    store.joinCodes = store.joinCodes.filter(j => j.id !== joinCode.id);
+    store.agents.push({ id, name, url: null, token: secret, mode: 'reverse', enrolledAt: new Date().toISOString() });
+    writeStore(store);
+    audit.record({ action: 'agent.enroll', actor: { type: 'agent', id, name }, ip: req.ip, target: { type: 'agent', id, name }, outcome: 'ok', detail: { joinCodeId: joinCode.id } });
+
+    res.json({ ok: true, agentId: id, secret });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+// reverse agents sign with their enrollment secret and name themselves in X-WoL-Agent-Id
+const requireAgentSignature = signing.requireSignature({
+  secrets: (req) => {
+    const agent = readStore().agents.find(a => a.id === req.get(agentLink.HEADER_AGENT_ID) && a.mode === 'reverse');
+    return agent ? [agent.token] : [];
+  },
+  maxSkewSec: AGENT_MAX_SKEW_SEC,
+});
+
+app.post('/agent-link/poll', requireAgentSignature, (req, res) => {
+  agentLink.poll(req.get(agentLink.HEADER_AGENT_ID), res);
+});
+
+app.post('/agent-link/result', requireAgentSignature, (req, res) => {
+  const known = agentLink.complete(req.get(agentLink.HEADER_AGENT_ID), req.body);
+  res.json({ ok: true, known });
+});
+
+// ----- webhooks -----
+const WEBHOOK_SECRET_MIN = 16;
+
+function publicWebhook(w) {
+  const { secret, ...rest } = w;
+  return rest;
+}
+
+// webhook target from a request body; fields not present keep `current`.
+// No secret (or regenerateSecret) -> a new one, returned once by the route
+function parseWebhookFields(body, current = {}) {
+  const name = body?.name !== undefined ? String(body.name || '').trim() : (current.name || '');
+  const url = body?.url !== undefined ? String(body.url || '').trim() : (current.url || '');
+  const events = body?.events !== undefined ? body.events : (current.events || ['*']);
+  const template = body?.template !== undefined ? String(body.template || '').trim() : (current.template || 'generic');
+  const enabled = body?.enabled !== undefined ? body.enabled !== false : (current.enabled ?? true);
+  let secret = body?.secret ? String(body.secret).trim() : current.secret;
+
+  if (!name) return fail('name_required');
+  if (!/^https?:\/\//.test(url) || !URL.canParse(url)) return fail('invalid_url');
+  if (!Array.isArray(events) || events.length === 0 || events.some(x => x !== '*' && !WEBHOOK_EVENTS.includes(x))) {
+    return fail('invalid_webhook_events', { values: WEBHOOK_EVENTS.join(', ') });
+  }
+  if (!WEBHOOK_TEMPLATES.includes(template)) return fail('invalid_webhook_template', { values: WEBHOOK_TEMPLATES.join(', ') });
+  if (secret && secret.length < WEBHOOK_SECRET_MIN) return fail('webhook_secret_too_short', { min: WEBHOOK_SECRET_MIN });
+
+  const generated = !secret || body?.regenerateSecret === true;
+  if (generated) secret = newSecret();
+  return { fields: { name, url, events: [...new Set(events)], template, enabled, secret }, generated };
+}
+
+app.get('/api/webhooks', auth.requireRole('admin'), (req, res) => {
+  try {
+    res.json({ webhooks: readStore().webhooks.map(publicWebhook), events: WEBHOOK_EVENTS, templates: WEBHOOK_TEMPLATES });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+// add webhook target (the secret is returned only here)
+app.post('/api/webhooks', auth.requireRole('admin'), (req, res) => {
+  try {
+    const parsed = parseWebhookFields(req.body);
+    if (parsed.error) return res.status(400).json(errorBody(parsed));
+
+    const store = readStore();
+    const id = newId('hook');
+    store.webhooks.push({ id, ...parsed.fields });
+    writeStore(store);
+    auditReq(req, 'webhook.create', { type: 'webhook', id, name: parsed.fields.name },
+      { detail: { url: parsed.fields.url, events: parsed.fields.events, template: parsed.fields.template } });
+
+    res.json({ ok: true, id, secret: parsed.fields.secret });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+app.put('/api/webhooks/:id', auth.requireRole('admin'), (req, res) => {
+  try {
+    const store = readStore();
+    const hook = store.webhooks.find(w => w.id === req.params.id);
+    if (!hook) return res.status(404).json(fail('webhook_not_found'));
+
+    const parsed = parseWebhookFields(req.body, hook);
+    if (parsed.error) return res.status(400).json(errorBody(parsed));
+
+    Object.assign(hook, parsed.fields);
+    writeStore(store);
+    auditReq(req, 'webhook.update', { type: 'webhook', id: hook.id, name: hook.name },
+      { detail: { url: hook.url, events: hook.events, template: hook.template, enabled: hook.enabled, secretChanged: parsed.generated || !!req.body?.secret } });
+
+    res.json({ ok: true, ...(parsed.generated ? { secret: hook.secret } : {}) });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+app.delete('/api/webhooks/:id', auth.requireRole('admin'), (req, res) => {
+  try {
+    const store = readStore();
+    const hook = store.webhooks.find(w => w.id === req.params.id);
+    if (!hook) return res.status(404).json(fail('webhook_not_found'));
+    store.webhooks = store.webhooks.filter(w => w.id !== hook.id);
+    writeStore(store);
+    auditReq(req, 'webhook.delete', { type: 'webhook', id: hook.id, name: hook.name });
+    res.json({ ok: true });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+// send a `test` event once (no retries) and wait for the answer
+app.post('/api/webhooks/:id/test', auth.requireRole('admin'), async (req, res) => {
+  try {
+    const hook = readStore().webhooks.find(w => w.id === req.params.id);
+    if (!hook) return res.status(404).json(fail('webhook_not_found'));
+
+    const ev = webhooks.newEvent('test', { actor: requestCtx(req).actor });
+    const delivery = await webhooks.deliver(hook, ev, { maxRetries: 0 }).done;
+    const ok = delivery.state === 'delivered';
+    auditReq(req, 'webhook.test', { type: 'webhook', id: hook.id, name: hook.name },
+      { outcome: ok ? 'ok' : 'error', error: ok ? undefined : delivery.attempts[0]?.error || `HTTP ${delivery.attempts[0]?.status}` });
+    res.json({ ok, delivery });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+// delivery log (memory, newest first): ?targetId=&limit=
+app.get('/api/webhooks/deliveries', auth.requireRole('admin'), (req, res) => {
+  const limit = Math.min(Math.max(Number(req.query.limit) || 50, 1), 500);
+  const targetId = req.query.targetId ? String(req.query.targetId) : undefined;
+  res.json({ deliveries: webhooks.list({ targetId, limit }) });
+});
+
+// history: audit log query (newest first)
+app.get('/api/history', auth.requireRole('viewer'), async (req, res) => {
+  try {
+    const str = (k) => (req.query[k] ? String(req.query[k]).trim() : undefined);
+    const limit = Math.min(Math.max(Number(req.query.limit) || 50, 1), 500);
+    const offset = Math.max(Number(req.query.offset) || 0, 0);
+
+    const filters = {
+      action: str('action'),
+      outcome: str('outcome'),
+      targetId: str('targetId'),
+      actor: str('actor'),
+      route: str('route'),
+      from: str('from'),
+      to: str('to'),
+      q: str('q'),
+    };
+    for (const k of ['from', 'to']) {
+      if (filters[k]) {
+        const t = Date.parse(filters[k]);
+        if (Number.isNaN(t)) return res.status(400).json(fail('invalid_filter', { field: k }));
+        filters[k] = new Date(t).toISOString();
+      }
+    }
+
+    const r = await audit.query(filters, { limit, offset });
+    res.json({ limit, offset, more: r.more, entries: r.entries });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+// ----- public API v1 (API keys or UI session) -----
+const { ApiError, ref, objectOf, listOf } = apiV1;
+const API_KEY_NAME_MAX = 64;
+
+// API key (Authorization: Bearer wol_key_...) or a UI session -> { scopes, hostIds }
+// A request with a Bearer header is judged by the key alone, never by the cookie.
+function apiCaller(req) {
+  const token = auth.bearerToken(req);
+  if (token !== null) {
+    const key = auth.verifyApiKey(readStore().apiKeys, token);
+    if (!key) throw new ApiError('invalid_api_key', 'invalid api key');
+    req.apiKey = key;
+    return { scopes: key.scopes, hostIds: key.hostIds };
+  }
+  if (!req.user) throw new ApiError('unauthorized', 'API key or login required');
+  if (!auth.csrfValid(req)) throw new ApiError('invalid_csrf_token', 'invalid csrf token');
+  return { scopes: auth.roleScopes(req.user.role), hostIds: null };
+}
+
+const api = apiV1.createApi({ title: 'WoL VLAN WebApp API', version: pkg.version, authenticate: apiCaller });
+
+// keys can be limited to some hosts (null: all)
+function apiHostAllowed(req, hostId) {
+  return !req.api.hostIds || req.api.hostIds.includes(hostId);
+}
+
+function apiFindHost(req, store) {
+  const host = store.hosts.find(h => h.id === req.params.hostId);
+  if (!host) throw new ApiError('not_found', 'host not found');
+  if (!apiHostAllowed(req, host.id)) throw new ApiError('host_not_allowed', 'this API key may not use this host');
+  return host;
+}
+
+// a validator result -> ApiError; details.reason carries its specific code (lib/errors.js)
+function apiValidationError(parsed) {
+  return new ApiError(parsed.status === 409 ? 'conflict' : 'validation_error', parsed.error, { reason: parsed.code, params: parsed.params });
+}
+
+// body.wakeOptions / body.force (optional) -> wakeHost() overrides
+function apiWakeOverrides(body) {
+  const v = body?.wakeOptions;
+  if (v !== undefined && v !== null && (typeof v !== 'object' || Array.isArray(v))) {
+    throw new ApiError('validation_error', 'wakeOptions must be an object');
+  }
+  return { wakeOptions: v || {}, force: body?.force === true };
+}
+
+function publicWakeResult(host, r) {
+  return { ok: r.ok !== false, hostId: host.id, route: r.route ?? null, attempts: r.attempts || [], job: r.job || null, error: r.error };
+}
+
+function publicApiKey(k) {
+  const { secretHash, ...rest } = k;
+  return rest;
+}
+
+function parseApiKeyBody(body, store) {
+  const name = String(body?.name || '').trim();
+  const scopes = Array.isArray(body?.scopes) ? [...new Set(body.scopes.map(x => String(x).trim()))] : null;
+  if (!name || name.length > API_KEY_NAME_MAX) return fail('invalid_api_key_name', { max: API_KEY_NAME_MAX });
+  if (!scopes?.length || scopes.some(x => !auth.API_SCOPES.includes(x))) {
+    return fail('invalid_scopes', { values: auth.API_SCOPES.join(', ') });
+  }
+  if (body.hostIds === undefined || body.hostIds === null) return { fields: { name, scopes, hostIds: null } };
+  if (scopes.includes('admin')) return fail('host_ids_with_admin');
+  const parsed = parseHostIds(body.hostIds, store);
+  if (parsed.error) return parsed;
+  if (parsed.hostIds.length === 0) return fail('api_key_hosts_empty');
+  return { fields: { name, scopes, hostIds: parsed.hostIds } };
+}
+
+api.route({
+  method: 'get', path: '/openapi.json', tag: 'meta', operationId: 'getOpenApi',
+  summary: 'This OpenAPI document',
+  response: { type: 'object' },
+  handler: (req, res) => res.json(api.spec()),
+});
+
+api.route({
+  method: 'get', path: '/hosts', scope: 'read', tag: 'hosts', operationId: 'listHosts',
+  summary: 'List hosts (only the allowed ones for host-restricted keys)',
+  response: listOf('hosts', 'Host'),
+  handler: (req, res) => {
+    const hosts = readStore().hosts.filter(h => apiHostAllowed(req, h.id));
+    res.json({ hosts: hosts.map(publicHost) });
+  },
+});
+
+api.route({
+  method: 'post', path: '/hosts', scope: 'admin', tag: 'hosts', operationId: 'createHost',
+  summary: 'Add a host',
+  body: ref('HostInput'), bodyRequired: true,
+  status: 201, responseText: 'Created', response: objectOf('host', ref('Host')),
+  errors: [409],
+  handler: (req, res) => {
+    const store = readStore();
+    const parsed = parseHostBody(req.body, store);
+    if (parsed.error) throw apiValidationError(parsed);
+
+    const host = { id: newId('host'), ...parsed.fields };
+    store.hosts.push(host);
+    writeStore(store);
+    auditReq(req, 'host.create', hostTarget(host), { detail: { mac: host.mac, routes: host.routes.map(routeKey) } });
+    res.status(201).json({ host: publicHost(host) });
+  },
+});
+
+api.route({
+  method: 'get', path: '/hosts/{hostId}', scope: 'read', tag: 'hosts', operationId: 'getHost',
+  summary: 'Get a host with its latest wake job',
+  response: objectOf('host', ref('Host')),
+  errors: [404],
+  handler: (req, res) => res.json({ host: publicHost(apiFindHost(req, readStore())) }),
+});
+
+api.route({
+  method: 'patch', path: '/hosts/{hostId}', scope: 'admin', tag: 'hosts', operationId: 'updateHost',
+  summary: 'Change a host (fields not sent are kept)',
+  body: ref('HostInput'), bodyRequired: true,
+  response: objectOf('host', ref('Host')),
+  errors: [404, 409],
+  handler: (req, res) => {
+    const store = readStore();
+    const host = apiFindHost(req, store);
+    const parsed = parseHostBody(req.body, store, host);
+    if (parsed.error) throw apiValidationError(parsed);
+
+    Object.assign(host, parsed.fields);
+    writeStore(store);
+    auditReq(req, 'host.update', hostTarget(host), { detail: { mac: host.mac, routes: host.routes.map(routeKey) } });
+    res.json({ host: publicHost(host) });
+  },
+});
+
+api.route({
+  method: 'delete', path: '/hosts/{hostId}', scope: 'admin', tag: 'hosts', operationId: 'deleteHost',
+  summary: 'Delete a host (also from groups; its schedules are removed)',
+  status: 204, responseText: 'Deleted',
+  errors: [404],
+  handler: (req, res) => {
+    const store = readStore();
+    const host = apiFindHost(req, store);
+    removeHost(store, host.id);
+    writeStore(store);
+    auditReq(req, 'host.delete', hostTarget(host), { detail: { mac: host.mac } });
+    res.status(204).end();
+  },
+});
+
+api.route({
+  method: 'post', path: '/hosts/{hostId}/wake', scope: 'wake', tag: 'wake', operationId: 'wakeHost',
+  summary: "Send the magic packet over the host's routes; poll the returned job for the probe result",
+  body: ref('WakeRequest'),
+  response: ref('WakeResult'),
+  errors: [404, 502],
+  handler: async (req, res) => {
+    const store = readStore();
+    const host = apiFindHost(req, store);
+    const overrides = apiWakeOverrides(req.body);
+    const parsed = effectiveWakeOptions(host, overrides);
+    if (parsed.error) throw apiValidationError(parsed);
+
+    try {
+      res.json(publicWakeResult(host, await wakeHost(store, host, overrides, requestCtx(req))));
+    } catch (e) {
+      throw new ApiError('wake_failed', e.message, { attempts: e.attempts || [], reason: e.code });
+    }
+  },
+});
+
+api.route({
+  method: 'get', path: '/wake-jobs/{jobId}', scope: ['read', 'wake'], tag: 'wake', operationId: 'getWakeJob',
+  summary: 'Wake job status (sent -> waiting -> online / timeout)',
+  response: objectOf('job', ref('WakeJob')),
+  errors: [404],
+  handler: (req, res) => {
+    const job = wakeJobs.getJob(req.params.jobId);
+    if (!job) throw new ApiError('not_found', 'job not found');
+    if (!apiHostAllowed(req, job.hostId)) throw new ApiError('host_not_allowed', 'this API key may not use this host');
+    res.json({ job: wakeJobs.publicJob(job) });
+  },
+});
+
+api.route({
+  method: 'get', path: '/groups', scope: 'read', tag: 'groups', operationId: 'listGroups',
+  summary: 'List groups (host-restricted keys: groups whose hosts are all allowed)',
+  response: listOf('groups', 'Group'),
+  handler: (req, res) => {
+    const groups = readStore().groups.filter(g => g.hostIds.every(id => apiHostAllowed(req, id)));
+    res.json({ groups: groups.map(publicGroup) });
+  },
+});
+
+api.route({
+  method: 'post', path: '/groups/{groupId}/wake', scope: 'wake', tag: 'wake', operationId: 'wakeGroup',
+  summary: 'Wake every host of a group, delayMs apart',
+  body: {
+    allOf: [ref('WakeRequest'), {
+      type: 'object',
+      properties: { delayMs: { type: 'integer', minimum: 0, maximum: GROUP_DELAY_MAX_MS } },
+    }],
+  },
+  response: ref('GroupWakeResult'),
+  errors: [404],
+  handler: async (req, res) => {
+    const store = readStore();
+    const group = store.groups.find(g => g.id === req.params.groupId);
+    if (!group) throw new ApiError('not_found', 'group not found');
+    if (!group.hostIds.every(id => apiHostAllowed(req, id))) {
+      throw new ApiError('host_not_allowed', 'this API key may not use every host of the group');
+    }
+    const delayMs = parseDelayMs(req.body?.delayMs, undefined);
+    if (Number.isNaN(delayMs)) throw new ApiError('validation_error', `delayMs must be 0-${GROUP_DELAY_MAX_MS}`);
+
+    const r = await wakeGroup(store, group, { ...apiWakeOverrides(req.body), delayMs }, requestCtx(req));
+    res.json({
+      ok: r.ok,
+      groupId: r.groupId,
+      delayMs: r.delayMs,
+      total: r.total,
+      failed: r.failed,
+      results: r.results.map(x => ({ hostId: x.hostId, ok: x.ok, route: x.route ?? null, error: x.error, job: x.job || null })),
+    });
+  },
+});
+
+// body.action / body.dryRun -> { action, dryRun }
+function apiPowerRequest(body) {
+  const parsed = parsePowerRequest(body);
+  if (parsed.error) throw apiValidationError(parsed);
+  return parsed;
+}
+
+api.route({
+  method: 'post', path: '/hosts/{hostId}/power', scope: 'power', tag: 'power', operationId: 'powerHost',
+  summary: 'Shut down, suspend or reboot a host through its endpoint (MODE=endpoint on the host)',
+  body: ref('PowerRequest'), bodyRequired: true,
+  response: ref('PowerResult'),
+  errors: [404, 502],
+  handler: async (req, res) => {
+    const host = apiFindHost(req, readStore());
+    const { action, dryRun } = apiPowerRequest(req.body);
+    if (!host.endpoint) throw apiValidationError(fail('host_no_endpoint'));
+
+    try {
+      res.json(await powerHost(host, action, { dryRun }, requestCtx(req)));
+    } catch (e) {
+      throw new ApiError('power_failed', e.message, { reason: e.code });
+    }
+  },
+});
+
+api.route({
+  method: 'post', path: '/groups/{groupId}/power', scope: 'power', tag: 'power', operationId: 'powerGroup',
+  summary: 'Shut down, suspend or reboot every host of a group (hosts without an endpoint fail alone)',
+  body: ref('PowerRequest'), bodyRequired: true,
+  response: ref('GroupPowerResult'),
+  errors: [404],
+  handler: async (req, res) => {
+    const store = readStore();
+    const group = store.groups.find(g => g.id === req.params.groupId);
+    if (!group) throw new ApiError('not_found', 'group not found');
+    if (!group.hostIds.every(id => apiHostAllowed(req, id))) {
+      throw new ApiError('host_not_allowed', 'this API key may not use every host of the group');
+    }
+    const { action, dryRun } = apiPowerRequest(req.body);
+
+    const r = await powerGroup(store, group, action, { dryRun }, requestCtx(req));
+    res.json({ ...r, results: r.results.map(x => ({ hostId: x.hostId, ok: x.ok, error: x.error, code: x.code })) });
+  },
+});
+
+api.route({
+  method: 'get', path: '/agents', scope: 'read', tag: 'agents', operationId: 'listAgents',
+  summary: 'List agents',
+  response: listOf('agents', 'Agent'),
+  handler: (req, res) => res.json({ agents: readStore().agents.map(publicAgent) }),
+});
+
+function apiFindAgent(req, store) {
+  const agent = store.agents.find(a => a.id === req.params.agentId);
+  if (!agent) throw new ApiError('not_found', 'agent not found');
+  return agent;
+}
+
+api.route({
+  method: 'post', path: '/agents', scope: 'admin', tag: 'agents', operationId: 'createAgent',
+  summary: 'Add an agent (reverse agents enroll with a join code instead)',
+  body: ref('AgentInput'), bodyRequired: true,
+  status: 201, responseText: 'Created', response: objectOf('agent', ref('Agent')),
+  handler: (req, res) => {
+    const parsed = parseAgentBody(req.body);
+    if (parsed.error) throw apiValidationError(parsed);
+
+    const store = readStore();
+    const agent = { id: newId('agent'), ...parsed.fields };
+    store.agents.push(agent);
+    writeStore(store);
+    auditReq(req, 'agent.create', agentTarget(agent), { detail: { url: agent.url } });
+    res.status(201).json({ agent: publicAgent(agent) });
+  },
+});
+
+api.route({
+  method: 'patch', path: '/agents/{agentId}', scope: 'admin', tag: 'agents', operationId: 'updateAgent',
+  summary: 'Change an agent (fields not sent are kept; only the name for reverse agents)',
+  body: ref('AgentInput'), bodyRequired: true,
+  response: objectOf('agent', ref('Agent')),
+  errors: [404],
+  handler: (req, res) => {
+    const store = readStore();
+    const agent = apiFindAgent(req, store);
+    const parsed = parseAgentBody(req.body, agent);
+    if (parsed.error) throw apiValidationError(parsed);
+
+    Object.assign(agent, parsed.fields);
+    writeStore(store);
+    auditReq(req, 'agent.update', agentTarget(agent), agent.mode === 'reverse'
+      ? {}
+      : { detail: { url: agent.url, tokenChanged: req.body?.token !== undefined } });
+    res.json({ agent: publicAgent(agent) });
+  },
+});
+
+api.route({
+  method: 'delete', path: '/agents/{agentId}', scope: 'admin', tag: 'agents', operationId: 'deleteAgent',
+  summary: "Delete an agent and remove it from every host's routes",
+  response: ref('AgentDeleted'),
+  errors: [404],
+  handler: (req, res) => {
+    const store = readStore();
+    res.json(deleteAgent(store, apiFindAgent(req, store), req));
+  },
+});
+
+api.route({
+  method: 'get', path: '/agents/{agentId}/health', scope: 'read', tag: 'agents', operationId: 'checkAgent',
+  summary: 'Check the agent now (an unreachable agent is a 200 with reachable: false)',
+  response: ref('AgentCheck'),
+  errors: [404],
+  handler: async (req, res) => res.json(await checkAgentNow(apiFindAgent(req, readStore()), req)),
+});
+
+api.route({
+  method: 'get', path: '/api-keys', scope: 'admin', tag: 'api-keys', operationId: 'listApiKeys',
+  summary: 'List API keys (secrets are never returned)',
+  response: listOf('apiKeys', 'ApiKey'),
+  handler: (req, res) => res.json({ apiKeys: readStore().apiKeys.map(publicApiKey) }),
+});
+
+api.route({
+  method: 'post', path: '/api-keys', scope: 'admin', tag: 'api-keys', operationId: 'createApiKey',
+  summary: 'Create an API key; the token is only in this response',
+  body: ref('ApiKeyInput'), bodyRequired: true,
+  status: 201, responseText: 'Created', response: objectOf('apiKey', ref('ApiKeyCreated')),
+  handler: (req, res) => {
+    const store = readStore();
+    const parsed = parseApiKeyBody(req.body, store);
+    if (parsed.error) throw apiValidationError(parsed);
+
+    const id = newId('key');
+    const { token, secretHash } = auth.createApiKeyToken(id);
+    const key = { id, ...parsed.fields, secretHash, createdAt: new Date().toISOString(), createdBy: requestCtx(req).actor.name };
+    store.apiKeys.push(key);
+    writeStore(store);
+    auditReq(req, 'apikey.create', { type: 'api-key', id, name: key.name }, { detail: { scopes: key.scopes, hostIds: key.hostIds } });
+    res.status(201).json({ apiKey: { ...publicApiKey(key), token } });
+  },
+});
+
+api.route({
+  method: 'delete', path: '/api-keys/{keyId}', scope: 'admin', tag: 'api-keys', operationId: 'revokeApiKey',
+  summary: 'Revoke an API key (takes effect immediately)',
+  status: 204, responseText: 'Revoked',
+  errors: [404],
+  handler: (req, res) => {
+    const store = readStore();
+    const key = store.apiKeys.find(k => k.id === req.params.keyId);
+    if (!key) throw new ApiError('not_found', 'api key not found');
+    store.apiKeys = store.apiKeys.filter(k => k.id !== key.id);
+    writeStore(store);
+    auditReq(req, 'apikey.revoke', { type: 'api-key', id: key.id, name: key.name });
+    res.status(204).end();
+  },
+});
+
+app.use('/api/v1', api.router, api.notFound, api.errorHandler);
+
+// request body errors on the UI routes (bad JSON, too large) get a code like any other error
+app.use('/api/', (err, req, res, next) => {
+  if (err.type === 'entity.parse.failed') return res.status(400).json(fail('invalid_json'));
+  if (err.type === 'entity.too.large') return res.status(413).json(fail('payload_too_large'));
+  next(err);
+});
+
+// required rather than run (the tests): the app, without listening or background jobs
+if (require.main !== module) {
+  module.exports = { app, api };
+  return;
+}
+
+scheduler.createScheduler({ readStore, writeStore, runTarget: runScheduleTarget }).start();
+agentMonitor.start();
+
+listen('WoL Controller');
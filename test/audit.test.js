@@ -0,0 +1,77 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+
+const { createAuditLog } = require('../lib/audit');
+const { tempDir } = require('./helpers');
+
+function logWith(count, options = {}) {
+  const dir = tempDir();
+  const filePath = path.join(dir, 'audit.log');
+  const audit = createAuditLog({ filePath, maxBytes: 100 * 1024, maxFiles: 2, ...options }); // bigger than a read chunk
+  for (let i = 0; i < count; i++) {
+    // multi-byte names so chunk boundaries fall inside characters too
+    audit.record({ action: i % 2 ? 'wake.host' : 'host.update', outcome: i % 3 ? 'ok' : 'error', target: { type: 'host', id: `host_${i}`, name: `ホスト${i}` } });
+  }
+  return { audit, dir, filePath };
+}
+
+const ids = (r) => r.entries.map(e => e.target.id);
+
+test('query reads newest first across rotated files', async (t) => {
+  const { audit, dir, filePath } = logWith(2500);
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  assert.ok(fs.existsSync(`${filePath}.2`), 'expected rotated files');
+
+  const first = await audit.query({}, { limit: 3 });
+  assert.deepStrictEqual(ids(first), ['host_2499', 'host_2498', 'host_2497']);
+  assert.strictEqual(first.more, true);
+  assert.strictEqual(first.entries[0].target.name, 'ホスト2499');
+
+  // everything still on disk, in order, with no line lost at a chunk or file boundary
+  const all = await audit.query({}, { limit: 5000 });
+  assert.strictEqual(all.more, false);
+  const n = all.entries.map(e => Number(e.target.id.slice(5)));
+  assert.deepStrictEqual(n, n.map((_, i) => 2499 - i));
+  assert.ok(n.length > 1000 && n.length < 2500, 'oldest files are dropped');
+});
+
+test('filters and paging', async (t) => {
+  const { audit, dir } = logWith(50);
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const wakes = await audit.query({ action: 'wake' }, { limit: 2, offset: 1 });
+  assert.deepStrictEqual(ids(wakes), ['host_47', 'host_45']);
+  assert.strictEqual(wakes.more, true);
+
+  const last = await audit.query({ action: 'wake', outcome: 'error' }, { limit: 10, offset: 5 });
+  assert.deepStrictEqual(ids(last), ['host_15', 'host_9', 'host_3']);
+  assert.strictEqual(last.more, false);
+
+  assert.deepStrictEqual(ids(await audit.query({ q: 'ホスト7' }, { limit: 5 })), ['host_7']);
+  assert.deepStrictEqual(ids(await audit.query({ targetId: 'host_12' })), ['host_12']);
+  assert.deepStrictEqual(ids(await audit.query({ action: 'wak' })), []); // dotted prefix, not a substring
+});
+
+test('stops reading once the page is complete', async (t) => {
+  const { audit, dir } = logWith(2500);
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const open = t.mock.method(fs.promises, 'open');
+  await audit.query({}, { limit: 10 });
+  assert.strictEqual(open.mock.callCount(), 1);
+});
+
+test('torn lines and missing files are skipped', async (t) => {
+  const dir = tempDir();
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const filePath = path.join(dir, 'audit.log');
+  const audit = createAuditLog({ filePath });
+  assert.deepStrictEqual(await audit.query(), { entries: [], more: false });
+
+  audit.record({ action: 'auth.login', outcome: 'ok', target: { id: 'a' } });
+  fs.appendFileSync(filePath, '{"action":"auth.lo');
+  assert.deepStrictEqual(ids(await audit.query()), ['a']);
+});
@@ -0,0 +1,39 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { startController } = require('./helpers');
+
+test('login and sessions', async (t) => {
+  const c = await startController({ ADMIN_USER: 'admin', ADMIN_PASSWORD: 'secretpass1' });
+  t.after(() => c.close());
+
+  const login = (username, password) => fetch(`${c.base}/api/login`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ username, password }),
+  });
+
+  await t.test('unknown users and wrong passwords get the same answer', async () => {
+    for (const [u, p] of [['nobody', 'secretpass1'], ['admin', 'wrong-password']]) {
+      const res = await login(u, p);
+      assert.strictEqual(res.status, 401);
+      assert.strictEqual((await res.json()).code, 'invalid_credentials');
+    }
+  });
+
+  await t.test('a malformed cookie from another app does not break requests', async () => {
+    const res = await login('admin', 'secretpass1');
+    assert.strictEqual(res.status, 200);
+    const sid = /wol_sid=([0-9a-f]+)/.exec(res.headers.get('set-cookie'))[1];
+
+    const page = await fetch(`${c.base}/login.html`, { headers: { Cookie: 'other=%E0' } });
+    assert.strictEqual(page.status, 200);
+    const anonymous = await fetch(`${c.base}/api/me`, { headers: { Cookie: 'other=%E0' } });
+    assert.strictEqual(anonymous.status, 401);
+    const me = await fetch(`${c.base}/api/me`, { headers: { Cookie: `other=%E0; wol_sid=${sid}` } });
+    assert.strictEqual(me.status, 200);
+    assert.strictEqual((await me.json()).user.username, 'admin');
+  });
+});
@@ -0,0 +1,74 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const cron = require('../lib/cron');
+
+// next fire time as an ISO string
+const next = (expr, timeZone, after) => {
+  const t = cron.nextRun(expr, timeZone, Date.parse(after));
+  return t === null ? null : new Date(t).toISOString();
+};
+const sorted = (set) => [...set].sort((a, b) => a - b);
+
+test('parseCron: lists, ranges, steps and names', () => {
+  const c = cron.parseCron('0,30 9-17 */10 JAN-MAR mon-fri');
+  assert.deepStrictEqual(sorted(c.minute), [0, 30]);
+  assert.deepStrictEqual(sorted(c.hour), [9, 10, 11, 12, 13, 14, 15, 16, 17]);
+  assert.deepStrictEqual(sorted(c.day), [1, 11, 21, 31]);
+  assert.deepStrictEqual(sorted(c.month), [1, 2, 3]);
+  assert.deepStrictEqual(sorted(c.weekday), [1, 2, 3, 4, 5]);
+
+  assert.deepStrictEqual(sorted(cron.parseCron('0-30/10 * * * *').minute), [0, 10, 20, 30]);
+  assert.deepStrictEqual(sorted(cron.parseCron('5/20 * * * *').minute), [5, 25, 45]);
+  assert.deepStrictEqual(sorted(cron.parseCron('0 0 * * 7').weekday), [0]);
+  assert.deepStrictEqual(sorted(cron.parseCron('0 0 * * 5-7').weekday), [0, 5, 6]);
+});
+
+test('parseCron: invalid expressions', () => {
+  for (const expr of ['', '* * * *', '* * * * * *', '60 * * * *', '* 24 * * *', '* * 0 * *', '5-1 * * * *', '*/0 * * * *', '* * * FOO *', '1.5 * * * *']) {
+    assert.throws(() => cron.parseCron(expr), Error, expr);
+  }
+});
+
+test('nextRun: strictly after the given time', () => {
+  assert.strictEqual(next('*/15 * * * *', 'UTC', '2026-10-19T10:00:00Z'), '2026-10-19T10:15:00.000Z');
+  assert.strictEqual(next('*/15 * * * *', 'UTC', '2026-10-19T10:14:59Z'), '2026-10-19T10:15:00.000Z');
+  assert.strictEqual(next('0 0 1 1 *', 'UTC', '2026-10-19T10:00:00Z'), '2027-01-01T00:00:00.000Z');
+});
+
+test('nextRun: weekdays, and the day-of-month OR day-of-week rule', () => {
+  // 2026-10-24 is a Saturday
+  assert.strictEqual(next('0 9 * * MON-FRI', 'UTC', '2026-10-24T10:00:00Z'), '2026-10-26T09:00:00.000Z');
+  // both restricted: the 13th or a Friday, whichever comes first
+  assert.strictEqual(next('0 9 13 * FRI', 'UTC', '2026-10-19T00:00:00Z'), '2026-10-23T09:00:00.000Z');
+  assert.strictEqual(next('0 9 13 * FRI', 'UTC', '2026-11-07T00:00:00Z'), '2026-11-13T09:00:00.000Z');
+  // only day-of-month restricted: weekday doesn't widen it
+  assert.strictEqual(next('0 9 1 * *', 'UTC', '2026-10-19T00:00:00Z'), '2026-11-01T09:00:00.000Z');
+});
+
+test('nextRun: evaluated in the schedule time zone', () => {
+  assert.strictEqual(next('0 7 * * *', 'Asia/Tokyo', '2026-10-19T00:00:00Z'), '2026-10-19T22:00:00.000Z');
+  assert.strictEqual(next('0 7 * * *', 'America/New_York', '2026-10-19T00:00:00Z'), '2026-10-19T11:00:00.000Z');
+});
+
+test('nextRun: DST changes', () => {
+  // New York 2026-03-08 02:00 EST -> 03:00 EDT: 02:30 doesn't exist that day
+  assert.strictEqual(next('30 2 * * *', 'America/New_York', '2026-03-07T12:00:00Z'), '2026-03-09T06:30:00.000Z');
+  assert.strictEqual(next('0 3 * * *', 'America/New_York', '2026-03-07T12:00:00Z'), '2026-03-08T07:00:00.000Z');
+  // 2026-11-01 02:00 EDT -> 01:00 EST: 01:30 happens twice but fires once
+  assert.strictEqual(next('30 1 * * *', 'America/New_York', '2026-10-31T12:00:00Z'), '2026-11-01T05:30:00.000Z');
+  assert.strictEqual(next('30 1 * * *', 'America/New_York', '2026-11-01T05:30:00Z'), '2026-11-02T06:30:00.000Z');
+  // with the hour field `*`, every real hour fires
+  assert.strictEqual(next('0 * * * *', 'America/New_York', '2026-11-01T05:00:00Z'), '2026-11-01T06:00:00.000Z');
+});
+
+test('nextRun: null when nothing matches', () => {
+  assert.strictEqual(next('0 0 31 2 *', 'UTC', '2026-10-19T00:00:00Z'), null);
+});
+
+test('isTimeZone', () => {
+  assert.strictEqual(cron.isTimeZone('Asia/Tokyo'), true);
+  assert.strictEqual(cron.isTimeZone('Mars/Olympus'), false);
+});
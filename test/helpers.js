@@ -0,0 +1,39 @@
+'use strict';
+
+// shared by the tests (no tests of its own)
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { once } = require('events');
+
+function tempDir() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), 'wol-test-'));
+}
+
+/**
+ * A controller on a throwaway data directory and a random local port. server.js reads its
+ * environment when it is required, so this can run once per test file (each file is its own process).
+ */
+async function startController(env = {}) {
+  const dataDir = tempDir();
+  Object.assign(process.env, { DATA_DIR: dataDir, MODE: 'controller', STORAGE: 'json', ...env });
+  const { app, api } = require('../server');
+  const server = app.listen(0, '127.0.0.1');
+  await once(server, 'listening');
+  return {
+    app,
+    api,
+    dataDir,
+    base: `http://127.0.0.1:${server.address().port}`,
+    close() {
+      server.close();
+      fs.rmSync(dataDir, { recursive: true, force: true });
+    },
+  };
+}
+
+module.exports = {
+  tempDir,
+  startController,
+};
@@ -0,0 +1,112 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+
+const formats = require('../lib/import-formats');
+const { startController } = require('./helpers');
+
+const fixture = (name) => fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8');
+const HOST_COLUMNS = ['name', 'mac', 'ip', 'probe', 'probePort', 'routes'];
+
+test('CSV: header aliases, quoting, CRLF, BOM and formula escapes', () => {
+  const rows = formats.parseCsv(fixture('hosts.csv'), HOST_COLUMNS, { hostname: 'name', agent: 'routes' });
+  assert.deepStrictEqual(rows, [
+    { line: 2, name: 'nas', mac: 'AA:BB:CC:00:00:01', ip: '192.168.1.10', probe: 'icmp', routes: 'local' },
+    { line: 3, name: 'desk, 2F', mac: 'aa-bb-cc-00-00-02', routes: 'site-a,local' },
+    { line: 4, name: 'say "hi"', mac: 'aabbcc000003' },
+    { line: 6, name: 'multi\r\nline', mac: 'aa:bb:cc:00:00:04' },
+    { line: 8, name: '=cmd', mac: 'aa:bb:cc:00:00:05' },
+  ]);
+});
+
+test('CSV: what toCsv writes reads back the same', () => {
+  const hosts = [
+    { name: '=SUM(A1)', mac: 'aa:bb:cc:00:00:01', ip: null, routes: 'local' },
+    { name: 'a "quoted", name', mac: 'aa:bb:cc:00:00:02', ip: '10.0.0.2', routes: 'site-a,local' },
+    { name: 'two\nlines', mac: 'aa:bb:cc:00:00:03', ip: '', routes: 'local' },
+  ];
+  const csv = formats.toCsv(['name', 'mac', 'ip', 'routes'], hosts);
+  assert.match(csv, /^name,mac,ip,routes\r\n'=SUM\(A1\),/);
+  const back = formats.parseCsv(csv, HOST_COLUMNS).map(({ line, ...rest }) => rest);
+  assert.deepStrictEqual(back, [
+    { name: '=SUM(A1)', mac: 'aa:bb:cc:00:00:01', routes: 'local' },
+    { name: 'a "quoted", name', mac: 'aa:bb:cc:00:00:02', ip: '10.0.0.2', routes: 'site-a,local' },
+    { name: 'two\nlines', mac: 'aa:bb:cc:00:00:03', routes: 'local' },
+  ]);
+});
+
+test('CSV: errors', () => {
+  assert.deepStrictEqual(formats.parseCsv('', HOST_COLUMNS), []);
+  assert.throws(() => formats.parseCsv('foo,bar\n1,2\n', HOST_COLUMNS), /header must name columns/);
+  assert.throws(() => formats.parseCsv('name,mac\n"open,aa:bb:cc:00:00:01\n', HOST_COLUMNS), /unterminated quote starting on line 2/);
+});
+
+test('JSON: the export shape or a bare array', () => {
+  assert.deepStrictEqual(formats.parseJsonList(fixture('hosts.json'), 'hosts'), [
+    { name: 'nas', mac: 'aa:bb:cc:00:00:01', ip: '192.168.1.10', probe: 'tcp', probePort: 445, routes: ['local'], line: 1 },
+    { name: 'desk', mac: 'aa:bb:cc:00:00:02', line: 2 },
+    { line: 3 },
+  ]);
+  assert.deepStrictEqual(formats.parseJsonList('[{"name":"a"}]', 'hosts'), [{ name: 'a', line: 1 }]);
+  assert.throws(() => formats.parseJsonList('{"agents":[]}', 'hosts'), /must be an array or \{ "hosts"/);
+  assert.throws(() => formats.parseJsonList('{', 'hosts'), /invalid JSON/);
+});
+
+test('dhcpd.leases: last lease per MAC wins, no hostname leaves the name out', () => {
+  assert.deepStrictEqual(formats.parseDhcpdLeases(fixture('dhcpd.leases')), [
+    { line: 20, mac: 'aa:bb:cc:00:00:10', ip: '192.168.1.52', name: 'printer' },
+    { line: 14, mac: 'AA:BB:CC:00:00:11', ip: '192.168.1.51', name: undefined },
+  ]);
+});
+
+test('dnsmasq.leases: `*` hostname leaves the name out, duid lines are skipped', () => {
+  assert.deepStrictEqual(formats.parseDnsmasqLeases(fixture('dnsmasq.leases')), [
+    { line: 1, mac: 'aa:bb:cc:00:00:20', ip: '192.168.2.20', name: 'laptop' },
+    { line: 2, mac: 'aa:bb:cc:00:00:21', ip: '192.168.2.21', name: undefined },
+    { line: 5, mac: 'aa:bb:cc:00:00:22', ip: 'fd00::22', name: 'phone' },
+  ]);
+});
+
+// regression: a lease without a hostname used to rename the existing host to its IP
+test('importing leases keeps existing host names, new hosts without one are named after their IP', async (t) => {
+  const c = await startController({ ADMIN_USER: 'admin', ADMIN_PASSWORD: 'secretpass1' });
+  t.after(() => c.close());
+  t.mock.method(console, 'log', () => {});
+
+  const login = await fetch(`${c.base}/api/login`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ username: 'admin', password: 'secretpass1' }),
+  });
+  const { csrfToken } = await login.json();
+  const headers = { Cookie: login.headers.get('set-cookie').split(';')[0], 'X-CSRF-Token': csrfToken };
+
+  const created = await fetch(`${c.base}/api/hosts`, {
+    method: 'POST',
+    headers: { ...headers, 'Content-Type': 'application/json' },
+    body: JSON.stringify({ name: 'nas', mac: 'aa:bb:cc:00:00:21' }),
+  });
+  assert.strictEqual(created.status, 200);
+
+  for (const [format, file] of [['dnsmasq', 'dnsmasq.leases'], ['dhcpd', 'dhcpd.leases']]) {
+    const res = await fetch(`${c.base}/api/hosts/import?format=${format}&mode=merge`, {
+      method: 'POST',
+      headers: { ...headers, 'Content-Type': 'text/plain' },
+      body: fixture(file),
+    });
+    assert.strictEqual(res.status, 200, format);
+  }
+
+  const { hosts } = await (await fetch(`${c.base}/api/state`, { headers })).json();
+  const byMac = Object.fromEntries(hosts.map(h => [h.mac, h.name]));
+  assert.deepStrictEqual(byMac, {
+    'aa:bb:cc:00:00:21': 'nas', // existing, lease has no hostname
+    'aa:bb:cc:00:00:20': 'laptop',
+    'aa:bb:cc:00:00:22': 'phone',
+    'aa:bb:cc:00:00:10': 'printer',
+    'aa:bb:cc:00:00:11': '192.168.1.51', // new, lease has no hostname
+  });
+});
@@ -0,0 +1,114 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const dgram = require('dgram');
+const { once } = require('events');
+
+const mp = require('../lib/magic-packet');
+
+const MAC = 'aa:bb:cc:dd:ee:01';
+const MAC_BYTES = Buffer.from('aabbccddee01', 'hex');
+
+// error code of a parseWakeOptions result (null when valid)
+const codeOf = (input, base) => mp.parseWakeOptions(input, base).code || null;
+
+test('buildPayload: 6 x FF then 16 x the MAC', () => {
+  for (const mac of [MAC, 'AA-BB-CC-DD-EE-01']) {
+    const p = mp.buildPayload(mac);
+    assert.strictEqual(p.length, 102);
+    assert.ok(p.subarray(0, 6).equals(Buffer.alloc(6, 0xff)));
+    for (let i = 0; i < 16; i++) assert.ok(p.subarray(6 + i * 6, 12 + i * 6).equals(MAC_BYTES), `repetition ${i + 1}`);
+  }
+});
+
+test('buildPayload: SecureOn passwords of 6 and 4 bytes are appended', () => {
+  const six = mp.buildPayload(MAC, '00:11:22:33:44:55');
+  assert.strictEqual(six.length, 108);
+  assert.ok(six.subarray(102).equals(Buffer.from('001122334455', 'hex')));
+
+  const four = mp.buildPayload(MAC, '192.168.1.255');
+  assert.strictEqual(four.length, 106);
+  assert.deepStrictEqual([...four.subarray(102)], [192, 168, 1, 255]);
+  assert.ok(four.subarray(0, 102).equals(mp.buildPayload(MAC)));
+});
+
+test('parseWakeOptions: defaults, base values, and resetting to the default', () => {
+  assert.deepStrictEqual(mp.parseWakeOptions({}).options, mp.DEFAULTS);
+
+  const base = { transport: 'udp4', address: '192.168.1.255', port: 7, repeat: 5 };
+  assert.deepStrictEqual(mp.parseWakeOptions({ port: 9 }, base).options, { ...mp.DEFAULTS, address: '192.168.1.255', port: 9, repeat: 5 });
+  // null / '' go back to the default, not the base
+  assert.deepStrictEqual(mp.parseWakeOptions({ address: null, repeat: '' }, base).options, { ...mp.DEFAULTS, port: 7 });
+  // legacy `broadcast`
+  assert.strictEqual(mp.parseWakeOptions({ broadcast: '10.0.0.255' }).options.address, '10.0.0.255');
+  // numbers as strings (form fields)
+  assert.deepStrictEqual(mp.parseWakeOptions({ port: '7', repeat: '2', intervalMs: '50' }).options, { ...mp.DEFAULTS, port: 7, repeat: 2, intervalMs: 50 });
+});
+
+test('parseWakeOptions: transport and address', () => {
+  assert.strictEqual(codeOf({ transport: 'tcp' }), 'invalid_transport');
+  assert.strictEqual(codeOf({ transport: 'udp4', address: 'ff02::1' }), 'invalid_address_v4');
+  assert.strictEqual(codeOf({ transport: 'udp6', address: '255.255.255.255' }), 'invalid_address_v6');
+  assert.strictEqual(codeOf({ transport: 'udp6', address: 'ff02::1' }), null);
+  assert.strictEqual(codeOf({ transport: 'ethernet' }), 'interface_required');
+  assert.strictEqual(codeOf({ transport: 'ethernet', interface: 'eth0' }), null);
+  // interface names are passed to etherwake: no options, no shell characters
+  for (const name of ['-b', 'eth0;reboot', 'a b', 'x'.repeat(33)]) assert.strictEqual(codeOf({ interface: name }), 'invalid_interface', name);
+  for (const name of ['eth0', 'enp3s0.10', 'br-lan', 'wlan0@if3']) assert.strictEqual(codeOf({ interface: name }), null, name);
+});
+
+test('parseWakeOptions: port, repeat and interval bounds', () => {
+  for (const port of [0, 65536, 1.5, 'x']) assert.strictEqual(codeOf({ port }), 'invalid_port', String(port));
+  for (const port of [1, 7, 9, 65535]) assert.strictEqual(codeOf({ port }), null, String(port));
+
+  for (const repeat of [0, 11, 1.5]) assert.strictEqual(codeOf({ repeat }), 'invalid_repeat', String(repeat));
+  for (const repeat of [1, 10]) assert.strictEqual(codeOf({ repeat }), null, String(repeat));
+  assert.deepStrictEqual(mp.parseWakeOptions({ repeat: 11 }).params, { max: 10 });
+
+  for (const intervalMs of [-1, 1001, 0.5]) assert.strictEqual(codeOf({ intervalMs }), 'invalid_interval', String(intervalMs));
+  for (const intervalMs of [0, 1000]) assert.strictEqual(codeOf({ intervalMs }), null, String(intervalMs));
+});
+
+test('parseWakeOptions: SecureOn passwords', () => {
+  assert.strictEqual(mp.parseWakeOptions({ password: 'AA-BB-CC-DD-EE-FF' }).options.password, 'aa:bb:cc:dd:ee:ff');
+  assert.strictEqual(mp.parseWakeOptions({ password: ' 10.0.0.1 ' }).options.password, '10.0.0.1');
+  for (const password of ['00:11:22:33:44', '00:11:22:33:44:55:66', '1.2.3', '1.2.3.256', 'secret']) {
+    assert.strictEqual(codeOf({ password }), 'invalid_secureon_password', password);
+  }
+});
+
+test('compactOptions / publicOptions', () => {
+  const { options } = mp.parseWakeOptions({ port: 7, password: '00:11:22:33:44:55' });
+  assert.deepStrictEqual(mp.compactOptions(options), { port: 7, password: '00:11:22:33:44:55' });
+  const pub = mp.publicOptions(options);
+  assert.strictEqual(pub.password, undefined);
+  assert.strictEqual(pub.secureOn, true);
+});
+
+test('send: repeats the payload over UDP', async (t) => {
+  const receiver = dgram.createSocket('udp4');
+  receiver.bind(0, '127.0.0.1');
+  await once(receiver, 'listening');
+  t.after(() => receiver.close());
+  const got = [];
+  receiver.on('message', (msg) => got.push(msg));
+
+  const { options } = mp.parseWakeOptions({ address: '127.0.0.1', port: receiver.address().port, repeat: 3, intervalMs: 10, password: '1.2.3.4' });
+  const r = await mp.send(MAC, options);
+  assert.strictEqual(r.address, '127.0.0.1');
+  assert.strictEqual(r.secureOn, true);
+  assert.strictEqual(r.password, undefined);
+
+  for (let i = 0; i < 50 && got.length < 3; i++) await new Promise(res => setTimeout(res, 10));
+  assert.strictEqual(got.length, 3);
+  for (const msg of got) assert.ok(msg.equals(mp.buildPayload(MAC, '1.2.3.4')));
+});
+
+test('send: the ethernet transport says when etherwake is missing', { skip: process.platform !== 'linux' && 'Linux only' }, async (t) => {
+  const path = process.env.PATH;
+  process.env.PATH = '/nonexistent';
+  t.after(() => { process.env.PATH = path; });
+  const { options } = mp.parseWakeOptions({ transport: 'ethernet', interface: 'eth0', repeat: 1 });
+  await assert.rejects(mp.send(MAC, options), /needs etherwake \(or ether-wake\), which is not installed/);
+});
@@ -0,0 +1,38 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { startController } = require('./helpers');
+
+// 'GET /hosts/:hostId' for every method of every path
+function documentedRoutes(spec) {
+  const out = [];
+  for (const [p, ops] of Object.entries(spec.paths)) {
+    for (const method of Object.keys(ops)) out.push(`${method.toUpperCase()} ${p.replace(/\{(\w+)\}/g, ':$1')}`);
+  }
+  return out;
+}
+
+function registeredRoutes(router) {
+  const out = [];
+  for (const layer of router.stack) {
+    if (!layer.route) continue;
+    for (const method of Object.keys(layer.route.methods)) out.push(`${method.toUpperCase()} ${layer.route.path}`);
+  }
+  return out;
+}
+
+test('openapi.json lists exactly the /api/v1 routes', async (t) => {
+  const { api, base, close } = await startController();
+  t.after(close);
+
+  const res = await fetch(`${base}/api/v1/openapi.json`);
+  assert.strictEqual(res.status, 200);
+  const documented = documentedRoutes(await res.json());
+  const registered = registeredRoutes(api.router);
+
+  assert.ok(registered.length > 0, 'no /api/v1 routes registered');
+  assert.deepStrictEqual(registered.filter(r => !documented.includes(r)), [], 'routes missing from openapi.json');
+  assert.deepStrictEqual(documented.filter(r => !registered.includes(r)), [], 'openapi.json paths without a route');
+  assert.strictEqual(new Set(registered).size, registered.length, 'route registered twice');
+});
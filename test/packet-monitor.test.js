@@ -0,0 +1,211 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const dgram = require('dgram');
+const fs = require('fs');
+const path = require('path');
+const { once } = require('events');
+const express = require('express');
+
+const { buildPayload, parsePayload } = require('../lib/magic-packet');
+const { createPacketMonitor } = require('../lib/packet-monitor');
+const signing = require('../lib/signing');
+const { tempDir, startController } = require('./helpers');
+
+const MAC = 'aa:bb:cc:dd:ee:01';
+const OTHER = 'aa:bb:cc:dd:ee:02';
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+const randomPort = () => 20000 + Math.floor(Math.random() * 30000);
+
+async function until(fn, ms = 2000) {
+  for (const end = Date.now() + ms; Date.now() < end; await sleep(20)) {
+    if (fn()) return;
+  }
+  assert.fail('timed out');
+}
+
+function sendUdp(port, payload) {
+  const socket = dgram.createSocket('udp4');
+  return new Promise((resolve, reject) => socket.send(payload, port, '127.0.0.1', (e) => {
+    socket.close();
+    if (e) reject(e);
+    else resolve();
+  }));
+}
+
+test('parsePayload', () => {
+  assert.deepStrictEqual(parsePayload(buildPayload(MAC)), { mac: MAC, secureOn: false });
+  // the sync stream may come after other bytes (e.g. a header some senders add)
+  assert.deepStrictEqual(parsePayload(Buffer.concat([Buffer.from('xx\xff\xff'), buildPayload(MAC)])), { mac: MAC, secureOn: false });
+  // SecureOn passwords of 6 and 4 bytes follow the repetitions; shorter trailing bytes are not one
+  assert.deepStrictEqual(parsePayload(buildPayload(MAC, '00:11:22:33:44:55')), { mac: MAC, secureOn: true });
+  assert.deepStrictEqual(parsePayload(buildPayload(MAC, '10.0.0.1')), { mac: MAC, secureOn: true });
+  assert.deepStrictEqual(parsePayload(Buffer.concat([buildPayload(MAC), Buffer.from([1, 2])])), { mac: MAC, secureOn: false });
+
+  // truncated: a repetition short
+  assert.strictEqual(parsePayload(buildPayload(MAC).subarray(0, 101)), null);
+  assert.strictEqual(parsePayload(Buffer.alloc(0)), null);
+  // one repetition names another MAC
+  const mixed = buildPayload(MAC);
+  Buffer.from('aabbccddee02', 'hex').copy(mixed, 6 + 7 * 6);
+  assert.strictEqual(parsePayload(mixed), null);
+  assert.strictEqual(parsePayload(Buffer.alloc(102, 0xff)).mac, 'ff:ff:ff:ff:ff:ff');
+});
+
+test('UDP monitor: records magic packets, filters by MAC and sequence', async (t) => {
+  const port = randomPort();
+  const monitor = createPacketMonitor({ ports: [port] });
+  monitor.start();
+  t.after(() => monitor.stop());
+  await until(() => monitor.status().every(l => l.listening));
+
+  await sendUdp(port, buildPayload(MAC));
+  await sendUdp(port, buildPayload(OTHER, '00:11:22:33:44:55'));
+  await sendUdp(port, buildPayload(MAC).subarray(0, 60)); // truncated: ignored
+  await sendUdp(port, Buffer.from('not a magic packet'));
+  await until(() => monitor.lastSeq() >= 2);
+  await sleep(50);
+
+  const all = monitor.list();
+  assert.deepStrictEqual(all.map(p => [p.seq, p.mac, p.secureOn]), [[1, MAC, false], [2, OTHER, true]]);
+  const { receivedAt, fromPort, interface: itf, ...first } = all[0];
+  assert.deepStrictEqual(first, { seq: 1, mac: MAC, secureOn: false, transport: 'udp4', port, from: '127.0.0.1' });
+  assert.ok(Date.parse(receivedAt) && fromPort > 0);
+  assert.deepStrictEqual(monitor.list({ mac: OTHER }).map(p => p.seq), [2]);
+  assert.deepStrictEqual(monitor.list({ after: 1 }).map(p => p.seq), [2]);
+  assert.deepStrictEqual(monitor.list({ after: 2 }), []);
+  assert.deepStrictEqual(monitor.list({ limit: 1 }).map(p => p.seq), [2]); // the newest
+});
+
+test('ethernet monitor: frames read from tcpdump -xx', { skip: process.platform !== 'linux' && 'Linux only' }, async (t) => {
+  const dir = tempDir();
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  t.mock.method(console, 'warn', () => {});
+
+  // tcpdump prints each frame as a header line and 16-byte hex lines
+  const frame = (mac, password) => Buffer.concat([Buffer.alloc(6, 0xff), Buffer.from('020000000099', 'hex'), Buffer.from('0842', 'hex'), buildPayload(mac, password)]);
+  const dump = (buf) => {
+    const lines = ['12:00:00.000000 02:00:00:00:00:99 > ff:ff:ff:ff:ff:ff, ethertype Unknown (0x0842), length 116:'];
+    for (let i = 0; i < buf.length; i += 16) {
+      const hex = buf.subarray(i, i + 16).toString('hex').match(/.{1,4}/g).join(' ');
+      lines.push(`\t0x${i.toString(16).padStart(4, '0')}:  ${hex}`);
+    }
+    return lines.join('\n');
+  };
+  fs.writeFileSync(path.join(dir, 'frames.txt'), [dump(frame(MAC)), dump(frame(OTHER, '1.2.3.4')), dump(frame(MAC).subarray(0, 80))].join('\n') + '\n');
+  const fake = path.join(dir, 'tcpdump');
+  fs.writeFileSync(fake, `#!/bin/sh\necho "listening on $5" >&2\ncat "${dir}/frames.txt"\nexec sleep 3\n`, { mode: 0o755 });
+
+  const monitor = createPacketMonitor({ ports: [], ethernet: ['eth9'], tcpdump: fake });
+  monitor.start();
+  t.after(() => monitor.stop());
+  await until(() => monitor.lastSeq() >= 2);
+  await sleep(100);
+
+  assert.deepStrictEqual(monitor.list().map(p => [p.mac, p.secureOn, p.transport, p.interface, p.from]), [
+    [MAC, false, 'ethernet', 'eth9', '02:00:00:00:00:99'],
+    [OTHER, true, 'ethernet', 'eth9', '02:00:00:00:00:99'],
+  ]);
+  assert.deepStrictEqual(monitor.status(), [{ transport: 'ethernet', port: null, interface: 'eth9', listening: true, error: null }]);
+});
+
+test('ethernet monitor: a missing tcpdump is reported, not thrown', { skip: process.platform !== 'linux' && 'Linux only' }, async (t) => {
+  t.mock.method(console, 'warn', () => {});
+  const monitor = createPacketMonitor({ ports: [], ethernet: ['eth9'], tcpdump: '/nonexistent/tcpdump' });
+  monitor.start();
+  t.after(() => monitor.stop());
+  await until(() => monitor.status()[0].error);
+  assert.strictEqual(monitor.status()[0].error, '/nonexistent/tcpdump not found');
+});
+
+// a monitoring agent: a real packet monitor behind a signed POST /monitor; failAfter makes every
+// call after the first N answer 500
+async function startMonitorAgent(token) {
+  const port = randomPort();
+  const monitor = createPacketMonitor({ ports: [port] });
+  monitor.start();
+  await until(() => monitor.status().every(l => l.listening));
+
+  const agent = { port, calls: 0, failAfter: Infinity };
+  const app = express();
+  app.use(express.json({ verify: (req, res, buf) => { req.rawBody = buf; } }));
+  app.get('/health', (req, res) => res.json({ ok: true, mode: 'agent' }));
+  app.post('/monitor', signing.requireSignature({ secrets: [token] }), (req, res) => {
+    if (++agent.calls > agent.failAfter) return res.status(500).json({ error: 'monitor crashed' });
+    const { after = 0, mac = null, limit = 100 } = req.body;
+    res.json({ ok: true, listeners: monitor.status(), lastSeq: monitor.lastSeq(), packets: monitor.list({ after, mac, limit }) });
+  });
+  const server = app.listen(0, '127.0.0.1');
+  await once(server, 'listening');
+  agent.url = `http://127.0.0.1:${server.address().port}`;
+  agent.close = () => {
+    server.close();
+    monitor.stop();
+  };
+  return agent;
+}
+
+test('wake test: receipt, a missed packet and a failing monitor', async (t) => {
+  const c = await startController({ ADMIN_USER: 'admin', ADMIN_PASSWORD: 'secretpass1' });
+  const agent = await startMonitorAgent('monitor-token');
+  t.after(() => {
+    agent.close();
+    c.close();
+  });
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'warn', () => {});
+
+  const login = await fetch(`${c.base}/api/login`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ username: 'admin', password: 'secretpass1' }),
+  });
+  const { csrfToken } = await login.json();
+  const headers = { Cookie: login.headers.get('set-cookie').split(';')[0], 'X-CSRF-Token': csrfToken, 'Content-Type': 'application/json' };
+  const post = async (p, body) => (await fetch(`${c.base}${p}`, { method: 'POST', headers, body: JSON.stringify(body) })).json();
+  const lastAudit = async () => (await (await fetch(`${c.base}/api/history?action=wake.test&limit=1`, { headers })).json()).entries[0];
+
+  const hostId = (await post('/api/hosts', { name: 'pc', mac: MAC })).id;
+  const agentId = (await post('/api/agents', { name: 'monitor', url: agent.url, token: 'monitor-token' })).id;
+  // the controller sends to the monitor's port on loopback
+  const wakeTest = ({ port = agent.port, timeoutMs = 1500 } = {}) => post(`/api/hosts/${hostId}/wake-test`, {
+    route: 'local', monitorAgentId: agentId, timeoutMs, wakeOptions: { address: '127.0.0.1', port, repeat: 1 },
+  });
+
+  await t.test('received: only packets for this host count', async () => {
+    await sendUdp(agent.port, buildPayload(MAC)); // before the test started: not counted
+    await sleep(50);
+    const r = await wakeTest();
+    assert.strictEqual(r.sent, true);
+    assert.strictEqual(r.received, true);
+    assert.strictEqual(r.error, undefined);
+    assert.deepStrictEqual(r.packets.map(p => p.mac), [MAC]);
+    const entry = await lastAudit();
+    assert.strictEqual(entry.outcome, 'ok');
+    assert.strictEqual(entry.detail.packets, 1);
+  });
+
+  await t.test('not received: a packet for another MAC is not a receipt', async () => {
+    // the packet goes to a port nobody listens on; another host's packet reaches the monitor
+    const r = await Promise.all([wakeTest({ port: agent.port + 1, timeoutMs: 1000 }), sleep(100).then(() => sendUdp(agent.port, buildPayload(OTHER)))]).then(([x]) => x);
+    assert.strictEqual(r.sent, true);
+    assert.strictEqual(r.received, false);
+    assert.deepStrictEqual(r.packets, []);
+    const entry = await lastAudit();
+    assert.strictEqual(entry.outcome, 'error');
+    assert.strictEqual(entry.error, 'not received');
+  });
+
+  await t.test('the monitor failing after the packet was sent: error in the result and the audit log', async () => {
+    agent.calls = 0;
+    agent.failAfter = 1; // the first call (where to start watching) works
+    const r = await wakeTest({ port: agent.port + 1 });
+    assert.strictEqual(r.sent, true);
+    assert.strictEqual(r.received, false);
+    assert.match(r.error, /monitor crashed/);
+    const entry = await lastAudit();
+    assert.strictEqual(entry.outcome, 'error');
+    assert.strictEqual(entry.error, r.error);
+  });
+});
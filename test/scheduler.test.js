@@ -0,0 +1,98 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { createScheduler } = require('../lib/scheduler');
+const { ConflictError } = require('../lib/storage');
+
+const ago = (ms) => new Date(Date.now() - ms).toISOString();
+
+// an in-memory store; readStore returns a copy like the real drivers
+function memoryStore(schedules) {
+  let data = { schedules };
+  return {
+    get: () => data,
+    readStore: () => JSON.parse(JSON.stringify(data)),
+    writeStore: (d) => { data = JSON.parse(JSON.stringify(d)); },
+  };
+}
+
+function schedule(id, fields = {}) {
+  return { id, enabled: true, cron: '* * * * *', timezone: 'UTC', nextRunAt: ago(1000), ...fields };
+}
+
+test('due schedules run side by side, a running one is not started again', async () => {
+  const store = memoryStore([schedule('a'), schedule('b'), schedule('off', { enabled: false })]);
+  const started = [];
+  const scheduler = createScheduler({
+    ...store,
+    runTarget: async (s) => {
+      started.push(s.id);
+      await new Promise(r => setTimeout(r, 200));
+      return { ok: true };
+    },
+  });
+
+  const first = scheduler.tick();
+  assert.deepStrictEqual(started, ['a', 'b']); // both started before either finished
+  store.get().schedules[0].nextRunAt = ago(1000); // due again while still running
+  await scheduler.tick();
+  await first;
+
+  assert.deepStrictEqual(started, ['a', 'b']);
+  const [a, b] = store.get().schedules;
+  assert.deepStrictEqual(a.lastResult, { ok: true });
+  assert.deepStrictEqual(b.lastResult, { ok: true });
+  assert.ok(Date.parse(b.nextRunAt) > Date.now());
+  assert.ok(Date.parse(a.nextRunAt) <= Date.now()); // still due: the next tick runs it
+});
+
+test('a run late by more than the grace period is skipped unless catchUp', async () => {
+  const store = memoryStore([schedule('late', { nextRunAt: ago(10 * 60 * 1000) }), schedule('catchup', { nextRunAt: ago(10 * 60 * 1000), catchUp: true })]);
+  const started = [];
+  await createScheduler({ ...store, runTarget: async (s) => { started.push(s.id); return { ok: true }; } }).tick();
+
+  assert.deepStrictEqual(started, ['catchup']);
+  const [late, catchUp] = store.get().schedules;
+  assert.ok(late.lastMissedAt);
+  assert.ok(Date.parse(late.nextRunAt) > Date.now());
+  assert.strictEqual(catchUp.lastMissedAt, undefined);
+  assert.deepStrictEqual(catchUp.lastResult, { ok: true });
+});
+
+test('a conflicting nextRunAt update is retried on a fresh read within the same tick', async (t) => {
+  t.mock.method(console, 'error', () => {});
+  const store = memoryStore([schedule('a')]);
+  let conflicts = 1;
+  let runs = 0;
+  const scheduler = createScheduler({
+    readStore: store.readStore,
+    writeStore: (d) => {
+      if (conflicts-- > 0) throw new ConflictError('schedules a changed since it was read');
+      store.writeStore(d);
+    },
+    runTarget: async () => { runs++; return { ok: true }; },
+  });
+
+  await scheduler.tick();
+  assert.strictEqual(runs, 1);
+  assert.strictEqual(console.error.mock.callCount(), 0);
+  assert.ok(Date.parse(store.get().schedules[0].nextRunAt) > Date.now());
+  await scheduler.tick();
+  assert.strictEqual(runs, 1);
+});
+
+test('nothing is sent when nextRunAt cannot be saved', async (t) => {
+  t.mock.method(console, 'error', () => {});
+  const store = memoryStore([schedule('a')]);
+  let runs = 0;
+  const scheduler = createScheduler({
+    readStore: store.readStore,
+    writeStore: () => { throw new ConflictError('schedules a changed since it was read'); },
+    runTarget: async () => { runs++; return { ok: true }; },
+  });
+  await scheduler.tick();
+  assert.strictEqual(runs, 0);
+  assert.strictEqual(console.error.mock.callCount(), 1);
+});
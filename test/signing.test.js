@@ -0,0 +1,91 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { once } = require('events');
+const express = require('express');
+
+const signing = require('../lib/signing');
+
+// an agent-like receiver, mounted under /site-a the way a prefix-stripping reverse proxy serves it
+async function startReceiver(options) {
+  const inner = express();
+  inner.use(express.json({ verify: (req, res, buf) => { req.rawBody = buf; } }));
+  inner.post('/wake', signing.requireSignature(options), (req, res) => res.json({ ok: true, mac: req.body.mac }));
+  const app = express();
+  app.use('/site-a', inner);
+  app.use(inner);
+  const server = app.listen(0, '127.0.0.1');
+  await once(server, 'listening');
+  return { base: `http://127.0.0.1:${server.address().port}`, close: () => server.close() };
+}
+
+function post(url, headers, raw) {
+  return fetch(url, { method: 'POST', headers: { 'Content-Type': 'application/json', ...headers }, body: raw });
+}
+
+// signHeaders as if the clock were `offsetSec` off
+function signedAt(offsetSec, ...args) {
+  const now = Date.now;
+  Date.now = () => now() + offsetSec * 1000;
+  try {
+    return signing.signHeaders(...args);
+  } finally {
+    Date.now = now;
+  }
+}
+
+test('requireSignature', async (t) => {
+  const r = await startReceiver({ secrets: ['new-secret', 'old-secret'], maxSkewSec: 60 });
+  t.after(() => r.close());
+  const raw = JSON.stringify({ mac: 'aa:bb:cc:dd:ee:ff' });
+
+  await t.test('accepts a signed request, with or without a stripped path prefix', async () => {
+    for (const base of [r.base, `${r.base}/site-a`]) {
+      const res = await post(`${base}/wake`, signing.signHeaders('new-secret', 'POST', '/wake', raw), raw);
+      assert.strictEqual(res.status, 200);
+      assert.deepStrictEqual(await res.json(), { ok: true, mac: 'aa:bb:cc:dd:ee:ff' });
+    }
+  });
+
+  await t.test('accepts the previous secret during rotation, not an unknown one', async () => {
+    const old = await post(`${r.base}/wake`, signing.signHeaders('old-secret', 'POST', '/wake', raw), raw);
+    assert.strictEqual(old.status, 200);
+    const unknown = await post(`${r.base}/wake`, signing.signHeaders('other-secret', 'POST', '/wake', raw), raw);
+    assert.strictEqual(unknown.status, 401);
+  });
+
+  await t.test('rejects a reused nonce', async () => {
+    const headers = signing.signHeaders('new-secret', 'POST', '/wake', raw);
+    assert.strictEqual((await post(`${r.base}/wake`, headers, raw)).status, 200);
+    const replay = await post(`${r.base}/wake`, headers, raw);
+    assert.strictEqual(replay.status, 401);
+    assert.strictEqual((await replay.json()).error, 'replayed request');
+  });
+
+  await t.test('rejects timestamps outside the allowed skew', async () => {
+    for (const offset of [-120, 120]) {
+      const res = await post(`${r.base}/wake`, signedAt(offset, 'new-secret', 'POST', '/wake', raw), raw);
+      assert.strictEqual(res.status, 401);
+      assert.match((await res.json()).error, /expired/);
+    }
+    const within = await post(`${r.base}/wake`, signedAt(-30, 'new-secret', 'POST', '/wake', raw), raw);
+    assert.strictEqual(within.status, 200);
+  });
+
+  await t.test('rejects a changed body, path or method', async () => {
+    const headers = signing.signHeaders('new-secret', 'POST', '/wake', raw);
+    const tampered = await post(`${r.base}/wake`, headers, JSON.stringify({ mac: '11:22:33:44:55:66' }));
+    assert.strictEqual(tampered.status, 401);
+    const otherPath = await post(`${r.base}/wake`, signing.signHeaders('new-secret', 'POST', '/probe', raw), raw);
+    assert.strictEqual(otherPath.status, 401);
+    const otherMethod = await post(`${r.base}/wake`, signing.signHeaders('new-secret', 'GET', '/wake', raw), raw);
+    assert.strictEqual(otherMethod.status, 401);
+  });
+
+  await t.test('rejects missing or malformed headers', async () => {
+    assert.strictEqual((await post(`${r.base}/wake`, {}, raw)).status, 401);
+    const headers = { ...signing.signHeaders('new-secret', 'POST', '/wake', raw), 'X-WoL-Nonce': 'not-hex' };
+    assert.strictEqual((await post(`${r.base}/wake`, headers, raw)).status, 401);
+  });
+});
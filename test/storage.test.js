@@ -0,0 +1,144 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+
+const { createStorage, changes, ConflictError } = require('../lib/storage');
+const { tempDir } = require('./helpers');
+
+let sqliteLoads = true;
+try {
+  const Database = require('better-sqlite3');
+  new Database(':memory:').close();
+} catch {
+  sqliteLoads = false;
+}
+
+const host = (id, mac, name = id) => ({ id, name, mac, routes: [{ type: 'local' }] });
+
+for (const driver of ['json', 'sqlite']) {
+  test(`${driver} driver: compare-and-swap`, { skip: driver === 'sqlite' && !sqliteLoads && 'better-sqlite3 does not load' }, async (t) => {
+    const dir = tempDir();
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const storage = createStorage({ driver, dbPath: path.join(dir, 'storage.db'), jsonPath: path.join(dir, 'storage.json') });
+
+    const seed = storage.load();
+    seed.hosts.push(host('h1', 'aa:00:00:00:00:01'), host('h2', 'aa:00:00:00:00:02'), host('h3', 'aa:00:00:00:00:03'));
+    storage.save(seed);
+
+    const conflict = (fn) => assert.throws(fn, (e) => e instanceof ConflictError && e.status === 409);
+    const names = () => Object.fromEntries(storage.load().hosts.map(h => [h.id, h.name]));
+
+    await t.test('the same row changed in two copies: the second save conflicts', () => {
+      const a = storage.load();
+      const b = storage.load();
+      a.hosts.find(h => h.id === 'h1').name = 'from-a';
+      b.hosts.find(h => h.id === 'h1').name = 'from-b';
+      storage.save(a);
+      conflict(() => storage.save(b));
+      assert.strictEqual(names().h1, 'from-a');
+    });
+
+    await t.test('different rows changed in two copies: both are kept', () => {
+      const a = storage.load();
+      const b = storage.load();
+      a.hosts.find(h => h.id === 'h2').name = 'two';
+      b.hosts.find(h => h.id === 'h3').name = 'three';
+      storage.save(a);
+      storage.save(b);
+      assert.deepStrictEqual(names(), { h1: 'from-a', h2: 'two', h3: 'three' });
+    });
+
+    await t.test('a saved copy can be changed and saved again', () => {
+      const a = storage.load();
+      a.hosts.find(h => h.id === 'h2').name = 'two-1';
+      storage.save(a);
+      a.hosts.find(h => h.id === 'h2').name = 'two-2';
+      storage.save(a);
+      assert.strictEqual(names().h2, 'two-2');
+    });
+
+    await t.test('update vs delete of the same row conflicts either way round', () => {
+      let a = storage.load();
+      let b = storage.load();
+      a.hosts = a.hosts.filter(h => h.id !== 'h3');
+      b.hosts.find(h => h.id === 'h3').name = 'edited';
+      storage.save(a);
+      conflict(() => storage.save(b));
+
+      const c = storage.load();
+      c.hosts.push(host('h4', 'aa:00:00:00:00:04'));
+      storage.save(c);
+      a = storage.load();
+      b = storage.load();
+      a.hosts.find(h => h.id === 'h4').name = 'edited';
+      b.hosts = b.hosts.filter(h => h.id !== 'h4');
+      storage.save(a);
+      conflict(() => storage.save(b));
+      assert.strictEqual(names().h4, 'edited');
+    });
+
+    await t.test('deleting a row that is already gone is fine', () => {
+      const a = storage.load();
+      const b = storage.load();
+      a.hosts = a.hosts.filter(h => h.id !== 'h4');
+      b.hosts = b.hosts.filter(h => h.id !== 'h4');
+      storage.save(a);
+      storage.save(b);
+      assert.strictEqual(names().h4, undefined);
+    });
+
+    await t.test('unique violations are conflicts', () => {
+      const a = storage.load();
+      a.hosts.push(host('h5', 'aa:00:00:00:00:01'));
+      conflict(() => storage.save(a));
+
+      // two copies inserting the same MAC under different ids
+      const b = storage.load();
+      const c = storage.load();
+      b.hosts.push(host('h6', 'aa:00:00:00:00:06'));
+      c.hosts.push(host('h7', 'aa:00:00:00:00:06'));
+      storage.save(b);
+      conflict(() => storage.save(c));
+
+      // same id inserted twice
+      const d = storage.load();
+      const e = storage.load();
+      d.hosts.push(host('h8', 'aa:00:00:00:00:08'));
+      e.hosts.push(host('h8', 'aa:00:00:00:00:09'));
+      storage.save(d);
+      conflict(() => storage.save(e));
+
+      // a failed save changes nothing
+      assert.deepStrictEqual(Object.keys(names()).sort(), ['h1', 'h2', 'h6', 'h8']);
+    });
+
+    await t.test('changes() lists what a save will write', () => {
+      const a = storage.load();
+      a.hosts.find(h => h.id === 'h1').name = 'changed';
+      a.hosts = a.hosts.filter(h => h.id !== 'h2');
+      a.groups.push({ id: 'g1', name: 'g', hostIds: [] });
+      assert.deepStrictEqual(changes(a), {
+        hosts: { upserted: ['h1'], deleted: ['h2'] },
+        groups: { upserted: ['g1'], deleted: [] },
+      });
+      storage.save(a);
+      assert.deepStrictEqual(changes(a), {});
+    });
+  });
+}
+
+test('sqlite driver imports storage.json once', { skip: !sqliteLoads && 'better-sqlite3 does not load' }, (t) => {
+  const dir = tempDir();
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const jsonPath = path.join(dir, 'storage.json');
+  fs.writeFileSync(jsonPath, JSON.stringify({ hosts: [host('h1', 'aa:00:00:00:00:01')], users: [] }));
+  t.mock.method(console, 'log', () => {});
+
+  const storage = createStorage({ driver: 'sqlite', dbPath: path.join(dir, 'storage.db'), jsonPath });
+  assert.deepStrictEqual(storage.load().hosts.map(h => h.id), ['h1']);
+  assert.ok(!fs.existsSync(jsonPath));
+  assert.ok(fs.existsSync(jsonPath + '.imported'));
+});
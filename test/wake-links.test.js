@@ -0,0 +1,63 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+
+const wakeLinks = require('../lib/wake-links');
+const { tempDir, startController } = require('./helpers');
+
+test('tokens are bound to the link, its host and expiry', () => {
+  const link = wakeLinks.create({ id: 'wl_1', hostId: 'host_1', ttlMin: 60, maxUses: 1, createdBy: 'admin' });
+  const other = wakeLinks.create({ id: 'wl_2', hostId: 'host_1', ttlMin: 60, maxUses: 1, createdBy: 'admin' });
+  const links = [link, other];
+  const token = wakeLinks.token(link);
+
+  assert.strictEqual(wakeLinks.find(links, token), link);
+  assert.strictEqual(wakeLinks.find(links, wakeLinks.token(other)), other);
+  for (const bad of ['', 'wl_1', `wl_2.${token.split('.')[1]}`, `${token}x`, 'wl_9.abc']) {
+    assert.strictEqual(wakeLinks.find(links, bad), null, bad);
+  }
+  // editing the stored row alone doesn't make the old token valid for another host or a later expiry
+  assert.strictEqual(wakeLinks.find([{ ...link, hostId: 'host_2' }], token), null);
+  assert.strictEqual(wakeLinks.find([{ ...link, expiresAt: new Date(Date.now() + 1e9).toISOString() }], token), null);
+});
+
+test('status and the public view', () => {
+  const link = wakeLinks.create({ id: 'wl_1', hostId: 'host_1', ttlMin: 60, maxUses: 2, pinHash: 'scrypt$x$y', createdBy: 'admin' });
+  assert.strictEqual(wakeLinks.status(link), 'active');
+  assert.strictEqual(wakeLinks.status({ ...link, uses: 2 }), 'used_up');
+  assert.strictEqual(wakeLinks.status(link, Date.parse(link.expiresAt)), 'expired');
+  assert.strictEqual(wakeLinks.status({ ...link, pinFailures: wakeLinks.MAX_PIN_FAILURES }), 'locked');
+
+  const pub = wakeLinks.publicLink(link);
+  assert.strictEqual(pub.secret, undefined);
+  assert.strictEqual(pub.pinHash, undefined);
+  assert.strictEqual(pub.pinRequired, true);
+  assert.strictEqual(pub.status, 'active');
+});
+
+test('job polling has its own rate limit, info / wake keep the strict one', async (t) => {
+  const configDir = tempDir();
+  const configFile = path.join(configDir, 'config.json');
+  fs.writeFileSync(configFile, JSON.stringify({ rateLimit: { wakeLink: { max: 3 }, wakeLinkJob: { max: 20 } } }));
+  const c = await startController({ WOL_CONFIG: configFile });
+  t.after(() => {
+    c.close();
+    fs.rmSync(configDir, { recursive: true, force: true });
+  });
+  t.mock.method(console, 'log', () => {});
+
+  const post = (p) => fetch(`${c.base}${p}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ token: 'wl_x.y', jobId: 'job_x' }),
+  }).then(r => r.status);
+
+  // 10 polls: more than the strict limit, within the polling one
+  for (let i = 0; i < 10; i++) assert.strictEqual(await post('/wake-link/job'), 404);
+  assert.deepStrictEqual([await post('/wake-link/info'), await post('/wake-link/wake'), await post('/wake-link/info')], [404, 404, 404]);
+  assert.strictEqual(await post('/wake-link/wake'), 429);
+  assert.strictEqual(await post('/wake-link/job'), 404);
+});